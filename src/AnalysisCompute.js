@@ -1,4 +1,7 @@
 import * as THREE from 'three';
+import { ANGLE_METRIC_CODES, resolveAngleMetric } from './AngleMetric.js';
+import { JUNCTION_MIN_CELLS, JUNCTION_SLOTS_PER_CELL, JUNCTION_OFFSET_SCALE, resolveJunctionCriterion } from './JunctionCriteria.js';
+import { SimulationDomain } from './SimulationDomain.js';
 
 /**
  * AnalysisCompute - WebGPU Compute Pipeline for Voronoi Analysis
@@ -20,14 +23,23 @@ export class AnalysisCompute {
         this.bindGroups = [];
         
         // Analysis parameters
-        this.volumeSize = 64;
+        this.domain = new SimulationDomain();
         this.maxSeeds = 100;
+        this.periodic = false;
+        
+        // Angles behind the acute counts (see AngleMetric)
+        this.angleMetric = 'seedVertex';
+        
+        // Junction blocks: 'quadruple' or 'triple', optionally merged per cell set (see JunctionCriteria)
+        this.junctionCriterion = 'quadruple';
+        this.mergeJunctions = false;
         
         // Storage buffers
         this.seedBuffer = null;
         this.centroidDataBuffer = null;
         this.acuteCountBuffer = null;
         this.analysisResultsBuffer = null;
+        this.junctionSlotBuffer = null;
         
         // Bind group layout
         this.bindGroupLayout = null;
@@ -119,6 +131,20 @@ export class AnalysisCompute {
                         buffer: {
                             type: 'uniform'
                         }
+                    },
+                    {
+                        binding: 5,
+                        visibility: GPUShaderStage.COMPUTE,
+                        buffer: {
+                            type: 'storage'
+                        }
+                    },
+                    {
+                        binding: 6,
+                        visibility: GPUShaderStage.COMPUTE,
+                        buffer: {
+                            type: 'storage'
+                        }
                     }
                 ]
             });
@@ -135,6 +161,18 @@ export class AnalysisCompute {
                 }
             });
             
+            // Second pass for merged junctions: one angle count per junction
+            this.junctionPipeline = this.device.createComputePipeline({
+                label: 'Junction Merge Pipeline',
+                layout: this.device.createPipelineLayout({
+                    bindGroupLayouts: [this.bindGroupLayout]
+                }),
+                compute: {
+                    module: computeShaderModule,
+                    entryPoint: 'resolveJunctions'
+                }
+            });
+            
             console.log('✅ AnalysisCompute initialized successfully');
             
         } catch (error) {
@@ -149,7 +187,7 @@ export class AnalysisCompute {
     createBuffers(numSeeds) {
         console.log(`🔍 Creating analysis buffers for ${numSeeds} seeds...`);
         
-        // Seed buffer: position(3) + centroid(3) + acuteCount(1) + voxelCount(1) = 8 floats per seed
+        // Seed buffer: position(3) + acuteCount(1) + centroid(3) + voxelCount(1) = 8 floats per seed
         const seedBufferSize = numSeeds * 8 * 4; // 8 floats * 4 bytes per float
         this.seedBuffer = this.device.createBuffer({
             label: 'Seed Buffer',
@@ -173,11 +211,18 @@ export class AnalysisCompute {
             usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
         });
         
-        // Analysis results buffer for debugging
+        // Analysis results buffer: word 0 counts junctions, the rest is free for debugging
         this.analysisResultsBuffer = this.device.createBuffer({
             label: 'Analysis Results Buffer',
             size: 64, // Space for general analysis data
-            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
+        });
+        
+        // Merged junctions: JUNCTION_SLOTS_PER_CELL slots of 8 u32 per seed
+        this.junctionSlotBuffer = this.device.createBuffer({
+            label: 'Junction Slot Buffer',
+            size: numSeeds * JUNCTION_SLOTS_PER_CELL * 8 * 4,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
         });
         
         console.log('✅ Analysis buffers created successfully');
@@ -198,13 +243,13 @@ export class AnalysisCompute {
             seedArray[offset + 1] = seed.position.y;
             seedArray[offset + 2] = seed.position.z;
             
-            // Centroid (3 floats) - initialized to position
-            seedArray[offset + 3] = seed.position.x;
-            seedArray[offset + 4] = seed.position.y;
-            seedArray[offset + 5] = seed.position.z;
-            
             // Acute count (1 float)
-            seedArray[offset + 6] = 0.0;
+            seedArray[offset + 3] = 0.0;
+            
+            // Centroid (3 floats) - initialized to position
+            seedArray[offset + 4] = seed.position.x;
+            seedArray[offset + 5] = seed.position.y;
+            seedArray[offset + 6] = seed.position.z;
             
             // Voxel count (1 float)
             seedArray[offset + 7] = 0.0;
@@ -228,29 +273,44 @@ export class AnalysisCompute {
     
     /**
      * Run the analysis compute pass
+     * @param {GPUTexture} jfaTexture - Label volume from the JFA pass
+     * @param {Array} seedData - Seeds (only their count is used unless uploading)
+     * @param {boolean} [uploadSeeds] - Upload seedData positions; pass false while
+     *   PhysicsCompute integrates the positions in the seed buffer
      */
-    async compute(jfaTexture, seedData) {
+    async compute(jfaTexture, seedData, uploadSeeds = true) {
         console.log('🔍 Running analysis compute pass for TSL...');
         
         const numSeeds = seedData.length;
         
-        // Create buffers if needed
+        // Create buffers if needed (a fresh seed buffer always needs the positions)
         if (!this.seedBuffer || this.maxSeeds < numSeeds) {
             this.maxSeeds = Math.max(numSeeds, this.maxSeeds);
             this.createBuffers(this.maxSeeds);
+            uploadSeeds = true;
         }
         
         // Update seed buffer with current data
-        this.updateSeedBuffer(seedData);
+        if (uploadSeeds) {
+            this.updateSeedBuffer(seedData);
+        }
         
         // Clear analysis buffers
         this.clearBuffers(numSeeds);
         
-        // Create uniform buffer for parameters
-        const uniformData = new Uint32Array([
-            this.volumeSize,  // volumeSize
-            numSeeds          // numSeeds
-        ]);
+        // Create uniform buffer for parameters (AnalysisUniforms layout, 64 bytes)
+        const uniformData = new ArrayBuffer(64);
+        const uniformWords = new Uint32Array(uniformData);
+        const uniformFloats = new Float32Array(uniformData);
+        uniformWords.set(this.domain.resolution, 0);  // volumeSize (vec3)
+        uniformWords[3] = numSeeds;                   // numSeeds
+        uniformWords[4] = this.periodic ? 1 : 0;      // periodic (wrapped lookups, seed-relative centroids)
+        uniformWords[5] = ANGLE_METRIC_CODES[this.angleMetric];  // angleMetric
+        uniformWords[6] = JUNCTION_MIN_CELLS[this.junctionCriterion];  // minJunctionCells
+        uniformWords[7] = this.mergeJunctions ? 1 : 0;  // mergeJunctions
+        uniformFloats.set(this.domain.min, 8);        // domainMin (vec3)
+        uniformWords[11] = JUNCTION_SLOTS_PER_CELL;   // slotsPerCell
+        uniformFloats.set(this.domain.size, 12);      // domainSize (vec3)
         
         const uniformBuffer = this.device.createBuffer({
             label: 'Analysis Uniform Buffer',
@@ -292,6 +352,18 @@ export class AnalysisCompute {
                     resource: {
                         buffer: uniformBuffer
                     }
+                },
+                {
+                    binding: 5,
+                    resource: {
+                        buffer: this.junctionSlotBuffer
+                    }
+                },
+                {
+                    binding: 6,
+                    resource: {
+                        buffer: this.analysisResultsBuffer
+                    }
                 }
             ]
         });
@@ -301,6 +373,11 @@ export class AnalysisCompute {
             label: 'Analysis Compute Command Encoder'
         });
         
+        commandEncoder.clearBuffer(this.analysisResultsBuffer);
+        if (this.mergeJunctions) {
+            commandEncoder.clearBuffer(this.junctionSlotBuffer);
+        }
+        
         const computePass = commandEncoder.beginComputePass({
             label: 'Analysis Compute Pass'
         });
@@ -310,11 +387,22 @@ export class AnalysisCompute {
         
         // Dispatch with workgroup size that covers the entire volume
         const workgroupSize = 8;
-        const dispatchSize = Math.ceil(this.volumeSize / workgroupSize);
-        computePass.dispatchWorkgroups(dispatchSize, dispatchSize, dispatchSize);
+        const [dispatchX, dispatchY, dispatchZ] = this.domain.resolution.map(n => Math.ceil(n / workgroupSize));
+        computePass.dispatchWorkgroups(dispatchX, dispatchY, dispatchZ);
         
         computePass.end();
         
+        // Merged junctions are counted once each, after every block has been added
+        if (this.mergeJunctions) {
+            const junctionPass = commandEncoder.beginComputePass({
+                label: 'Junction Merge Pass'
+            });
+            junctionPass.setPipeline(this.junctionPipeline);
+            junctionPass.setBindGroup(0, bindGroup);
+            junctionPass.dispatchWorkgroups(Math.ceil(numSeeds * JUNCTION_SLOTS_PER_CELL / 64));
+            junctionPass.end();
+        }
+        
         // Submit the command buffer
         this.device.queue.submit([commandEncoder.finish()]);
         
@@ -329,14 +417,21 @@ export class AnalysisCompute {
     
     /**
      * Finalize centroids by converting atomic results to world coordinates
+     * The sums are positions relative to the domain centre in half-extents; in
+     * periodic mode they are offsets from each seed instead, so the seed
+     * position is added back and the result wrapped into the domain.
+     * Positions are read back with the sums and written back untouched, so
+     * positions integrated on the GPU survive the pass
      */
     async finalizeCentroids(numSeeds) {
         console.log('🔍 Finalizing centroids...');
         
-        // Read atomic centroid data
+        // Read atomic centroid data followed by the seed buffer
+        const centroidBytes = numSeeds * 4 * 4;
+        const seedBytes = numSeeds * 8 * 4;
         const stagingBuffer = this.device.createBuffer({
             label: 'Centroid Staging Buffer',
-            size: numSeeds * 4 * 4,
+            size: centroidBytes + seedBytes,
             usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
         });
         
@@ -344,16 +439,22 @@ export class AnalysisCompute {
         commandEncoder.copyBufferToBuffer(
             this.centroidDataBuffer, 0,
             stagingBuffer, 0,
-            numSeeds * 4 * 4
+            centroidBytes
+        );
+        commandEncoder.copyBufferToBuffer(
+            this.seedBuffer, 0,
+            stagingBuffer, centroidBytes,
+            seedBytes
         );
         this.device.queue.submit([commandEncoder.finish()]);
         
         await this.device.queue.onSubmittedWorkDone();
         await stagingBuffer.mapAsync(GPUMapMode.READ);
-        const atomicData = new Uint32Array(stagingBuffer.getMappedRange());
+        const mapped = stagingBuffer.getMappedRange();
+        const atomicData = new Uint32Array(mapped, 0, numSeeds * 4);
         
         // Convert atomic results back to centroids and update seed buffer
-        const seedArray = new Float32Array(numSeeds * 8);
+        const seedArray = new Float32Array(mapped.slice(centroidBytes));
         
         for (let i = 0; i < numSeeds; i++) {
             const atomicOffset = i * 4;
@@ -367,22 +468,37 @@ export class AnalysisCompute {
             
             // Convert back to world coordinates
             if (voxelCount > 0) {
-                const centroidX = (sumX / 1000000.0) / voxelCount - 1.0;
-                const centroidY = (sumY / 1000000.0) / voxelCount - 1.0;
-                const centroidZ = (sumZ / 1000000.0) / voxelCount - 1.0;
+                const [halfX, halfY, halfZ] = this.domain.size.map(size => size / 2);
+                const centroid = {
+                    x: ((sumX / 1000000.0) / voxelCount - 1.0) * halfX,
+                    y: ((sumY / 1000000.0) / voxelCount - 1.0) * halfY,
+                    z: ((sumZ / 1000000.0) / voxelCount - 1.0) * halfZ
+                };
+                
+                if (this.periodic) {
+                    centroid.x += seedArray[seedOffset + 0];
+                    centroid.y += seedArray[seedOffset + 1];
+                    centroid.z += seedArray[seedOffset + 2];
+                    this.domain.wrapPosition(centroid);
+                } else {
+                    centroid.x += this.domain.center[0];
+                    centroid.y += this.domain.center[1];
+                    centroid.z += this.domain.center[2];
+                }
                 
                 // Update seed buffer with calculated centroids
-                seedArray[seedOffset + 3] = centroidX;
-                seedArray[seedOffset + 4] = centroidY;
-                seedArray[seedOffset + 5] = centroidZ;
-                seedArray[seedOffset + 7] = voxelCount; // Store voxel count
+                seedArray[seedOffset + 4] = centroid.x;
+                seedArray[seedOffset + 5] = centroid.y;
+                seedArray[seedOffset + 6] = centroid.z;
             }
+            seedArray[seedOffset + 7] = voxelCount; // Store voxel count
         }
         
         // Write updated centroids back to seed buffer
         this.device.queue.writeBuffer(this.seedBuffer, 0, seedArray);
         
         stagingBuffer.unmap();
+        stagingBuffer.destroy();
         console.log('✅ Centroids finalized');
     }
     
@@ -412,6 +528,12 @@ export class AnalysisCompute {
                 usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
             });
             
+            const resultsStagingBuffer = this.device.createBuffer({
+                label: 'Analysis Results Staging Buffer',
+                size: this.analysisResultsBuffer.size,
+                usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+            });
+            
             // Copy data from GPU buffers to staging buffers
             const commandEncoder = this.device.createCommandEncoder({
                 label: 'Analysis Results Copy Command Encoder'
@@ -435,6 +557,12 @@ export class AnalysisCompute {
                 this.centroidDataBuffer.size
             );
             
+            commandEncoder.copyBufferToBuffer(
+                this.analysisResultsBuffer, 0,
+                resultsStagingBuffer, 0,
+                this.analysisResultsBuffer.size
+            );
+            
             this.device.queue.submit([commandEncoder.finish()]);
             
             // Wait for completion
@@ -444,10 +572,12 @@ export class AnalysisCompute {
             await seedStagingBuffer.mapAsync(GPUMapMode.READ);
             await acuteStagingBuffer.mapAsync(GPUMapMode.READ);
             await centroidStagingBuffer.mapAsync(GPUMapMode.READ);
+            await resultsStagingBuffer.mapAsync(GPUMapMode.READ);
             
             const seedData = new Float32Array(seedStagingBuffer.getMappedRange());
             const acuteData = new Uint32Array(acuteStagingBuffer.getMappedRange());
             const centroidData = new Uint32Array(centroidStagingBuffer.getMappedRange());
+            const junctionCount = new Uint32Array(resultsStagingBuffer.getMappedRange())[0];
             
             // Analyze results for debugging
             let totalAcuteCount = 0;
@@ -467,6 +597,7 @@ export class AnalysisCompute {
             console.log(`  Total acute count: ${totalAcuteCount}`);
             console.log(`  Seeds with non-zero acute count: ${nonZeroSeeds}/${acuteData.length}`);
             console.log(`  Max acute count: ${maxAcuteCount}`);
+            console.log(`  Junctions: ${junctionCount}`);
             
             // Check centroid data
             let nonZeroCentroids = 0;
@@ -489,11 +620,13 @@ export class AnalysisCompute {
             seedStagingBuffer.unmap();
             acuteStagingBuffer.unmap();
             centroidStagingBuffer.unmap();
+            resultsStagingBuffer.unmap();
             
             // Clean up staging buffers
             seedStagingBuffer.destroy();
             acuteStagingBuffer.destroy();
             centroidStagingBuffer.destroy();
+            resultsStagingBuffer.destroy();
             
             return {
                 seedData,
@@ -501,7 +634,8 @@ export class AnalysisCompute {
                 centroidData,
                 totalAcuteCount,
                 nonZeroSeeds,
-                maxAcuteCount
+                maxAcuteCount,
+                junctionCount
             };
             
         } catch (error) {
@@ -510,6 +644,41 @@ export class AnalysisCompute {
         }
     }
 
+    /**
+     * Set the domain of the JFA volumes being analysed (voxel grid and world-space box)
+     */
+    setDomain(domain) {
+        this.domain = SimulationDomain.from(domain);
+    }
+    
+    /**
+     * Enable/disable periodic (wrap-around) boundaries
+     */
+    setPeriodicBoundaries(enabled) {
+        this.periodic = enabled;
+    }
+    
+    /**
+     * Choose which angles the acute counts count: 'seedVertex', 'dihedral' or 'face'
+     */
+    setAngleMetric(metric) {
+        this.angleMetric = resolveAngleMetric(metric);
+    }
+    
+    /**
+     * Choose the junction test: 'quadruple' (4+ labels in a 2×2×2 block) or 'triple' (3+)
+     */
+    setJunctionCriterion(criterion) {
+        this.junctionCriterion = resolveJunctionCriterion(criterion);
+    }
+    
+    /**
+     * Merge junction blocks with the same cell set into one junction (two-pass)
+     */
+    setMergeJunctions(enabled) {
+        this.mergeJunctions = enabled;
+    }
+    
     /**
      * Get the analysis buffers for use by other compute passes
      * @returns {Object} Object containing GPU buffers
@@ -529,15 +698,23 @@ export class AnalysisCompute {
         return `
 // 1) Uniform parameters
 struct AnalysisUniforms {
-  volumeSize : u32;
+  volumeSize : vec3<u32>; // voxels per axis
   numSeeds   : u32;
+  periodic   : u32;
+  angleMetric: u32; // 0 seed-vertex, 1 dihedral, 2 face (ANGLE_METRIC_CODES)
+  minJunctionCells : u32; // 4 quadruple points, 3 triple lines
+  mergeJunctions   : u32;
+  domainMin        : vec3<f32>; // world-space box
+  slotsPerCell     : u32;
+  domainSize       : vec3<f32>;
+  padding          : u32;
 };
 
-// 2) Seed data layout (must match JS seedBuffer layout)
+// 2) Seed data layout (must match JS seedBuffer layout: 8 floats, 32 bytes)
 struct SeedData {
   position   : vec3<f32>;
-  centroid   : vec3<f32>;
   acuteCount : f32;
+  centroid   : vec3<f32>;
   voxelCount : f32;
 };
 
@@ -565,12 +742,40 @@ var<storage, read_write> acuteCountBuffer : array<atomic<u32>>;
 @group(0) @binding(4)
 var<uniform> uniforms                     : AnalysisUniforms;
 
+// 5) Merged junctions: slots of the lowest cell ID, claimed by a hash of the other IDs
+struct JunctionSlot {
+  token      : atomic<u32>; // 0 = empty
+  cellB      : u32;
+  cellC      : u32;
+  cellD      : u32;         // NO_CELL for triple junctions
+  offsetX    : atomic<i32>; // Block-centre offsets from the lowest seed, fixed point
+  offsetY    : atomic<i32>;
+  offsetZ    : atomic<i32>;
+  blockCount : atomic<u32>;
+};
+
+@group(0) @binding(5)
+var<storage, read_write> junctionSlots    : array<JunctionSlot>;
+
+// 6) Analysis results: [0] junction count (merged junctions count once)
+@group(0) @binding(6)
+var<storage, read_write> analysisResults  : array<atomic<u32>, 16>;
+
+const NO_CELL = 0xffffffffu;
+const JUNCTION_OFFSET_SCALE = ${JUNCTION_OFFSET_SCALE}.0;
+
 // Get cell ID from texture coordinates
-fn getCellID(coords: vec3<i32>) -> i32 {
+fn getCellID(inputCoords: vec3<i32>) -> i32 {
+    var coords = inputCoords;
+    let size = vec3<i32>(uniforms.volumeSize);
+    
+    // Periodic volumes wrap lookups across the seam
+    if (uniforms.periodic != 0u) {
+        coords = ((coords % size) + size) % size;
+    }
+    
     // Bounds checking
-    if (coords.x < 0 || coords.x >= i32(uniforms.volumeSize) ||
-        coords.y < 0 || coords.y >= i32(uniforms.volumeSize) ||
-        coords.z < 0 || coords.z >= i32(uniforms.volumeSize)) {
+    if (any(coords < vec3<i32>(0)) || any(coords >= size)) {
         return -1;
     }
     
@@ -585,28 +790,205 @@ fn getCellID(coords: vec3<i32>) -> i32 {
     return cellId;
 }
 
-// Convert 3D coordinates to world space [-1, 1]
+// World-space voxel edge lengths
+fn voxelSpacing() -> vec3<f32> {
+    return uniforms.domainSize / vec3<f32>(uniforms.volumeSize);
+}
+
+// Convert 3D coordinates to world space (voxel centre)
 fn toWorldSpace(coords: vec3<i32>) -> vec3<f32> {
-    let fcoords = vec3<f32>(coords);
-    let size = f32(uniforms.volumeSize);
-    return (fcoords / size) * 2.0 - 1.0;
+    return uniforms.domainMin + (vec3<f32>(coords) + 0.5) * voxelSpacing();
+}
+
+// Minimum image of a world-space difference vector (period = domain extent) when periodic
+fn minimumImage(d: vec3<f32>) -> vec3<f32> {
+    if (uniforms.periodic != 0u) {
+        return d - uniforms.domainSize * round(d / uniforms.domainSize);
+    }
+    return d;
+}
+
+// Acute dihedral (x) and face (y) angles at the corner where cell a meets cells b, c, d.
+// Face normals are the seed directions; edges leave the corner into the third half-space.
+fn cornerAcuteCounts(a: vec3<f32>, b: vec3<f32>, c: vec3<f32>, d: vec3<f32>) -> vec2<u32> {
+    let nB = normalize(minimumImage(b - a));
+    let nC = normalize(minimumImage(c - a));
+    let nD = normalize(minimumImage(d - a));
+    
+    // Interior dihedral = PI - angle between outward normals: acute when the normals diverge
+    var dihedral = 0u;
+    if (dot(nB, nC) < 0.0) { dihedral++; }
+    if (dot(nB, nD) < 0.0) { dihedral++; }
+    if (dot(nC, nD) < 0.0) { dihedral++; }
+    
+    var eBC = cross(nB, nC);
+    if (dot(eBC, nD) > 0.0) { eBC = -eBC; }
+    var eBD = cross(nB, nD);
+    if (dot(eBD, nC) > 0.0) { eBD = -eBD; }
+    var eCD = cross(nC, nD);
+    if (dot(eCD, nB) > 0.0) { eCD = -eCD; }
+    
+    // Face angles of faces a|b, a|c, a|d between their two edges at the corner
+    var face = 0u;
+    if (dot(eBC, eBD) > 0.0) { face++; }
+    if (dot(eBC, eCD) > 0.0) { face++; }
+    if (dot(eBD, eCD) > 0.0) { face++; }
+    
+    return vec2<u32>(dihedral, face);
+}
+
+// Move the (at most four) seeds closest to p to the front; returns how many are kept
+fn nearestCells(ids: ptr<function, array<i32, 8>>, count: i32, p: vec3<f32>) -> i32 {
+    let kept = min(count, 4);
+    for (var i = 0; i < kept; i++) {
+        var best = i;
+        var bestDistance = 1e30;
+        for (var j = i; j < count; j++) {
+            let offset = minimumImage(seedBuffer[(*ids)[j]].position - p);
+            let distance = dot(offset, offset);
+            if (distance < bestDistance) {
+                best = j;
+                bestDistance = distance;
+            }
+        }
+        let swap = (*ids)[i];
+        (*ids)[i] = (*ids)[best];
+        (*ids)[best] = swap;
+    }
+    return kept;
+}
+
+// Seed-vertex metric: the angle at p between every pair of seeds of the junction
+fn seedVertexAngles(ids: ptr<function, array<i32, 8>>, count: i32, p: vec3<f32>) {
+    for (var i = 0; i < count; i++) {
+        for (var j = i + 1; j < count; j++) {
+            let idA = (*ids)[i];
+            let idB = (*ids)[j];
+            
+            // Calculate vectors from junction to each seed
+            let vA = normalize(minimumImage(seedBuffer[idA].position - p));
+            let vB = normalize(minimumImage(seedBuffer[idB].position - p));
+            
+            // Count acute angles (< 90 degrees)
+            let angle = acos(clamp(dot(vA, vB), -1.0, 1.0));
+            if (angle < 1.5707963) { // PI/2
+                atomicAdd(&acuteCountBuffer[idA], 1u);
+                atomicAdd(&acuteCountBuffer[idB], 1u);
+            }
+        }
+    }
+}
+
+// Cell metrics: the corners of a four-cell junction, or the dihedral angle of
+// each cell along a triple line (which has no face corner)
+fn cellAngles(ids: ptr<function, array<i32, 8>>, count: i32) {
+    if (count == 3) {
+        if (uniforms.angleMetric == 1u) {
+            for (var i = 0; i < 3; i++) {
+                let a = seedBuffer[(*ids)[i]].position;
+                let nB = normalize(minimumImage(seedBuffer[(*ids)[(i + 1) % 3]].position - a));
+                let nC = normalize(minimumImage(seedBuffer[(*ids)[(i + 2) % 3]].position - a));
+                if (dot(nB, nC) < 0.0) {
+                    atomicAdd(&acuteCountBuffer[(*ids)[i]], 1u);
+                }
+            }
+        }
+        return;
+    }
+    
+    for (var i = 0; i < 4; i++) {
+        var others: array<i32, 3>;
+        var k = 0;
+        for (var j = 0; j < 4; j++) {
+            if (j != i) {
+                others[k] = (*ids)[j];
+                k++;
+            }
+        }
+        
+        let counts = cornerAcuteCounts(
+            seedBuffer[(*ids)[i]].position,
+            seedBuffer[others[0]].position,
+            seedBuffer[others[1]].position,
+            seedBuffer[others[2]].position
+        );
+        let acute = select(counts.y, counts.x, uniforms.angleMetric == 1u);
+        if (acute > 0u) {
+            atomicAdd(&acuteCountBuffer[(*ids)[i]], acute);
+        }
+    }
+}
+
+// Add a junction block to the merged junction of its cell set
+fn claimJunction(ids: ptr<function, array<i32, 8>>, count: i32, blockCentre: vec3<f32>) {
+    // Sort the kept cells so every block of the set builds the same key
+    for (var i = 1; i < count; i++) {
+        let id = (*ids)[i];
+        var j = i - 1;
+        while (j >= 0 && (*ids)[j] > id) {
+            (*ids)[j + 1] = (*ids)[j];
+            j--;
+        }
+        (*ids)[j + 1] = id;
+    }
+    
+    let cellA = (*ids)[0];
+    let cellB = u32((*ids)[1]);
+    let cellC = u32((*ids)[2]);
+    let cellD = select(NO_CELL, u32((*ids)[3]), count == 4);
+    let token = max((cellB * 73856093u) ^ (cellC * 19349663u) ^ (cellD * 83492791u), 1u);
+    let offset = vec3<i32>(round(minimumImage(blockCentre - seedBuffer[cellA].position) * JUNCTION_OFFSET_SCALE));
+    let base = u32(cellA) * uniforms.slotsPerCell;
+    
+    // Open addressing within the cell's slots; a full table drops the block
+    for (var probe = 0u; probe < uniforms.slotsPerCell; probe++) {
+        let slot = base + (token + probe) % uniforms.slotsPerCell;
+        var result = atomicCompareExchangeWeak(&junctionSlots[slot].token, 0u, token);
+        
+        // A weak exchange can fail spuriously on an empty slot: retry it
+        while (!result.exchanged && result.old_value == 0u) {
+            result = atomicCompareExchangeWeak(&junctionSlots[slot].token, 0u, token);
+        }
+        
+        if (result.exchanged) {
+            junctionSlots[slot].cellB = cellB;
+            junctionSlots[slot].cellC = cellC;
+            junctionSlots[slot].cellD = cellD;
+        }
+        if (result.exchanged || result.old_value == token) {
+            atomicAdd(&junctionSlots[slot].offsetX, offset.x);
+            atomicAdd(&junctionSlots[slot].offsetY, offset.y);
+            atomicAdd(&junctionSlots[slot].offsetZ, offset.z);
+            atomicAdd(&junctionSlots[slot].blockCount, 1u);
+            return;
+        }
+    }
 }
 
 // Main compute shader entry point
 @compute @workgroup_size(8, 8, 8)
 fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
     let coords = vec3<i32>(global_id);
-    let volumeSize = i32(uniforms.volumeSize);
+    let volumeSize = vec3<i32>(uniforms.volumeSize);
     
     // Check bounds
-    if (coords.x >= volumeSize || coords.y >= volumeSize || coords.z >= volumeSize) {
+    if (any(coords >= volumeSize)) {
         return;
     }
     
     // Phase 1: Voxel summation for centroid calculation
     let cellID = getCellID(coords);
     if (cellID >= 0 && cellID < i32(uniforms.numSeeds)) {
-        let worldPos = toWorldSpace(coords);
+        let halfSize = uniforms.domainSize * 0.5;
+        
+        // Position relative to the domain centre, in half-extents ([-1, 1])
+        var worldPos = (toWorldSpace(coords) - (uniforms.domainMin + halfSize)) / halfSize;
+        
+        // Periodic: accumulate the offset from the seed (also in [-1, 1]) so cells
+        // straddling the seam average correctly; finalizeCentroids adds the seed back
+        if (uniforms.periodic != 0u) {
+            worldPos = minimumImage(toWorldSpace(coords) - seedBuffer[cellID].position) / halfSize;
+        }
         
         // Atomic accumulation for centroid calculation
         // Convert float coordinates to fixed-point integers for atomic operations
@@ -621,8 +1003,9 @@ fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
     }
     
     // Phase 2: Junction detection for acute angles
-    // Only process if we're not at the edge (need 2x2x2 cube)
-    if (coords.x < volumeSize - 1 && coords.y < volumeSize - 1 && coords.z < volumeSize - 1) {
+    // Only process if we're not at the edge (need 2x2x2 cube); periodic volumes wrap instead
+    let edge = select(1, 0, uniforms.periodic != 0u);
+    if (all(coords < volumeSize - vec3<i32>(edge))) {
         // Get the 8 cell IDs in the 2x2x2 cube
         var cellIDs: array<i32, 8>;
         cellIDs[0] = getCellID(coords + vec3<i32>(0, 0, 0));
@@ -640,7 +1023,7 @@ fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
         
         for (var i = 0; i < 8; i++) {
             let id = cellIDs[i];
-            if (id >= 0) {
+            if (id >= 0 && id < i32(uniforms.numSeeds)) {
                 var isUnique = true;
                 for (var j = 0; j < uniqueCount; j++) {
                     if (uniqueIDs[j] == id) {
@@ -655,39 +1038,61 @@ fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
             }
         }
         
-        // If we have 3+ unique cells, it's a junction
-        if (uniqueCount >= 3) {
-            let junctionPos = toWorldSpace(coords) + vec3<f32>(0.5) / f32(uniforms.volumeSize) * 2.0;
-            
-            // Calculate angles between all pairs of seeds meeting at this junction
-            for (var i = 0; i < uniqueCount; i++) {
-                for (var j = i + 1; j < uniqueCount; j++) {
-                    let idA = uniqueIDs[i];
-                    let idB = uniqueIDs[j];
-                    
-                    if (idA < i32(uniforms.numSeeds) && idB < i32(uniforms.numSeeds)) {
-                        let seedA = seedBuffer[idA];
-                        let seedB = seedBuffer[idB];
-                        
-                        // Calculate vectors from junction to each seed
-                        let vA = normalize(seedA.position - junctionPos);
-                        let vB = normalize(seedB.position - junctionPos);
-                        
-                        // Calculate angle between vectors
-                        let dotProduct = dot(vA, vB);
-                        let angle = acos(clamp(dotProduct, -1.0, 1.0));
-                        
-                        // Count acute angles (< 90 degrees)
-                        if (angle < 1.5707963) { // PI/2
-                            atomicAdd(&acuteCountBuffer[idA], 1u);
-                            atomicAdd(&acuteCountBuffer[idB], 1u);
-                        }
-                    }
-                }
+        if (uniqueCount >= i32(uniforms.minJunctionCells)) {
+            if (uniforms.mergeJunctions != 0u) {
+                // Counted once per cell set in resolveJunctions; the block centre is the shared voxel corner
+                let blockCentre = uniforms.domainMin + (vec3<f32>(coords) + 1.0) * voxelSpacing();
+                let kept = nearestCells(&uniqueIDs, uniqueCount, blockCentre);
+                claimJunction(&uniqueIDs, kept, blockCentre);
+            } else if (uniforms.angleMetric == 0u) {
+                atomicAdd(&analysisResults[0], 1u);
+                seedVertexAngles(&uniqueIDs, uniqueCount, toWorldSpace(coords)); // same junction position as VoronoiAnalyzer
+            } else {
+                atomicAdd(&analysisResults[0], 1u);
+                let kept = nearestCells(&uniqueIDs, uniqueCount, toWorldSpace(coords));
+                cellAngles(&uniqueIDs, kept);
             }
         }
     }
 }
+
+// Merged junctions: count each junction's angles once, at its mean block centre
+@compute @workgroup_size(64)
+fn resolveJunctions(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let slot = global_id.x;
+    if (slot >= uniforms.numSeeds * uniforms.slotsPerCell) {
+        return;
+    }
+    
+    let blockCount = atomicLoad(&junctionSlots[slot].blockCount);
+    if (blockCount == 0u) {
+        return;
+    }
+    atomicAdd(&analysisResults[0], 1u);
+    
+    var ids: array<i32, 8>;
+    ids[0] = i32(slot / uniforms.slotsPerCell);
+    ids[1] = i32(junctionSlots[slot].cellB);
+    ids[2] = i32(junctionSlots[slot].cellC);
+    var count = 3;
+    if (junctionSlots[slot].cellD != NO_CELL) {
+        ids[3] = i32(junctionSlots[slot].cellD);
+        count = 4;
+    }
+    
+    let offsetSum = vec3<f32>(
+        f32(atomicLoad(&junctionSlots[slot].offsetX)),
+        f32(atomicLoad(&junctionSlots[slot].offsetY)),
+        f32(atomicLoad(&junctionSlots[slot].offsetZ))
+    );
+    let junctionPos = seedBuffer[ids[0]].position + offsetSum / (f32(blockCount) * JUNCTION_OFFSET_SCALE);
+    
+    if (uniforms.angleMetric == 0u) {
+        seedVertexAngles(&ids, count, junctionPos);
+    } else {
+        cellAngles(&ids, count);
+    }
+}
         `;
     }
     
@@ -707,6 +1112,9 @@ fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
         if (this.analysisResultsBuffer) {
             this.analysisResultsBuffer.destroy();
         }
+        if (this.junctionSlotBuffer) {
+            this.junctionSlotBuffer.destroy();
+        }
         
         console.log('🔍 AnalysisCompute resources destroyed');
     }
@@ -0,0 +1,166 @@
+/**
+ * AngleMetric - Which angles the "acute count" of a cell counts
+ *
+ *   seedVertex  angle between the vectors from a junction to two of its seeds
+ *               (the original metric; not an angle of the cell itself)
+ *   dihedral    interior angle between two faces of the cell along an edge
+ *   face        interior angle of a face polygon at one of its corners
+ *
+ * The cell metrics are counted per cell corner (Voronoi vertex): a generic
+ * corner joins three faces, so it contributes three dihedral angles (one per
+ * edge through it, so every edge is seen from both ends) and three face angles.
+ * Corners on the domain walls are skipped, as the voxel junction scan does.
+ *
+ * Shaders receive the metric as ANGLE_METRIC_CODES[metric].
+ */
+export const ANGLE_METRICS = {
+    seedVertex: 'Seed–vertex–seed',
+    dihedral: 'Dihedral (between faces)',
+    face: 'Face corner (in face)'
+};
+
+/**
+ * Integer codes passed to the WGSL shaders
+ */
+export const ANGLE_METRIC_CODES = {
+    seedVertex: 0,
+    dihedral: 1,
+    face: 2
+};
+
+/**
+ * Resolve an unknown metric name to the seed–vertex default
+ */
+export function resolveAngleMetric(metric) {
+    return ANGLE_METRICS[metric] ? metric : 'seedVertex';
+}
+
+/**
+ * Angles at the corner where cell A meets cells B, C and D, from the outward
+ * unit normals of A's faces towards them (the seed difference directions for
+ * flat-faced cells).
+ * @param {{x, y, z}} nB - Normal of face A|B
+ * @param {{x, y, z}} nC - Normal of face A|C
+ * @param {{x, y, z}} nD - Normal of face A|D
+ * @returns {{ dihedral: number[], face: number[] }} Radians: dihedrals along the
+ *   edges BC, BD, CD and face angles of the faces A|B, A|C, A|D
+ */
+export function cornerAngles(nB, nC, nD) {
+    // Edge directions leave the corner along two faces and into the third half-space
+    const eBC = edgeDirection(nB, nC, nD);
+    const eBD = edgeDirection(nB, nD, nC);
+    const eCD = edgeDirection(nC, nD, nB);
+
+    return {
+        dihedral: [
+            Math.PI - angleBetween(nB, nC),
+            Math.PI - angleBetween(nB, nD),
+            Math.PI - angleBetween(nC, nD)
+        ],
+        face: [
+            angleBetween(eBC, eBD),
+            angleBetween(eBC, eCD),
+            angleBetween(eBD, eCD)
+        ]
+    };
+}
+
+/**
+ * Angles at the inner corners of an ExactVoronoi cell
+ * @param {Object} cell - ExactVoronoi.compute() cell
+ * @returns {{ dihedral: number[], face: number[] }} Radians, one entry per corner incidence
+ */
+export function exactCellAngles(cell) {
+    const { vertices, faces, centroid } = cell;
+    const dihedral = [];
+    const face = [];
+
+    // Corners on a wall face are not Voronoi vertices
+    const onWall = new Uint8Array(vertices.length);
+    for (const f of faces) {
+        if (f.neighbor < 0) {
+            for (const index of f.indices) onWall[index] = 1;
+        }
+    }
+
+    // Outward face normals (Newell), and the faces on either side of each edge
+    const normals = faces.map(f => outwardNormal(f.indices.map(index => vertices[index]), centroid));
+    const edgeFaces = new Map();
+
+    faces.forEach((f, faceIndex) => {
+        const count = f.indices.length;
+        for (let k = 0; k < count; k++) {
+            const previous = vertices[f.indices[(k + count - 1) % count]];
+            const current = vertices[f.indices[k]];
+            const next = vertices[f.indices[(k + 1) % count]];
+
+            if (f.neighbor >= 0 && !onWall[f.indices[k]]) {
+                face.push(angleBetween(difference(previous, current), difference(next, current)));
+            }
+
+            const a = f.indices[k];
+            const b = f.indices[(k + 1) % count];
+            const key = a < b ? `${a},${b}` : `${b},${a}`;
+            if (!edgeFaces.has(key)) edgeFaces.set(key, { a, b, faces: [] });
+            edgeFaces.get(key).faces.push(faceIndex);
+        }
+    });
+
+    for (const { a, b, faces: [first, second] } of edgeFaces.values()) {
+        if (second === undefined || faces[first].neighbor < 0 || faces[second].neighbor < 0) continue;
+
+        const angle = Math.PI - angleBetween(normals[first], normals[second]);
+        if (!onWall[a]) dihedral.push(angle);
+        if (!onWall[b]) dihedral.push(angle);
+    }
+
+    return { dihedral, face };
+}
+
+function edgeDirection(n1, n2, other) {
+    const e = {
+        x: n1.y * n2.z - n1.z * n2.y,
+        y: n1.z * n2.x - n1.x * n2.z,
+        z: n1.x * n2.y - n1.y * n2.x
+    };
+    if (e.x * other.x + e.y * other.y + e.z * other.z > 0) {
+        e.x = -e.x;
+        e.y = -e.y;
+        e.z = -e.z;
+    }
+    return e;
+}
+
+function angleBetween(u, v) {
+    const length = Math.sqrt((u.x * u.x + u.y * u.y + u.z * u.z) * (v.x * v.x + v.y * v.y + v.z * v.z));
+    if (length === 0) return Math.PI / 2;
+    const cosine = (u.x * v.x + u.y * v.y + u.z * v.z) / length;
+    return Math.acos(Math.max(-1, Math.min(1, cosine)));
+}
+
+function difference(p, q) {
+    return { x: p.x - q.x, y: p.y - q.y, z: p.z - q.z };
+}
+
+function outwardNormal(points, interior) {
+    const normal = { x: 0, y: 0, z: 0 };
+    const center = { x: 0, y: 0, z: 0 };
+    for (let k = 0; k < points.length; k++) {
+        const p = points[k];
+        const q = points[(k + 1) % points.length];
+        normal.x += (p.y - q.y) * (p.z + q.z);
+        normal.y += (p.z - q.z) * (p.x + q.x);
+        normal.z += (p.x - q.x) * (p.y + q.y);
+        center.x += p.x / points.length;
+        center.y += p.y / points.length;
+        center.z += p.z / points.length;
+    }
+
+    const outward = normal.x * (center.x - interior.x) + normal.y * (center.y - interior.y) + normal.z * (center.z - interior.z);
+    if (outward < 0) {
+        normal.x = -normal.x;
+        normal.y = -normal.y;
+        normal.z = -normal.z;
+    }
+    return normal;
+}
@@ -0,0 +1,474 @@
+import { weightedDistance, resolveDistanceMetric } from './DistanceMetric.js';
+import { SimulationDomain } from './SimulationDomain.js';
+import { DomainMask } from './DomainMask.js';
+
+/**
+ * CPUJFACompute - CPU reference implementation of the 3D Jump Flooding Algorithm
+ *
+ * Mirrors the JFA used by GPUVoronoiCompute/JFACompute without touching
+ * window, document or a renderer, so the full JFA → analysis → physics loop
+ * can run headless (Node, workers, regression tests).
+ *
+ * Input: seedData objects ({ position: Vector3, weight })
+ * Output: RGBA Float32Array in the same layout as the WebGL atlas readback:
+ *   rgb = seed position in [0, 1] across the domain, a = normalized seed ID (i + 1) / numPoints
+ */
+
+/**
+ * JFA variants: extra step-1/step-2 passes trade a little time for fewer mislabelled voxels
+ */
+export const JFA_VARIANTS = {
+    standard: 'JFA',
+    'jfa+1': 'JFA+1',
+    'jfa+2': 'JFA+2',
+    '1+jfa': '1+JFA'
+};
+
+/**
+ * Step sizes for one JFA run: N/2, N/4, ..., 1 plus the variant's extra passes
+ * @param {number} volumeSize - Voxels along the longest axis
+ * @param {string} [variant] - One of the JFA_VARIANTS keys
+ * @returns {number[]}
+ */
+export function getJFAStepSizes(volumeSize, variant = 'standard') {
+    const steps = [];
+    for (let stepSize = Math.floor(volumeSize / 2); stepSize >= 1; stepSize = Math.floor(stepSize / 2)) {
+        steps.push(stepSize);
+    }
+
+    switch (variant) {
+        case 'jfa+1':
+            steps.push(1);
+            break;
+        case 'jfa+2':
+            steps.push(2, 1);
+            break;
+        case '1+jfa':
+            steps.unshift(1);
+            break;
+    }
+
+    return steps;
+}
+
+export class CPUJFACompute {
+    constructor() {
+        // Voxel grid and world-space box
+        this.domain = new SimulationDomain();
+
+        // Toroidal domain: minimum-image distances and wrapped neighbour lookups
+        this.periodic = false;
+
+        // Region of the box that is labelled (see DomainMask), null = whole box
+        this.mask = null;
+
+        // Extra passes around the standard N/2 ... 1 sequence (see JFA_VARIANTS)
+        this.jfaVariant = 'standard';
+
+        // Seed distance metric (see DISTANCE_METRICS)
+        this.distanceMetric = 'additive';
+
+        // Label volumes (ping-pong), -1 = no seed
+        this.labels = null;
+        this.scratch = null;
+
+        // Packed seed data for the inner loops
+        this.seedPositions = null;
+        this.seedWeights = null;
+        this.numPoints = 0;
+
+        // Voxel centre coordinates in world space, one array per axis
+        this.voxelCenters = null;
+
+        // RGBA output buffer consumed by VoronoiAnalyzer
+        this.outputData = null;
+
+        // Performance tracking
+        this.lastComputeTime = 0;
+
+        console.log('🖥️ CPUJFACompute constructor completed');
+    }
+
+    /**
+     * Initialize the CPU compute buffers
+     */
+    async init() {
+        this.allocate();
+        console.log(`✅ CPU JFA compute initialized with ${this.domain.describe()} volume`);
+    }
+
+    /**
+     * Allocate label and output buffers for the current resolution
+     */
+    allocate() {
+        const totalVoxels = this.domain.voxelCount;
+
+        this.labels = new Int32Array(totalVoxels);
+        this.scratch = new Int32Array(totalVoxels);
+        this.outputData = new Float32Array(totalVoxels * 4);
+
+        this.voxelCenters = this.domain.resolution.map((n, axis) => {
+            const centers = new Float32Array(n);
+            for (let i = 0; i < n; i++) {
+                centers[i] = this.domain.voxelCenter(axis, i);
+            }
+            return centers;
+        });
+    }
+
+    /**
+     * Set the domain (voxel grid and world-space box)
+     * @param {SimulationDomain|number|Array<number>|Object} domain - Domain, voxels per axis or domain options
+     */
+    setDomain(domain) {
+        this.domain = SimulationDomain.from(domain);
+        this.mask = this.mask?.forDomain(this.domain) ?? null;
+        this.allocate();
+
+        console.log(`🔧 CPU JFA domain set to ${this.domain.describe()}`);
+    }
+
+    /**
+     * Set the volume resolution (voxels per axis or [nx, ny, nz]), keeping the domain bounds
+     */
+    setResolution(resolution) {
+        this.setDomain(new SimulationDomain({ resolution, bounds: this.domain.bounds }));
+    }
+
+    /**
+     * Enable/disable periodic (wrap-around) boundaries
+     */
+    setPeriodicBoundaries(enabled) {
+        this.periodic = enabled;
+    }
+
+    /**
+     * Restrict labelling to a mask (DomainMask, spec or null); voxels outside get no seed
+     */
+    setMask(mask) {
+        this.mask = DomainMask.from(mask, this.domain);
+    }
+
+    /**
+     * Select the JFA variant (standard, jfa+1, jfa+2, 1+jfa)
+     */
+    setJFAVariant(variant) {
+        this.jfaVariant = JFA_VARIANTS[variant] ? variant : 'standard';
+    }
+
+    /**
+     * Select the seed distance metric (unweighted, additive, multiplicative, power)
+     */
+    setDistanceMetric(metric) {
+        this.distanceMetric = resolveDistanceMetric(metric);
+    }
+
+    /**
+     * Main compute function - runs JFA with current seed data
+     */
+    compute(seedData, numPoints = seedData.length) {
+        const startTime = performance.now();
+
+        if (!this.labels) {
+            this.allocate();
+        }
+
+        this.packSeeds(seedData, numPoints);
+        this.plantSeeds();
+
+        // JFA passes with decreasing step sizes
+        const steps = getJFAStepSizes(this.domain.maxResolution, this.jfaVariant);
+        for (const stepSize of steps) {
+            this.jfaPass(stepSize);
+        }
+
+        this.applyMask();
+        this.writeOutput();
+
+        this.lastComputeTime = Math.round(performance.now() - startTime);
+        console.log(`✅ CPU ${JFA_VARIANTS[this.jfaVariant]} completed with ${steps.length} passes in ${this.lastComputeTime}ms`);
+    }
+
+    /**
+     * Exact nearest-seed labelling by testing every seed at every voxel (O(voxels × seeds)).
+     * Same voxel centres and metric as compute(), so it is the ground truth for JFA.
+     */
+    computeBruteForce(seedData, numPoints = seedData.length) {
+        const startTime = performance.now();
+
+        if (!this.labels) {
+            this.allocate();
+        }
+
+        this.packSeeds(seedData, numPoints);
+
+        const [nx, ny, nz] = this.domain.resolution;
+        const [centersX, centersY, centersZ] = this.voxelCenters;
+
+        for (let z = 0; z < nz; z++) {
+            const cz = centersZ[z];
+            for (let y = 0; y < ny; y++) {
+                const cy = centersY[y];
+                for (let x = 0; x < nx; x++) {
+                    const cx = centersX[x];
+
+                    let bestId = -1;
+                    let bestDistance = Infinity;
+                    for (let i = 0; i < this.numPoints; i++) {
+                        const d = this.distance(i, cx, cy, cz);
+                        if (d < bestDistance) {
+                            bestDistance = d;
+                            bestId = i;
+                        }
+                    }
+
+                    this.labels[(z * ny + y) * nx + x] = bestId;
+                }
+            }
+        }
+
+        this.applyMask();
+        this.writeOutput();
+
+        this.lastComputeTime = Math.round(performance.now() - startTime);
+        console.log(`✅ CPU brute-force labelling completed in ${this.lastComputeTime}ms`);
+    }
+
+    /**
+     * Copy seed positions and weights into flat typed arrays
+     */
+    packSeeds(seedData, numPoints) {
+        if (!this.seedPositions || this.seedPositions.length < numPoints * 3) {
+            this.seedPositions = new Float32Array(numPoints * 3);
+            this.seedWeights = new Float32Array(numPoints);
+        }
+
+        for (let i = 0; i < numPoints; i++) {
+            const seed = seedData[i];
+            this.seedPositions[i * 3] = seed.position.x;
+            this.seedPositions[i * 3 + 1] = seed.position.y;
+            this.seedPositions[i * 3 + 2] = seed.position.z;
+            this.seedWeights[i] = seed.weight || 0;
+        }
+
+        this.numPoints = numPoints;
+    }
+
+    /**
+     * Weighted distance from a world-space point to a seed under the current metric
+     */
+    distance(seedId, x, y, z) {
+        let dx = x - this.seedPositions[seedId * 3];
+        let dy = y - this.seedPositions[seedId * 3 + 1];
+        let dz = z - this.seedPositions[seedId * 3 + 2];
+
+        if (this.periodic) {
+            // Minimum image: each axis wraps with the domain extent as its period
+            const [sx, sy, sz] = this.domain.size;
+            dx -= sx * Math.round(dx / sx);
+            dy -= sy * Math.round(dy / sy);
+            dz -= sz * Math.round(dz / sz);
+        }
+
+        return weightedDistance(this.distanceMetric, dx * dx + dy * dy + dz * dz, this.seedWeights[seedId]);
+    }
+
+    /**
+     * Plant each seed at the voxel containing it
+     */
+    plantSeeds() {
+        const [centersX, centersY, centersZ] = this.voxelCenters;
+        this.labels.fill(-1);
+
+        for (let i = 0; i < this.numPoints; i++) {
+            const vx = this.toVoxel(0, this.seedPositions[i * 3]);
+            const vy = this.toVoxel(1, this.seedPositions[i * 3 + 1]);
+            const vz = this.toVoxel(2, this.seedPositions[i * 3 + 2]);
+            const index = this.domain.index(vx, vy, vz);
+
+            // Two seeds in one voxel: keep the closer one
+            const existing = this.labels[index];
+            if (existing === -1 ||
+                this.distance(i, centersX[vx], centersY[vy], centersZ[vz]) <
+                this.distance(existing, centersX[vx], centersY[vy], centersZ[vz])) {
+                this.labels[index] = i;
+            }
+        }
+    }
+
+    /**
+     * Convert a world coordinate along an axis to a voxel index (clamped, or wrapped when periodic)
+     */
+    toVoxel(axis, value) {
+        return this.domain.toVoxel(axis, value, this.periodic);
+    }
+
+    /**
+     * Resolve a neighbour coordinate along an axis: wrapped when periodic, -1 when outside the volume
+     */
+    neighborCoord(value, n) {
+        if (this.periodic) {
+            return ((value % n) + n) % n;
+        }
+        return value < 0 || value >= n ? -1 : value;
+    }
+
+    /**
+     * Run a single JFA pass with the given step size
+     */
+    jfaPass(stepSize) {
+        const [nx, ny, nz] = this.domain.resolution;
+        const src = this.labels;
+        const dst = this.scratch;
+        const [centersX, centersY, centersZ] = this.voxelCenters;
+
+        for (let z = 0; z < nz; z++) {
+            const cz = centersZ[z];
+            for (let y = 0; y < ny; y++) {
+                const cy = centersY[y];
+                for (let x = 0; x < nx; x++) {
+                    const cx = centersX[x];
+                    const index = (z * ny + y) * nx + x;
+
+                    let bestId = src[index];
+                    let bestDistance = bestId >= 0 ? this.distance(bestId, cx, cy, cz) : Infinity;
+
+                    // Sample 26 neighbours at the current step size
+                    for (let dz = -1; dz <= 1; dz++) {
+                        const sz = this.neighborCoord(z + dz * stepSize, nz);
+                        if (sz < 0) continue;
+
+                        for (let dy = -1; dy <= 1; dy++) {
+                            const sy = this.neighborCoord(y + dy * stepSize, ny);
+                            if (sy < 0) continue;
+
+                            for (let dx = -1; dx <= 1; dx++) {
+                                if (dx === 0 && dy === 0 && dz === 0) continue;
+
+                                const sx = this.neighborCoord(x + dx * stepSize, nx);
+                                if (sx < 0) continue;
+
+                                const sampleId = src[(sz * ny + sy) * nx + sx];
+                                if (sampleId < 0 || sampleId === bestId) continue;
+
+                                const d = this.distance(sampleId, cx, cy, cz);
+                                if (d < bestDistance) {
+                                    bestDistance = d;
+                                    bestId = sampleId;
+                                }
+                            }
+                        }
+                    }
+
+                    dst[index] = bestId;
+                }
+            }
+        }
+
+        // Swap ping-pong buffers
+        this.labels = dst;
+        this.scratch = src;
+    }
+
+    /**
+     * Clear the labels of voxels outside the mask. Flooding runs over the whole box
+     * first, so each cell is its unmasked Voronoi cell cut by the mask.
+     */
+    applyMask() {
+        if (!this.mask) return;
+
+        const inside = this.mask.rasterize();
+        for (let i = 0; i < this.labels.length; i++) {
+            if (!inside[i]) this.labels[i] = -1;
+        }
+    }
+
+    /**
+     * Write labels into the RGBA output buffer
+     */
+    writeOutput() {
+        const data = this.outputData;
+        const labels = this.labels;
+
+        for (let i = 0; i < labels.length; i++) {
+            const id = labels[i];
+            const offset = i * 4;
+
+            if (id < 0) {
+                data[offset] = 0;
+                data[offset + 1] = 0;
+                data[offset + 2] = 0;
+                data[offset + 3] = 0;
+                continue;
+            }
+
+            data[offset] = this.domain.normalize(0, this.seedPositions[id * 3]);
+            data[offset + 1] = this.domain.normalize(1, this.seedPositions[id * 3 + 1]);
+            data[offset + 2] = this.domain.normalize(2, this.seedPositions[id * 3 + 2]);
+            data[offset + 3] = (id + 1) / this.numPoints;
+        }
+    }
+
+    /**
+     * Get the output data (same shape as GPUVoronoiCompute.getOutputData)
+     */
+    getOutputData() {
+        return {
+            data: this.outputData,
+            width: this.domain.resolution[0],
+            height: this.domain.resolution[1],
+            depth: this.domain.resolution[2],
+            volumeSize: this.domain.resolutionSetting,
+            domain: this.domain
+        };
+    }
+
+    /**
+     * Get the raw integer label volume (-1 = no seed)
+     */
+    getLabels() {
+        return this.labels;
+    }
+
+    /**
+     * Count voxels per seed (CPU equivalent of JFACompute.getVoxelCounts)
+     */
+    getVoxelCounts(numSeeds = this.numPoints) {
+        const counts = new Uint32Array(numSeeds);
+        for (let i = 0; i < this.labels.length; i++) {
+            const id = this.labels[i];
+            if (id >= 0 && id < numSeeds) {
+                counts[id]++;
+            }
+        }
+        return counts;
+    }
+
+    /**
+     * Get performance statistics
+     */
+    getPerformanceStats() {
+        return {
+            lastComputeTime: this.lastComputeTime,
+            volumeSize: this.domain.resolutionSetting
+        };
+    }
+
+    /**
+     * Dispose of all resources
+     */
+    dispose() {
+        this.labels = null;
+        this.scratch = null;
+        this.outputData = null;
+        this.seedPositions = null;
+        this.seedWeights = null;
+
+        console.log('✅ CPUJFACompute disposed');
+    }
+}
+
+// Make available globally for debugging
+if (typeof window !== 'undefined') {
+    window.CPUJFACompute = CPUJFACompute;
+}
@@ -0,0 +1,328 @@
+import { SimulationDomain } from './SimulationDomain.js';
+
+/**
+ * CellAdjacency - Which cells touch which, and how much face they share
+ *
+ * Stored in compressed sparse row (CSR) form: the neighbours of cell i are
+ * neighbors[offsets[i] .. offsets[i + 1]) in ascending ID order, and areas[k]
+ * is the face area (world units²) shared with neighbors[k]. Every interface
+ * appears in both rows. wallCells[i] is 1 if cell i touches a domain wall
+ * or the surface of a domain mask (box walls never count with periodic boundaries).
+ *
+ * Built from a JFA label volume (area = voxel faces between the two labels),
+ * from ExactVoronoi cells (exact polygon areas) or from a face list.
+ */
+export class CellAdjacency {
+    /**
+     * @param {number} numCells - Number of cells (seeds)
+     * @param {Int32Array} offsets - Row starts, numCells + 1 entries
+     * @param {Int32Array} neighbors - Neighbour IDs, ascending within each row
+     * @param {Float64Array} areas - Shared face area per neighbour entry
+     * @param {Uint8Array} [wallCells] - 1 for cells touching a domain wall
+     */
+    constructor(numCells, offsets, neighbors, areas, wallCells = null) {
+        this.numCells = numCells;
+        this.offsets = offsets;
+        this.neighbors = neighbors;
+        this.areas = areas;
+        this.wallCells = wallCells ?? new Uint8Array(numCells);
+
+        // Number of distinct interfaces (each stored twice)
+        this.edgeCount = neighbors.length / 2;
+
+        // Uploaded copy (see toGPUBuffers)
+        this.gpuBuffers = null;
+    }
+
+    /**
+     * Build from a face list; repeated pairs (e.g. periodic images) are merged
+     * @param {number} numCells - Number of cells
+     * @param {Array<{a: number, b: number, area: number}>} faces - Each interface once
+     * @param {Uint8Array} [wallCells] - 1 for cells touching a domain wall
+     * @returns {CellAdjacency}
+     */
+    static fromFaces(numCells, faces, wallCells = null) {
+        const merged = new Map();
+        for (const { a, b, area } of faces) {
+            if (a === b) continue;
+            const key = a < b ? a * numCells + b : b * numCells + a;
+            merged.set(key, (merged.get(key) || 0) + area);
+        }
+
+        const degree = new Int32Array(numCells);
+        for (const key of merged.keys()) {
+            degree[Math.floor(key / numCells)]++;
+            degree[key % numCells]++;
+        }
+
+        const offsets = new Int32Array(numCells + 1);
+        for (let i = 0; i < numCells; i++) {
+            offsets[i + 1] = offsets[i] + degree[i];
+        }
+
+        // Keys ascend by (low, high): filling lower neighbours first, then higher
+        // ones, leaves every row sorted
+        const neighbors = new Int32Array(offsets[numCells]);
+        const areas = new Float64Array(offsets[numCells]);
+        const cursor = offsets.slice(0, numCells);
+        const keys = [...merged.keys()].sort((p, q) => p - q);
+        for (const key of keys) {
+            const b = key % numCells;
+            neighbors[cursor[b]] = Math.floor(key / numCells);
+            areas[cursor[b]++] = merged.get(key);
+        }
+        for (const key of keys) {
+            const a = Math.floor(key / numCells);
+            neighbors[cursor[a]] = key % numCells;
+            areas[cursor[a]++] = merged.get(key);
+        }
+
+        return new CellAdjacency(numCells, offsets, neighbors, areas, wallCells);
+    }
+
+    /**
+     * Build from a JFA label volume
+     * @param {Int32Array} labels - Seed ID per voxel, x-fastest (-1 = no seed)
+     * @param {SimulationDomain|number} domain - Domain of the labels (or voxels per axis of the default cube)
+     * @param {number} numCells - Number of seeds
+     * @param {Object} [options]
+     * @param {boolean} [options.periodic] - Voxels on opposite faces of the volume touch
+     * @returns {CellAdjacency}
+     */
+    static fromLabels(labels, domain, numCells, { periodic = false } = {}) {
+        domain = SimulationDomain.from(domain);
+        const [nx, ny, nz] = domain.resolution;
+        const [sx, sy, sz] = domain.spacing;
+        const slice = nx * ny;
+        // Voxel faces normal to x, y and z (anisotropic voxels have three sizes)
+        const faceAreas = [sy * sz, sx * sz, sx * sy];
+        const wallCells = new Uint8Array(numCells);
+        const faces = [];
+        const counts = new Map();
+        const others = [-1, -1, -1];
+
+        for (let z = 0; z < nz; z++) {
+            for (let y = 0; y < ny; y++) {
+                for (let x = 0; x < nx; x++) {
+                    const index = x + y * nx + z * slice;
+                    const label = labels[index];
+
+                    // Voxel faces towards +x, +y, +z
+                    others[0] = x + 1 < nx ? labels[index + 1] : (periodic ? labels[index + 1 - nx] : -1);
+                    others[1] = y + 1 < ny ? labels[index + nx] : (periodic ? labels[index + nx - slice] : -1);
+                    others[2] = z + 1 < nz ? labels[index + slice] : (periodic ? labels[index + slice - slice * nz] : -1);
+
+                    // Unlabelled voxels (outside a domain mask) are walls to the cells they touch
+                    if (label < 0 || label >= numCells) {
+                        for (const other of others) {
+                            if (other >= 0 && other < numCells) wallCells[other] = 1;
+                        }
+                        continue;
+                    }
+
+                    if (!periodic && (x === 0 || y === 0 || z === 0 || x === nx - 1 || y === ny - 1 || z === nz - 1)) {
+                        wallCells[label] = 1;
+                    }
+
+                    for (let axis = 0; axis < 3; axis++) {
+                        const other = others[axis];
+                        if (other < 0) wallCells[label] = 1;
+                        if (other === label || other < 0 || other >= numCells) continue;
+                        const key = label < other ? label * numCells + other : other * numCells + label;
+                        counts.set(key, (counts.get(key) || 0) + faceAreas[axis]);
+                    }
+                }
+            }
+        }
+
+        for (const [key, area] of counts) {
+            faces.push({ a: Math.floor(key / numCells), b: key % numCells, area });
+        }
+
+        return CellAdjacency.fromFaces(numCells, faces, wallCells);
+    }
+
+    /**
+     * Build from ExactVoronoi cells (faces with neighbor < 0 lie on a wall)
+     * @param {Array} cells - ExactVoronoi.compute() output
+     * @returns {CellAdjacency}
+     */
+    static fromExactCells(cells) {
+        const numCells = cells.length;
+        const wallCells = new Uint8Array(numCells);
+        const faces = [];
+
+        for (const cell of cells) {
+            for (const face of cell.faces) {
+                if (face.neighbor < 0) {
+                    wallCells[cell.id] = 1;
+                } else if (face.neighbor > cell.id) {
+                    // Each interface appears in both cells; keep the lower ID's copy
+                    faces.push({ a: cell.id, b: face.neighbor, area: face.area });
+                }
+            }
+        }
+
+        return CellAdjacency.fromFaces(numCells, faces, wallCells);
+    }
+
+    /**
+     * Number of neighbours of a cell
+     */
+    degree(id) {
+        return this.offsets[id + 1] - this.offsets[id];
+    }
+
+    /**
+     * Neighbour IDs of a cell, ascending (a view into the CSR array)
+     */
+    neighborsOf(id) {
+        return this.neighbors.subarray(this.offsets[id], this.offsets[id + 1]);
+    }
+
+    /**
+     * Shared face areas of a cell, aligned with neighborsOf(id)
+     */
+    areasOf(id) {
+        return this.areas.subarray(this.offsets[id], this.offsets[id + 1]);
+    }
+
+    /**
+     * Face area shared by two cells (0 if they do not touch)
+     */
+    sharedArea(a, b) {
+        const index = this._find(a, b);
+        return index < 0 ? 0 : this.areas[index];
+    }
+
+    /**
+     * True if two cells share a face
+     */
+    areNeighbors(a, b) {
+        return this._find(a, b) >= 0;
+    }
+
+    /**
+     * Connected components of a subset of cells, using only edges inside the subset
+     * @param {Function|Iterable<number>|null} [cells] - Predicate (id) => boolean,
+     *   or the member IDs; null for all cells
+     * @returns {Array<Array<number>>} Components (ascending IDs), ordered by their lowest ID
+     */
+    connectedComponents(cells = null) {
+        const member = new Uint8Array(this.numCells);
+        if (cells === null) {
+            member.fill(1);
+        } else if (typeof cells === 'function') {
+            for (let id = 0; id < this.numCells; id++) {
+                if (cells(id)) member[id] = 1;
+            }
+        } else {
+            for (const id of cells) {
+                if (id >= 0 && id < this.numCells) member[id] = 1;
+            }
+        }
+
+        const visited = new Uint8Array(this.numCells);
+        const components = [];
+        const stack = [];
+
+        for (let start = 0; start < this.numCells; start++) {
+            if (!member[start] || visited[start]) continue;
+
+            const component = [];
+            visited[start] = 1;
+            stack.push(start);
+            while (stack.length > 0) {
+                const id = stack.pop();
+                component.push(id);
+                for (let k = this.offsets[id]; k < this.offsets[id + 1]; k++) {
+                    const other = this.neighbors[k];
+                    if (member[other] && !visited[other]) {
+                        visited[other] = 1;
+                        stack.push(other);
+                    }
+                }
+            }
+
+            components.push(component.sort((p, q) => p - q));
+        }
+
+        return components;
+    }
+
+    /**
+     * Each interface once as { a, b, area } with a < b
+     */
+    toEdgeList() {
+        const edges = [];
+        for (let a = 0; a < this.numCells; a++) {
+            for (let k = this.offsets[a]; k < this.offsets[a + 1]; k++) {
+                if (this.neighbors[k] > a) {
+                    edges.push({ a, b: this.neighbors[k], area: this.areas[k] });
+                }
+            }
+        }
+        return edges;
+    }
+
+    /**
+     * Upload the CSR arrays as storage buffers for compute passes:
+     * offsets (u32, numCells + 1), neighbors (u32) and areas (f32).
+     * Buffers are cached on the instance; call destroyGPUBuffers() when done.
+     * @param {GPUDevice} device - WebGPU device
+     * @returns {{ offsetsBuffer: GPUBuffer, neighborsBuffer: GPUBuffer, areasBuffer: GPUBuffer }}
+     */
+    toGPUBuffers(device) {
+        if (this.gpuBuffers) return this.gpuBuffers;
+
+        // Storage buffers cannot be empty
+        const createBuffer = (label, array) => {
+            const buffer = device.createBuffer({
+                label,
+                size: Math.max(array.byteLength, 4),
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+            });
+            device.queue.writeBuffer(buffer, 0, array);
+            return buffer;
+        };
+
+        this.gpuBuffers = {
+            offsetsBuffer: createBuffer('Adjacency Offsets Buffer', new Uint32Array(this.offsets)),
+            neighborsBuffer: createBuffer('Adjacency Neighbors Buffer', new Uint32Array(this.neighbors)),
+            areasBuffer: createBuffer('Adjacency Areas Buffer', new Float32Array(this.areas))
+        };
+        return this.gpuBuffers;
+    }
+
+    /**
+     * Release buffers created by toGPUBuffers()
+     */
+    destroyGPUBuffers() {
+        if (!this.gpuBuffers) return;
+        this.gpuBuffers.offsetsBuffer.destroy();
+        this.gpuBuffers.neighborsBuffer.destroy();
+        this.gpuBuffers.areasBuffer.destroy();
+        this.gpuBuffers = null;
+    }
+
+    /**
+     * CSR index of b in a's row, or -1
+     */
+    _find(a, b) {
+        let low = this.offsets[a];
+        let high = this.offsets[a + 1] - 1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            const value = this.neighbors[mid];
+            if (value === b) return mid;
+            if (value < b) low = mid + 1;
+            else high = mid - 1;
+        }
+        return -1;
+    }
+}
+
+// Make available globally for debugging
+if (typeof window !== 'undefined') {
+    window.CellAdjacency = CellAdjacency;
+}
@@ -0,0 +1,114 @@
+/**
+ * CellForces - Pairwise forces between neighbouring cells
+ *
+ * Each pair of cells that share a face (see CellAdjacency) is joined by a spring
+ * whose rest length is the sum of the two cells' equivalent-sphere radii. Seeds
+ * closer than that repel, seeds further apart attract:
+ *
+ *   F(i←j) = w(i, j) · (rest − d) / rest · (p_i − p_j) / d
+ *
+ * The force model sets the pair weight w:
+ *
+ *   none    no forces (centroid flux only, the original behaviour)
+ *   area    shared face area / rest²: cells with large common faces pull hardest
+ *   acute   |acute_i − acute_j| / (acute_i + acute_j): unequal neighbours push hardest
+ *
+ * The physics turns the summed force (× forceStrength) into an acceleration that is
+ * added to the centroid flux drive (see Integrator.js). Shaders receive the model as
+ * FORCE_MODEL_CODES[model].
+ */
+export const FORCE_MODELS = {
+    none: 'None',
+    area: 'Shared face area',
+    acute: 'Acute-count difference'
+};
+
+/**
+ * Integer codes passed to the WGSL shaders
+ */
+export const FORCE_MODEL_CODES = {
+    none: 0,
+    area: 1,
+    acute: 2
+};
+
+/**
+ * Resolve an unknown model name to no forces
+ */
+export function resolveForceModel(model) {
+    return FORCE_MODELS[model] ? model : 'none';
+}
+
+/**
+ * Volume of an average cell: the (masked) domain volume shared by every seed.
+ * Stands in for cells whose own volume is unknown.
+ * @param {SimulationDomain} domain
+ * @param {DomainMask|null} mask
+ * @param {number} numCells
+ */
+export function meanCellVolume(domain, mask, numCells) {
+    const volume = domain.size[0] * domain.size[1] * domain.size[2] * (mask ? mask.fillFraction : 1);
+    return volume / Math.max(numCells, 1);
+}
+
+/**
+ * Radius of the sphere with a cell's volume (half its spring rest length)
+ */
+export function restRadius(volume) {
+    return Math.cbrt(3 * volume / (4 * Math.PI));
+}
+
+/**
+ * Summed pair force on every seed, before forceStrength
+ * @param {Array} seedData - Seeds with position, acuteCount and voxelCount
+ * @param {CellAdjacency} adjacency - Neighbours and shared face areas of the seeds
+ * @param {Object} options
+ * @param {string} options.model - See FORCE_MODELS
+ * @param {SimulationDomain} options.domain - Voxel volume and periodic images
+ * @param {boolean} [options.periodic] - Measure pairs by their minimum image
+ * @param {number} options.meanVolume - Volume of cells without voxels (see meanCellVolume)
+ * @returns {Float64Array} x, y, z per seed
+ */
+export function computeCellForces(seedData, adjacency, { model, domain, periodic = false, meanVolume }) {
+    const forces = new Float64Array(seedData.length * 3);
+    model = resolveForceModel(model);
+    if (model === 'none' || !adjacency || adjacency.numCells !== seedData.length) {
+        return forces;
+    }
+
+    const radii = seedData.map(seed =>
+        restRadius(seed.voxelCount > 0 ? seed.voxelCount * domain.voxelVolume : meanVolume));
+
+    for (let i = 0; i < seedData.length; i++) {
+        const seed = seedData[i];
+        const acute = seed.acuteCount || 0;
+
+        for (let k = adjacency.offsets[i]; k < adjacency.offsets[i + 1]; k++) {
+            const j = adjacency.neighbors[k];
+            const other = seedData[j];
+
+            const d = {
+                x: seed.position.x - other.position.x,
+                y: seed.position.y - other.position.y,
+                z: seed.position.z - other.position.z
+            };
+            if (periodic) domain.minimumImage(d);
+
+            const distance = Math.sqrt(d.x * d.x + d.y * d.y + d.z * d.z);
+            if (distance < 1e-6) continue;
+
+            const rest = radii[i] + radii[j];
+            const otherAcute = other.acuteCount || 0;
+            const weight = model === 'area'
+                ? adjacency.areas[k] / (rest * rest)
+                : Math.abs(acute - otherAcute) / Math.max(acute + otherAcute, 1);
+
+            const scale = weight * (rest - distance) / rest / distance;
+            forces[i * 3] += d.x * scale;
+            forces[i * 3 + 1] += d.y * scale;
+            forces[i * 3 + 2] += d.z * scale;
+        }
+    }
+
+    return forces;
+}
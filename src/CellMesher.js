@@ -0,0 +1,231 @@
+import { SimulationDomain } from './SimulationDomain.js';
+
+/**
+ * CellMesher - Per-cell boundary surfaces for export
+ *
+ * Builds triangle meshes for every Voronoi cell from either
+ *   - a JFA label volume: the voxel faces between differently labelled voxels
+ *     (blocky but closed, exactly what the JFA computed; voxels of one cell
+ *     touching only along an edge give non-manifold edges), or
+ *   - ExactVoronoi cells: the clipped convex polygons, fan-triangulated.
+ *
+ * By default every cell is a closed surface of its own, so interfaces appear
+ * twice (once per cell, opposite windings) - what slicers and printing want.
+ * With shared faces each interface is emitted once, by the lower cell ID, and
+ * tagged with the cell on the other side - what CAD and foam analysis want.
+ * Triangles wind counter-clockwise seen from outside their cell. The domain
+ * walls always close the cells (label volumes are not wrapped at the seam).
+ *
+ * Output:
+ *   { source: 'voxel' | 'exact', sharedFaces,
+ *     cells: [{ id, acuteCount, positions: Float32Array (xyz world),
+ *               indices: Uint32Array (triangles), neighbors: Int32Array (per triangle, -1 = wall) }] }
+ */
+export class CellMesher {
+    constructor() {
+        // Emit each interface once instead of once per cell
+        this.sharedFaces = false;
+
+        this.lastMeshTime = 0;
+
+        console.log('🧊 CellMesher constructor completed');
+    }
+
+    /**
+     * Emit each cell–cell interface once (lower ID owns it) instead of closing every cell
+     */
+    setSharedFaces(enabled) {
+        this.sharedFaces = enabled;
+    }
+
+    /**
+     * Mesh the voxel boundaries of a label volume
+     * @param {Int32Array} labels - Seed ID per voxel, x-fastest (-1 = no seed)
+     * @param {SimulationDomain|number} domain - Domain of the labels (or voxels per axis of the default cube)
+     * @param {Array} seedData - Seeds (for the acute counts); one cell per seed
+     * @returns {Object} Cell meshes
+     */
+    fromLabels(labels, domain, seedData) {
+        const startTime = performance.now();
+        domain = SimulationDomain.from(domain);
+        const dims = domain.resolution;
+        const [nx, ny, nz] = dims;
+        const numCells = seedData.length;
+        const builders = this._createBuilders(numCells);
+        const gridStride = [nx + 1, ny + 1];
+
+        const labelAt = (x, y, z) => {
+            if (x < 0 || y < 0 || z < 0 || x >= nx || y >= ny || z >= nz) return -1;
+            const id = labels[x + (y + z * ny) * nx];
+            return id < numCells ? id : -1;
+        };
+
+        // World position of grid corner g along an axis (voxel corners span the domain)
+        const corner = (axis, g) => domain.voxelCorner(axis, g);
+        const coords = [0, 0, 0];
+
+        // Sweep every face plane along each axis; axis d with in-plane axes u, v (cyclic)
+        for (let d = 0; d < 3; d++) {
+            const u = (d + 1) % 3;
+            const v = (d + 2) % 3;
+
+            for (let k = 0; k <= dims[d]; k++) {
+                for (let j = 0; j < dims[v]; j++) {
+                    for (let i = 0; i < dims[u]; i++) {
+                        coords[d] = k - 1;
+                        coords[u] = i;
+                        coords[v] = j;
+                        const below = labelAt(coords[0], coords[1], coords[2]);
+                        coords[d] = k;
+                        const above = labelAt(coords[0], coords[1], coords[2]);
+
+                        if (below === above) continue;
+
+                        // Quad corners in (u, v); e_u × e_v = e_d, so this order faces +d
+                        const quad = [[i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1]].map(([a, b]) => {
+                            const g = [0, 0, 0];
+                            g[d] = k;
+                            g[u] = a;
+                            g[v] = b;
+                            return g;
+                        });
+
+                        // 'below' sees the face outward along +d, 'above' along -d
+                        const emitBelow = below >= 0 && (!this.sharedFaces || above < 0 || below < above);
+                        const emitAbove = above >= 0 && (!this.sharedFaces || below < 0 || above < below);
+
+                        if (emitBelow) this._addVoxelQuad(builders[below], quad, false, above, gridStride, corner);
+                        if (emitAbove) this._addVoxelQuad(builders[above], quad, true, below, gridStride, corner);
+                    }
+                }
+            }
+        }
+
+        return this._finish('voxel', builders, seedData, startTime);
+    }
+
+    /**
+     * Mesh ExactVoronoi cells (convex polygons, fan-triangulated)
+     * @param {Array} cells - ExactVoronoi.compute() output
+     * @param {Array} seedData - Seeds (for the acute counts)
+     * @returns {Object} Cell meshes
+     */
+    fromExactCells(cells, seedData) {
+        const startTime = performance.now();
+        const builders = this._createBuilders(cells.length);
+
+        for (const cell of cells) {
+            const builder = builders[cell.id];
+            const c = cell.centroid;
+
+            for (const face of cell.faces) {
+                if (this.sharedFaces && face.neighbor >= 0 && face.neighbor < cell.id) continue;
+
+                // Faces share the cell's welded vertices, so each cell is watertight
+                const ids = face.indices.map(index => {
+                    let vertex = builder.vertexMap.get(index);
+                    if (vertex === undefined) {
+                        vertex = builder.positions.length / 3;
+                        const p = cell.vertices[index];
+                        builder.positions.push(p.x, p.y, p.z);
+                        builder.vertexMap.set(index, vertex);
+                    }
+                    return vertex;
+                });
+
+                // Orient the fan outward: compare its normal with the direction from the centroid
+                const a = cell.vertices[face.indices[0]];
+                const b = cell.vertices[face.indices[1]];
+                const p2 = cell.vertices[face.indices[2]];
+                const nx = (b.y - a.y) * (p2.z - a.z) - (b.z - a.z) * (p2.y - a.y);
+                const ny = (b.z - a.z) * (p2.x - a.x) - (b.x - a.x) * (p2.z - a.z);
+                const nz = (b.x - a.x) * (p2.y - a.y) - (b.y - a.y) * (p2.x - a.x);
+                const outward = nx * (a.x - c.x) + ny * (a.y - c.y) + nz * (a.z - c.z) >= 0;
+
+                for (let k = 1; k < ids.length - 1; k++) {
+                    if (outward) {
+                        builder.indices.push(ids[0], ids[k], ids[k + 1]);
+                    } else {
+                        builder.indices.push(ids[0], ids[k + 1], ids[k]);
+                    }
+                    builder.neighbors.push(face.neighbor);
+                }
+            }
+        }
+
+        return this._finish('exact', builders, seedData, startTime);
+    }
+
+    /**
+     * Total vertex and triangle counts of a mesh
+     */
+    static countElements(mesh) {
+        let vertices = 0;
+        let triangles = 0;
+        for (const cell of mesh.cells) {
+            vertices += cell.positions.length / 3;
+            triangles += cell.indices.length / 3;
+        }
+        return { vertices, triangles };
+    }
+
+    /**
+     * One growable builder per cell; voxel meshes weld on grid-corner keys, exact meshes on cell vertex indices
+     */
+    _createBuilders(numCells) {
+        const builders = [];
+        for (let id = 0; id < numCells; id++) {
+            builders.push({ positions: [], indices: [], neighbors: [], vertexMap: new Map() });
+        }
+        return builders;
+    }
+
+    /**
+     * Add one voxel face (two triangles) to a cell, welding shared grid corners
+     */
+    _addVoxelQuad(builder, quad, flip, neighbor, gridStride, corner) {
+        const ids = quad.map(g => {
+            const key = g[0] + (g[1] + g[2] * gridStride[1]) * gridStride[0];
+            let index = builder.vertexMap.get(key);
+            if (index === undefined) {
+                index = builder.positions.length / 3;
+                builder.positions.push(corner(0, g[0]), corner(1, g[1]), corner(2, g[2]));
+                builder.vertexMap.set(key, index);
+            }
+            return index;
+        });
+
+        if (flip) {
+            builder.indices.push(ids[0], ids[2], ids[1], ids[0], ids[3], ids[2]);
+        } else {
+            builder.indices.push(ids[0], ids[1], ids[2], ids[0], ids[2], ids[3]);
+        }
+        builder.neighbors.push(neighbor, neighbor);
+    }
+
+    /**
+     * Convert builders to typed arrays
+     */
+    _finish(source, builders, seedData, startTime) {
+        const cells = builders.map((builder, id) => ({
+            id,
+            acuteCount: seedData[id]?.acuteCount || 0,
+            positions: new Float32Array(builder.positions),
+            indices: new Uint32Array(builder.indices),
+            neighbors: new Int32Array(builder.neighbors)
+        }));
+
+        const mesh = { source, sharedFaces: this.sharedFaces, cells };
+
+        this.lastMeshTime = Math.round(performance.now() - startTime);
+        const { vertices, triangles } = CellMesher.countElements(mesh);
+        console.log(`🧊 Meshed ${cells.length} cells (${source}): ${vertices} vertices, ${triangles} triangles in ${this.lastMeshTime}ms`);
+
+        return mesh;
+    }
+}
+
+// Make available globally for debugging
+if (typeof window !== 'undefined') {
+    window.CellMesher = CellMesher;
+}
@@ -0,0 +1,75 @@
+/**
+ * DistanceMetric - Seed distance metrics shared by the CPU and GPU pipelines
+ *
+ * Every JFA path (CPUJFACompute, GPUVoronoiCompute, JFACompute) and the exact
+ * geometry use the same definitions, with distances measured in world units
+ * ([-1, 1] domain) so a weight means the same thing everywhere:
+ *
+ *   unweighted      d
+ *   additive        d − w          (Johnson–Mehl / Apollonius cells, curved faces)
+ *   multiplicative  d / w          (w ≤ 0 falls back to d; curved faces)
+ *   power           d² − w         (Laguerre cells, flat faces)
+ *
+ * Shaders receive the metric as DISTANCE_METRIC_CODES[metric].
+ */
+export const DISTANCE_METRICS = {
+    unweighted: 'Unweighted',
+    additive: 'Additive (d − w)',
+    multiplicative: 'Multiplicative (d / w)',
+    power: 'Power / Laguerre (d² − w)'
+};
+
+/**
+ * Integer codes passed to the WGSL/GLSL shaders
+ */
+export const DISTANCE_METRIC_CODES = {
+    unweighted: 0,
+    additive: 1,
+    multiplicative: 2,
+    power: 3
+};
+
+/**
+ * Weighted distance from a squared Euclidean distance
+ * @param {string} metric - One of the DISTANCE_METRICS keys
+ * @param {number} distanceSquared - Squared world-space distance to the seed
+ * @param {number} weight - Seed weight
+ * @returns {number}
+ */
+export function weightedDistance(metric, distanceSquared, weight) {
+    switch (metric) {
+        case 'additive':
+            return Math.sqrt(distanceSquared) - weight;
+        case 'multiplicative':
+            return weight > 0 ? Math.sqrt(distanceSquared) / weight : Math.sqrt(distanceSquared);
+        case 'power':
+            return distanceSquared - weight;
+        default:
+            return Math.sqrt(distanceSquared);
+    }
+}
+
+/**
+ * True if cell faces are planes (unweighted and power), so cells can be clipped exactly
+ */
+export function hasPlanarCells(metric) {
+    return metric === 'unweighted' || metric === 'power';
+}
+
+/**
+ * Resolve an unknown metric name to the additive default
+ */
+export function resolveDistanceMetric(metric) {
+    return DISTANCE_METRICS[metric] ? metric : 'additive';
+}
+
+/**
+ * Weight ranges for weight-based growth: neutral (no-op) weight and clamp limits per metric.
+ * Additive weights are distances, power weights squared distances, multiplicative weights scales.
+ */
+export const WEIGHT_LIMITS = {
+    unweighted: { neutral: 0, min: 0, max: 0 },
+    additive: { neutral: 0, min: -0.3, max: 0.3 },
+    multiplicative: { neutral: 1, min: 0.5, max: 2 },
+    power: { neutral: 0, min: -0.1, max: 0.1 }
+};
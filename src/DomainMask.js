@@ -0,0 +1,252 @@
+import { SimulationDomain } from './SimulationDomain.js';
+
+/**
+ * DomainMask - The region of the domain box that is simulated
+ *
+ * A mask cuts the box down to a sphere, a cylinder, any signed distance
+ * function or a voxel mask. Voxels outside the mask carry no seed (-1), so the
+ * JFA result is the Voronoi diagram of the seeds intersected with the mask:
+ * the mask surface acts as a wall, just like the box walls.
+ *
+ * Specs are plain objects (settings, snapshots):
+ *   { type: 'sphere', center?, radius? }                 default: largest sphere in the box
+ *   { type: 'cylinder', center?, radius?, axis?, halfHeight? }  default: along z, filling the box
+ *   { type: 'sdf', sdf: (x, y, z) => distance }          negative inside (not saved in snapshots)
+ *   { type: 'voxel', resolution, data | runs, bounds? }  non-zero = inside, x-fastest; bounds default to the box
+ *
+ * Omitted centres and sizes follow the domain, so DomainMask.from(spec, domain)
+ * resolves a spec against a domain and forDomain() re-resolves it after the box changes.
+ */
+
+/**
+ * Display names for UI selects, keyed by mask type
+ */
+export const DOMAIN_MASKS = {
+    sphere: 'Sphere',
+    cylinder: 'Cylinder',
+    sdf: 'Custom SDF',
+    voxel: 'Voxel Mask'
+};
+
+const AXES = ['x', 'y', 'z'];
+
+export class DomainMask {
+    /**
+     * @param {Object} spec - Mask spec (see above)
+     * @param {SimulationDomain|number|Array<number>|Object} [domain] - Domain the defaults and rasterization refer to
+     */
+    constructor(spec, domain = new SimulationDomain()) {
+        if (!DOMAIN_MASKS[spec?.type]) {
+            throw new Error(`Unknown domain mask "${spec?.type}" (expected ${Object.keys(DOMAIN_MASKS).join(', ')})`);
+        }
+
+        this.spec = spec;
+        this.type = spec.type;
+        this.domain = SimulationDomain.from(domain);
+        const half = this.domain.size.map(size => size / 2);
+
+        switch (this.type) {
+            case 'sphere':
+                this.center = spec.center ? [...spec.center] : [...this.domain.center];
+                this.radius = spec.radius ?? Math.min(...half);
+                break;
+            case 'cylinder': {
+                this.axis = AXES.indexOf(spec.axis ?? 'z');
+                if (this.axis < 0) {
+                    throw new Error(`Cylinder mask axis must be x, y or z, got ${JSON.stringify(spec.axis)}`);
+                }
+                const across = half.filter((_, axis) => axis !== this.axis);
+                this.center = spec.center ? [...spec.center] : [...this.domain.center];
+                this.radius = spec.radius ?? Math.min(...across);
+                this.halfHeight = spec.halfHeight ?? half[this.axis];
+                break;
+            }
+            case 'sdf':
+                if (typeof spec.sdf !== 'function') {
+                    throw new Error('Custom SDF mask needs an sdf(x, y, z) function (functions are not saved in snapshots)');
+                }
+                this.sdf = spec.sdf;
+                break;
+            case 'voxel':
+                this.grid = new SimulationDomain({ resolution: spec.resolution, bounds: spec.bounds ?? this.domain.bounds });
+                this.data = spec.runs ? decodeRuns(spec.runs, this.grid.voxelCount) : Uint8Array.from(spec.data ?? []);
+                if (this.data.length !== this.grid.voxelCount) {
+                    throw new Error(`Voxel mask has ${this.data.length} voxels, expected ${this.grid.voxelCount}`);
+                }
+                break;
+        }
+
+        // Per-voxel inside flags for this.domain (built on first use)
+        this.voxels = null;
+    }
+
+    /**
+     * A mask from a mask, a spec or null (no mask), resolved against a domain
+     */
+    static from(value, domain) {
+        if (!value) return null;
+        if (value instanceof DomainMask) return value.forDomain(domain);
+        return new DomainMask(value, domain);
+    }
+
+    /**
+     * The same spec resolved against another domain (this mask if the domain is unchanged)
+     */
+    forDomain(domain) {
+        domain = SimulationDomain.from(domain);
+        return domain.equals(this.domain) ? this : new DomainMask(this.spec, domain);
+    }
+
+    /**
+     * Signed distance to the mask surface in world units (negative inside).
+     * Voxel masks only know inside/outside and return -1 or 1.
+     */
+    distance(x, y, z) {
+        switch (this.type) {
+            case 'sphere': {
+                const [cx, cy, cz] = this.center;
+                return Math.hypot(x - cx, y - cy, z - cz) - this.radius;
+            }
+            case 'cylinder': {
+                const offset = [x - this.center[0], y - this.center[1], z - this.center[2]];
+                const along = Math.abs(offset[this.axis]) - this.halfHeight;
+                offset[this.axis] = 0;
+                const across = Math.hypot(...offset) - this.radius;
+                // Capped cylinder: exact outside, largest (least negative) term inside
+                return Math.hypot(Math.max(across, 0), Math.max(along, 0)) + Math.min(Math.max(across, along), 0);
+            }
+            case 'sdf':
+                return this.sdf(x, y, z);
+            case 'voxel':
+                return this.voxelAt(x, y, z) ? -1 : 1;
+        }
+        return 1;
+    }
+
+    /**
+     * True if a world-space point lies inside the mask
+     */
+    contains(x, y, z) {
+        return this.distance(x, y, z) < 0;
+    }
+
+    /**
+     * Mask voxel under a world-space point (false outside the mask's grid)
+     */
+    voxelAt(x, y, z) {
+        const point = [x, y, z];
+        if (point.some((value, axis) => value < this.grid.min[axis] || value > this.grid.max[axis])) {
+            return false;
+        }
+        const index = this.grid.index(this.grid.toVoxel(0, x), this.grid.toVoxel(1, y), this.grid.toVoxel(2, z));
+        return this.data[index] !== 0;
+    }
+
+    /**
+     * Inside flag (1/0) per voxel of the domain, x-fastest, sampled at voxel centres
+     * @returns {Uint8Array}
+     */
+    rasterize() {
+        if (this.voxels) return this.voxels;
+
+        const domain = this.domain;
+        const [nx, ny, nz] = domain.resolution;
+        this.voxels = new Uint8Array(domain.voxelCount);
+
+        // A voxel mask on the same grid is copied as is
+        if (this.type === 'voxel' && this.grid.equals(domain)) {
+            for (let i = 0; i < this.data.length; i++) {
+                this.voxels[i] = this.data[i] !== 0 ? 1 : 0;
+            }
+            return this.voxels;
+        }
+
+        for (let z = 0; z < nz; z++) {
+            const cz = domain.voxelCenter(2, z);
+            for (let y = 0; y < ny; y++) {
+                const cy = domain.voxelCenter(1, y);
+                for (let x = 0; x < nx; x++) {
+                    this.voxels[domain.index(x, y, z)] = this.contains(domain.voxelCenter(0, x), cy, cz) ? 1 : 0;
+                }
+            }
+        }
+
+        return this.voxels;
+    }
+
+    /**
+     * Inside flags packed 32 voxels per word (bit i % 32 of word i / 32) for GPU buffers
+     * @returns {Uint32Array}
+     */
+    packBits() {
+        const voxels = this.rasterize();
+        const bits = new Uint32Array(Math.max(1, Math.ceil(voxels.length / 32)));
+        for (let i = 0; i < voxels.length; i++) {
+            if (voxels[i]) bits[i >>> 5] |= 1 << (i & 31);
+        }
+        return bits;
+    }
+
+    /**
+     * Fraction of the domain's voxels inside the mask
+     */
+    get fillFraction() {
+        const voxels = this.rasterize();
+        let inside = 0;
+        for (let i = 0; i < voxels.length; i++) {
+            inside += voxels[i];
+        }
+        return inside / voxels.length;
+    }
+
+    /**
+     * Plain-object spec (settings, snapshots): voxel data is run-length encoded,
+     * SDF functions cannot be saved and are left out
+     */
+    toJSON() {
+        const { sdf, data, ...spec } = this.spec;
+        if (this.type === 'voxel') {
+            spec.runs = encodeRuns(this.data);
+        }
+        return JSON.parse(JSON.stringify(spec));
+    }
+}
+
+/**
+ * Run lengths of alternating outside/inside voxels, starting with outside
+ */
+function encodeRuns(data) {
+    const runs = [];
+    let value = 0;
+    let length = 0;
+
+    for (let i = 0; i < data.length; i++) {
+        const inside = data[i] !== 0 ? 1 : 0;
+        if (inside !== value) {
+            runs.push(length);
+            value = inside;
+            length = 0;
+        }
+        length++;
+    }
+    runs.push(length);
+
+    return runs;
+}
+
+function decodeRuns(runs, voxelCount) {
+    const data = new Uint8Array(voxelCount);
+    let offset = 0;
+
+    runs.forEach((length, i) => {
+        if (i % 2 === 1) data.fill(1, offset, Math.min(offset + length, voxelCount));
+        offset += length;
+    });
+
+    return data;
+}
+
+// Make available globally for debugging
+if (typeof window !== 'undefined') {
+    window.DomainMask = DomainMask;
+}
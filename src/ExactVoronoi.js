@@ -0,0 +1,529 @@
+import * as THREE from 'three';
+import { hasPlanarCells } from './DistanceMetric.js';
+
+/**
+ * ExactVoronoi - Exact geometric 3D Voronoi cells by half-space clipping
+ *
+ * Each cell starts as the domain box and is clipped by the bisector plane
+ * of every neighbour, nearest first. Clipping stops once the next neighbour
+ * is more than twice as far away as the furthest cell vertex (no bisector
+ * beyond that radius can cut the cell), so only nearby seeds are visited.
+ *
+ * With the power metric (d² − w) the bisectors become radical planes, shifted
+ * by the weight difference, giving exact Laguerre cells (possibly empty).
+ * Additive and multiplicative weights give curved faces and are not supported.
+ *
+ * Unlike the voxelised JFA labels, centroids, volumes and vertex positions
+ * here are exact (up to floating point), which makes this module the ground
+ * truth for measuring JFA error.
+ *
+ * Output per cell:
+ *   { id, position, vertices: [Vector3], faces: [{ neighbor, indices, area }],
+ *     edges: [[a, b]], neighbors: [id], volume, centroid }
+ * Wall faces have neighbor = -1.
+ */
+export class ExactVoronoi {
+    constructor(options = {}) {
+        // Domain box (matches the default JFA volume: [-halfSize, halfSize]³)
+        const halfSize = options.halfSize ?? 1.0;
+        this.setBounds(options.bounds ?? { min: [-halfSize, -halfSize, -halfSize], max: [halfSize, halfSize, halfSize] });
+
+        // Toroidal domain: neighbours are taken from all periodic images
+        this.periodic = options.periodic ?? false;
+
+        // 'power' uses seed weights (radical planes); anything else is unweighted
+        this.distanceMetric = options.distanceMetric ?? 'unweighted';
+
+        // Relative tolerance for plane tests and vertex welding
+        this.epsilon = options.epsilon ?? 1e-9;
+
+        this.cells = [];
+        this.lastComputeTime = 0;
+
+        console.log('📐 ExactVoronoi constructor completed');
+    }
+
+    /**
+     * Set the domain box ({ min: [x, y, z], max: [x, y, z] }, e.g. SimulationDomain.bounds)
+     */
+    setBounds({ min, max }) {
+        this.min = [...min];
+        this.max = [...max];
+        this.size = this.min.map((low, axis) => this.max[axis] - low);
+    }
+
+    /**
+     * Enable/disable periodic (wrap-around) boundaries
+     */
+    setPeriodicBoundaries(enabled) {
+        this.periodic = enabled;
+    }
+
+    /**
+     * Select the distance metric; only planar metrics (unweighted, power) can be clipped exactly
+     */
+    setDistanceMetric(metric) {
+        if (!hasPlanarCells(metric)) {
+            console.warn(`⚠️ ExactVoronoi cannot clip ${metric} cells (curved faces), using unweighted`);
+        }
+        this.distanceMetric = metric === 'power' ? 'power' : 'unweighted';
+    }
+
+    /**
+     * Compute every cell
+     * @param {Array} seedData - Seeds with a `position` ({x,y,z}) and, for the power metric, a `weight`
+     * @returns {Array} Cells, indexed by seed
+     */
+    compute(seedData) {
+        const startTime = performance.now();
+
+        const n = seedData.length;
+        const positions = new Float64Array(n * 3);
+        const weights = new Float64Array(n);
+        const usesWeights = this.distanceMetric === 'power';
+        let maxWeight = 0;
+
+        for (let i = 0; i < n; i++) {
+            const p = seedData[i].position;
+            positions[i * 3] = p.x;
+            positions[i * 3 + 1] = p.y;
+            positions[i * 3 + 2] = p.z;
+            weights[i] = usesWeights ? (seedData[i].weight || 0) : 0;
+            maxWeight = i === 0 ? weights[i] : Math.max(maxWeight, weights[i]);
+        }
+
+        this.cells = [];
+        for (let i = 0; i < n; i++) {
+            this.cells.push(this.computeCell(i, positions, weights, maxWeight, n));
+        }
+
+        this.lastComputeTime = Math.round(performance.now() - startTime);
+        console.log(`✅ Exact Voronoi computed ${n} cells in ${this.lastComputeTime}ms`);
+
+        return this.cells;
+    }
+
+    /**
+     * Compute one cell by clipping the domain box with neighbour bisectors
+     */
+    computeCell(id, positions, weights, maxWeight, n) {
+        const sx = positions[id * 3];
+        const sy = positions[id * 3 + 1];
+        const sz = positions[id * 3 + 2];
+        const [sizeX, sizeY, sizeZ] = this.size;
+
+        // Largest weight advantage any neighbour has over this seed (0 when unweighted)
+        const maxWeightGain = Math.max(maxWeight - weights[id], 0);
+
+        // Periodic cells fit inside the box centred on their own seed
+        const faces = this.periodic
+            ? this.createBox(sx - sizeX / 2, sy - sizeY / 2, sz - sizeZ / 2, this.size)
+            : this.createBox(this.min[0], this.min[1], this.min[2], this.size);
+
+        // Nearest neighbours first (minimum images when periodic)
+        const candidates = [];
+        for (let j = 0; j < n; j++) {
+            if (j === id) continue;
+            let dx = positions[j * 3] - sx;
+            let dy = positions[j * 3 + 1] - sy;
+            let dz = positions[j * 3 + 2] - sz;
+            if (this.periodic) {
+                dx -= sizeX * Math.round(dx / sizeX);
+                dy -= sizeY * Math.round(dy / sizeY);
+                dz -= sizeZ * Math.round(dz / sizeZ);
+            }
+            candidates.push({ neighbor: j, dx, dy, dz, d2: dx * dx + dy * dy + dz * dz, dw: weights[j] - weights[id] });
+        }
+        candidates.sort((a, b) => a.d2 - b.d2);
+
+        let cell = this.clipByCandidates(faces, candidates, sx, sy, sz, maxWeightGain);
+
+        // Non-minimum images are at least the smallest box half-width away; they
+        // only matter when the cell still reaches that far (very few seeds)
+        const minHalfSize = Math.min(sizeX, sizeY, sizeZ) / 2;
+        if (this.periodic && !this.beyondSecurityRadius(
+            minHalfSize * minHalfSize, this.maxRadius2(cell, sx, sy, sz), maxWeightGain)) {
+            const images = [];
+            for (let j = 0; j < n; j++) {
+                const base = j === id ? null : candidates.find(c => c.neighbor === j);
+                for (let ox = -1; ox <= 1; ox++) {
+                    for (let oy = -1; oy <= 1; oy++) {
+                        for (let oz = -1; oz <= 1; oz++) {
+                            if (ox === 0 && oy === 0 && oz === 0) continue;
+                            const dx = (base ? base.dx : 0) + ox * sizeX;
+                            const dy = (base ? base.dy : 0) + oy * sizeY;
+                            const dz = (base ? base.dz : 0) + oz * sizeZ;
+                            images.push({ neighbor: j, dx, dy, dz, d2: dx * dx + dy * dy + dz * dz, dw: weights[j] - weights[id] });
+                        }
+                    }
+                }
+            }
+            images.sort((a, b) => a.d2 - b.d2);
+            cell = this.clipByCandidates(cell, images, sx, sy, sz, maxWeightGain);
+        }
+
+        return this.buildCell(id, cell, sx, sy, sz);
+    }
+
+    /**
+     * Clip by candidate bisectors in order until the security radius is reached
+     */
+    clipByCandidates(faces, candidates, sx, sy, sz, maxWeightGain = 0) {
+        let maxR2 = this.maxRadius2(faces, sx, sy, sz);
+
+        for (const c of candidates) {
+            if (this.beyondSecurityRadius(c.d2, maxR2, maxWeightGain)) break;
+
+            // Plane: n·x <= offset with n = (neighbour - seed), through the midpoint
+            // (shifted towards the seed by the weight difference for power cells)
+            const offset = c.dx * sx + c.dy * sy + c.dz * sz + (c.d2 - c.dw) * 0.5;
+            if (this.clip(faces, c.dx, c.dy, c.dz, offset, c.neighbor)) {
+                maxR2 = this.maxRadius2(faces, sx, sy, sz);
+            }
+        }
+
+        return faces;
+    }
+
+    /**
+     * True if no neighbour at squared distance >= d2 can cut a cell of squared radius maxR2.
+     * The (radical) plane sits at (d² − Δw) / 2d from the seed, which grows with d, so the
+     * largest possible weight gain gives a safe lower bound; unweighted this is d > 2R.
+     */
+    beyondSecurityRadius(d2, maxR2, maxWeightGain) {
+        if (maxWeightGain === 0) return d2 > 4 * maxR2;
+        return d2 - maxWeightGain > 2 * Math.sqrt(d2 * maxR2);
+    }
+
+    /**
+     * Axis-aligned box as six quad faces (vertex order is irrelevant for convex clipping)
+     */
+    createBox(minX, minY, minZ, [sizeX, sizeY, sizeZ]) {
+        const x0 = minX, x1 = minX + sizeX;
+        const y0 = minY, y1 = minY + sizeY;
+        const z0 = minZ, z1 = minZ + sizeZ;
+
+        return [
+            { neighbor: -1, vertices: [[x0, y0, z0], [x0, y1, z0], [x0, y1, z1], [x0, y0, z1]] },
+            { neighbor: -1, vertices: [[x1, y0, z0], [x1, y0, z1], [x1, y1, z1], [x1, y1, z0]] },
+            { neighbor: -1, vertices: [[x0, y0, z0], [x0, y0, z1], [x1, y0, z1], [x1, y0, z0]] },
+            { neighbor: -1, vertices: [[x0, y1, z0], [x1, y1, z0], [x1, y1, z1], [x0, y1, z1]] },
+            { neighbor: -1, vertices: [[x0, y0, z0], [x1, y0, z0], [x1, y1, z0], [x0, y1, z0]] },
+            { neighbor: -1, vertices: [[x0, y0, z1], [x0, y1, z1], [x1, y1, z1], [x1, y0, z1]] }
+        ];
+    }
+
+    /**
+     * Squared distance from the seed to the furthest cell vertex
+     */
+    maxRadius2(faces, sx, sy, sz) {
+        let max = 0;
+        for (const face of faces) {
+            for (const v of face.vertices) {
+                const dx = v[0] - sx;
+                const dy = v[1] - sy;
+                const dz = v[2] - sz;
+                max = Math.max(max, dx * dx + dy * dy + dz * dz);
+            }
+        }
+        return max;
+    }
+
+    /**
+     * Clip the polyhedron (in place) to the half-space n·x <= offset
+     * @returns {boolean} True if the plane cut the cell
+     */
+    clip(faces, nx, ny, nz, offset, neighbor) {
+        const scale = Math.sqrt(nx * nx + ny * ny + nz * nz);
+        const eps = this.epsilon * scale;
+        const side = (v) => v[0] * nx + v[1] * ny + v[2] * nz - offset;
+
+        // Quick reject: nothing beyond the plane
+        let cuts = false;
+        for (const face of faces) {
+            for (const v of face.vertices) {
+                if (side(v) > eps) {
+                    cuts = true;
+                    break;
+                }
+            }
+            if (cuts) break;
+        }
+        if (!cuts) return false;
+
+        const capPoints = [];
+        const kept = [];
+
+        for (const face of faces) {
+            const input = face.vertices;
+            const output = [];
+
+            // Sutherland–Hodgman against a single plane
+            for (let k = 0; k < input.length; k++) {
+                const a = input[k];
+                const b = input[(k + 1) % input.length];
+                const da = side(a);
+                const db = side(b);
+
+                if (da <= eps) {
+                    output.push(a);
+                    if (Math.abs(da) <= eps) capPoints.push(a);
+                }
+
+                if ((da < -eps && db > eps) || (da > eps && db < -eps)) {
+                    const t = da / (da - db);
+                    const p = [
+                        a[0] + (b[0] - a[0]) * t,
+                        a[1] + (b[1] - a[1]) * t,
+                        a[2] + (b[2] - a[2]) * t
+                    ];
+                    output.push(p);
+                    capPoints.push(p);
+                }
+            }
+
+            if (output.length >= 3) {
+                kept.push({ neighbor: face.neighbor, vertices: output });
+            }
+        }
+
+        // New face on the cutting plane
+        const cap = this.orderPlanarPoints(this.uniquePoints(capPoints), nx / scale, ny / scale, nz / scale);
+        if (cap.length >= 3) {
+            kept.push({ neighbor, vertices: cap });
+        }
+
+        faces.length = 0;
+        faces.push(...kept);
+        return true;
+    }
+
+    /**
+     * Remove duplicate points (within tolerance)
+     */
+    uniquePoints(points) {
+        const unique = [];
+        const tol2 = this.epsilon * this.epsilon * 1e4;
+
+        for (const p of points) {
+            let duplicate = false;
+            for (const q of unique) {
+                const dx = p[0] - q[0];
+                const dy = p[1] - q[1];
+                const dz = p[2] - q[2];
+                if (dx * dx + dy * dy + dz * dz <= tol2) {
+                    duplicate = true;
+                    break;
+                }
+            }
+            if (!duplicate) unique.push(p);
+        }
+
+        return unique;
+    }
+
+    /**
+     * Sort coplanar points by angle around their centroid
+     */
+    orderPlanarPoints(points, nx, ny, nz) {
+        if (points.length < 3) return points;
+
+        let cx = 0, cy = 0, cz = 0;
+        for (const p of points) {
+            cx += p[0];
+            cy += p[1];
+            cz += p[2];
+        }
+        cx /= points.length;
+        cy /= points.length;
+        cz /= points.length;
+
+        // Orthonormal basis (u, v) of the plane
+        const ax = Math.abs(nx) < 0.9 ? 1 : 0;
+        const ay = ax ? 0 : 1;
+        let ux = ny * 0 - nz * ay;
+        let uy = nz * ax - nx * 0;
+        let uz = nx * ay - ny * ax;
+        const ul = Math.sqrt(ux * ux + uy * uy + uz * uz);
+        ux /= ul;
+        uy /= ul;
+        uz /= ul;
+        const vx = ny * uz - nz * uy;
+        const vy = nz * ux - nx * uz;
+        const vz = nx * uy - ny * ux;
+
+        return points
+            .map(p => {
+                const dx = p[0] - cx;
+                const dy = p[1] - cy;
+                const dz = p[2] - cz;
+                return { p, angle: Math.atan2(dx * vx + dy * vy + dz * vz, dx * ux + dy * uy + dz * uz) };
+            })
+            .sort((a, b) => a.angle - b.angle)
+            .map(e => e.p);
+    }
+
+    /**
+     * Weld face vertices and derive edges, face areas, volume and centroid
+     */
+    buildCell(id, faces, sx, sy, sz) {
+        const vertices = [];
+        const tol2 = this.epsilon * this.epsilon * 1e4;
+
+        const indexOf = (p) => {
+            for (let k = 0; k < vertices.length; k++) {
+                const v = vertices[k];
+                const dx = p[0] - v.x;
+                const dy = p[1] - v.y;
+                const dz = p[2] - v.z;
+                if (dx * dx + dy * dy + dz * dz <= tol2) return k;
+            }
+            vertices.push(new THREE.Vector3(p[0], p[1], p[2]));
+            return vertices.length - 1;
+        };
+
+        const cellFaces = [];
+        const edgeKeys = new Set();
+        const edges = [];
+        const neighbors = new Set();
+
+        for (const face of faces) {
+            const indices = [];
+            for (const p of face.vertices) {
+                const index = indexOf(p);
+                if (indices[indices.length - 1] !== index && indices[0] !== index) {
+                    indices.push(index);
+                }
+            }
+            if (indices.length < 3) continue;
+
+            for (let k = 0; k < indices.length; k++) {
+                const a = indices[k];
+                const b = indices[(k + 1) % indices.length];
+                const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+                if (!edgeKeys.has(key)) {
+                    edgeKeys.add(key);
+                    edges.push(a < b ? [a, b] : [b, a]);
+                }
+            }
+
+            if (face.neighbor >= 0) neighbors.add(face.neighbor);
+            cellFaces.push({ neighbor: face.neighbor, indices, area: 0 });
+        }
+
+        // Interior reference point: vertex average (always inside a convex cell)
+        const interior = new THREE.Vector3();
+        vertices.forEach(v => interior.add(v));
+        if (vertices.length > 0) interior.divideScalar(vertices.length);
+
+        // Fan-triangulate faces into tetrahedra with the interior point
+        const centroid = new THREE.Vector3();
+        const e1 = new THREE.Vector3();
+        const e2 = new THREE.Vector3();
+        const e3 = new THREE.Vector3();
+        const cross = new THREE.Vector3();
+        let volume = 0;
+
+        for (const face of cellFaces) {
+            const a = vertices[face.indices[0]];
+            for (let k = 1; k < face.indices.length - 1; k++) {
+                const b = vertices[face.indices[k]];
+                const c = vertices[face.indices[k + 1]];
+
+                e1.subVectors(b, a);
+                e2.subVectors(c, a);
+                cross.crossVectors(e1, e2);
+                face.area += cross.length() * 0.5;
+
+                e3.subVectors(a, interior);
+                const tetVolume = Math.abs(e3.dot(cross)) / 6;
+                volume += tetVolume;
+
+                // Tetrahedron centroid = mean of its four corners
+                centroid.x += tetVolume * (a.x + b.x + c.x + interior.x) * 0.25;
+                centroid.y += tetVolume * (a.y + b.y + c.y + interior.y) * 0.25;
+                centroid.z += tetVolume * (a.z + b.z + c.z + interior.z) * 0.25;
+            }
+        }
+
+        if (volume > 0) {
+            centroid.divideScalar(volume);
+        } else {
+            centroid.set(sx, sy, sz);
+        }
+
+        return {
+            id,
+            position: new THREE.Vector3(sx, sy, sz),
+            vertices,
+            faces: cellFaces,
+            edges,
+            neighbors: Array.from(neighbors),
+            volume,
+            centroid
+        };
+    }
+
+    /**
+     * Voronoi vertices shared by 4+ cells, in the same format as VoronoiAnalyzer junctions
+     * ({ position, cellIDs }); periodic positions are wrapped into the domain
+     */
+    getJunctions(minCells = 4) {
+        const junctions = new Map();
+        const [sizeX, sizeY, sizeZ] = this.size;
+
+        for (const cell of this.cells) {
+            // Cells meeting at each vertex: this cell + the neighbours of its incident faces
+            const vertexCells = cell.vertices.map(() => new Set([cell.id]));
+            for (const face of cell.faces) {
+                if (face.neighbor < 0) continue;
+                for (const index of face.indices) {
+                    vertexCells[index].add(face.neighbor);
+                }
+            }
+
+            cell.vertices.forEach((v, k) => {
+                const ids = Array.from(vertexCells[k]).sort((a, b) => a - b);
+                if (ids.length < minCells) return;
+
+                const position = v.clone();
+                if (this.periodic) {
+                    position.x -= sizeX * Math.floor((position.x - this.min[0]) / sizeX);
+                    position.y -= sizeY * Math.floor((position.y - this.min[1]) / sizeY);
+                    position.z -= sizeZ * Math.floor((position.z - this.min[2]) / sizeZ);
+                }
+
+                // Same vertex is seen from every cell around it
+                const key = `${ids.join(',')}@${position.x.toFixed(6)},${position.y.toFixed(6)},${position.z.toFixed(6)}`;
+                if (!junctions.has(key)) {
+                    junctions.set(key, { position, cellIDs: ids });
+                }
+            });
+        }
+
+        return Array.from(junctions.values());
+    }
+
+    /**
+     * Get performance statistics
+     */
+    getPerformanceStats() {
+        return {
+            lastComputeTime: this.lastComputeTime,
+            cellCount: this.cells.length
+        };
+    }
+
+    /**
+     * Dispose of all resources
+     */
+    dispose() {
+        this.cells = [];
+        console.log('✅ ExactVoronoi disposed');
+    }
+}
+
+// Make available globally for debugging
+if (typeof window !== 'undefined') {
+    window.ExactVoronoi = ExactVoronoi;
+}
@@ -1,5 +1,9 @@
 import * as THREE from 'three';
 import { GPUComputationRenderer } from 'three/addons/misc/GPUComputationRenderer.js';
+import { JFA_VARIANTS, getJFAStepSizes } from './CPUJFACompute.js';
+import { SimulationDomain } from './SimulationDomain.js';
+import { DomainMask } from './DomainMask.js';
+import { DISTANCE_METRICS, DISTANCE_METRIC_CODES, resolveDistanceMetric } from './DistanceMetric.js';
 
 /**
  * GPUVoronoiCompute - Adapts JFA-3D-Voronoi-Atlas for the hybrid system
@@ -12,10 +16,21 @@ export class GPUVoronoiCompute {
         this.renderer = null;
         this.gpuCompute = null;
         this.jfaVariable = null;
-        this.volumeSize = 64;
+        this.domain = new SimulationDomain();
         this.atlasSize = 0;
+        this.atlasWidth = 0;
+        this.atlasHeight = 0;
         this.slicesPerRow = 0;
+        this.sliceRows = 0;
         this.currentRenderTarget = null;
+        this.periodic = false;
+        this.jfaVariant = 'standard';
+        this.distanceMetric = 'additive';
+        this.numPoints = 0;
+        
+        // Domain mask in the atlas layout; voxels outside are cleared on the last pass
+        this.mask = null;
+        this.maskTexture = null;
         
         // Performance tracking
         this.lastComputeTime = 0;
@@ -39,7 +54,7 @@ export class GPUVoronoiCompute {
             // Calculate atlas parameters
             this.updateVolumeParameters();
             
-            console.log(`✅ GPU Voronoi compute initialized with ${this.volumeSize}³ volume`);
+            console.log(`✅ GPU Voronoi compute initialized with ${this.domain.describe()} volume`);
             
         } catch (error) {
             console.error('❌ Failed to initialize GPU Voronoi compute:', error);
@@ -51,23 +66,36 @@ export class GPUVoronoiCompute {
      * Update volume parameters based on current settings
      */
     updateVolumeParameters() {
-        this.slicesPerRow = Math.ceil(Math.sqrt(this.volumeSize));
-        this.atlasSize = this.volumeSize * this.slicesPerRow;
+        const [nx, ny, nz] = this.domain.resolution;
+        this.slicesPerRow = Math.ceil(Math.sqrt(nz));
+        this.sliceRows = Math.ceil(nz / this.slicesPerRow);
+        this.atlasWidth = nx * this.slicesPerRow;
+        this.atlasHeight = ny * this.sliceRows;
+        this.atlasSize = Math.max(this.atlasWidth, this.atlasHeight);
         
-        console.log(`📐 Volume parameters updated: ${this.volumeSize}³ → ${this.atlasSize}² atlas`);
+        console.log(`📐 Volume parameters updated: ${this.domain.describe()} → ${this.atlasWidth}×${this.atlasHeight} atlas`);
     }
     
     /**
-     * Set the volume resolution
+     * Set the domain (voxel grid and world-space box)
+     * @param {SimulationDomain|number|Array<number>|Object} domain - Domain, voxels per axis or domain options
      */
-    setResolution(resolution) {
-        this.volumeSize = resolution;
+    setDomain(domain) {
+        this.domain = SimulationDomain.from(domain);
         this.updateVolumeParameters();
+        this.setMask(this.mask);
         
         // Clean up existing GPU compute resources
         this.cleanup();
         
-        console.log(`🔧 Resolution set to ${resolution}³`);
+        console.log(`🔧 Domain set to ${this.domain.describe()}`);
+    }
+    
+    /**
+     * Set the volume resolution (voxels per axis or [nx, ny, nz]), keeping the domain bounds
+     */
+    setResolution(resolution) {
+        this.setDomain(new SimulationDomain({ resolution, bounds: this.domain.bounds }));
     }
     
     /**
@@ -75,6 +103,7 @@ export class GPUVoronoiCompute {
      */
     compute(seedTexture, seedTextureSize, numPoints) {
         const startTime = performance.now();
+        this.numPoints = numPoints;
         
         try {
             // Initialize GPU compute if needed
@@ -106,7 +135,7 @@ export class GPUVoronoiCompute {
         this.cleanup();
         
         // Create GPU compute renderer
-        this.gpuCompute = new GPUComputationRenderer(this.atlasSize, this.atlasSize, this.renderer);
+        this.gpuCompute = new GPUComputationRenderer(this.atlasWidth, this.atlasHeight, this.renderer);
         
         // Create initial texture with seed data
         const initialTexture = this.createInitialTexture(seedTexture, seedTextureSize, numPoints);
@@ -117,11 +146,18 @@ export class GPUVoronoiCompute {
         
         // Set shader uniforms
         this.jfaVariable.material.uniforms['uStepSize'] = { value: 0.0 };
-        this.jfaVariable.material.uniforms['uVolumeSize'] = { value: this.volumeSize };
+        this.jfaVariable.material.uniforms['uVolumeSize'] = { value: new THREE.Vector3(...this.domain.resolution) };
         this.jfaVariable.material.uniforms['uSlicesPerRow'] = { value: this.slicesPerRow };
+        this.jfaVariable.material.uniforms['uSliceRows'] = { value: this.sliceRows };
+        this.jfaVariable.material.uniforms['uDomainMin'] = { value: new THREE.Vector3(...this.domain.min) };
+        this.jfaVariable.material.uniforms['uDomainSize'] = { value: new THREE.Vector3(...this.domain.size) };
         this.jfaVariable.material.uniforms['uSeedTexture'] = { value: seedTexture };
         this.jfaVariable.material.uniforms['uSeedTextureSize'] = { value: seedTextureSize };
         this.jfaVariable.material.uniforms['uNumPoints'] = { value: numPoints };
+        this.jfaVariable.material.uniforms['uPeriodic'] = { value: this.periodic };
+        this.jfaVariable.material.uniforms['uDistanceMetric'] = { value: DISTANCE_METRIC_CODES[this.distanceMetric] };
+        this.jfaVariable.material.uniforms['uMask'] = { value: this.getMaskTexture() };
+        this.jfaVariable.material.uniforms['uApplyMask'] = { value: false };
         
         // Initialize GPU compute
         const error = this.gpuCompute.init();
@@ -163,24 +199,34 @@ export class GPUVoronoiCompute {
             const seedZ = seedData[seedIndex + 2];
             const seedWeight = seedData[seedIndex + 3];
             
-            // Convert from [-1, 1] to [0, 1] range
+            // Convert from the domain box to [0, 1] range
             const volumePos = new THREE.Vector3(
-                (seedX + 1) * 0.5,
-                (seedY + 1) * 0.5,
-                (seedZ + 1) * 0.5
+                this.domain.normalize(0, seedX),
+                this.domain.normalize(1, seedY),
+                this.domain.normalize(2, seedZ)
             );
             
+            // Seeds on the far seam belong to the first slice when periodic
+            if (this.periodic) {
+                volumePos.set(
+                    volumePos.x - Math.floor(volumePos.x),
+                    volumePos.y - Math.floor(volumePos.y),
+                    volumePos.z - Math.floor(volumePos.z)
+                );
+            }
+            
             // Convert 3D position to atlas coordinates
-            const z = Math.floor(volumePos.z * this.volumeSize);
+            const [nx, ny, nz] = this.domain.resolution;
+            const z = Math.floor(volumePos.z * nz);
             const sliceX = z % this.slicesPerRow;
             const sliceY = Math.floor(z / this.slicesPerRow);
             
-            const atlasX = Math.floor((sliceX + volumePos.x) * this.volumeSize);
-            const atlasY = Math.floor((sliceY + volumePos.y) * this.volumeSize);
+            const atlasX = Math.floor((sliceX + volumePos.x) * nx);
+            const atlasY = Math.floor((sliceY + volumePos.y) * ny);
             
             // Plant seed in atlas if within bounds
-            if (atlasX >= 0 && atlasX < this.atlasSize && atlasY >= 0 && atlasY < this.atlasSize) {
-                const index = (atlasY * this.atlasSize + atlasX) * 4;
+            if (atlasX >= 0 && atlasX < this.atlasWidth && atlasY >= 0 && atlasY < this.atlasHeight) {
+                const index = (atlasY * this.atlasWidth + atlasX) * 4;
                 data[index] = volumePos.x;
                 data[index + 1] = volumePos.y;
                 data[index + 2] = volumePos.z;
@@ -210,30 +256,109 @@ export class GPUVoronoiCompute {
         this.initGPUCompute(seedTexture, seedTextureSize, numPoints);
     }
     
+    /**
+     * Enable/disable periodic (wrap-around) boundaries
+     */
+    setPeriodicBoundaries(enabled) {
+        this.periodic = enabled;
+        if (this.jfaVariable) {
+            this.jfaVariable.material.uniforms.uPeriodic.value = enabled;
+        }
+        console.log(`🔄 JFA periodic boundaries ${enabled ? 'enabled' : 'disabled'}`);
+    }
+    
+    /**
+     * Restrict labelling to a domain mask (DomainMask, spec or null); voxels outside get no seed
+     */
+    setMask(mask) {
+        this.mask = DomainMask.from(mask, this.domain);
+        
+        // Rebuilt in the atlas layout on next use
+        if (this.maskTexture) {
+            this.maskTexture.dispose();
+            this.maskTexture = null;
+        }
+        if (this.jfaVariable) {
+            this.jfaVariable.material.uniforms.uMask.value = this.getMaskTexture();
+        }
+    }
+    
+    /**
+     * Inside flags of the mask laid out like the JFA atlas (null when unmasked)
+     */
+    getMaskTexture() {
+        if (!this.mask) return null;
+        if (this.maskTexture) return this.maskTexture;
+        
+        const [nx, ny, nz] = this.domain.resolution;
+        const inside = this.mask.rasterize();
+        const data = new Uint8Array(this.atlasWidth * this.atlasHeight * 4);
+        
+        for (let z = 0; z < nz; z++) {
+            // Slice z sits at tile (z % slicesPerRow, floor(z / slicesPerRow)) of the atlas
+            const tileX = (z % this.slicesPerRow) * nx;
+            const tileY = Math.floor(z / this.slicesPerRow) * ny;
+            
+            for (let y = 0; y < ny; y++) {
+                for (let x = 0; x < nx; x++) {
+                    if (!inside[(z * ny + y) * nx + x]) continue;
+                    const index = ((tileY + y) * this.atlasWidth + tileX + x) * 4;
+                    data.fill(255, index, index + 4);
+                }
+            }
+        }
+        
+        this.maskTexture = new THREE.DataTexture(data, this.atlasWidth, this.atlasHeight, THREE.RGBAFormat, THREE.UnsignedByteType);
+        this.maskTexture.minFilter = THREE.NearestFilter;
+        this.maskTexture.magFilter = THREE.NearestFilter;
+        this.maskTexture.needsUpdate = true;
+        return this.maskTexture;
+    }
+    
+    /**
+     * Select the JFA variant (standard, jfa+1, jfa+2, 1+jfa)
+     */
+    setJFAVariant(variant) {
+        this.jfaVariant = JFA_VARIANTS[variant] ? variant : 'standard';
+        console.log(`🔧 JFA variant set to ${JFA_VARIANTS[this.jfaVariant]}`);
+    }
+    
+    /**
+     * Select the seed distance metric (unweighted, additive, multiplicative, power)
+     */
+    setDistanceMetric(metric) {
+        this.distanceMetric = resolveDistanceMetric(metric);
+        if (this.jfaVariable) {
+            this.jfaVariable.material.uniforms.uDistanceMetric.value = DISTANCE_METRIC_CODES[this.distanceMetric];
+        }
+        console.log(`📏 JFA distance metric set to ${DISTANCE_METRICS[this.distanceMetric]}`);
+    }
+    
     /**
      * Run the Jump Flooding Algorithm
      */
     runJFA() {
         console.log('🏃 Running JFA passes...');
         
-        const numPasses = Math.ceil(Math.log2(this.volumeSize));
-        let stepSize = Math.pow(2, numPasses - 1);
+        // Decreasing step sizes plus the variant's extra passes
+        const steps = getJFAStepSizes(this.domain.maxResolution, this.jfaVariant);
         
-        for (let i = 0; i < numPasses; i++) {
+        steps.forEach((stepSize, i) => {
             // Set step size for this pass
             this.jfaVariable.material.uniforms.uStepSize.value = stepSize;
             
+            // The last pass also cuts the cells to the domain mask
+            this.jfaVariable.material.uniforms.uApplyMask.value = !!this.mask && i === steps.length - 1;
+            
             // Run compute pass
             this.gpuCompute.compute();
-            
-            // Halve step size for next pass
-            stepSize = Math.max(1, Math.floor(stepSize / 2));
-        }
+        });
+        this.jfaVariable.material.uniforms.uApplyMask.value = false;
         
         // Store current render target for output
         this.currentRenderTarget = this.gpuCompute.getCurrentRenderTarget(this.jfaVariable);
         
-        console.log(`✅ JFA completed with ${numPasses} passes`);
+        console.log(`✅ ${JFA_VARIANTS[this.jfaVariant]} completed with ${steps.length} passes`);
     }
     
     /**
@@ -242,44 +367,73 @@ export class GPUVoronoiCompute {
     getJFAShader() {
         return `
             uniform float uStepSize;
-            uniform float uVolumeSize;
+            uniform vec3 uVolumeSize;
             uniform float uSlicesPerRow;
+            uniform float uSliceRows;
+            uniform vec3 uDomainMin;
+            uniform vec3 uDomainSize;
             uniform sampler2D uSeedTexture;
             uniform vec2 uSeedTextureSize;
             uniform int uNumPoints;
+            uniform bool uPeriodic;
+            uniform int uDistanceMetric;
+            uniform sampler2D uMask;
+            uniform bool uApplyMask;
             
             // Convert 3D coordinates to 2D atlas UV
             vec2 volumeToAtlas(vec3 pos) {
-                float slice = floor(pos.z * uVolumeSize);
+                float slice = floor(pos.z * uVolumeSize.z);
                 float sliceX = mod(slice, uSlicesPerRow);
                 float sliceY = floor(slice / uSlicesPerRow);
                 
                 vec2 atlasPos = vec2(
                     (sliceX + pos.x) / uSlicesPerRow,
-                    (sliceY + pos.y) / uSlicesPerRow
+                    (sliceY + pos.y) / uSliceRows
                 );
                 return atlasPos;
             }
             
             // Convert 2D atlas UV to 3D coordinates
             vec3 atlasToVolume(vec2 uv) {
-                vec2 scaledUV = uv * uSlicesPerRow;
+                vec2 scaledUV = uv * vec2(uSlicesPerRow, uSliceRows);
                 float sliceX = floor(scaledUV.x);
                 float sliceY = floor(scaledUV.y);
                 float slice = sliceY * uSlicesPerRow + sliceX;
                 
                 vec2 inSliceUV = fract(scaledUV);
-                return vec3(inSliceUV.x, inSliceUV.y, slice / uVolumeSize);
+                return vec3(inSliceUV.x, inSliceUV.y, slice / uVolumeSize.z);
             }
             
-            // Sample volume with bounds checking
+            // Sample volume with bounds checking (wrapped when periodic)
             vec4 sampleVolume(sampler2D tex, vec3 pos) {
+                if (uPeriodic) {
+                    return texture2D(tex, volumeToAtlas(fract(pos)));
+                }
                 if (any(lessThan(pos, vec3(0.0))) || any(greaterThan(pos, vec3(1.0)))) {
                     return vec4(0.0);
                 }
                 return texture2D(tex, volumeToAtlas(pos));
             }
             
+            // Euclidean world-space distance between two [0, 1] positions,
+            // using the minimum image when periodic
+            float volumeDistance(vec3 a, vec3 b) {
+                vec3 d = a - b;
+                if (uPeriodic) {
+                    d -= floor(d + 0.5);
+                }
+                return length(d * uDomainSize);
+            }
+            
+            // Weighted distance in world units so weights match the CPU path (see DistanceMetric.js)
+            float weightedDistance(vec3 seedPos, vec3 pos, float weight) {
+                float d = volumeDistance(seedPos, pos);
+                if (uDistanceMetric == 1) return d - weight;                     // additive
+                if (uDistanceMetric == 2) return weight > 0.0 ? d / weight : d;  // multiplicative
+                if (uDistanceMetric == 3) return d * d - weight;                 // power / Laguerre
+                return d;                                                        // unweighted
+            }
+            
             // Get seed data from our seed texture
             vec4 getSeedData(int index) {
                 float y = floor(float(index) / uSeedTextureSize.x);
@@ -293,8 +447,8 @@ export class GPUVoronoiCompute {
                 vec3 volumePos = atlasToVolume(uv);
                 vec4 current = texture2D(textureJFA, uv);
                 
-                // Only process voxels that are inside our volume
-                if (volumePos.z > 1.0) {
+                // Only process voxels that are inside our volume (the last row of slices may be partly empty)
+                if (volumePos.z >= 1.0) {
                     gl_FragColor = vec4(0.0);
                     return;
                 }
@@ -330,17 +484,13 @@ export class GPUVoronoiCompute {
                                 vec4 currentSeedData = getSeedData(currentSeedIndex);
                                 vec4 neighborSeedData = getSeedData(neighborSeedIndex);
                                 
-                                // Convert seed positions from [-1,1] to [0,1] range
-                                vec3 currentSeedPos = (currentSeedData.xyz + 1.0) * 0.5;
-                                vec3 neighborSeedPos = (neighborSeedData.xyz + 1.0) * 0.5;
-                                
-                                // Calculate weighted distances (additive weighted Voronoi)
-                                float distToCurrent = distance(currentSeedPos, volumePos);
-                                float distToNeighbor = distance(neighborSeedPos, volumePos);
+                                // Convert seed positions from the domain box to [0,1] range
+                                vec3 currentSeedPos = (currentSeedData.xyz - uDomainMin) / uDomainSize;
+                                vec3 neighborSeedPos = (neighborSeedData.xyz - uDomainMin) / uDomainSize;
                                 
-                                // Apply weights (additive: distance - weight)
-                                float weightedDistCurrent = distToCurrent - currentSeedData.w;
-                                float weightedDistNeighbor = distToNeighbor - neighborSeedData.w;
+                                // Calculate weighted distances under the selected metric
+                                float weightedDistCurrent = weightedDistance(currentSeedPos, volumePos, currentSeedData.w);
+                                float weightedDistNeighbor = weightedDistance(neighborSeedPos, volumePos, neighborSeedData.w);
                                 
                                 // Choose the seed with smaller weighted distance
                                 if (weightedDistNeighbor < weightedDistCurrent) {
@@ -348,8 +498,8 @@ export class GPUVoronoiCompute {
                                 }
                             } else {
                                 // Fallback to unweighted comparison
-                                float distToCurrent = distance(current.xyz, volumePos);
-                                float distToNeighbor = distance(neighbor.xyz, volumePos);
+                                float distToCurrent = volumeDistance(current.xyz, volumePos);
+                                float distToNeighbor = volumeDistance(neighbor.xyz, volumePos);
                                 
                                 if (distToNeighbor < distToCurrent) {
                                     current = neighbor;
@@ -359,6 +509,11 @@ export class GPUVoronoiCompute {
                     }
                 }
                 
+                // Voxels outside the domain mask carry no seed
+                if (uApplyMask && texture2D(uMask, uv).r < 0.5) {
+                    current = vec4(0.0);
+                }
+                
                 gl_FragColor = current;
             }
         `;
@@ -374,24 +529,91 @@ export class GPUVoronoiCompute {
         }
         
         // Read pixels from GPU back to CPU
-        const buffer = new Float32Array(this.atlasSize * this.atlasSize * 4);
+        const buffer = new Float32Array(this.atlasWidth * this.atlasHeight * 4);
         this.renderer.readRenderTargetPixels(
             this.currentRenderTarget, 
             0, 0, 
-            this.atlasSize, 
-            this.atlasSize, 
+            this.atlasWidth, 
+            this.atlasHeight, 
             buffer
         );
         
         return {
             data: buffer,
-            width: this.atlasSize,
-            height: this.atlasSize,
-            volumeSize: this.volumeSize,
-            slicesPerRow: this.slicesPerRow
+            width: this.atlasWidth,
+            height: this.atlasHeight,
+            volumeSize: this.domain.resolutionSetting,
+            slicesPerRow: this.slicesPerRow,
+            sliceRows: this.sliceRows
         };
     }
     
+    /**
+     * Read the atlas back as seed IDs in linear x-fastest voxel order (-1 = no seed)
+     */
+    getLabels() {
+        const output = this.getOutputData();
+        if (!output) return null;
+        
+        const [nx, ny, nz] = this.domain.resolution;
+        const labels = new Int32Array(this.domain.voxelCount);
+        
+        for (let z = 0; z < nz; z++) {
+            // Slice z sits at tile (z % slicesPerRow, floor(z / slicesPerRow)) of the atlas
+            const tileX = (z % this.slicesPerRow) * nx;
+            const tileY = Math.floor(z / this.slicesPerRow) * ny;
+            
+            for (let y = 0; y < ny; y++) {
+                for (let x = 0; x < nx; x++) {
+                    const normalized = output.data[((tileY + y) * this.atlasWidth + tileX + x) * 4 + 3];
+                    labels[(z * ny + y) * nx + x] = normalized < 0.5 / this.numPoints
+                        ? -1
+                        : Math.round(normalized * this.numPoints) - 1;
+                }
+            }
+        }
+        
+        return labels;
+    }
+    
+    /**
+     * Show a label volume instead of running the JFA (e.g. recorded labels). Each
+     * voxel gets its seed's position from the seed texture, as the JFA output has.
+     * @param {Int32Array} labels - Seed ID per voxel, x-fastest (-1 = no seed)
+     */
+    setLabels(labels, seedTexture, seedTextureSize, numPoints) {
+        this.numPoints = numPoints;
+        this.initGPUCompute(seedTexture, seedTextureSize, numPoints);
+        
+        const texture = this.gpuCompute.createTexture();
+        const data = texture.image.data;
+        const seedData = seedTexture.image.data;
+        const [nx, ny, nz] = this.domain.resolution;
+        
+        for (let z = 0; z < nz; z++) {
+            const tileX = (z % this.slicesPerRow) * nx;
+            const tileY = Math.floor(z / this.slicesPerRow) * ny;
+            
+            for (let y = 0; y < ny; y++) {
+                for (let x = 0; x < nx; x++) {
+                    const id = labels[(z * ny + y) * nx + x];
+                    if (id < 0 || id >= numPoints) continue;
+                    
+                    const index = ((tileY + y) * this.atlasWidth + tileX + x) * 4;
+                    for (let axis = 0; axis < 3; axis++) {
+                        const position = this.domain.normalize(axis, seedData[id * 4 + axis]);
+                        data[index + axis] = this.periodic ? position - Math.floor(position) : position;
+                    }
+                    data[index + 3] = (id + 1) / numPoints;
+                }
+            }
+        }
+        
+        this.currentRenderTarget = this.gpuCompute.getCurrentRenderTarget(this.jfaVariable);
+        this.gpuCompute.renderTexture(texture, this.currentRenderTarget);
+        texture.dispose();
+    }
+    
     /**
      * Get the current render target for visualization
      */
@@ -405,7 +627,7 @@ export class GPUVoronoiCompute {
     getPerformanceStats() {
         return {
             lastComputeTime: this.lastComputeTime,
-            volumeSize: this.volumeSize,
+            volumeSize: this.domain.resolutionSetting,
             atlasSize: this.atlasSize
         };
     }
@@ -442,6 +664,11 @@ export class GPUVoronoiCompute {
         
         this.cleanup();
         
+        if (this.maskTexture) {
+            this.maskTexture.dispose();
+            this.maskTexture = null;
+        }
+        
         console.log('✅ GPUVoronoiCompute disposed');
     }
 }
@@ -0,0 +1,769 @@
+import * as THREE from 'three';
+import { CPUJFACompute } from './CPUJFACompute.js';
+import { VoronoiAnalyzer } from './VoronoiAnalyzer.js';
+import { PhysicsEngine } from './PhysicsEngine.js';
+import { SeededRandom } from './SeededRandom.js';
+import { SeedGenerator } from './SeedGenerator.js';
+import { SimulationDomain } from './SimulationDomain.js';
+import { DomainMask } from './DomainMask.js';
+import { JFAValidator } from './JFAValidator.js';
+import { ExactVoronoi } from './ExactVoronoi.js';
+import { CellAdjacency } from './CellAdjacency.js';
+import { CellMesher } from './CellMesher.js';
+import { MeshExporter } from './MeshExporter.js';
+import { buildVolumeFields } from './VolumeFields.js';
+import { VolumeExporter } from './VolumeExporter.js';
+import { MetricsRecorder } from './MetricsRecorder.js';
+import { SimulationClock } from './SimulationClock.js';
+import { TopologicalEvents } from './TopologicalEvents.js';
+import { WEIGHT_LIMITS } from './DistanceMetric.js';
+import { createSnapshot, seedArraysFromSeedData, parseSnapshot, snapshotToJSON, snapshotToBinary } from './SimulationSnapshot.js';
+
+/**
+ * HeadlessVoronoiSystem - CPU reference pipeline with no browser dependencies
+ *
+ * Runs the same JFA → analysis → physics loop as HybridVoronoiSystem, but on
+ * the CPU only: no window, document, renderer or scene. Each step returns
+ * plain typed arrays and stats so scripts can batch-simulate and regression-test.
+ *
+ *   const system = new HeadlessVoronoiSystem({ numPoints: 50, volumeResolution: 32 });
+ *   system.init();
+ *   const frames = system.run(100);
+ *
+ * Non-cubic domains: pass domainBounds (and a resolution per axis or a voxelSpacing),
+ * e.g. { domainBounds: { min: [-2, -1, -1], max: [2, 1, 1] }, voxelSpacing: 1 / 16 }.
+ * Other shapes: pass a domainMask spec, e.g. { domainMask: { type: 'sphere' } } (see DomainMask).
+ * Real-time drivers call advance(elapsedSeconds) instead, which runs fixed steps (see SimulationClock).
+ * Cells divide when they grow too large, or vanish when they shrink away, with
+ * { topologicalEvents: { division: true, removal: true } } (see TopologicalEvents).
+ */
+export class HeadlessVoronoiSystem {
+    constructor(settings = {}) {
+        this.settings = {
+            seed: null, // null = pick a new random seed on every regenerate
+            seedDistribution: 'uniform', // See SEED_DISTRIBUTIONS
+            seedJitter: null, // Lattice/grid jitter as a fraction of seed spacing (null: layout default)
+            numPoints: 50,
+            volumeResolution: 32, // Voxels per axis, or [nx, ny, nz]
+            domainBounds: null, // World box { min: [x, y, z], max: [x, y, z] }, null = [-1, 1]³
+            voxelSpacing: null, // Voxel edge length(s); replaces volumeResolution when set
+            domainMask: null, // Simulated region inside the box, see DomainMask (null = whole box)
+            periodicBoundaries: false,
+            exactGeometry: false, // Exact clipped cells for centroids/volumes/angles (CPU analyzer)
+            topologyAnalysis: false, // Faces/edges distributions, Aboav–Weaire and Lewis fits (analyzer.topology)
+            jfaVariant: 'standard', // See JFA_VARIANTS
+            distanceMetric: 'additive', // See DISTANCE_METRICS (unweighted, additive, multiplicative, power)
+            angleMetric: 'seedVertex', // Angles behind acuteCount, see ANGLE_METRICS (seedVertex, dihedral, face)
+            junctionCriterion: 'quadruple', // Labels per 2×2×2 block for a junction, see JUNCTION_CRITERIA
+            mergeJunctions: false, // Count each junction cell set once (resolution-independent)
+            deltaTime: 1 / 60,
+            clock: null, // Clock for advance(), see CLOCK_DEFAULTS (fixedStep follows deltaTime)
+            topologicalEvents: null, // Cell division and removal, see TOPOLOGICAL_EVENT_DEFAULTS
+            recordMetrics: false, // Sample per-step metrics into metricsRecorder
+            metricsInterval: 1, // Record every Nth step
+            metricsCapacity: 10000, // Ring buffer size (oldest records dropped)
+            ...settings,
+            physicsSettings: {
+                threshold: 10,
+                growthRate: 0.001,
+                forceStrength: 1.0, // Scale of the inter-cell forces
+                forceModel: 'none', // Inter-cell forces between neighbours, see FORCE_MODELS (none, area, acute)
+                mode: 'balanced',
+                growthTarget: 'position', // 'position', 'weight' or 'both'
+                relaxation: 1.0, // Lloyd mode: fraction of the seed-centroid offset applied per step
+                integrator: 'euler', // Seed motion, see INTEGRATORS (euler, verlet)
+                momentum: 0.7, // Velocity carried over per 60 Hz frame
+                damping: 0.0, // Extra velocity loss per 60 Hz frame
+                maxSpeed: 6.0, // Speed cap in world units per second
+                ...settings.physicsSettings
+            }
+        };
+
+        this.numPoints = this.settings.numPoints;
+        this.seedData = [];
+        this.physicsEnabled = true;
+        this.frameCount = 0;
+
+        // Seeded random generator shared by seed placement and physics
+        this.random = new SeededRandom();
+        this.seedGenerator = new SeedGenerator(this.random);
+
+        // Simulated box and voxel grid (rebuilt from the settings by setDomain)
+        this.domain = new SimulationDomain();
+
+        // Region of the box that is simulated, resolved against the domain (see setDomainMask)
+        this.domainMask = null;
+
+        // Pipeline components
+        this.jfaCompute = null;
+        this.analyzer = null;
+        this.physicsEngine = null;
+        this.jfaValidator = null;
+
+        // Fixed-step clock turning elapsed time into steps (see advance)
+        this.clock = new SimulationClock();
+        this.setClock({ fixedStep: this.settings.deltaTime, ...this.settings.clock });
+
+        // Cell division/removal and its lineage (see applyTopologicalEvents)
+        this.topologicalEvents = new TopologicalEvents();
+        this.setTopologicalEvents(this.settings.topologicalEvents);
+
+        // Per-step metrics time series
+        this.metricsRecorder = new MetricsRecorder({
+            enabled: this.settings.recordMetrics,
+            interval: this.settings.metricsInterval,
+            capacity: this.settings.metricsCapacity
+        });
+
+        // Performance tracking
+        this.performanceStats = {
+            jfaTime: 0,
+            analysisTime: 0,
+            physicsTime: 0,
+            totalTime: 0,
+            growingCells: 0,
+            shrinkingCells: 0,
+            meanCentroidDistance: 0,  // CVT convergence: mean seed-centroid distance
+            cvtEnergy: 0              // CVT energy (sum of integrated squared distances)
+        };
+
+        console.log('🏗️ HeadlessVoronoiSystem constructor completed');
+    }
+
+    /**
+     * Initialize the CPU pipeline
+     * @param {Array} [initialSeeds] - Optional seed positions ({x,y,z} or {position}) to start from
+     */
+    init(initialSeeds = null) {
+        console.log('🚀 Initializing HeadlessVoronoiSystem...');
+
+        this.jfaCompute = new CPUJFACompute();
+        this.jfaCompute.setJFAVariant(this.settings.jfaVariant);
+
+        this.jfaValidator = new JFAValidator();
+        this.analyzer = new VoronoiAnalyzer();
+        this.physicsEngine = new PhysicsEngine();
+        this.physicsEngine.setRandom(this.random);
+        this.setDomain();
+        this.setDomainMask(this.settings.domainMask);
+        this.setPeriodicBoundaries(this.settings.periodicBoundaries);
+        this.setDistanceMetric(this.settings.distanceMetric);
+        this.analyzer.setExactGeometry(this.settings.exactGeometry);
+        this.analyzer.setTopologyAnalysis(this.settings.topologyAnalysis);
+        this.analyzer.setAngleMetric(this.settings.angleMetric);
+        this.analyzer.setJunctionCriterion(this.settings.junctionCriterion);
+        this.analyzer.setMergeJunctions(this.settings.mergeJunctions);
+
+        if (initialSeeds) {
+            this.random.reseed(this.settings.seed ?? SeededRandom.randomSeed());
+            this.setSeeds(initialSeeds);
+        } else {
+            this.generateInitialSeeds();
+        }
+
+        this.frameCount = 0;
+        this.clock.reset();
+        this.topologicalEvents.reset(this.numPoints);
+
+        console.log('✅ HeadlessVoronoiSystem initialized successfully');
+        return this;
+    }
+
+    /**
+     * Generate initial seed data using the selected seed distribution
+     */
+    generateInitialSeeds() {
+        // Restart the PRNG so the same seed always gives the same layout and trajectory
+        this.random.reseed(this.settings.seed ?? SeededRandom.randomSeed());
+        console.log(`🌱 Generating ${this.numPoints} initial seeds (${this.settings.seedDistribution}, seed=${this.random.seed})...`);
+
+        const positions = this.seedGenerator.generate(this.settings.seedDistribution, this.numPoints, {
+            bounds: this.domain.interiorBounds(),
+            jitter: this.settings.seedJitter,
+            inside: this.domainMask ? (x, y, z) => this.domainMask.contains(x, y, z) : null
+        });
+
+        // Lattice and jittered-grid layouts may round the requested count to whole cells
+        this.numPoints = positions.length / 3;
+        this.settings.numPoints = this.numPoints;
+        this.seedData = [];
+
+        for (let i = 0; i < this.numPoints; i++) {
+            this.seedData.push({
+                position: new THREE.Vector3(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]),
+                weight: WEIGHT_LIMITS[this.settings.distanceMetric]?.neutral ?? 0.0,
+                acuteCount: 0,
+                id: i
+            });
+        }
+
+        console.log('✅ Initial seeds generated');
+    }
+
+    /**
+     * Replace the current seeds with explicit positions
+     * @param {Array} seeds - Array of {x,y,z}, [x,y,z] or {position, weight}
+     */
+    setSeeds(seeds) {
+        this.seedData = seeds.map((seed, i) => {
+            const p = seed.position || seed;
+            return {
+                position: Array.isArray(p) ? new THREE.Vector3(p[0], p[1], p[2]) : new THREE.Vector3(p.x, p.y, p.z),
+                weight: seed.weight ?? 0.0,
+                acuteCount: 0,
+                id: i
+            };
+        });
+        this.numPoints = this.seedData.length;
+        this.settings.numPoints = this.numPoints;
+    }
+
+    /**
+     * Run one JFA → analysis → physics step (physics in clock substeps)
+     * @param {number} [deltaTime] - Time step passed to the physics engine
+     * @returns {Object} Per-step seed arrays and stats
+     */
+    step(deltaTime = this.settings.deltaTime) {
+        const startTime = performance.now();
+
+        // Step 1: JFA on the current seeds
+        const jfaStart = performance.now();
+        this.jfaCompute.compute(this.seedData, this.numPoints);
+        this.performanceStats.jfaTime = Math.round(performance.now() - jfaStart);
+
+        // Step 2: Centroids and acute counts
+        const analysisStart = performance.now();
+        this.analyzer.analyze(this.jfaCompute.getOutputData().data, this.seedData, this.domain);
+        this.performanceStats.analysisTime = Math.round(performance.now() - analysisStart);
+
+        // Step 3: Physics
+        const physicsStart = performance.now();
+        if (this.physicsEnabled) {
+            // Inter-cell forces act between the cells this step analyzed
+            this.physicsEngine.setAdjacency(this.analyzer.adjacency);
+            const substeps = this.clock.substepsFor(this.settings.physicsSettings);
+            for (let substep = 0; substep < substeps; substep++) {
+                this.physicsEngine.update(this.seedData, this.settings.physicsSettings, deltaTime / substeps);
+            }
+            const physicsStats = this.physicsEngine.getStats();
+            this.clock.observe(physicsStats.maxDisplacement, deltaTime / substeps);
+            this.performanceStats.growingCells = physicsStats.growingCells;
+            this.performanceStats.shrinkingCells = physicsStats.shrinkingCells;
+            this.performanceStats.meanCentroidDistance = physicsStats.meanCentroidDistance;
+            this.performanceStats.cvtEnergy = physicsStats.energy;
+        } else {
+            this.performanceStats.growingCells = 0;
+            this.performanceStats.shrinkingCells = 0;
+        }
+        this.performanceStats.physicsTime = Math.round(performance.now() - physicsStart);
+
+        this.performanceStats.totalTime = Math.round(performance.now() - startTime);
+        this.frameCount++;
+
+        this.metricsRecorder.capture(this.frameCount, {
+            seedData: this.seedData,
+            domain: this.domain,
+            performanceStats: this.performanceStats,
+            physicsStats: this.physicsEnabled ? this.physicsEngine.getStats() : null,
+            junctionCount: this.analyzer.vertices.length
+        });
+
+        const result = {
+            frame: this.frameCount,
+            ...this.getSeedArrays(),
+            stats: this.getStats()
+        };
+
+        // Divide and remove cells at the size limits after the result is taken, so it
+        // describes the analyzed cells (the new seeds join the next JFA)
+        if (this.topologicalEvents.isDue(this.frameCount)) {
+            this.applyTopologicalEvents();
+        }
+
+        return result;
+    }
+
+    /**
+     * Divide the cells whose analyzed voxel count exceeds the division limit and remove
+     * those below the removal limit. Children inherit the parent's weight and momentum;
+     * removal compacts the seeds. Seed ids (seedData[i].id) follow the persistent cell ids.
+     * @returns {number} Events applied
+     */
+    applyTopologicalEvents() {
+        const plan = this.topologicalEvents.plan(this.seedData.map(seed => seed.voxelCount || 0));
+        if (plan.divisions.length === 0 && plan.removals.length === 0) return 0;
+
+        const recorded = this.topologicalEvents.lineage.length;
+        const labels = plan.divisions.length > 0
+            ? JFAValidator.labelsFromRGBA(this.jfaCompute.getOutputData().data, this.numPoints, this.domain.voxelCount)
+            : null;
+        const seeds = this.topologicalEvents.apply({
+            ...seedArraysFromSeedData(this.seedData),
+            ...this.physicsEngine.getState(this.numPoints)
+        }, plan, labels, {
+            domain: this.domain,
+            random: this.random,
+            periodic: this.settings.periodicBoundaries,
+            mask: this.domainMask,
+            frame: this.frameCount
+        });
+        if (!seeds) return 0;
+
+        const { positions, weights } = seeds;
+        this.setSeeds(Array.from({ length: weights.length }, (_, i) => ({
+            position: [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]],
+            weight: weights[i]
+        })));
+        this.seedData.forEach((seed, i) => { seed.id = this.topologicalEvents.cellIds[i]; });
+        this.physicsEngine.setState(seeds);
+
+        return this.topologicalEvents.lineage.length - recorded;
+    }
+
+    /**
+     * Division and removal events so far: { frame, event, parent, children } with persistent cell ids
+     */
+    getLineage() {
+        return this.topologicalEvents.getLineage();
+    }
+
+    /**
+     * Run the steps that elapsed wall-clock time calls for: fixed steps of deltaTime
+     * (or shorter adaptive ones), at most clock.maxStepsPerFrame per call
+     * @param {number} elapsedTime - Seconds since the previous call
+     * @returns {Array} Step results (empty while less than one step has built up)
+     */
+    advance(elapsedTime) {
+        const results = [];
+        const voxelSize = Math.min(...this.domain.spacing);
+
+        this.clock.tick(elapsedTime);
+        let deltaTime;
+        while ((deltaTime = this.clock.nextStep(voxelSize)) > 0) {
+            results.push(this.step(deltaTime));
+        }
+
+        return results;
+    }
+
+    /**
+     * Run several steps
+     * @param {number} numSteps - Number of steps to run
+     * @param {Function} [onStep] - Called with each step result; return false to stop early
+     * @returns {Array} Step results
+     */
+    run(numSteps, onStep = null) {
+        const results = [];
+
+        for (let i = 0; i < numSteps; i++) {
+            const result = this.step();
+            results.push(result);
+
+            if (onStep && onStep(result) === false) break;
+        }
+
+        return results;
+    }
+
+    /**
+     * Copy the current seed state into flat typed arrays
+     */
+    getSeedArrays() {
+        const n = this.seedData.length;
+        const positions = new Float32Array(n * 3);
+        const centroids = new Float32Array(n * 3);
+        const weights = new Float32Array(n);
+        const acuteCounts = new Uint32Array(n);
+        const voxelCounts = new Uint32Array(n);
+        const cellIds = new Uint32Array(n);
+
+        for (let i = 0; i < n; i++) {
+            const seed = this.seedData[i];
+            const centroid = seed.centroid || seed.position;
+
+            positions[i * 3] = seed.position.x;
+            positions[i * 3 + 1] = seed.position.y;
+            positions[i * 3 + 2] = seed.position.z;
+
+            centroids[i * 3] = centroid.x;
+            centroids[i * 3 + 1] = centroid.y;
+            centroids[i * 3 + 2] = centroid.z;
+
+            weights[i] = seed.weight || 0;
+            acuteCounts[i] = seed.acuteCount || 0;
+            voxelCounts[i] = seed.voxelCount || 0;
+            cellIds[i] = seed.id ?? i;
+        }
+
+        return { positions, centroids, weights, acuteCounts, voxelCounts, cellIds };
+    }
+
+    /**
+     * Get a snapshot of pipeline and physics statistics
+     */
+    getStats() {
+        return {
+            ...this.performanceStats,
+            frame: this.frameCount,
+            numPoints: this.numPoints,
+            volumeResolution: this.settings.volumeResolution,
+            vertexCount: this.analyzer ? this.analyzer.vertices.length : 0,
+            physics: this.physicsEngine ? this.physicsEngine.getStats() : null
+        };
+    }
+
+    /**
+     * Regenerate with new parameters
+     */
+    regenerate(numPoints, resolution) {
+        this.numPoints = numPoints;
+        this.settings.numPoints = numPoints;
+
+        // An explicit resolution replaces a voxel spacing; the domain box is kept
+        this.setDomain(resolution === undefined ? {} : { resolution, voxelSpacing: null });
+        this.physicsEngine.reset();
+        this.generateInitialSeeds();
+        this.topologicalEvents.reset(this.numPoints);
+        this.frameCount = 0;
+    }
+
+    /**
+     * Set the simulated box and its voxel grid. Keys left out keep their current settings;
+     * seeds are not moved, so follow with regenerate() when the box changes.
+     * @param {Object} [options]
+     * @param {number|Array<number>} [options.resolution] - Voxels per axis, or [nx, ny, nz]
+     * @param {Object} [options.bounds] - World box { min, max } (null = [-1, 1]³)
+     * @param {number|Array<number>} [options.voxelSpacing] - Voxel edge length(s), replaces the resolution
+     */
+    setDomain({
+        resolution = this.settings.volumeResolution,
+        bounds = this.settings.domainBounds,
+        voxelSpacing = this.settings.voxelSpacing
+    } = {}) {
+        this.domain = new SimulationDomain({ resolution, bounds, voxelSpacing });
+        this.settings.volumeResolution = this.domain.resolutionSetting;
+        this.settings.domainBounds = bounds ? this.domain.bounds : null;
+        this.settings.voxelSpacing = voxelSpacing ?? null;
+        this.domainMask = this.domainMask?.forDomain(this.domain) ?? null;
+
+        // The analyzer and validator take the domain with each call
+        this.jfaCompute?.setDomain(this.domain);
+        this.physicsEngine?.setDomain(this.domain);
+    }
+
+    /**
+     * Restrict the simulation to a region of the box: JFA leaves voxels outside
+     * unlabelled, analysis treats the mask surface as a wall and physics keeps seeds
+     * inside. Seeds are not moved, so follow with regenerate() to reseed inside.
+     * @param {DomainMask|Object|null} mask - Mask or spec ({ type: 'sphere' }, see DomainMask), null = whole box
+     */
+    setDomainMask(mask) {
+        this.domainMask = DomainMask.from(mask, this.domain);
+        this.settings.domainMask = this.domainMask?.toJSON() ?? null;
+
+        this.jfaCompute?.setMask(this.domainMask);
+        this.analyzer?.setMask(this.domainMask);
+        this.physicsEngine?.setMask(this.domainMask);
+        this.jfaValidator?.setMask(this.domainMask);
+    }
+
+    /**
+     * Enable/disable periodic (toroidal) boundaries in JFA, analysis and physics
+     */
+    setPeriodicBoundaries(enabled) {
+        this.settings.periodicBoundaries = enabled;
+        this.jfaCompute?.setPeriodicBoundaries(enabled);
+        this.analyzer?.setPeriodicBoundaries(enabled);
+        this.physicsEngine?.setPeriodicBoundaries(enabled);
+        this.jfaValidator?.setPeriodicBoundaries(enabled);
+    }
+
+    /**
+     * Select the JFA variant (standard, jfa+1, jfa+2, 1+jfa)
+     */
+    setJFAVariant(variant) {
+        this.settings.jfaVariant = variant;
+        this.jfaCompute?.setJFAVariant(variant);
+    }
+
+    /**
+     * Select how seed weights enter the distance (unweighted, additive, multiplicative, power)
+     */
+    setDistanceMetric(metric) {
+        this.settings.distanceMetric = metric;
+        this.jfaCompute?.setDistanceMetric(metric);
+        this.analyzer?.setDistanceMetric(metric);
+        this.jfaValidator?.setDistanceMetric(metric);
+        this.physicsEngine?.setDistanceMetric(metric);
+
+        // Weights mean something different under each metric, so restart them at neutral
+        const neutral = WEIGHT_LIMITS[metric]?.neutral ?? 0;
+        for (const seed of this.seedData) {
+            seed.weight = neutral;
+        }
+    }
+
+    /**
+     * Select which angles acuteCount counts (seedVertex, dihedral, face); counts differ
+     * in scale between metrics, so the physics threshold usually needs adjusting too
+     */
+    setAngleMetric(metric) {
+        this.settings.angleMetric = metric;
+        this.analyzer?.setAngleMetric(metric);
+    }
+
+    /**
+     * Select the junction test: 'quadruple' (Voronoi vertices) or 'triple' (also edges)
+     */
+    setJunctionCriterion(criterion) {
+        this.settings.junctionCriterion = criterion;
+        this.analyzer?.setJunctionCriterion(criterion);
+    }
+
+    /**
+     * Count each junction cell set once instead of every 2×2×2 block around it
+     */
+    setMergeJunctions(enabled) {
+        this.settings.mergeJunctions = enabled;
+        this.analyzer?.setMergeJunctions(enabled);
+    }
+
+    /**
+     * Run JFA on the current seeds and compare it against brute-force labelling
+     * @returns {Object} JFAValidator report
+     */
+    validateJFA() {
+        this.jfaCompute.compute(this.seedData, this.numPoints);
+        return this.jfaValidator.validate(
+            this.jfaCompute.getLabels(),
+            this.seedData,
+            this.domain,
+            this.numPoints
+        );
+    }
+
+    /**
+     * Cell adjacency graph of the current seeds (the analyzer also keeps the one
+     * from the last step in analyzer.adjacency)
+     * @param {string} [source] - 'voxel' (JFA labels) or 'exact' (clipped polyhedra)
+     * @returns {CellAdjacency}
+     */
+    getAdjacency(source = 'voxel') {
+        source = this.resolveGeometrySource(source);
+        if (source === 'exact') {
+            const exactVoronoi = new ExactVoronoi({ periodic: this.settings.periodicBoundaries, bounds: this.domain.bounds });
+            exactVoronoi.setDistanceMetric(this.settings.distanceMetric);
+            return CellAdjacency.fromExactCells(exactVoronoi.compute(this.seedData));
+        }
+
+        this.jfaCompute.compute(this.seedData, this.numPoints);
+        return CellAdjacency.fromLabels(this.jfaCompute.getLabels(), this.domain, this.numPoints, {
+            periodic: this.settings.periodicBoundaries
+        });
+    }
+
+    /**
+     * Mesh every cell of the current seeds and encode it for export
+     * @param {string} format - obj, ply, stl, gltf or glb (see MESH_FORMATS)
+     * @param {Object} [options]
+     * @param {string} [options.source] - 'voxel' (JFA label boundaries) or 'exact' (clipped polyhedra)
+     * @param {boolean} [options.sharedFaces] - Emit each interface once instead of closing every cell
+     * @returns {{ data: string|ArrayBuffer, extension: string, mimeType: string, mesh: Object }}
+     */
+    exportMesh(format = 'obj', { source = 'voxel', sharedFaces = false } = {}) {
+        const mesher = new CellMesher();
+        mesher.setSharedFaces(sharedFaces);
+        source = this.resolveGeometrySource(source);
+
+        let mesh;
+        if (source === 'exact') {
+            const exactVoronoi = new ExactVoronoi({ periodic: this.settings.periodicBoundaries, bounds: this.domain.bounds });
+            exactVoronoi.setDistanceMetric(this.settings.distanceMetric);
+            mesh = mesher.fromExactCells(exactVoronoi.compute(this.seedData), this.seedData);
+        } else {
+            this.jfaCompute.compute(this.seedData, this.numPoints);
+            mesh = mesher.fromLabels(this.jfaCompute.getLabels(), this.domain, this.seedData);
+        }
+
+        return { ...new MeshExporter().export(mesh, format), mesh };
+    }
+
+    /**
+     * Exact cells fill the whole box, so masked domains use the voxel labels
+     */
+    resolveGeometrySource(source) {
+        if (source === 'exact' && this.domainMask) {
+            console.warn('⚠️ Exact geometry ignores domain masks, using voxel labels');
+            return 'voxel';
+        }
+        return source;
+    }
+
+    /**
+     * Export the label volume and derived per-voxel fields of the current seeds
+     * @param {string} format - raw, nrrd, vtk, vti or npy (see VOLUME_FORMATS)
+     * @param {Object} [options]
+     * @param {Array<string>} [options.fields] - VOLUME_FIELDS keys (all by default)
+     * @param {string} [options.baseName] - File name stem
+     * @returns {Array<{ name, data, mimeType }>} Files to save
+     */
+    exportVolume(format = 'nrrd', { fields, baseName = `voronoi-frame-${this.frameCount}` } = {}) {
+        this.jfaCompute.compute(this.seedData, this.numPoints);
+        const volume = buildVolumeFields(this.jfaCompute.getLabels(), this.domain, this.seedData, {
+            fields,
+            periodic: this.settings.periodicBoundaries
+        });
+        return new VolumeExporter().export(volume, format, { baseName });
+    }
+
+    /**
+     * Use exact geometric cells instead of voxel estimates in the analyzer
+     */
+    setExactGeometry(enabled) {
+        this.settings.exactGeometry = enabled;
+        this.analyzer?.setExactGeometry(enabled);
+    }
+
+    /**
+     * Compute foam topology statistics in each analysis step (see TopologyAnalyzer)
+     */
+    setTopologyAnalysis(enabled) {
+        this.settings.topologyAnalysis = enabled;
+        this.analyzer?.setTopologyAnalysis(enabled);
+    }
+
+    /**
+     * Enable/disable physics
+     */
+    setPhysicsEnabled(enabled) {
+        this.physicsEnabled = enabled;
+    }
+
+    /**
+     * Configure the clock behind advance() and the physics substeps (see CLOCK_DEFAULTS).
+     * Its fixedStep is deltaTime, the default step length.
+     * @param {Object} settings - Clock settings to change
+     */
+    setClock(settings) {
+        this.clock.configure(settings);
+        this.settings.clock = { ...this.clock.settings };
+        this.settings.deltaTime = this.clock.settings.fixedStep;
+    }
+
+    /**
+     * Configure cell division and removal (see TOPOLOGICAL_EVENT_DEFAULTS)
+     * @param {Object} settings - Event settings to change
+     */
+    setTopologicalEvents(settings) {
+        this.topologicalEvents.configure(settings ?? {});
+        this.settings.topologicalEvents = { ...this.topologicalEvents.settings };
+    }
+
+    /**
+     * Start/stop sampling per-step metrics
+     * @param {boolean} enabled
+     * @param {number} [interval] - Record every Nth step
+     */
+    setMetricsRecording(enabled, interval = this.settings.metricsInterval) {
+        this.settings.recordMetrics = enabled;
+        this.settings.metricsInterval = interval;
+        this.metricsRecorder.setEnabled(enabled);
+        this.metricsRecorder.setInterval(interval);
+    }
+
+    /**
+     * Recorded metrics as 'csv' or 'jsonl' text
+     */
+    exportMetrics(format = 'csv') {
+        return this.metricsRecorder.export(format);
+    }
+
+    /**
+     * Capture the full run state: seeds, weights, momentum, settings, frame and PRNG
+     * @returns {Object} Snapshot (see SimulationSnapshot.js)
+     */
+    getSnapshot() {
+        const { cellIds, nextCellId } = this.topologicalEvents.getState(this.seedData.length);
+        return createSnapshot({
+            source: 'headless',
+            frame: this.frameCount,
+            volumeResolution: this.domain.resolutionSetting,
+            settings: this.settings,
+            random: this.random.getState(),
+            nextCellId,
+            seeds: {
+                ...seedArraysFromSeedData(this.seedData),
+                ...this.physicsEngine.getState(this.seedData.length),
+                cellIds
+            }
+        });
+    }
+
+    /**
+     * Encode the current state as 'json' text or a 'binary' ArrayBuffer
+     */
+    saveSnapshot(format = 'json') {
+        const snapshot = this.getSnapshot();
+        return format === 'binary' ? snapshotToBinary(snapshot) : snapshotToJSON(snapshot);
+    }
+
+    /**
+     * Restore a snapshot (object, JSON text or binary) so the run continues where it was saved
+     */
+    loadSnapshot(data) {
+        const snapshot = parseSnapshot(data);
+        const { physicsSettings, ...settings } = snapshot.settings;
+
+        if (!this.jfaCompute) this.init();
+
+        Object.assign(this.settings, settings);
+        Object.assign(this.settings.physicsSettings, physicsSettings);
+        this.setDomain({
+            resolution: snapshot.volumeResolution,
+            bounds: settings.domainBounds ?? null,
+            voxelSpacing: null
+        });
+        this.setDomainMask(settings.domainMask ?? null);
+
+        // Setters push the restored settings into every component (before weights: metric resets them)
+        this.setPeriodicBoundaries(this.settings.periodicBoundaries);
+        this.setJFAVariant(this.settings.jfaVariant);
+        this.setDistanceMetric(this.settings.distanceMetric);
+        this.setExactGeometry(this.settings.exactGeometry);
+        this.setAngleMetric(this.settings.angleMetric);
+        this.setJunctionCriterion(this.settings.junctionCriterion);
+        this.setMergeJunctions(this.settings.mergeJunctions);
+        this.setClock({ ...this.settings.clock, fixedStep: this.settings.deltaTime });
+        this.clock.reset();
+        this.setTopologicalEvents(this.settings.topologicalEvents);
+
+        const { positions, weights, cellIds } = snapshot.seeds;
+        this.setSeeds(Array.from({ length: snapshot.numPoints }, (_, i) => ({
+            position: [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]],
+            weight: weights[i]
+        })));
+
+        this.physicsEngine.setState(snapshot.seeds);
+        this.random.setState(snapshot.random);
+        this.frameCount = snapshot.frame;
+
+        // Cell ids carry on from the saved run (the lineage itself is not saved)
+        this.topologicalEvents.setState({ cellIds, nextCellId: snapshot.nextCellId });
+        this.seedData.forEach((seed, i) => { seed.id = cellIds[i]; });
+
+        console.log(`📂 Restored ${snapshot.source} snapshot: ${snapshot.numPoints} seeds, frame ${snapshot.frame}`);
+        return snapshot;
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.jfaCompute?.dispose();
+        this.analyzer?.dispose();
+        this.jfaValidator?.dispose();
+        this.seedData = [];
+
+        console.log('✅ HeadlessVoronoiSystem disposed');
+    }
+}
@@ -8,6 +8,25 @@ import { PhysicsCompute } from './PhysicsCompute.js';
 import { VolumeRenderer } from './VolumeRenderer.js';
 import { TSLVolumeRenderer } from './TSLVolumeRenderer.js';
 import { ColorLegend } from './ColorLegend.js';
+import { SeededRandom } from './SeededRandom.js';
+import { SeedGenerator } from './SeedGenerator.js';
+import { SimulationDomain } from './SimulationDomain.js';
+import { DomainMask } from './DomainMask.js';
+import { JFAValidator } from './JFAValidator.js';
+import { ExactVoronoi } from './ExactVoronoi.js';
+import { CellAdjacency } from './CellAdjacency.js';
+import { resolveForceModel } from './CellForces.js';
+import { CellMesher } from './CellMesher.js';
+import { MeshExporter } from './MeshExporter.js';
+import { buildVolumeFields } from './VolumeFields.js';
+import { VolumeExporter } from './VolumeExporter.js';
+import { MetricsRecorder } from './MetricsRecorder.js';
+import { SimulationClock, CLOCK_DEFAULTS } from './SimulationClock.js';
+import { TopologicalEvents, TOPOLOGICAL_EVENT_DEFAULTS } from './TopologicalEvents.js';
+import { TrajectoryRecorder } from './TrajectoryRecorder.js';
+import { TrajectoryPlayer } from './TrajectoryPlayer.js';
+import { WEIGHT_LIMITS } from './DistanceMetric.js';
+import { createSnapshot, seedArraysFromSeedData, parseSnapshot, snapshotToJSON, snapshotToBinary } from './SimulationSnapshot.js';
 
 /**
  * HybridVoronoiSystem - Main class that coordinates the hybrid JFA + Physics pipeline
@@ -36,6 +55,10 @@ export class HybridVoronoiSystem {
         this.analysisCompute = null;
         this.physicsEngine = null;
         this.physicsCompute = null;
+        this.jfaValidator = null;
+        
+        // Neighbours for the inter-cell forces, read back every 10 frames (see updateForceAdjacency)
+        this.forceAdjacency = null;
         
         // Visualization components
         this.scene = null;
@@ -54,30 +77,80 @@ export class HybridVoronoiSystem {
             analysisTime: 0,
             physicsTime: 0,
             growingCells: 0,
-            shrinkingCells: 0
+            shrinkingCells: 0,
+            meanCentroidDistance: 0,  // CVT convergence: mean seed-centroid distance
+            cvtEnergy: 0              // CVT energy (CPU physics only)
         };
         
-        // Frame counter
+        // Frame counter (simulation steps)
         this.frameCount = 0;
         
+        // Per-frame metrics time series (off until setMetricsRecording)
+        this.metricsRecorder = new MetricsRecorder();
+        this.frameReadback = { junctionCount: null, physicsStats: null }; // GPU values read back this step
+        
+        // Seed trajectory recording and playback (off until setTrajectoryRecording)
+        this.trajectoryRecorder = new TrajectoryRecorder();
+        this.trajectoryPlayer = new TrajectoryPlayer(this.trajectoryRecorder, (frame) => this.showTrajectoryFrame(frame));
+        this.playbackActive = false;
+        this.liveState = null; // Seeds and frame count to return to after playback
+        
+        // Seeded random generator shared by seed placement and physics
+        this.random = new SeededRandom();
+        this.seedGenerator = new SeedGenerator(this.random);
+        
+        // Simulated box and voxel grid (rebuilt from the settings by setDomain)
+        this.domain = new SimulationDomain();
+        
+        // Region of the box that is simulated, resolved against the domain (see setDomainMask)
+        this.domainMask = null;
+        
         // Settings
         this.settings = {
-            volumeResolution: 64,
+            seed: null, // null = pick a new random seed on every regenerate
+            seedDistribution: 'uniform', // See SEED_DISTRIBUTIONS
+            seedJitter: null, // Lattice/grid jitter as a fraction of seed spacing (null: layout default)
+            volumeResolution: 64, // Voxels per axis, or [nx, ny, nz]
+            domainBounds: null, // World box { min: [x, y, z], max: [x, y, z] }, null = [-1, 1]³
+            voxelSpacing: null, // Voxel edge length(s); replaces volumeResolution when set
+            domainMask: null, // Simulated region inside the box, see DomainMask (null = whole box)
             transparency: 0.7,
             showEdges: true,
             showPoints: true,
             colorByAcuteness: true,
             periodicBoundaries: false,
+            exactGeometry: false, // Exact clipped cells for centroids/volumes/angles (CPU analyzer)
+            jfaVariant: 'standard', // See JFA_VARIANTS
+            distanceMetric: 'additive', // See DISTANCE_METRICS (unweighted, additive, multiplicative, power)
+            angleMetric: 'seedVertex', // Angles behind acuteCount, see ANGLE_METRICS (seedVertex, dihedral, face)
+            junctionCriterion: 'quadruple', // Labels per 2×2×2 block for a junction, see JUNCTION_CRITERIA
+            mergeJunctions: false, // Count each junction cell set once (resolution-independent)
             pointSize: 3.0,
             showDebugVisuals: true,
+            clock: { ...CLOCK_DEFAULTS }, // Fixed steps per render frame, substeps and adaptive dt (see SimulationClock)
+            topologicalEvents: { ...TOPOLOGICAL_EVENT_DEFAULTS }, // Cell division and removal (see TopologicalEvents)
             physicsSettings: {
                 threshold: 10,
                 growthRate: 0.001,
-                forceStrength: 1.0,
-                mode: 'balanced'
+                forceStrength: 1.0, // Scale of the inter-cell forces
+                forceModel: 'none', // Inter-cell forces between neighbours, see FORCE_MODELS (none, area, acute)
+                mode: 'balanced',
+                growthTarget: 'position', // 'position', 'weight' or 'both'
+                relaxation: 1.0, // Lloyd mode: fraction of the seed-centroid offset applied per step
+                integrator: 'euler', // Seed motion, see INTEGRATORS (euler, verlet)
+                momentum: 0.7, // Velocity carried over per 60 Hz frame
+                damping: 0.0, // Extra velocity loss per 60 Hz frame
+                maxSpeed: 6.0 // Speed cap in world units per second
             }
         };
         
+        // Turns render-frame time into fixed simulation steps (see updateGPU)
+        this.clock = new SimulationClock(this.settings.clock);
+        
+        // Cell division/removal and its lineage (see applyTopologicalEvents)
+        this.topologicalEvents = new TopologicalEvents(this.settings.topologicalEvents);
+        this.seedsChanged = false; // Seed count changed: the next JFA reads seedData, not the physics buffer
+        
         console.log('🏗️ HybridVoronoiSystem constructor completed');
     }
     
@@ -85,6 +158,9 @@ export class HybridVoronoiSystem {
      * Detect if the current renderer is WebGPU
      */
     isWebGPURenderer() {
+        // Headless environments (Node, workers) have no window or renderer
+        if (typeof window === 'undefined') return false;
+        
         const renderer = window.renderer;
         if (!renderer) return false;
         
@@ -113,18 +189,30 @@ export class HybridVoronoiSystem {
                 this.gpuCompute = new GPUVoronoiCompute();
                 await this.gpuCompute.init();
             }
+            this.gpuCompute.setJFAVariant(this.settings.jfaVariant);
+            
+            // Brute-force ground truth for JFA accuracy checks
+            this.jfaValidator = new JFAValidator();
             
             // Initialize CPU analyzer (fallback for WebGL)
             this.analyzer = new VoronoiAnalyzer();
+            this.analyzer.setExactGeometry(this.settings.exactGeometry);
+            this.analyzer.setAngleMetric(this.settings.angleMetric);
+            this.analyzer.setJunctionCriterion(this.settings.junctionCriterion);
+            this.analyzer.setMergeJunctions(this.settings.mergeJunctions);
             
             // Initialize WebGPU analysis compute if available
             if (this.isWebGPURenderer()) {
                 this.analysisCompute = new AnalysisCompute(window.renderer);
                 await this.analysisCompute.init();
+                this.analysisCompute.setAngleMetric(this.settings.angleMetric);
+                this.analysisCompute.setJunctionCriterion(this.settings.junctionCriterion);
+                this.analysisCompute.setMergeJunctions(this.settings.mergeJunctions);
             }
             
             // Initialize physics engine (fallback for WebGL)
             this.physicsEngine = new PhysicsEngine();
+            this.physicsEngine.setRandom(this.random);
             
             // Initialize WebGPU physics compute if available
             if (this.isWebGPURenderer()) {
@@ -135,6 +223,12 @@ export class HybridVoronoiSystem {
             // Initialize volume renderer
             this.volumeRenderer = new VolumeRenderer();
             
+            // Apply domain, boundary topology and distance metric to all compute stages
+            this.setDomain();
+            this.setDomainMask(this.settings.domainMask);
+            this.setPeriodicBoundaries(this.settings.periodicBoundaries);
+            this.setDistanceMetric(this.settings.distanceMetric);
+            
             // Initialize color legend
             this.colorLegend = new ColorLegend();
             this.colorLegend.init();
@@ -146,6 +240,7 @@ export class HybridVoronoiSystem {
             
             // Generate initial seed data
             this.generateInitialSeeds();
+            this.topologicalEvents.reset(this.numPoints);
             
             // Create seed texture for GPU
             this.createSeedTexture();
@@ -166,24 +261,31 @@ export class HybridVoronoiSystem {
     }
     
     /**
-     * Generate initial seed data with random positions and default weights
+     * Generate initial seed data using the selected seed distribution
      */
     generateInitialSeeds() {
-        console.log(`🌱 Generating ${this.numPoints} initial seeds...`);
+        // Restart the PRNG so the same seed always gives the same layout and trajectory
+        this.random.reseed(this.settings.seed ?? SeededRandom.randomSeed());
+        console.log(`🌱 Generating ${this.numPoints} initial seeds (${this.settings.seedDistribution}, seed=${this.random.seed})...`);
+        
+        const positions = this.seedGenerator.generate(this.settings.seedDistribution, this.numPoints, {
+            bounds: this.domain.interiorBounds(),
+            jitter: this.settings.seedJitter,
+            inside: this.domainMask ? (x, y, z) => this.domainMask.contains(x, y, z) : null
+        });
         
+        // Lattice and jittered-grid layouts may round the requested count to whole cells
+        this.numPoints = positions.length / 3;
         this.seedData = [];
         
         for (let i = 0; i < this.numPoints; i++) {
-            // Adjust range based on periodic boundaries
-            const range = this.settings.periodicBoundaries ? 1.8 : 1.8; // Keep same range for now
-            
             this.seedData.push({
                 position: new THREE.Vector3(
-                    (Math.random() - 0.5) * range,
-                    (Math.random() - 0.5) * range,
-                    (Math.random() - 0.5) * range
+                    positions[i * 3],
+                    positions[i * 3 + 1],
+                    positions[i * 3 + 2]
                 ),
-                weight: 0.0,  // Start with zero weight for additive JFA
+                weight: WEIGHT_LIMITS[this.settings.distanceMetric]?.neutral ?? 0.0,  // Start at the metric's neutral weight
                 acuteCount: 0,
                 id: i
             });
@@ -251,7 +353,7 @@ export class HybridVoronoiSystem {
         console.log('🎨 Setting up visualization...');
         
         // Get scene reference from main app
-        this.scene = window.scene || new THREE.Scene();
+        this.scene = (typeof window !== 'undefined' && window.scene) || new THREE.Scene();
         
         // Create mesh group for Voronoi cells
         this.meshGroup = new THREE.Group();
@@ -275,6 +377,7 @@ export class HybridVoronoiSystem {
         if (this.isWebGPURenderer()) {
             this.tslVolumeRenderer = new TSLVolumeRenderer();
             this.tslVolumeRenderer.init(this.scene);
+            this.tslVolumeRenderer.setDomain(this.domain);
         }
         
         // Create initial point visualization
@@ -307,19 +410,42 @@ export class HybridVoronoiSystem {
             const mesh = new THREE.Mesh(geometry, material);
             
             mesh.position.copy(seed.position);
-            mesh.userData = { seedIndex: index };
+            mesh.userData = { seedIndex: index, cellId: seed.id };
             
             this.pointsGroup.add(mesh);
         });
     }
     
     /**
-     * Main update loop - Pure GPU Pipeline
+     * Main update loop: runs the simulation steps due for this render frame
+     * (fixed steps from the clock, so the dynamics do not depend on the frame rate)
+     * @param {number} frameTime - Wall-clock seconds since the previous frame
      */
-    async updateGPU(deltaTime) {
+    async updateGPU(frameTime) {
+        // Playback replaces the simulation until stopPlayback()
+        if (this.playbackActive) {
+            await this.trajectoryPlayer.update(frameTime);
+            return;
+        }
+        
         if (!this.simulationRunning) return;
         
+        const voxelSize = Math.min(...this.domain.spacing);
+        this.clock.tick(frameTime);
+        
+        let deltaTime;
+        while (this.simulationRunning && (deltaTime = this.clock.nextStep(voxelSize)) > 0) {
+            await this.stepGPU(deltaTime);
+        }
+    }
+    
+    /**
+     * One simulation step - Pure GPU Pipeline
+     * @param {number} deltaTime - Step length in seconds
+     */
+    async stepGPU(deltaTime) {
         const startTime = performance.now();
+        this.frameReadback = { junctionCount: null, physicsStats: null };
         
         try {
             if (this.physicsEnabled && this.isWebGPURenderer()) {
@@ -328,34 +454,35 @@ export class HybridVoronoiSystem {
                 // Pass 1: JFA Compute
                 const jfaStart = performance.now();
                 // For pure GPU pipeline, we need to pass the seed buffer from physics
-                if (this.physicsCompute && this.physicsCompute.getSeedBuffer()) {
-                    await this.gpuCompute.computeWithBuffer(this.physicsCompute.getSeedBuffer(), this.numPoints);
+                let uploadSeeds = false;
+                if (!this.seedsChanged && this.physicsCompute && this.physicsCompute.getSeedBuffer()) {
+                    await this.gpuCompute.computeWithBuffer(
+                        this.physicsCompute.getSeedBuffer(),
+                        this.numPoints,
+                        this.physicsCompute.getWeightBuffer(),
+                        { worldPositions: true }
+                    );
                 } else {
-                    // First frame - use initial seed data
+                    // First frame (or new seeds) - use the CPU seed data
                     await this.gpuCompute.compute(this.seedData, this.numPoints);
+                    this.seedsChanged = false;
+                    uploadSeeds = true;
                 }
                 this.performanceStats.jfaTime = Math.round(performance.now() - jfaStart);
+                await this.updateForceAdjacency();
                 
-                // Pass 2: Analysis Compute
+                // Pass 2: Analysis Compute (keeps the physics-integrated positions unless seeds changed)
                 const analysisStart = performance.now();
                 const jfaTexture = this.gpuCompute.getOutputTexture();
-                await this.analysisCompute.compute(jfaTexture, this.seedData);
+                await this.analysisCompute.compute(jfaTexture, this.seedData, uploadSeeds);
                 this.performanceStats.analysisTime = Math.round(performance.now() - analysisStart);
 
                 // ─── EVERY N FRAMES: pull small data back for legend/points/debug ───
                 if (this.frameCount % 10 === 0) {
                     const results = await this.analysisCompute.getResults();
+                    this.frameReadback.junctionCount = results.junctionCount;
                     // 1) update your seedData objects
-                    for (let i = 0; i < this.numPoints; i++) {
-                        this.seedData[i].acuteCount = results.acuteData[i] || 0;
-                        // also update centroids for debug visuals, if you like
-                        const base = i * 4;
-                        this.seedData[i].centroid = {
-                            x: results.centroidData[base + 0] || this.seedData[i].position.x,
-                            y: results.centroidData[base + 1] || this.seedData[i].position.y,
-                            z: results.centroidData[base + 2] || this.seedData[i].position.z
-                        };
-                    }
+                    this.applyAnalysisResults(results);
                     // 2) update legend & debug visuals
                     this.colorLegend.updateLegend(this.seedData);
                     if (this.settings.showDebugVisuals) {
@@ -363,17 +490,25 @@ export class HybridVoronoiSystem {
                     }
                 }
                 
-                // Pass 3: Physics Compute
+                // Pass 3: Physics Compute (in clock substeps over the same analysis)
                 const physicsStart = performance.now();
                 const analysisBuffers = this.analysisCompute.getBuffers();
-                await this.physicsCompute.compute(
-                    analysisBuffers,
-                    this.settings.physicsSettings,
-                    deltaTime,
-                    this.numPoints
-                );
+                const substeps = this.clock.substepsFor(this.settings.physicsSettings);
+                for (let substep = 0; substep < substeps; substep++) {
+                    await this.physicsCompute.compute(
+                        analysisBuffers,
+                        this.settings.physicsSettings,
+                        deltaTime / substeps,
+                        this.numPoints
+                    );
+                }
                 this.performanceStats.physicsTime = Math.round(performance.now() - physicsStart);
                 
+                // Bring the integrated positions and weights back for points, legend and export
+                if (this.frameCount % 10 === 0) {
+                    await this.syncSeedsFromGPU();
+                }
+                
                 // Pass 4: Update visualization
                 this.updateVisualizationGPU();
                 // Also update seed‐point meshes and polygon edges
@@ -384,11 +519,14 @@ export class HybridVoronoiSystem {
                     this.updateCellVisualization();
                 }
                 
-                // Optional: Get statistics (small data transfer for UI only)
-                if (this.frameCount % 10 === 0) { // Update stats every 10 frames
+                // Optional: Get statistics (small data transfer for UI, or every step for adaptive steps)
+                if (this.frameCount % 10 === 0 || this.clock.settings.adaptive) { // Update stats every 10 frames
                     const stats = await this.physicsCompute.getStatistics();
+                    this.frameReadback.physicsStats = stats;
                     this.performanceStats.growingCells = stats.growingCells;
                     this.performanceStats.shrinkingCells = stats.shrinkingCells;
+                    this.performanceStats.meanCentroidDistance = stats.meanCentroidDistance;
+                    this.clock.observe(stats.maxDisplacement, deltaTime / substeps);
                 }
             } else {
                 // Fallback to hybrid CPU/GPU pipeline
@@ -398,12 +536,180 @@ export class HybridVoronoiSystem {
             this.performanceStats.totalTime = Math.round(performance.now() - startTime);
             this.frameCount++;
             
+            // GPU physics and analysis values are only known on the frames they are read back
+            const cpuPhysics = this.physicsEnabled && !(this.isWebGPURenderer() && this.physicsCompute);
+            this.metricsRecorder.capture(this.frameCount, {
+                seedData: this.seedData,
+                domain: this.domain,
+                performanceStats: this.performanceStats,
+                physicsStats: cpuPhysics ? this.physicsEngine.getStats() : this.frameReadback.physicsStats,
+                junctionCount: this.frameReadback.junctionCount
+            });
+            
+            if (this.trajectoryRecorder.shouldRecord(this.frameCount)) {
+                await this.recordTrajectoryFrame();
+            }
+            
+            // Divide and remove cells at the size limits (the new seeds join the next JFA)
+            if (this.physicsEnabled && this.topologicalEvents.isDue(this.frameCount)) {
+                await this.applyTopologicalEvents();
+            }
+            
         } catch (error) {
             console.error('Update error:', error);
             this.simulationRunning = false;
         }
     }
     
+    /**
+     * Rebuild the adjacency the inter-cell forces act along from the JFA pass that
+     * just ran. The labels are read back, so this only runs with a force model set,
+     * every 10 frames (like the analysis readback) or when the seed count changed.
+     */
+    async updateForceAdjacency() {
+        if (resolveForceModel(this.settings.physicsSettings.forceModel) === 'none') return;
+        if (this.forceAdjacency?.numCells === this.numPoints && this.frameCount % 10 !== 0) return;
+        
+        const labels = await this.readLabels();
+        this.setForceAdjacency(CellAdjacency.fromLabels(labels, this.domain, this.numPoints, {
+            periodic: this.settings.periodicBoundaries
+        }));
+    }
+    
+    /**
+     * Copy acute counts, finalized centroids and voxel counts from AnalysisCompute.getResults()
+     * into seedData, as VoronoiAnalyzer sets them (empty cells keep their position as centroid)
+     */
+    applyAnalysisResults({ acuteData, seedData }) {
+        for (let i = 0; i < this.numPoints; i++) {
+            const seed = this.seedData[i];
+            const offset = i * 8; // position(3), acuteCount, centroid(3), voxelCount
+            seed.acuteCount = acuteData[i] || 0;
+            seed.voxelCount = seedData[offset + 7];
+            seed.centroid = seed.voxelCount > 0
+                ? new THREE.Vector3(seedData[offset + 4], seedData[offset + 5], seedData[offset + 6])
+                : seed.position.clone();
+        }
+    }
+    
+    /**
+     * Copy the positions and weights PhysicsCompute integrates on the GPU back into seedData.
+     * Skipped before the first physics pass and while seedsChanged: the GPU buffer still
+     * holds the old seeds until the next JFA.
+     * @returns {Promise<Object|null>} State read back (see PhysicsCompute.getState), or null without GPU physics
+     */
+    async syncSeedsFromGPU() {
+        if (!this.physicsCompute) return null;
+        
+        const state = await this.physicsCompute.getState(this.numPoints);
+        if (!state.positions || this.seedsChanged) {
+            delete state.positions;
+            return state;
+        }
+        
+        for (let i = 0; i < this.numPoints; i++) {
+            this.seedData[i].position.fromArray(state.positions, i * 3);
+            this.seedData[i].weight = state.weights[i];
+        }
+        return state;
+    }
+    
+    /**
+     * Divide the cells whose voxel count in the last analysis exceeds the division limit
+     * and remove those below the removal limit (see TopologicalEvents). Voxel counts come
+     * from the GPU centroid pass, or the JFA labels without one. Children inherit the
+     * parent's weight and momentum; removal compacts the seeds. Seed ids, points and the
+     * legend follow the persistent cell ids.
+     * @returns {Promise<number>} Events applied
+     */
+    async applyTopologicalEvents() {
+        let labels = null;
+        let voxelCounts;
+        if (this.analysisCompute) {
+            const { centroidData } = await this.analysisCompute.getResults();
+            voxelCounts = Array.from({ length: this.numPoints }, (_, i) => centroidData[i * 4 + 3] || 0);
+        } else {
+            labels = await this.readLabels();
+            voxelCounts = new Array(this.numPoints).fill(0);
+            for (const label of labels) {
+                if (label >= 0 && label < this.numPoints) voxelCounts[label]++;
+            }
+        }
+        
+        const plan = this.topologicalEvents.plan(voxelCounts);
+        if (plan.divisions.length === 0 && plan.removals.length === 0) return 0;
+        if (plan.divisions.length > 0 && !labels) labels = await this.readLabels();
+        
+        // WebGPU physics keeps positions, velocities and the weights the JFA reads on the GPU
+        const gpuPhysics = this.isWebGPURenderer() && this.physicsCompute;
+        const physicsState = gpuPhysics ? await this.syncSeedsFromGPU() : this.physicsEngine.getState(this.numPoints);
+        const recorded = this.topologicalEvents.lineage.length;
+        const seeds = this.topologicalEvents.apply({
+            ...seedArraysFromSeedData(this.seedData),
+            ...physicsState,
+            acuteCounts: this.seedData.map(seed => seed.acuteCount || 0)
+        }, plan, labels, {
+            domain: this.domain,
+            random: this.random,
+            periodic: this.settings.periodicBoundaries,
+            mask: this.domainMask,
+            frame: this.frameCount
+        });
+        if (!seeds) return 0;
+        
+        const { positions, weights, acuteCounts } = seeds;
+        this.numPoints = weights.length;
+        this.seedData = [];
+        for (let i = 0; i < this.numPoints; i++) {
+            this.seedData.push({
+                position: new THREE.Vector3(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]),
+                weight: weights[i],
+                acuteCount: acuteCounts[i],
+                id: this.topologicalEvents.cellIds[i]
+            });
+        }
+        
+        if (gpuPhysics) {
+            this.physicsCompute.setState(seeds);
+        } else {
+            this.physicsEngine.setState(seeds);
+        }
+        this.setForceAdjacency(null);
+        this.seedsChanged = true;
+        this.createSeedTexture();
+        this.colorLegend?.updateLegend(this.seedData);
+        this.updatePointsVisualization();
+        
+        return this.topologicalEvents.lineage.length - recorded;
+    }
+    
+    /**
+     * Division and removal events so far: { frame, event, parent, children } with persistent cell ids
+     */
+    getLineage() {
+        return this.topologicalEvents.getLineage();
+    }
+    
+    /**
+     * Labels of the JFA pass that last ran (no recompute)
+     * @returns {Promise<Int32Array>} Seed index per voxel, x-fastest (-1 = no seed)
+     */
+    async readLabels() {
+        return this.isWebGPURenderer()
+            ? JFAValidator.labelsFromUint32(await this.gpuCompute.getLabels())
+            : this.gpuCompute.getLabels();
+    }
+    
+    /**
+     * Hand a new force adjacency (or null) to both physics paths, releasing the old one's GPU buffers
+     */
+    setForceAdjacency(adjacency) {
+        this.forceAdjacency?.destroyGPUBuffers();
+        this.forceAdjacency = adjacency;
+        if (this.physicsEngine) this.physicsEngine.setAdjacency(adjacency);
+        if (this.physicsCompute) this.physicsCompute.setAdjacency(adjacency);
+    }
+    
     /**
      * Update visualization using GPU buffers directly
      */
@@ -414,8 +720,8 @@ export class HybridVoronoiSystem {
             if (jfaTexture) {
                 this.tslVolumeRenderer.updateVolume(
                     jfaTexture,
-                    this.settings.volumeResolution,
-                    Math.ceil(Math.sqrt(this.settings.volumeResolution))
+                    this.domain.resolutionSetting,
+                    ...this.getAtlasLayout()
                 );
             }
         }
@@ -426,7 +732,8 @@ export class HybridVoronoiSystem {
     }
 
     /**
-     * Main update loop - Hybrid CPU/GPU Pipeline (legacy)
+     * One simulation step - Hybrid CPU/GPU Pipeline (legacy)
+     * @param {number} deltaTime - Step length in seconds
      */
     async update(deltaTime) {
         if (!this.simulationRunning) {
@@ -440,24 +747,39 @@ export class HybridVoronoiSystem {
             if (this.physicsEnabled) {
                 // Step 1: Apply physics based on last frame's analysis
                 const physicsStart = performance.now();
+                const substeps = this.clock.substepsFor(this.settings.physicsSettings);
                 if (this.isWebGPURenderer() && this.physicsCompute && this.analysisCompute) {
                     // WebGPU implementation - run physics compute pass (GPU-only)
                     const analysisBuffers = this.analysisCompute.getBuffers();
-                    await this.physicsCompute.compute(
-                        analysisBuffers, 
-                        this.settings.physicsSettings, 
-                        deltaTime,
-                        this.numPoints
-                    );
+                    for (let substep = 0; substep < substeps; substep++) {
+                        await this.physicsCompute.compute(
+                            analysisBuffers, 
+                            this.settings.physicsSettings, 
+                            deltaTime / substeps,
+                            this.numPoints
+                        );
+                    }
                     // NO MORE getResults() - data stays on GPU!
                     
                     // Get physics statistics from GPU (this is OK - it's just stats, not the main data)
                     const physicsStats = await this.physicsCompute.getStatistics();
+                    this.frameReadback.physicsStats = physicsStats;
                     this.performanceStats.growingCells = physicsStats.growingCells;
                     this.performanceStats.shrinkingCells = physicsStats.shrinkingCells;
+                    this.performanceStats.meanCentroidDistance = physicsStats.meanCentroidDistance;
+                    this.clock.observe(physicsStats.maxDisplacement, deltaTime / substeps);
                 } else {
                     // WebGL implementation - fallback to CPU physics
-                    this.physicsEngine.update(this.seedData, this.settings.physicsSettings, deltaTime);
+                    for (let substep = 0; substep < substeps; substep++) {
+                        this.physicsEngine.update(this.seedData, this.settings.physicsSettings, deltaTime / substeps);
+                    }
+                    const physicsStats = this.physicsEngine.getStats();
+                    this.performanceStats.meanCentroidDistance = physicsStats.meanCentroidDistance;
+                    this.performanceStats.cvtEnergy = physicsStats.energy;
+                    this.clock.observe(physicsStats.maxDisplacement, deltaTime / substeps);
+                    
+                    // The WebGL JFA reads positions and weights from the seed texture
+                    this.updateSeedTexture();
                 }
                 this.performanceStats.physicsTime = Math.round(performance.now() - physicsStart);
                 
@@ -478,6 +800,7 @@ export class HybridVoronoiSystem {
                     this.gpuCompute.compute(this.seedTexture, this.seedTextureSize, this.numPoints);
                 }
                 this.performanceStats.jfaTime = Math.round(performance.now() - jfaStart);
+                await this.updateForceAdjacency();
                 
                 // Step 4: Run analysis (WebGPU compute or CPU fallback)
                 const analysisStart = performance.now();
@@ -490,17 +813,9 @@ export class HybridVoronoiSystem {
                     // ─── EVERY N FRAMES: pull small data back for legend/points/debug ───
                     if (this.frameCount % 10 === 0) {
                         const results = await this.analysisCompute.getResults();
-                        // 1) update your seedData objects
-                        for (let i = 0; i < this.numPoints; i++) {
-                            this.seedData[i].acuteCount = results.acuteData[i] || 0;
-                            // also update centroids for debug visuals
-                            const base = i * 4;
-                            this.seedData[i].centroid = {
-                                x: results.centroidData[base + 0] || this.seedData[i].position.x,
-                                y: results.centroidData[base + 1] || this.seedData[i].position.y,
-                                z: results.centroidData[base + 2] || this.seedData[i].position.z
-                            };
-                        }
+                        this.frameReadback.junctionCount = results.junctionCount;
+                        // 1) update your seedData objects (centroids drive CPU growth and Lloyd)
+                        this.applyAnalysisResults(results);
                         // 2) update legend & debug visuals
                         this.colorLegend.updateLegend(this.seedData);
                         if (this.settings.showDebugVisuals) {
@@ -512,17 +827,11 @@ export class HybridVoronoiSystem {
                     console.log('🔄 Using GPU AnalysisCompute instead of CPU analyzer');
                     const jfaTexture = this.gpuCompute.getOutputTexture();
                     await this.analysisCompute.compute(jfaTexture, this.seedData);
-                    const { acuteData, centroidData } = await this.analysisCompute.getResults();
+                    const results = await this.analysisCompute.getResults();
+                    this.frameReadback.junctionCount = results.junctionCount;
                     
                     // Update seedData with GPU results (same as CPU analyzer did)
-                    for (let i = 0; i < this.seedData.length; i++) {
-                        this.seedData[i].acuteCount = acuteData[i] || 0;
-                        this.seedData[i].centroid = {
-                            x: centroidData[i * 4 + 0] || this.seedData[i].x,
-                            y: centroidData[i * 4 + 1] || this.seedData[i].y,
-                            z: centroidData[i * 4 + 2] || this.seedData[i].z
-                        };
-                    }
+                    this.applyAnalysisResults(results);
                 }
                 this.performanceStats.analysisTime = Math.round(performance.now() - analysisStart);
                 
@@ -596,6 +905,9 @@ export class HybridVoronoiSystem {
                     if (isAboveThreshold) shrinking++;
                     else growing++;
                     break;
+                case 'lloyd':
+                    // Lloyd relaxation ignores the acute-angle flux
+                    break;
             }
         });
         
@@ -627,8 +939,8 @@ export class HybridVoronoiSystem {
             if (jfaTexture) {
                 this.tslVolumeRenderer.updateVolume(
                     jfaTexture, 
-                    this.settings.volumeResolution,
-                    Math.ceil(Math.sqrt(this.settings.volumeResolution))
+                    this.domain.resolutionSetting,
+                    ...this.getAtlasLayout()
                 );
             }
         } else if (this.volumeRenderer) {
@@ -637,31 +949,52 @@ export class HybridVoronoiSystem {
             if (renderTarget) {
                 this.volumeRenderer.updateVolume(
                     renderTarget, 
-                    this.settings.volumeResolution,
-                    Math.ceil(Math.sqrt(this.settings.volumeResolution))
+                    this.domain.resolutionSetting,
+                    ...this.getAtlasLayout()
                 );
             }
         }
     }
     
+    /**
+     * Slice atlas layout of the volume for the renderers: [slicesPerRow, sliceRows]
+     */
+    getAtlasLayout() {
+        const depth = this.domain.resolution[2];
+        const slicesPerRow = Math.ceil(Math.sqrt(depth));
+        return [slicesPerRow, Math.ceil(depth / slicesPerRow)];
+    }
+    
     /**
      * Regenerate the Voronoi diagram with new parameters
      */
     regenerate(numPoints, resolution) {
-        console.log(`🔄 Regenerating with ${numPoints} points at ${resolution}³ resolution...`);
-        
+        this.discardPlayback();
         this.numPoints = numPoints;
-        this.settings.volumeResolution = resolution;
+        
+        // An explicit resolution replaces a voxel spacing; the domain box is kept
+        this.setDomain(resolution === undefined ? {} : { resolution, voxelSpacing: null });
+        console.log(`🔄 Regenerating with ${numPoints} points at ${this.domain.describe()} resolution...`);
         
         // Generate new seeds
         this.generateInitialSeeds();
         
+        // Clear momentum so identical settings replay identically
+        if (this.physicsEngine) {
+            this.physicsEngine.reset();
+        }
+        if (this.physicsCompute) {
+            this.physicsCompute.reset();
+        }
+        this.setForceAdjacency(null);
+        this.frameCount = 0;
+        this.clock.reset();
+        this.topologicalEvents.reset(this.numPoints);
+        this.seedsChanged = true;
+        
         // Update texture
         this.createSeedTexture();
         
-        // Update GPU compute settings
-        this.gpuCompute.setResolution(resolution);
-        
         // Start simulation
         this.simulationRunning = true;
         
@@ -681,6 +1014,26 @@ export class HybridVoronoiSystem {
         console.log('✅ Physics simulation started');
     }
     
+    /**
+     * Configure the simulation clock (see CLOCK_DEFAULTS): step length, substeps,
+     * steps per render frame and adaptive steps
+     * @param {Object} settings - Clock settings to change
+     */
+    setClock(settings) {
+        this.clock.configure(settings);
+        this.settings.clock = { ...this.clock.settings };
+    }
+    
+    /**
+     * Configure cell division and removal (see TOPOLOGICAL_EVENT_DEFAULTS): size limits,
+     * division plane, cell count limits and check interval
+     * @param {Object} settings - Event settings to change
+     */
+    setTopologicalEvents(settings) {
+        this.topologicalEvents.configure(settings);
+        this.settings.topologicalEvents = { ...this.topologicalEvents.settings };
+    }
+    
     /**
      * Stop physics simulation
      */
@@ -740,6 +1093,56 @@ export class HybridVoronoiSystem {
         console.log(`🎨 Transparency set to ${transparency}`);
     }
     
+    /**
+     * Set the simulated box and its voxel grid. Keys left out keep their current settings;
+     * seeds are not moved, so follow with regenerate() when the box changes.
+     * @param {Object} [options]
+     * @param {number|Array<number>} [options.resolution] - Voxels per axis, or [nx, ny, nz]
+     * @param {Object} [options.bounds] - World box { min, max } (null = [-1, 1]³)
+     * @param {number|Array<number>} [options.voxelSpacing] - Voxel edge length(s), replaces the resolution
+     */
+    setDomain({
+        resolution = this.settings.volumeResolution,
+        bounds = this.settings.domainBounds,
+        voxelSpacing = this.settings.voxelSpacing
+    } = {}) {
+        this.domain = new SimulationDomain({ resolution, bounds, voxelSpacing });
+        this.settings.volumeResolution = this.domain.resolutionSetting;
+        this.settings.domainBounds = bounds ? this.domain.bounds : null;
+        this.settings.voxelSpacing = voxelSpacing ?? null;
+        this.domainMask = this.domainMask?.forDomain(this.domain) ?? null;
+        
+        // JFA, analysis, physics and rendering must all share the same box and grid
+        if (this.gpuCompute) this.gpuCompute.setDomain(this.domain);
+        if (this.analysisCompute) this.analysisCompute.setDomain(this.domain);
+        if (this.physicsEngine) this.physicsEngine.setDomain(this.domain);
+        if (this.physicsCompute) this.physicsCompute.setDomain(this.domain);
+        if (this.volumeRenderer) this.volumeRenderer.setDomain(this.domain);
+        if (this.tslVolumeRenderer) this.tslVolumeRenderer.setDomain(this.domain);
+        
+        console.log(`📦 Domain set to ${this.domain.describe()} voxels over [${this.domain.min.join(', ')}] – [${this.domain.max.join(', ')}]`);
+    }
+    
+    /**
+     * Restrict the simulation to a region of the box: JFA leaves voxels outside
+     * unlabelled (so the volume renderers clip to the mask), analysis treats the mask
+     * surface as a wall and physics keeps seeds inside. Seeds are not moved, so
+     * follow with regenerate() to reseed inside.
+     * @param {DomainMask|Object|null} mask - Mask or spec ({ type: 'sphere' }, see DomainMask), null = whole box
+     */
+    setDomainMask(mask) {
+        this.domainMask = DomainMask.from(mask, this.domain);
+        this.settings.domainMask = this.domainMask?.toJSON() ?? null;
+        
+        if (this.gpuCompute) this.gpuCompute.setMask(this.domainMask);
+        if (this.analyzer) this.analyzer.setMask(this.domainMask);
+        if (this.physicsEngine) this.physicsEngine.setMask(this.domainMask);
+        if (this.physicsCompute) this.physicsCompute.setMask(this.domainMask);
+        if (this.jfaValidator) this.jfaValidator.setMask(this.domainMask);
+        
+        console.log(`🎭 Domain mask ${this.domainMask ? `set to ${this.domainMask.type}` : 'cleared'}`);
+    }
+    
     /**
      * Enable/disable periodic boundaries
      */
@@ -747,8 +1150,514 @@ export class HybridVoronoiSystem {
         this.settings.periodicBoundaries = enabled;
         console.log(`🔄 Periodic boundaries ${enabled ? 'enabled' : 'disabled'}`);
         
-        // Note: This will take effect on next regeneration
-        console.log('💡 Regenerate to apply periodic boundary changes');
+        // Every stage must agree on the topology: JFA distances, analysis lookups and physics wrapping
+        if (this.gpuCompute) this.gpuCompute.setPeriodicBoundaries(enabled);
+        if (this.analyzer) this.analyzer.setPeriodicBoundaries(enabled);
+        if (this.analysisCompute) this.analysisCompute.setPeriodicBoundaries(enabled);
+        if (this.physicsEngine) this.physicsEngine.setPeriodicBoundaries(enabled);
+        if (this.physicsCompute) this.physicsCompute.setPeriodicBoundaries(enabled);
+        if (this.jfaValidator) this.jfaValidator.setPeriodicBoundaries(enabled);
+    }
+    
+    /**
+     * Select the JFA variant (standard, jfa+1, jfa+2, 1+jfa)
+     */
+    setJFAVariant(variant) {
+        this.settings.jfaVariant = variant;
+        if (this.gpuCompute) {
+            this.gpuCompute.setJFAVariant(variant);
+        }
+    }
+    
+    /**
+     * Select how seed weights enter the distance (unweighted, additive, multiplicative, power).
+     * JFA, the CPU analyzer and the JFA validator must all agree on it.
+     */
+    setDistanceMetric(metric) {
+        this.settings.distanceMetric = metric;
+        if (this.gpuCompute) this.gpuCompute.setDistanceMetric(metric);
+        if (this.analyzer) this.analyzer.setDistanceMetric(metric);
+        if (this.jfaValidator) this.jfaValidator.setDistanceMetric(metric);
+        if (this.physicsEngine) this.physicsEngine.setDistanceMetric(metric);
+        if (this.physicsCompute) this.physicsCompute.setDistanceMetric(metric);
+        
+        // Weights mean something different under each metric, so restart them at neutral
+        const neutral = WEIGHT_LIMITS[metric]?.neutral ?? 0;
+        for (const seed of this.seedData) {
+            seed.weight = neutral;
+        }
+        this.updateSeedTexture();
+        
+        console.log(`📏 Distance metric set to ${metric}`);
+    }
+    
+    /**
+     * Select which angles acuteCount counts (seedVertex, dihedral, face) in the CPU
+     * analyzer and the WebGPU analysis pass. Counts differ in scale between metrics,
+     * so the physics threshold usually needs adjusting too.
+     */
+    setAngleMetric(metric) {
+        this.settings.angleMetric = metric;
+        if (this.analyzer) this.analyzer.setAngleMetric(metric);
+        if (this.analysisCompute) this.analysisCompute.setAngleMetric(metric);
+        console.log(`📐 Angle metric set to ${metric}`);
+    }
+    
+    /**
+     * Select the junction test (quadruple points or triple lines) in the CPU
+     * analyzer and the WebGPU analysis pass
+     */
+    setJunctionCriterion(criterion) {
+        this.settings.junctionCriterion = criterion;
+        if (this.analyzer) this.analyzer.setJunctionCriterion(criterion);
+        if (this.analysisCompute) this.analysisCompute.setJunctionCriterion(criterion);
+        console.log(`🔺 Junction criterion set to ${criterion}`);
+    }
+    
+    /**
+     * Merge the junction blocks of each cell set into one junction, so acute
+     * counts no longer grow with the volume resolution
+     */
+    setMergeJunctions(enabled) {
+        this.settings.mergeJunctions = enabled;
+        if (this.analyzer) this.analyzer.setMergeJunctions(enabled);
+        if (this.analysisCompute) this.analysisCompute.setMergeJunctions(enabled);
+        console.log(`🔺 Junction merging ${enabled ? 'enabled' : 'disabled'}`);
+    }
+    
+    /**
+     * Re-run JFA on the CPU-side seeds and read the label volume back.
+     * On the GPU-only path the physics seed buffer may be ahead of seedData; this uses seedData.
+     * @returns {Promise<Int32Array>} Seed ID per voxel, x-fastest (-1 = no seed)
+     */
+    async getLabels() {
+        if (this.isWebGPURenderer()) {
+            await this.gpuCompute.compute(this.seedData, this.numPoints);
+            return JFAValidator.labelsFromUint32(await this.gpuCompute.getLabels());
+        }
+        
+        this.updateSeedTexture();
+        this.gpuCompute.compute(this.seedTexture, this.seedTextureSize, this.numPoints);
+        return this.gpuCompute.getLabels();
+    }
+    
+    /**
+     * Re-run JFA on the CPU-side seeds and compare it against brute-force labelling
+     * @returns {Promise<Object>} JFAValidator report
+     */
+    async validateJFA() {
+        const labels = await this.getLabels();
+        return this.jfaValidator.validate(labels, this.seedData, this.domain, this.numPoints);
+    }
+    
+    /**
+     * Foam topology of the current seeds (faces per cell, edges per face, Aboav–Weaire, Lewis).
+     * The frame loop analyses on the GPU, so this runs on demand; the report is also
+     * available afterwards as analyzer.getAnalysisResults().topology.
+     * @param {string} [source] - 'voxel' (JFA labels) or 'exact' (clipped polyhedra)
+     * @returns {Promise<Object>} TopologyAnalyzer report
+     */
+    async analyzeTopology(source = 'voxel') {
+        const topologyAnalyzer = this.analyzer.topologyAnalyzer;
+        
+        source = this.resolveGeometrySource(source);
+        if (source === 'exact') {
+            const exactVoronoi = new ExactVoronoi({ periodic: this.settings.periodicBoundaries, bounds: this.domain.bounds });
+            exactVoronoi.setDistanceMetric(this.settings.distanceMetric);
+            this.analyzer.topology = topologyAnalyzer.fromExactCells(exactVoronoi.compute(this.seedData));
+        } else {
+            const labels = await this.getLabels();
+            this.analyzer.topology = topologyAnalyzer.fromLabels(labels, this.domain, this.numPoints);
+        }
+        
+        return this.analyzer.topology;
+    }
+    
+    /**
+     * Cell adjacency graph of the current seeds. The frame loop analyses on the GPU,
+     * so this runs on demand; upload it with adjacency.toGPUBuffers(device) if a
+     * compute pass needs it.
+     * @param {string} [source] - 'voxel' (JFA labels) or 'exact' (clipped polyhedra)
+     * @returns {Promise<CellAdjacency>}
+     */
+    async getAdjacency(source = 'voxel') {
+        source = this.resolveGeometrySource(source);
+        if (source === 'exact') {
+            const exactVoronoi = new ExactVoronoi({ periodic: this.settings.periodicBoundaries, bounds: this.domain.bounds });
+            exactVoronoi.setDistanceMetric(this.settings.distanceMetric);
+            return CellAdjacency.fromExactCells(exactVoronoi.compute(this.seedData));
+        }
+        
+        const labels = await this.getLabels();
+        return CellAdjacency.fromLabels(labels, this.domain, this.numPoints, {
+            periodic: this.settings.periodicBoundaries
+        });
+    }
+    
+    /**
+     * Mesh every cell of the current seeds and encode it for export
+     * @param {string} format - obj, ply, stl, gltf or glb (see MESH_FORMATS)
+     * @param {Object} [options]
+     * @param {string} [options.source] - 'voxel' (JFA label boundaries) or 'exact' (clipped polyhedra)
+     * @param {boolean} [options.sharedFaces] - Emit each interface once instead of closing every cell
+     * @returns {Promise<Object>} { data, extension, mimeType, mesh }
+     */
+    async exportMesh(format = 'obj', { source = 'voxel', sharedFaces = false } = {}) {
+        const mesher = new CellMesher();
+        mesher.setSharedFaces(sharedFaces);
+        source = this.resolveGeometrySource(source);
+        
+        let mesh;
+        if (source === 'exact') {
+            const exactVoronoi = new ExactVoronoi({ periodic: this.settings.periodicBoundaries, bounds: this.domain.bounds });
+            exactVoronoi.setDistanceMetric(this.settings.distanceMetric);
+            mesh = mesher.fromExactCells(exactVoronoi.compute(this.seedData), this.seedData);
+        } else {
+            mesh = mesher.fromLabels(await this.getLabels(), this.domain, this.seedData);
+        }
+        
+        return { ...new MeshExporter().export(mesh, format), mesh };
+    }
+    
+    /**
+     * Exact cells fill the whole box, so masked domains use the voxel labels
+     */
+    resolveGeometrySource(source) {
+        if (source === 'exact' && this.domainMask) {
+            console.warn('⚠️ Exact geometry ignores domain masks, using voxel labels');
+            return 'voxel';
+        }
+        return source;
+    }
+    
+    /**
+     * Export the label volume and derived per-voxel fields of the current seeds
+     * @param {string} format - raw, nrrd, vtk, vti or npy (see VOLUME_FORMATS)
+     * @param {Object} [options]
+     * @param {Array<string>} [options.fields] - VOLUME_FIELDS keys (all by default)
+     * @param {string} [options.baseName] - File name stem
+     * @returns {Promise<Array>} Files to save: { name, data, mimeType }
+     */
+    async exportVolume(format = 'nrrd', { fields, baseName = `voronoi-frame-${this.frameCount}` } = {}) {
+        const volume = buildVolumeFields(await this.getLabels(), this.domain, this.seedData, {
+            fields,
+            periodic: this.settings.periodicBoundaries
+        });
+        return new VolumeExporter().export(volume, format, { baseName });
+    }
+    
+    /**
+     * Use exact geometric cells instead of voxel estimates in the CPU analyzer
+     */
+    setExactGeometry(enabled) {
+        this.settings.exactGeometry = enabled;
+        if (this.analyzer) {
+            this.analyzer.setExactGeometry(enabled);
+        }
+        console.log(`📐 Exact geometry ${enabled ? 'enabled' : 'disabled'}`);
+    }
+    
+    /**
+     * Set the random seed (null = random each time); takes effect on next regeneration
+     */
+    setSeed(seed) {
+        this.settings.seed = (seed === '' || seed === undefined) ? null : seed;
+        console.log(`🎲 Random seed set to ${this.settings.seed ?? 'random'}`);
+    }
+    
+    /**
+     * Select the seed layout used by the next regenerate
+     * @param {string} distribution - One of the SEED_DISTRIBUTIONS keys
+     * @param {number} [jitter] - Jitter as a fraction of seed spacing
+     */
+    setSeedDistribution(distribution, jitter = this.settings.seedJitter) {
+        this.settings.seedDistribution = distribution;
+        this.settings.seedJitter = jitter;
+        console.log(`🌱 Seed distribution set to ${distribution} (jitter=${jitter})`);
+    }
+    
+    /**
+     * Start/stop sampling per-frame metrics
+     * @param {boolean} enabled
+     * @param {number} [interval] - Record every Nth frame
+     */
+    setMetricsRecording(enabled, interval = this.metricsRecorder.interval) {
+        this.metricsRecorder.setEnabled(enabled);
+        this.metricsRecorder.setInterval(interval);
+        console.log(`📈 Metrics recording ${enabled ? `enabled (every ${interval} frames)` : 'disabled'}`);
+    }
+    
+    /**
+     * Recorded metrics as 'csv' or 'jsonl' text
+     */
+    exportMetrics(format = 'csv') {
+        return this.metricsRecorder.export(format);
+    }
+    
+    /**
+     * Start/stop recording seed trajectories
+     * @param {boolean} enabled
+     * @param {Object} [options]
+     * @param {number} [options.interval] - Record every Nth frame
+     * @param {boolean} [options.recordLabels] - Also keep each frame's label volume
+     */
+    setTrajectoryRecording(enabled, { interval = this.trajectoryRecorder.interval, recordLabels = this.trajectoryRecorder.recordLabels } = {}) {
+        this.trajectoryRecorder.setEnabled(enabled);
+        this.trajectoryRecorder.setInterval(interval);
+        this.trajectoryRecorder.setRecordLabels(recordLabels);
+        console.log(`🎞️ Trajectory recording ${enabled ? `enabled (every ${interval} frames${recordLabels ? ', with labels' : ''})` : 'disabled'}`);
+    }
+    
+    /**
+     * Record the current seeds (and labels if enabled) as a trajectory frame
+     */
+    async recordTrajectoryFrame() {
+        // GPU physics moves the seeds on the GPU: read them back first
+        if (this.physicsEnabled && this.isWebGPURenderer() && this.physicsCompute) {
+            await this.syncSeedsFromGPU();
+        }
+        const { positions, weights } = seedArraysFromSeedData(this.seedData);
+        const acuteCounts = this.seedData.map(seed => seed.acuteCount || 0);
+        const labels = this.trajectoryRecorder.recordLabels ? await this.getLabels() : null;
+        
+        this.trajectoryRecorder.record(this.frameCount, {
+            positions,
+            weights,
+            acuteCounts,
+            cellIds: this.seedData.map(seed => seed.id),
+            labels,
+            volumeResolution: this.domain.resolutionSetting
+        });
+    }
+    
+    /**
+     * Enter playback: the simulation pauses and the view follows recorded frames
+     */
+    async startPlayback() {
+        if (this.playbackActive || this.trajectoryRecorder.getFrameCount() === 0) return;
+        
+        this.liveState = {
+            seedData: this.seedData,
+            numPoints: this.numPoints,
+            frameCount: this.frameCount
+        };
+        this.playbackActive = true;
+        console.log(`🎞️ Playback of ${this.trajectoryRecorder.getFrameCount()} recorded frames`);
+        
+        await this.trajectoryPlayer.seek(this.trajectoryPlayer.index);
+    }
+    
+    /**
+     * Leave playback and restore the live simulation state
+     */
+    async stopPlayback() {
+        if (!this.playbackActive) return;
+        
+        this.trajectoryPlayer.pause();
+        this.playbackActive = false;
+        
+        const { seedData, numPoints, frameCount } = this.liveState;
+        this.liveState = null;
+        this.seedData = seedData;
+        this.frameCount = frameCount;
+        await this.showSeeds(numPoints);
+        
+        console.log('🎞️ Playback stopped, back to the live simulation');
+    }
+    
+    /**
+     * Leave playback without restoring the live seeds (they are about to be replaced)
+     */
+    discardPlayback() {
+        this.trajectoryPlayer.pause();
+        this.playbackActive = false;
+        this.liveState = null;
+    }
+    
+    /**
+     * Play recorded frames from the current position
+     */
+    async playTrajectory() {
+        await this.startPlayback();
+        this.trajectoryPlayer.play();
+    }
+    
+    /**
+     * Pause playback on the current frame
+     */
+    pauseTrajectory() {
+        this.trajectoryPlayer.pause();
+    }
+    
+    /**
+     * Step forward/back by recorded frames
+     */
+    async stepTrajectory(count = 1) {
+        await this.startPlayback();
+        await this.trajectoryPlayer.step(count);
+    }
+    
+    /**
+     * Jump to a recorded frame by index
+     */
+    async seekTrajectory(index) {
+        await this.startPlayback();
+        await this.trajectoryPlayer.seek(index);
+    }
+    
+    /**
+     * Show a decoded trajectory frame with the normal point and cell visualisation
+     */
+    async showTrajectoryFrame(frame) {
+        this.seedData = [];
+        for (let i = 0; i < frame.numPoints; i++) {
+            this.seedData.push({
+                position: new THREE.Vector3(frame.positions[i * 3], frame.positions[i * 3 + 1], frame.positions[i * 3 + 2]),
+                weight: frame.weights[i],
+                acuteCount: frame.acuteCounts[i],
+                id: frame.cellIds ? frame.cellIds[i] : i
+            });
+        }
+        this.frameCount = frame.frame;
+        
+        await this.showSeeds(frame.numPoints, frame.labels);
+    }
+    
+    /**
+     * Redraw points, cells and legend for seedData. The cells come from a label
+     * volume when one is given for the current domain (recorded labels), otherwise
+     * from re-running the JFA.
+     * @param {number} numPoints
+     * @param {Int32Array} [labels] - Seed ID per voxel, x-fastest (-1 = no seed)
+     */
+    async showSeeds(numPoints, labels = null) {
+        if (numPoints !== this.numPoints) {
+            this.numPoints = numPoints;
+            this.createSeedTexture();
+        }
+        
+        const recorded = labels && labels.length === this.domain.voxelCount;
+        if (this.isWebGPURenderer()) {
+            if (recorded) {
+                this.gpuCompute.setLabels(labels);
+            } else {
+                await this.gpuCompute.compute(this.seedData, this.numPoints);
+            }
+        } else {
+            this.updateSeedTexture();
+            if (recorded) {
+                this.gpuCompute.setLabels(labels, this.seedTexture, this.seedTextureSize, this.numPoints);
+            } else {
+                this.gpuCompute.compute(this.seedTexture, this.seedTextureSize, this.numPoints);
+            }
+        }
+        
+        if (this.colorLegend) {
+            this.colorLegend.updateLegend(this.seedData);
+        }
+        this.updatePointsVisualization();
+        this.updateCellVisualization();
+    }
+    
+    /**
+     * Capture the full run state: seeds, weights, momentum, settings, frame and PRNG
+     * @returns {Promise<Object>} Snapshot (see SimulationSnapshot.js)
+     */
+    async getSnapshot() {
+        // WebGPU physics keeps positions, velocities and the weights the JFA reads on the GPU
+        const state = this.physicsCompute ? await this.syncSeedsFromGPU() : null;
+        const seeds = seedArraysFromSeedData(this.seedData);
+        
+        if (state) {
+            seeds.weights = state.weights;
+            seeds.velocities = state.velocities;
+            seeds.weightVelocities = state.weightVelocities;
+        } else {
+            Object.assign(seeds, this.physicsEngine.getState(this.numPoints));
+        }
+        
+        const { cellIds, nextCellId } = this.topologicalEvents.getState(this.numPoints);
+        seeds.cellIds = cellIds;
+        
+        return createSnapshot({
+            source: 'hybrid',
+            frame: this.frameCount,
+            volumeResolution: this.domain.resolutionSetting,
+            settings: this.settings,
+            random: this.random.getState(),
+            nextCellId,
+            seeds
+        });
+    }
+    
+    /**
+     * Encode the current state as 'json' text or a 'binary' ArrayBuffer
+     */
+    async saveSnapshot(format = 'json') {
+        const snapshot = await this.getSnapshot();
+        console.log(`💾 Saved ${format} snapshot at frame ${snapshot.frame}`);
+        return format === 'binary' ? snapshotToBinary(snapshot) : snapshotToJSON(snapshot);
+    }
+    
+    /**
+     * Restore a snapshot (object, JSON text or binary) so the run continues where it was saved
+     */
+    loadSnapshot(data) {
+        const snapshot = parseSnapshot(data);
+        const { physicsSettings, ...settings } = snapshot.settings;
+        
+        this.discardPlayback();
+        Object.assign(this.settings, settings);
+        Object.assign(this.settings.physicsSettings, physicsSettings);
+        
+        // Setters push the restored settings into every component (before weights: metric resets them)
+        this.setPeriodicBoundaries(this.settings.periodicBoundaries);
+        this.setJFAVariant(this.settings.jfaVariant);
+        this.setDistanceMetric(this.settings.distanceMetric);
+        this.setExactGeometry(this.settings.exactGeometry);
+        this.setAngleMetric(this.settings.angleMetric);
+        this.setJunctionCriterion(this.settings.junctionCriterion);
+        this.setMergeJunctions(this.settings.mergeJunctions);
+        this.setClock(this.settings.clock);
+        this.clock.reset();
+        this.setTopologicalEvents(this.settings.topologicalEvents);
+        
+        const { positions, weights, cellIds } = snapshot.seeds;
+        this.numPoints = snapshot.numPoints;
+        this.seedData = [];
+        for (let i = 0; i < this.numPoints; i++) {
+            this.seedData.push({
+                position: new THREE.Vector3(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]),
+                weight: weights[i],
+                acuteCount: 0,
+                id: cellIds[i]
+            });
+        }
+        
+        this.physicsEngine.setState(snapshot.seeds);
+        if (this.physicsCompute) {
+            this.physicsCompute.setState(snapshot.seeds);
+        }
+        this.setForceAdjacency(null);
+        this.random.setState(snapshot.random);
+        this.frameCount = snapshot.frame;
+        
+        // Cell ids carry on from the saved run (the lineage itself is not saved)
+        this.topologicalEvents.setState({ cellIds, nextCellId: snapshot.nextCellId });
+        this.seedsChanged = true;
+        
+        // Same rebuild as regenerate, without generating seeds
+        this.setDomain({
+            resolution: snapshot.volumeResolution,
+            bounds: snapshot.settings.domainBounds ?? null,
+            voxelSpacing: null
+        });
+        this.setDomainMask(snapshot.settings.domainMask ?? null);
+        this.createSeedTexture();
+        this.updatePointsVisualization();
+        
+        console.log(`📂 Restored ${snapshot.source} snapshot: ${snapshot.numPoints} seeds, frame ${snapshot.frame}`);
+        return snapshot;
     }
     
     /**
@@ -898,6 +1807,12 @@ export class HybridVoronoiSystem {
             this.seedTexture.dispose();
         }
         
+        if (this.jfaValidator) {
+            this.jfaValidator.dispose();
+        }
+        
+        this.setForceAdjacency(null);
+        
         if (this.volumeRenderer) {
             this.volumeRenderer.dispose();
         }
@@ -0,0 +1,155 @@
+/**
+ * Integrator - Seed motion shared by PhysicsEngine, PhysicsCompute and PureGPUSystem
+ *
+ * Every physics path turns its per-seed drive (centroid flux, inter-cell forces)
+ * into an acceleration a and advances each seed's position x and velocity v by
+ * deltaTime (seconds):
+ *
+ *   euler    semi-implicit Euler: v ← (v + a·dt)·r, then x ← x + v·dt
+ *   verlet   velocity Verlet (kick-drift-kick): v ← (v + ½a·dt)·r completes the
+ *            previous step, then v ← v + ½a·dt and x ← x + v·dt. The stored
+ *            velocity is the half-step one, so a resumed run continues exactly.
+ *
+ * r = (momentum · (1 − damping))^(dt / REFERENCE_STEP) is the share of velocity
+ * kept over dt. Momentum and damping are given per 60 Hz reference frame, so the
+ * motion does not depend on the frame rate. Speeds are capped at maxSpeed (world
+ * units per second). Lloyd relaxation jumps to the centroid instead and stops the seed.
+ *
+ * The CPU engine uses integrateMotion(); the shaders include INTEGRATOR_WGSL and
+ * receive the integrator as INTEGRATOR_CODES[integrator] and r from velocityRetention().
+ */
+export const INTEGRATORS = {
+    euler: 'Semi-implicit Euler',
+    verlet: 'Velocity Verlet'
+};
+
+/**
+ * Integer codes passed to the WGSL shaders
+ */
+export const INTEGRATOR_CODES = {
+    euler: 0,
+    verlet: 1
+};
+
+/**
+ * Frame length momentum, damping and per-frame drives refer to (seconds)
+ */
+export const REFERENCE_STEP = 1 / 60;
+
+/**
+ * Motion settings of PhysicsEngine and PhysicsCompute when physicsSettings leaves them out
+ */
+export const MOTION_DEFAULTS = {
+    integrator: 'euler',
+    momentum: 0.7,
+    damping: 0.0,
+    maxSpeed: 6.0
+};
+
+/**
+ * Resolve an unknown integrator name to semi-implicit Euler
+ */
+export function resolveIntegrator(integrator) {
+    return INTEGRATORS[integrator] ? integrator : 'euler';
+}
+
+/**
+ * Share of velocity kept over deltaTime
+ * @param {number} momentum - Velocity carried over per reference frame (0-1)
+ * @param {number} damping - Velocity lost per reference frame (0-1)
+ * @param {number} deltaTime - Step length in seconds
+ */
+export function velocityRetention(momentum, damping, deltaTime) {
+    return Math.pow(Math.max(momentum * (1 - damping), 0), deltaTime / REFERENCE_STEP);
+}
+
+/**
+ * Integrator settings for one step, from physics settings (missing keys use MOTION_DEFAULTS)
+ * @returns {{ integrator: string, retention: number, maxSpeed: number }}
+ */
+export function motionParameters(settings, deltaTime) {
+    const motion = { ...MOTION_DEFAULTS };
+    for (const key of Object.keys(MOTION_DEFAULTS)) {
+        if (settings[key] !== undefined) motion[key] = settings[key];
+    }
+
+    return {
+        integrator: resolveIntegrator(motion.integrator),
+        retention: velocityRetention(motion.momentum, motion.damping, deltaTime),
+        maxSpeed: motion.maxSpeed
+    };
+}
+
+/**
+ * Advance one seed ({x, y, z} position and velocity, both modified in place)
+ * @param {Object} position - Seed position
+ * @param {Object} velocity - Seed velocity (half-step velocity with Verlet)
+ * @param {Object} acceleration - Drive this step
+ * @param {number} deltaTime - Step length in seconds
+ * @param {Object} motion - See motionParameters()
+ */
+export function integrateMotion(position, velocity, acceleration, deltaTime, { integrator, retention, maxSpeed }) {
+    // Verlet kicks half the acceleration on each side of the drift
+    const kick = integrator === 'verlet' ? 0.5 * deltaTime : deltaTime;
+
+    velocity.x = (velocity.x + acceleration.x * kick) * retention;
+    velocity.y = (velocity.y + acceleration.y * kick) * retention;
+    velocity.z = (velocity.z + acceleration.z * kick) * retention;
+    capSpeed(velocity, maxSpeed);
+
+    if (integrator === 'verlet') {
+        velocity.x += acceleration.x * kick;
+        velocity.y += acceleration.y * kick;
+        velocity.z += acceleration.z * kick;
+        capSpeed(velocity, maxSpeed);
+    }
+
+    position.x += velocity.x * deltaTime;
+    position.y += velocity.y * deltaTime;
+    position.z += velocity.z * deltaTime;
+}
+
+function capSpeed(velocity, maxSpeed) {
+    const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z);
+    if (speed > maxSpeed) {
+        const scale = maxSpeed / speed;
+        velocity.x *= scale;
+        velocity.y *= scale;
+        velocity.z *= scale;
+    }
+}
+
+/**
+ * WGSL version of integrateMotion(), pasted into the physics shaders
+ */
+export const INTEGRATOR_WGSL = `
+            // Seed motion (see Integrator.js): integrator 0 = semi-implicit Euler, 1 = velocity Verlet
+            struct Motion {
+                position: vec3<f32>,
+                velocity: vec3<f32>
+            }
+
+            fn capSpeed(velocity: vec3<f32>, maxSpeed: f32) -> vec3<f32> {
+                let speed = length(velocity);
+                if (speed > maxSpeed) {
+                    return velocity * (maxSpeed / speed);
+                }
+                return velocity;
+            }
+
+            fn integrateMotion(position: vec3<f32>, velocity: vec3<f32>, acceleration: vec3<f32>,
+                               deltaTime: f32, integrator: u32, retention: f32, maxSpeed: f32) -> Motion {
+                // Verlet kicks half the acceleration on each side of the drift
+                var kick = deltaTime;
+                if (integrator == 1u) {
+                    kick = 0.5 * deltaTime;
+                }
+
+                var next = capSpeed((velocity + acceleration * kick) * retention, maxSpeed);
+                if (integrator == 1u) {
+                    next = capSpeed(next + acceleration * kick, maxSpeed);
+                }
+
+                return Motion(position + next * deltaTime, next);
+            }
+`;
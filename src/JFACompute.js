@@ -1,4 +1,8 @@
 import * as THREE from 'three';
+import { JFA_VARIANTS, getJFAStepSizes } from './CPUJFACompute.js';
+import { DISTANCE_METRICS, DISTANCE_METRIC_CODES, resolveDistanceMetric } from './DistanceMetric.js';
+import { SimulationDomain } from './SimulationDomain.js';
+import { DomainMask } from './DomainMask.js';
 
 /**
  * JFACompute - WebGPU Compute Pipeline for Jump Flooding Algorithm
@@ -18,13 +22,29 @@ export class JFACompute {
         this.bindGroups = [];
         
         // JFA parameters
-        this.volumeSize = 64;
+        this.domain = new SimulationDomain();
+        this.periodic = false;
+        this.jfaVariant = 'standard';
+        this.distanceMetric = 'additive';
         
         // Storage resources
         this.seedBuffer = null;
+        this.cpuSeedBuffer = null; // Owned buffer for CPU seed data (seedBuffer may be a caller's, see computeWithBuffer)
         this.outputTexture = null;
         this.uniformBuffer = null;
         
+        // Optional per-seed weights (array<f32>) overriding SeedData.weight, e.g. from PhysicsCompute
+        this.weightBuffer = null;
+        this.defaultWeightBuffer = null;
+        
+        // Whether seedBuffer holds world-space positions (PhysicsCompute) instead of normalized [0, 1]
+        this.worldPositions = false;
+        
+        // Domain mask as packed inside bits per voxel; voxels outside are cleared after the passes
+        this.mask = null;
+        this.maskBuffer = null;
+        this.defaultMaskBuffer = null;
+        
         // Performance tracking
         this.lastComputeTime = 0;
         
@@ -68,14 +88,16 @@ export class JFACompute {
      * Update volume parameters based on current settings
      */
     updateVolumeParameters() {
-        console.log(`📐 JFA volume parameters: ${this.volumeSize}³ volume`);
+        console.log(`📐 JFA volume parameters: ${this.domain.describe()} volume`);
     }
     
     /**
-     * Set the volume resolution
+     * Set the domain (voxel grid and world-space box)
+     * @param {SimulationDomain|number|Array<number>|Object} domain - Domain, voxels per axis or domain options
      */
-    setResolution(resolution) {
-        this.volumeSize = resolution;
+    setDomain(domain) {
+        this.domain = SimulationDomain.from(domain);
+        this.mask = this.mask?.forDomain(this.domain) ?? null;
         this.updateVolumeParameters();
         
         // Recreate resources with new size
@@ -83,7 +105,71 @@ export class JFACompute {
         this.createStorageResources();
         this.createComputePipeline();
         
-        console.log(`🔧 JFA resolution set to ${resolution}³`);
+        console.log(`🔧 JFA domain set to ${this.domain.describe()}`);
+    }
+    
+    /**
+     * Set the volume resolution (voxels per axis or [nx, ny, nz]), keeping the domain bounds
+     */
+    setResolution(resolution) {
+        this.setDomain(new SimulationDomain({ resolution, bounds: this.domain.bounds }));
+    }
+    
+    /**
+     * Enable/disable periodic (wrap-around) boundaries
+     */
+    setPeriodicBoundaries(enabled) {
+        this.periodic = enabled;
+        console.log(`🔄 JFA periodic boundaries ${enabled ? 'enabled' : 'disabled'}`);
+    }
+    
+    /**
+     * Restrict labelling to a domain mask (DomainMask, spec or null); voxels outside get no seed
+     */
+    setMask(mask) {
+        this.mask = DomainMask.from(mask, this.domain);
+        
+        // Uploaded on the next run
+        this.maskBuffer?.destroy();
+        this.maskBuffer = null;
+    }
+    
+    /**
+     * Select the JFA variant (standard, jfa+1, jfa+2, 1+jfa)
+     */
+    setJFAVariant(variant) {
+        this.jfaVariant = JFA_VARIANTS[variant] ? variant : 'standard';
+        console.log(`🔧 JFA variant set to ${JFA_VARIANTS[this.jfaVariant]}`);
+    }
+    
+    /**
+     * Select the seed distance metric (unweighted, additive, multiplicative, power)
+     */
+    setDistanceMetric(metric) {
+        this.distanceMetric = resolveDistanceMetric(metric);
+        console.log(`📏 JFA distance metric set to ${DISTANCE_METRICS[this.distanceMetric]}`);
+    }
+    
+    /**
+     * Uniform values: volumeSize (vec3), stepSize (updated per pass), numPoints, periodic,
+     * distanceMetric, externalWeights, domainSize (vec3, f32), masked, domainMin (vec3, f32), worldPositions
+     */
+    getUniformArray(numPoints) {
+        const data = new Uint32Array([
+            ...this.domain.resolution,
+            1,
+            numPoints,
+            this.periodic ? 1 : 0,
+            DISTANCE_METRIC_CODES[this.distanceMetric],
+            this.weightBuffer ? 1 : 0,
+            0, 0, 0,
+            this.mask ? 1 : 0,
+            0, 0, 0,
+            this.worldPositions ? 1 : 0
+        ]);
+        new Float32Array(data.buffer).set(this.domain.size, 8);
+        new Float32Array(data.buffer).set(this.domain.min, 12);
+        return data;
     }
     
     /**
@@ -95,10 +181,16 @@ export class JFACompute {
         this.computeShaderCode = /* wgsl */ `
             // Uniforms
             struct Uniforms {
-                volumeSize: u32,
+                volumeSize: vec3<u32>,
                 stepSize: u32,
                 numPoints: u32,
-                padding: u32
+                periodic: u32,
+                distanceMetric: u32,
+                externalWeights: u32,
+                domainSize: vec3<f32>, // world-space extent per axis
+                masked: u32,
+                domainMin: vec3<f32>,  // world-space box corner
+                worldPositions: u32    // seed positions are world-space (normalized here)
             };
             
             // Seed data structure
@@ -113,12 +205,71 @@ export class JFACompute {
             @group(0) @binding(1) var<storage, read> seedData: array<SeedData>;
             @group(0) @binding(2) var outputTexture: texture_storage_3d<r32uint, write>;
             @group(0) @binding(3) var inputTexture: texture_storage_3d<r32uint, read>;
+            @group(0) @binding(4) var<storage, read> seedWeights: array<f32>;
+            @group(0) @binding(5) var<storage, read> maskBits: array<u32>;
             
-            // Distance calculation with weights
+            // Seed weight: the external weight buffer (physics) when bound, else SeedData.weight
+            fn seedWeight(seedId: u32) -> f32 {
+                if (uniforms.externalWeights != 0u) {
+                    return seedWeights[seedId];
+                }
+                return seedData[seedId].weight;
+            }
+            
+            // Seed position in normalized [0, 1] space per axis
+            fn seedPosition(seedId: u32) -> vec3<f32> {
+                let position = seedData[seedId].position;
+                if (uniforms.worldPositions != 0u) {
+                    return (position - uniforms.domainMin) / uniforms.domainSize;
+                }
+                return position;
+            }
+            
+            // Voxel position in normalized [0, 1] space per axis
+            // (voxel centres when periodic so the lattice tiles with period 1)
+            fn voxelPosition(coords: vec3<u32>) -> vec3<f32> {
+                if (uniforms.periodic != 0u) {
+                    return (vec3<f32>(coords) + vec3<f32>(0.5)) / vec3<f32>(uniforms.volumeSize);
+                }
+                return vec3<f32>(coords) / vec3<f32>(max(uniforms.volumeSize - vec3<u32>(1u), vec3<u32>(1u)));
+            }
+            
+            // Voxel inside the volume on every axis
+            fn inVolume(coords: vec3<i32>) -> bool {
+                return all(coords >= vec3<i32>(0)) && all(coords < vec3<i32>(uniforms.volumeSize));
+            }
+            
+            // Offset between two normalized positions (minimum image when periodic)
+            fn minimumImage(pos1: vec3<f32>, pos2: vec3<f32>) -> vec3<f32> {
+                var diff = pos1 - pos2;
+                if (uniforms.periodic != 0u) {
+                    diff = diff - round(diff);
+                }
+                return diff;
+            }
+            
+            // Weighted distance in world units so weights match the CPU path (see DistanceMetric.js)
             fn calculateDistance(pos1: vec3<f32>, pos2: vec3<f32>, weight: f32) -> f32 {
-                let diff = pos1 - pos2;
-                let distance = sqrt(dot(diff, diff));
-                return distance / weight; // Weighted distance
+                let worldDiff = minimumImage(pos1, pos2) * uniforms.domainSize; // [0,1] → world scale per axis
+                let distanceSquared = dot(worldDiff, worldDiff);
+                
+                switch uniforms.distanceMetric {
+                    case 1u: { // additive
+                        return sqrt(distanceSquared) - weight;
+                    }
+                    case 2u: { // multiplicative (non-positive weights fall back to unweighted)
+                        if (weight > 0.0) {
+                            return sqrt(distanceSquared) / weight;
+                        }
+                        return sqrt(distanceSquared);
+                    }
+                    case 3u: { // power / Laguerre
+                        return distanceSquared - weight;
+                    }
+                    default: { // unweighted
+                        return sqrt(distanceSquared);
+                    }
+                }
             }
             
             // JFA step function
@@ -127,14 +278,12 @@ export class JFACompute {
                 let coords3D = global_id.xyz;
                 
                 // Check bounds
-                if (coords3D.x >= uniforms.volumeSize || 
-                    coords3D.y >= uniforms.volumeSize || 
-                    coords3D.z >= uniforms.volumeSize) {
+                if (any(coords3D >= uniforms.volumeSize)) {
                     return;
                 }
                 
                 // Current position in world space
-                let currentPos = vec3<f32>(coords3D) / f32(uniforms.volumeSize - 1u);
+                let currentPos = voxelPosition(coords3D);
                 
                 // Initialize with invalid seed ID
                 var bestDistance = 999999.0;
@@ -151,20 +300,24 @@ export class JFACompute {
                             
                             // Calculate sample position with step size
                             let offset = vec3<i32>(dx, dy, dz) * i32(uniforms.stepSize);
-                            let sampleCoords3D = vec3<i32>(coords3D) + offset;
+                            var sampleCoords3D = vec3<i32>(coords3D) + offset;
+                            
+                            // Periodic volumes wrap samples around the seam
+                            if (uniforms.periodic != 0u) {
+                                let size = vec3<i32>(uniforms.volumeSize);
+                                sampleCoords3D = ((sampleCoords3D % size) + size) % size;
+                            }
                             
                             // Check bounds
-                            if (sampleCoords3D.x >= 0 && sampleCoords3D.x < i32(uniforms.volumeSize) &&
-                                sampleCoords3D.y >= 0 && sampleCoords3D.y < i32(uniforms.volumeSize) &&
-                                sampleCoords3D.z >= 0 && sampleCoords3D.z < i32(uniforms.volumeSize)) {
+                            if (inVolume(sampleCoords3D)) {
                                 
                                 // Sample the texture directly in 3D
                                 let sample = textureLoad(inputTexture, vec3<u32>(sampleCoords3D), 0);
                                 let seedId = sample.r; // Get the seed ID from the red channel
                                 
                                 if (seedId < uniforms.numPoints) { // Valid seed ID
-                                    let seedPos = seedData[seedId].position;
-                                    let weight = seedData[seedId].weight;
+                                    let seedPos = seedPosition(seedId);
+                                    let weight = seedWeight(seedId);
                                     
                                     let distance = calculateDistance(currentPos, seedPos, weight);
                                     
@@ -188,37 +341,39 @@ export class JFACompute {
                 let coords3D = global_id.xyz;
                 
                 // Check bounds
-                if (coords3D.x >= uniforms.volumeSize || 
-                    coords3D.y >= uniforms.volumeSize || 
-                    coords3D.z >= uniforms.volumeSize) {
+                if (any(coords3D >= uniforms.volumeSize)) {
                     return;
                 }
                 
                 // Current position in world space
-                let currentPos = vec3<f32>(coords3D) / f32(uniforms.volumeSize - 1u);
+                let currentPos = voxelPosition(coords3D);
                 
                 // Initialize with invalid seed ID (max uint)
                 var seedId = 4294967295u; // Max uint32 = no seed
                 
                 // 1) Explicitly plant each seed at its nearest voxel
                 for (var i = 0u; i < uniforms.numPoints; i++) {
-                    let seedPos = seedData[i].position;         // in [0,1]
+                    let seedPos = seedPosition(i);              // in [0,1]
                     // Map seedPos→voxel coords in [0, volumeSize−1]
-                    let vc = vec3<i32>(seedPos * f32(uniforms.volumeSize - 1u) + vec3<f32>(0.5));
+                    var vc = vec3<i32>(seedPos * vec3<f32>(uniforms.volumeSize - vec3<u32>(1u)) + vec3<f32>(0.5));
+                    if (uniforms.periodic != 0u) {
+                        let size = vec3<i32>(uniforms.volumeSize);
+                        vc = ((vec3<i32>(floor(seedPos * vec3<f32>(uniforms.volumeSize))) % size) + size) % size;
+                    }
 
-                    if (coords3D == vc) {
+                    if (all(vec3<i32>(coords3D) == vc)) {
                         seedId = i;
                         break;
                     }
                 }
                 // 2) Fallback: if still no seed, use your old distance test
+                //    (plain geometric distance: weighted metrics are not lengths)
                 if (seedId == 4294967295u) {
-                    let voxelSize = 1.0 / f32(uniforms.volumeSize);
                     for (var i = 0u; i < uniforms.numPoints; i++) {
-                        let seedPos = seedData[i].position;
-                        let seedWeight = seedData[i].weight;
-                        let distance = calculateDistance(currentPos, seedPos, seedWeight);
-                        if (distance < voxelSize) {
+                        let seedPos = seedPosition(i);
+                        // Distance in voxels, so anisotropic grids use the same one-voxel radius
+                        let distance = length(minimumImage(currentPos, seedPos) * vec3<f32>(uniforms.volumeSize));
+                        if (distance < 1.0) {
                             seedId = i;
                             break;
                         }
@@ -227,6 +382,22 @@ export class JFACompute {
                 
                 textureStore(outputTexture, coords3D, vec4<u32>(seedId, 0u, 0u, 0u));
             }
+            
+            // Clear voxels outside the domain mask (run once after the last pass)
+            @compute @workgroup_size(4, 4, 4)
+            fn maskLabels(@builtin(global_invocation_id) global_id: vec3<u32>) {
+                let coords3D = global_id.xyz;
+                
+                // Check bounds
+                if (any(coords3D >= uniforms.volumeSize)) {
+                    return;
+                }
+                
+                let index = coords3D.x + uniforms.volumeSize.x * (coords3D.y + uniforms.volumeSize.y * coords3D.z);
+                if ((maskBits[index / 32u] & (1u << (index % 32u))) == 0u) {
+                    textureStore(outputTexture, coords3D, vec4<u32>(4294967295u, 0u, 0u, 0u)); // no seed
+                }
+            }
         `;
         
         console.log('📝 JFA WGSL compute shader created');
@@ -238,16 +409,28 @@ export class JFACompute {
     createStorageResources() {
         // Create uniform buffer
         this.uniformBuffer = this.device.createBuffer({
-            size: 16, // 4 u32 values: volumeSize, stepSize, numPoints, padding
+            size: 64, // volumeSize (vec3), stepSize, numPoints, periodic, distanceMetric, externalWeights, domainSize (vec3), masked, domainMin (vec3), worldPositions
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
         });
         
+        // Placeholder for binding 4 when no external weights are supplied
+        this.defaultWeightBuffer = this.device.createBuffer({
+            size: 16,
+            usage: GPUBufferUsage.STORAGE,
+        });
+        
+        // Placeholder for binding 5 when there is no domain mask
+        this.defaultMaskBuffer = this.device.createBuffer({
+            size: 16,
+            usage: GPUBufferUsage.STORAGE,
+        });
+        
         // Create output texture (storage texture) - Using r32uint for pure integer cell IDs
         // Creating a 3D texture instead of 2D atlas for direct use in analysis shader
         this.outputTexture = this.device.createTexture({
-            size: [this.volumeSize, this.volumeSize, this.volumeSize],
+            size: [...this.domain.resolution],
             format: 'r32uint',  // Changed to store single integer cell ID
-            usage: GPUTextureUsage.STORAGE_BINDING | GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_SRC,
+            usage: GPUTextureUsage.STORAGE_BINDING | GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_SRC | GPUTextureUsage.COPY_DST,
         });
         
         console.log('📦 JFA storage resources created');
@@ -312,6 +495,16 @@ export class JFACompute {
                             viewDimension: '3d'
                         },
                     },
+                    {
+                        binding: 4,
+                        visibility: GPUShaderStage.COMPUTE,
+                        buffer: { type: 'read-only-storage' },
+                    },
+                    {
+                        binding: 5,
+                        visibility: GPUShaderStage.COMPUTE,
+                        buffer: { type: 'read-only-storage' },
+                    },
                 ],
             });
             
@@ -337,6 +530,14 @@ export class JFACompute {
                 },
             });
             
+            this.maskPipeline = this.device.createComputePipeline({
+                layout: pipelineLayout,
+                compute: {
+                    module: shaderModule,
+                    entryPoint: 'maskLabels',
+                },
+            });
+            
             // Store the bind group layout for later use
             this.bindGroupLayout = bindGroupLayout;
             
@@ -370,24 +571,22 @@ export class JFACompute {
      * Run the JFA compute pass with an existing GPU buffer
      * @param {GPUBuffer} seedBuffer - Pre-existing GPU buffer with seed data
      * @param {number} numPoints - Number of seeds
+     * @param {GPUBuffer} [weightBuffer] - Optional per-seed weights (array<f32>) from PhysicsCompute
+     * @param {Object} [options]
+     * @param {boolean} [options.worldPositions] - Positions are in the domain box (PhysicsCompute's seed buffer), not [0, 1]
      */
-    async computeWithBuffer(seedBuffer, numPoints) {
+    async computeWithBuffer(seedBuffer, numPoints, weightBuffer = null, { worldPositions = false } = {}) {
         console.log(`🖥️ Running JFA compute pass with GPU buffer (${numPoints} seeds) for TSL...`);
         
         const startTime = performance.now();
         
-        // Use the provided buffer directly
+        // Use the provided buffers directly
         this.seedBuffer = seedBuffer;
+        this.weightBuffer = weightBuffer;
+        this.worldPositions = worldPositions;
         
         // Update uniform buffer with current parameters
-        const uniformArray = new Uint32Array([
-            this.volumeSize,
-            this.atlasSize,
-            this.slicesPerRow,
-            1, // stepSize (will be updated per pass)
-            numPoints,
-            0, 0, 0 // padding
-        ]);
+        const uniformArray = this.getUniformArray(numPoints);
         
         this.device.queue.writeBuffer(this.uniformBuffer, 0, uniformArray);
         
@@ -402,34 +601,40 @@ export class JFACompute {
      * Update seed buffer with new data
      */
     async updateSeedBuffer(seedData, numPoints) {
+        // CPU seed data carries its own weights and normalized positions
+        this.weightBuffer = null;
+        this.worldPositions = false;
+        
         // Create or update seed buffer
         const seedBufferSize = Math.max(numPoints, 1) * 32; // 8 floats per seed
         
-        if (!this.seedBuffer || this.seedBuffer.size !== seedBufferSize) {
-            this.seedBuffer?.destroy();
-            this.seedBuffer = this.device.createBuffer({
+        if (!this.cpuSeedBuffer || this.cpuSeedBuffer.size !== seedBufferSize) {
+            this.cpuSeedBuffer?.destroy();
+            this.cpuSeedBuffer = this.device.createBuffer({
                 size: seedBufferSize,
                 usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
             });
         }
+        this.seedBuffer = this.cpuSeedBuffer;
         
         // Prepare seed data for GPU
-        // --> Normalize world‑space [-1,1] into [0,1] so every seed covers voxels
+        // --> Normalize world‑space domain coordinates into [0,1] so every seed covers voxels
         const seedArray = new Float32Array(numPoints * 8);
         for (let i = 0; i < numPoints; i++) {
             const seed = seedData[i];
             const offset = i * 8;
             
-            // Normalize from [-1,1] → [0,1]
-            const nx = ((seed.x ?? 0) + 1) * 0.5;
-            const ny = ((seed.y ?? 0) + 1) * 0.5;
-            const nz = ((seed.z ?? 0) + 1) * 0.5;
+            // Normalize from the domain box → [0,1] (seedData objects carry a position vector)
+            const position = seed.position ?? seed;
+            const nx = this.domain.normalize(0, position.x ?? 0);
+            const ny = this.domain.normalize(1, position.y ?? 0);
+            const nz = this.domain.normalize(2, position.z ?? 0);
             // DEBUG: warn if outside [0,1]
             if (nx < 0 || nx > 1 || ny < 0 || ny > 1 || nz < 0 || nz > 1) {
                 console.warn(
                   `🛑 Seed ${i} normalized out of bounds →`,
                   `nx=${nx.toFixed(3)}, ny=${ny.toFixed(3)}, nz=${nz.toFixed(3)}`,
-                  `original=(x:${seed.x},y:${seed.y},z:${seed.z})`
+                  `original=(x:${position.x},y:${position.y},z:${position.z})`
                 );
             }
             
@@ -453,12 +658,7 @@ export class JFACompute {
         this.device.queue.writeBuffer(this.seedBuffer, 0, seedArray);
         
         // Update uniform buffer
-        const uniformArray = new Uint32Array([
-            this.volumeSize,
-            1, // stepSize (will be updated per pass)
-            numPoints,
-            0  // padding
-        ]);
+        const uniformArray = this.getUniformArray(numPoints);
         
         this.device.queue.writeBuffer(this.uniformBuffer, 0, uniformArray);
     }
@@ -467,8 +667,6 @@ export class JFACompute {
      * Run JFA passes with decreasing step sizes
      */
     async runJFAPasses() {
-        const commandEncoder = this.device.createCommandEncoder();
-        
         // Create bind group
         const bindGroup = this.device.createBindGroup({
             layout: this.bindGroupLayout,
@@ -489,35 +687,74 @@ export class JFACompute {
                     binding: 3,
                     resource: this.outputTexture.createView(),
                 },
+                {
+                    binding: 4,
+                    resource: { buffer: this.weightBuffer ?? this.defaultWeightBuffer },
+                },
+                {
+                    binding: 5,
+                    resource: { buffer: this.getMaskBuffer() },
+                },
             ],
         });
         
+        const [workgroupsX, workgroupsY, workgroupsZ] = this.domain.resolution.map(n => Math.ceil(n / 4)); // 4x4x4 workgroup size
+        
         // Initialize seeds
-        const initPass = commandEncoder.beginComputePass();
+        const initEncoder = this.device.createCommandEncoder();
+        const initPass = initEncoder.beginComputePass();
         initPass.setPipeline(this.initPipeline);
         initPass.setBindGroup(0, bindGroup);
-        
-        const workgroupsPerDim = Math.ceil(this.volumeSize / 4); // 4x4x4 workgroup size
-        initPass.dispatchWorkgroups(workgroupsPerDim, workgroupsPerDim, workgroupsPerDim);
+        initPass.dispatchWorkgroups(workgroupsX, workgroupsY, workgroupsZ);
         initPass.end();
+        this.device.queue.submit([initEncoder.finish()]);
         
-        // JFA passes with decreasing step sizes
-        const maxStepSize = Math.floor(this.volumeSize / 2);
-        for (let stepSize = maxStepSize; stepSize >= 1; stepSize = Math.floor(stepSize / 2)) {
-            // Update step size in uniform buffer (at offset 4 bytes = 1 u32)
+        // JFA passes with decreasing step sizes (plus the variant's extra passes).
+        // Each pass is submitted on its own so its step size write lands before it runs.
+        for (const stepSize of getJFAStepSizes(this.domain.maxResolution, this.jfaVariant)) {
+            // Update step size in uniform buffer (at offset 12 bytes, after the vec3 volumeSize)
             const stepSizeArray = new Uint32Array([stepSize]);
-            this.device.queue.writeBuffer(this.uniformBuffer, 4, stepSizeArray);
+            this.device.queue.writeBuffer(this.uniformBuffer, 12, stepSizeArray);
             
             // Run JFA pass
+            const commandEncoder = this.device.createCommandEncoder();
             const jfaPass = commandEncoder.beginComputePass();
             jfaPass.setPipeline(this.jfaPipeline);
             jfaPass.setBindGroup(0, bindGroup);
-            jfaPass.dispatchWorkgroups(workgroupsPerDim, workgroupsPerDim, workgroupsPerDim);
+            jfaPass.dispatchWorkgroups(workgroupsX, workgroupsY, workgroupsZ);
             jfaPass.end();
+            this.device.queue.submit([commandEncoder.finish()]);
         }
         
-        // Submit commands
-        this.device.queue.submit([commandEncoder.finish()]);
+        // Cut the cells to the domain mask
+        if (this.mask) {
+            const maskEncoder = this.device.createCommandEncoder();
+            const maskPass = maskEncoder.beginComputePass();
+            maskPass.setPipeline(this.maskPipeline);
+            maskPass.setBindGroup(0, bindGroup);
+            maskPass.dispatchWorkgroups(workgroupsX, workgroupsY, workgroupsZ);
+            maskPass.end();
+            this.device.queue.submit([maskEncoder.finish()]);
+        }
+    }
+    
+    /**
+     * Packed mask bits for binding 5 (the placeholder when unmasked)
+     */
+    getMaskBuffer() {
+        if (!this.mask) {
+            return this.defaultMaskBuffer;
+        }
+        
+        if (!this.maskBuffer) {
+            const bits = this.mask.packBits();
+            this.maskBuffer = this.device.createBuffer({
+                size: Math.max(bits.byteLength, 16),
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+            });
+            this.device.queue.writeBuffer(this.maskBuffer, 0, bits);
+        }
+        return this.maskBuffer;
     }
     
     /**
@@ -566,18 +803,19 @@ export class JFACompute {
     }
     
     /**
-     * Get 3D texture data for debugging voxel counts
+     * Read the label volume back as seed IDs (x-fastest order, 0xFFFFFFFF = no seed)
      */
-    async getVoxelCounts(numSeeds) {
+    async getLabels() {
         if (!this.outputTexture) {
             throw new Error('Output texture not available');
         }
         
-        // Create a buffer to read the 3D texture data
-        const volumeSize = this.volumeSize;
-        const textureSize = volumeSize * volumeSize * volumeSize * 4 * 4; // RGBA32Uint
+        // Rows of the copy must be padded to 256 bytes
+        const [width, height, depth] = this.domain.resolution;
+        const rowBytes = width * 4; // r32uint
+        const bytesPerRow = Math.ceil(rowBytes / 256) * 256;
         const readBuffer = this.device.createBuffer({
-            size: textureSize,
+            size: bytesPerRow * height * depth,
             usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
         });
         
@@ -587,31 +825,59 @@ export class JFACompute {
             { texture: this.outputTexture },
             { 
                 buffer: readBuffer, 
-                bytesPerRow: volumeSize * 4 * 4,
-                rowsPerImage: volumeSize
+                bytesPerRow,
+                rowsPerImage: height
             },
-            { width: volumeSize, height: volumeSize, depthOrArrayLayers: volumeSize }
+            { width, height, depthOrArrayLayers: depth }
         );
         
         this.device.queue.submit([commandEncoder.finish()]);
         
-        // Map and read the buffer
+        // Map and strip the row padding
         await readBuffer.mapAsync(GPUMapMode.READ);
-        const arrayBuffer = readBuffer.getMappedRange();
-        const data = new Uint32Array(arrayBuffer);
+        const data = new Uint32Array(readBuffer.getMappedRange());
+        const rowStride = bytesPerRow / 4;
+        const labels = new Uint32Array(width * height * depth);
+        
+        for (let row = 0; row < height * depth; row++) {
+            labels.set(data.subarray(row * rowStride, row * rowStride + width), row * width);
+        }
+        
+        readBuffer.unmap();
+        readBuffer.destroy();
+        
+        return labels;
+    }
+    
+    /**
+     * Write a label volume into the output texture instead of running the JFA (e.g. recorded labels)
+     * @param {Int32Array} labels - Seed ID per voxel, x-fastest (-1 = no seed)
+     */
+    setLabels(labels) {
+        const [width, height, depth] = this.domain.resolution;
+        this.device.queue.writeTexture(
+            { texture: this.outputTexture },
+            Uint32Array.from(labels, label => label < 0 ? 0xFFFFFFFF : label),
+            { bytesPerRow: width * 4, rowsPerImage: height },
+            { width, height, depthOrArrayLayers: depth }
+        );
+    }
+    
+    /**
+     * Get 3D texture data for debugging voxel counts
+     */
+    async getVoxelCounts(numSeeds) {
+        const labels = await this.getLabels();
         
         // Count voxels per seed
         const counts = new Uint32Array(numSeeds);
-        for (let i = 0; i < data.length; i += 4) { // Skip to every 4th element (R channel)
-            const seedId = data[i];
+        for (let i = 0; i < labels.length; i++) {
+            const seedId = labels[i];
             if (seedId < numSeeds && seedId !== 4294967295) { // Exclude invalid seed ID
                 counts[seedId]++;
             }
         }
         
-        readBuffer.unmap();
-        readBuffer.destroy();
-        
         console.log('📦 JFA voxel counts per seed:', Array.from(counts));
         
         // Log any zeros
@@ -628,7 +894,7 @@ export class JFACompute {
     getPerformanceStats() {
         return {
             jfaTime: this.lastComputeTime,
-            volumeSize: this.volumeSize,
+            volumeSize: this.domain.resolutionSetting,
             atlasSize: this.atlasSize
         };
     }
@@ -637,13 +903,21 @@ export class JFACompute {
      * Clean up resources
      */
     cleanup() {
-        this.seedBuffer?.destroy();
+        this.cpuSeedBuffer?.destroy();
         this.uniformBuffer?.destroy();
         this.outputTexture?.destroy();
+        this.defaultWeightBuffer?.destroy();
+        this.maskBuffer?.destroy();
+        this.defaultMaskBuffer?.destroy();
         
         this.seedBuffer = null;
+        this.cpuSeedBuffer = null;
         this.uniformBuffer = null;
         this.outputTexture = null;
+        this.defaultWeightBuffer = null;
+        this.maskBuffer = null;
+        this.defaultMaskBuffer = null;
+        this.weightBuffer = null;
         
         console.log('🧹 JFA compute resources cleaned up');
     }
@@ -0,0 +1,239 @@
+import { CPUJFACompute } from './CPUJFACompute.js';
+import { SimulationDomain } from './SimulationDomain.js';
+
+/**
+ * JFAValidator - Measures JFA labelling error against brute-force nearest-seed assignment
+ *
+ * The ground truth comes from CPUJFACompute.computeBruteForce, so it uses the
+ * CPU reference conventions: voxel centres in the domain's world box, the
+ * selected distance metric and minimum-image distances when periodic. A voxel
+ * only counts as mislabelled when its JFA seed is measurably farther than the
+ * true nearest seed; exact ties are ambiguous and accepted.
+ *
+ * Labels: Int32Array of seed IDs in x-fastest order, -1 = no seed
+ * (see labelsFromRGBA / labelsFromUint32 for the CPU, WebGL and WebGPU outputs)
+ * With a domain mask (setMask) voxels outside it carry no seed in the ground truth either.
+ */
+export class JFAValidator {
+    constructor() {
+        // Brute-force reference labeller
+        this.reference = new CPUJFACompute();
+
+        this.periodic = false;
+
+        // Distance difference below which two seeds count as tied
+        this.tolerance = 1e-6;
+
+        this.lastReport = null;
+        this.lastValidationTime = 0;
+
+        console.log('🧪 JFAValidator constructor completed');
+    }
+
+    /**
+     * Enable/disable periodic (wrap-around) boundaries for the ground truth
+     */
+    setPeriodicBoundaries(enabled) {
+        this.periodic = enabled;
+        this.reference.setPeriodicBoundaries(enabled);
+    }
+
+    /**
+     * Restrict the ground truth to a domain mask (must match the JFA being checked)
+     */
+    setMask(mask) {
+        this.reference.setMask(mask);
+    }
+
+    /**
+     * Select the distance metric the ground truth uses (must match the JFA being checked)
+     */
+    setDistanceMetric(metric) {
+        this.reference.setDistanceMetric(metric);
+    }
+
+    /**
+     * Compare a JFA label volume against brute-force labels for the same seeds and weights
+     * @param {Int32Array} labels - JFA seed ID per voxel (-1 = no seed)
+     * @param {Array} seedData - Seed objects ({ position: Vector3, weight })
+     * @param {SimulationDomain|number} domain - Domain of the labels (or voxels per axis of the default cube)
+     * @param {number} [numPoints] - Number of seeds to use from seedData
+     * @returns {Object} Report with mislabelled fraction, per-cell error and lost seeds
+     *   (voxels outside the mask that carry a JFA seed are counted in outsideMaskVoxels, not as mislabelled)
+     */
+    validate(labels, seedData, domain, numPoints = seedData.length) {
+        const startTime = performance.now();
+        domain = SimulationDomain.from(domain);
+        const totalVoxels = domain.voxelCount;
+        const [nx, ny] = domain.resolution;
+
+        if (labels.length < totalVoxels) {
+            throw new Error(`Label volume has ${labels.length} voxels, expected ${totalVoxels}`);
+        }
+
+        if (!this.reference.domain.equals(domain) || !this.reference.labels) {
+            this.reference.setDomain(domain);
+        }
+
+        this.reference.computeBruteForce(seedData, numPoints);
+        const truth = this.reference.getLabels();
+        const [centersX, centersY, centersZ] = this.reference.voxelCenters;
+
+        const jfaVoxels = new Uint32Array(numPoints);
+        const trueVoxels = new Uint32Array(numPoints);
+        const missing = new Uint32Array(numPoints);  // voxels of this cell given to another seed
+        const extra = new Uint32Array(numPoints);    // voxels of other cells given to this seed
+
+        let mislabelledVoxels = 0;
+        let unassignedVoxels = 0;
+        let outsideMaskVoxels = 0;  // voxels outside the mask that the JFA gave a seed
+        let maxDistanceError = 0;
+
+        for (let i = 0; i < totalVoxels; i++) {
+            const trueId = truth[i];
+            const jfaId = labels[i] < numPoints ? labels[i] : -1;
+
+            if (trueId >= 0) trueVoxels[trueId]++;
+            if (jfaId >= 0) jfaVoxels[jfaId]++;
+
+            if (jfaId === trueId) continue;
+
+            if (trueId < 0) {
+                outsideMaskVoxels++;
+                continue;
+            }
+
+            if (jfaId < 0) {
+                unassignedVoxels++;
+                mislabelledVoxels++;
+                missing[trueId]++;
+                continue;
+            }
+
+            // Accept ties: only a strictly farther seed is an error
+            const x = centersX[i % nx];
+            const y = centersY[Math.floor(i / nx) % ny];
+            const z = centersZ[Math.floor(i / (nx * ny))];
+            const distanceError = this.reference.distance(jfaId, x, y, z) - this.reference.distance(trueId, x, y, z);
+            if (distanceError <= this.tolerance) continue;
+
+            mislabelledVoxels++;
+            missing[trueId]++;
+            extra[jfaId]++;
+            maxDistanceError = Math.max(maxDistanceError, distanceError);
+        }
+
+        // Per-cell error relative to the true cell size
+        const cells = [];
+        const lostSeeds = [];
+        const subVoxelSeeds = [];
+        let errorSum = 0;
+        let maxCellError = 0;
+
+        for (let id = 0; id < numPoints; id++) {
+            const error = (missing[id] + extra[id]) / Math.max(trueVoxels[id], 1);
+            cells.push({
+                id,
+                jfaVoxels: jfaVoxels[id],
+                trueVoxels: trueVoxels[id],
+                missing: missing[id],
+                extra: extra[id],
+                error
+            });
+
+            if (trueVoxels[id] === 0) {
+                // Cell smaller than a voxel: not resolvable at this resolution
+                subVoxelSeeds.push(id);
+                continue;
+            }
+
+            if (jfaVoxels[id] === 0) {
+                lostSeeds.push(id);
+            }
+
+            errorSum += error;
+            maxCellError = Math.max(maxCellError, error);
+        }
+
+        const resolvedCells = numPoints - subVoxelSeeds.length;
+
+        this.lastValidationTime = Math.round(performance.now() - startTime);
+        this.lastReport = {
+            volumeSize: domain.resolutionSetting,
+            domain: domain.describe(),
+            numSeeds: numPoints,
+            totalVoxels,
+            mislabelledVoxels,
+            mislabelledFraction: mislabelledVoxels / totalVoxels,
+            unassignedVoxels,
+            outsideMaskVoxels,
+            maxDistanceError,
+            meanCellError: resolvedCells > 0 ? errorSum / resolvedCells : 0,
+            maxCellError,
+            lostSeeds,
+            subVoxelSeeds,
+            cells,
+            validationTime: this.lastValidationTime
+        };
+
+        this.logReport(this.lastReport);
+
+        return this.lastReport;
+    }
+
+    /**
+     * Log a one-line summary plus any lost seeds
+     */
+    logReport(report) {
+        console.log(
+            `🧪 JFA validation (${report.domain}, ${report.numSeeds} seeds): ` +
+            `${report.mislabelledVoxels} mislabelled voxels (${(report.mislabelledFraction * 100).toFixed(3)}%), ` +
+            `mean cell error ${(report.meanCellError * 100).toFixed(2)}%, max ${(report.maxCellError * 100).toFixed(2)}% ` +
+            `in ${report.validationTime}ms`
+        );
+
+        if (report.outsideMaskVoxels > 0) {
+            console.warn(`⚠️ ${report.outsideMaskVoxels} voxels outside the mask carry a JFA seed`);
+        }
+
+        if (report.lostSeeds.length > 0) {
+            console.warn(`⚠️ Lost seeds (no JFA voxels but a non-empty true cell): ${report.lostSeeds.join(', ')}`);
+        }
+    }
+
+    /**
+     * Convert RGBA output (CPUJFACompute, linearized WebGL) to labels: a = (id + 1) / numPoints
+     */
+    static labelsFromRGBA(data, numPoints, totalVoxels = data.length / 4) {
+        const labels = new Int32Array(totalVoxels);
+        for (let i = 0; i < totalVoxels; i++) {
+            const normalized = data[i * 4 + 3];
+            labels[i] = normalized < 0.5 / numPoints ? -1 : Math.round(normalized * numPoints) - 1;
+        }
+        return labels;
+    }
+
+    /**
+     * Convert WebGPU r32uint IDs to labels (0xFFFFFFFF = no seed)
+     */
+    static labelsFromUint32(data) {
+        const labels = new Int32Array(data.length);
+        for (let i = 0; i < data.length; i++) {
+            labels[i] = data[i] === 0xFFFFFFFF ? -1 : data[i];
+        }
+        return labels;
+    }
+
+    /**
+     * Dispose of all resources
+     */
+    dispose() {
+        this.reference.dispose();
+        this.lastReport = null;
+    }
+}
+
+// Make available globally for debugging
+if (typeof window !== 'undefined') {
+    window.JFAValidator = JFAValidator;
+}
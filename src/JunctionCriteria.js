@@ -0,0 +1,44 @@
+/**
+ * JunctionCriteria - What counts as a junction in the voxel label volume
+ *
+ * Junctions are found in 2×2×2 voxel blocks holding several distinct labels:
+ *
+ *   quadruple   4+ labels: a Voronoi vertex (quadruple point)
+ *   triple      3+ labels: a triple line (edge), or a vertex
+ *
+ * Around one true vertex or edge several neighbouring blocks pass the test, so
+ * per-block counts grow with resolution. With merging, blocks holding the same
+ * cell set (at most four cells: the seeds closest to the block) are combined into
+ * one junction at the mean block centre, which gives resolution-independent counts.
+ * The CPU analyzer and the WebGPU passes use the same rule. The GPU passes keep
+ * JUNCTION_SLOTS_PER_CELL merged junctions per lowest cell ID, and drop any overflow.
+ */
+export const JUNCTION_CRITERIA = {
+    quadruple: 'Quadruple points (4+ cells)',
+    triple: 'Triple lines (3+ cells)'
+};
+
+/**
+ * Minimum distinct labels in a 2×2×2 block for each criterion
+ */
+export const JUNCTION_MIN_CELLS = {
+    quadruple: 4,
+    triple: 3
+};
+
+/**
+ * Merged-junction table entries per cell on the GPU (8 u32 each)
+ */
+export const JUNCTION_SLOTS_PER_CELL = 64;
+
+/**
+ * Fixed-point scale of the block-centre offsets summed with atomics on the GPU
+ */
+export const JUNCTION_OFFSET_SCALE = 65536;
+
+/**
+ * Resolve an unknown criterion name to the quadruple-point default
+ */
+export function resolveJunctionCriterion(criterion) {
+    return JUNCTION_CRITERIA[criterion] ? criterion : 'quadruple';
+}
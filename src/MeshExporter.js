@@ -0,0 +1,333 @@
+import { CellMesher } from './CellMesher.js';
+
+/**
+ * Mesh export formats: extension and MIME type of each writer
+ */
+export const MESH_FORMATS = {
+    obj: { extension: 'obj', mimeType: 'text/plain' },
+    ply: { extension: 'ply', mimeType: 'application/octet-stream' },
+    stl: { extension: 'stl', mimeType: 'model/stl' },
+    gltf: { extension: 'gltf', mimeType: 'model/gltf+json' },
+    glb: { extension: 'glb', mimeType: 'model/gltf-binary' }
+};
+
+/**
+ * MeshExporter - Writes CellMesher output to standard mesh formats
+ *
+ * Per-cell attributes travel with each format:
+ *   OBJ   one object per cell (o cell_<id>), acute count in a comment line
+ *   PLY   binary little-endian; per-face cell_id, neighbor_id and acute_count
+ *   STL   binary; cell ID in each triangle's 16-bit attribute field
+ *   glTF  one node and mesh per cell, { cellId, acuteCount } in node extras
+ *         (.gltf with an embedded buffer, or .glb)
+ * Empty cells (possible with power weights) are skipped.
+ */
+export class MeshExporter {
+    /**
+     * Encode a mesh in one of MESH_FORMATS
+     * @param {Object} mesh - CellMesher output
+     * @param {string} format - obj, ply, stl, gltf or glb
+     * @returns {{ data: string|ArrayBuffer, extension: string, mimeType: string }}
+     */
+    export(mesh, format) {
+        const info = MESH_FORMATS[format];
+        if (!info) {
+            throw new Error(`Unknown mesh format "${format}" (expected ${Object.keys(MESH_FORMATS).join(', ')})`);
+        }
+
+        const startTime = performance.now();
+        let data;
+        switch (format) {
+            case 'obj': data = this.toOBJ(mesh); break;
+            case 'ply': data = this.toPLY(mesh); break;
+            case 'stl': data = this.toSTL(mesh); break;
+            case 'gltf': data = this.toGLTF(mesh); break;
+            case 'glb': data = this.toGLB(mesh); break;
+        }
+
+        const size = typeof data === 'string' ? data.length : data.byteLength;
+        console.log(`📦 Exported ${format.toUpperCase()} (${size} bytes) in ${Math.round(performance.now() - startTime)}ms`);
+
+        return { data, ...info };
+    }
+
+    /**
+     * Wavefront OBJ text, one object per cell
+     */
+    toOBJ(mesh) {
+        const { vertices, triangles } = CellMesher.countElements(mesh);
+        const lines = [
+            '# Fabric of Space Voronoi cells',
+            `# source ${mesh.source}, shared faces ${mesh.sharedFaces}, ${vertices} vertices, ${triangles} triangles`
+        ];
+        let vertexOffset = 1;
+
+        for (const cell of this._nonEmptyCells(mesh)) {
+            lines.push(`o cell_${cell.id}`);
+            lines.push(`# cell_id ${cell.id} acute_count ${cell.acuteCount}`);
+
+            const p = cell.positions;
+            for (let i = 0; i < p.length; i += 3) {
+                lines.push(`v ${p[i]} ${p[i + 1]} ${p[i + 2]}`);
+            }
+
+            const t = cell.indices;
+            for (let i = 0; i < t.length; i += 3) {
+                lines.push(`f ${t[i] + vertexOffset} ${t[i + 1] + vertexOffset} ${t[i + 2] + vertexOffset}`);
+            }
+
+            vertexOffset += p.length / 3;
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Binary little-endian PLY with per-face cell attributes
+     */
+    toPLY(mesh) {
+        const { vertices, triangles } = CellMesher.countElements(mesh);
+        const header = [
+            'ply',
+            'format binary_little_endian 1.0',
+            `comment Fabric of Space Voronoi cells (source ${mesh.source}, shared faces ${mesh.sharedFaces})`,
+            `element vertex ${vertices}`,
+            'property float x',
+            'property float y',
+            'property float z',
+            `element face ${triangles}`,
+            'property list uchar int vertex_indices',
+            'property int cell_id',
+            'property int neighbor_id',
+            'property int acute_count',
+            'end_header',
+            ''
+        ].join('\n');
+
+        const headerBytes = new TextEncoder().encode(header);
+        const faceSize = 1 + 3 * 4 + 3 * 4;
+        const buffer = new ArrayBuffer(headerBytes.length + vertices * 12 + triangles * faceSize);
+        new Uint8Array(buffer).set(headerBytes);
+        const view = new DataView(buffer);
+        let offset = headerBytes.length;
+
+        for (const cell of mesh.cells) {
+            const p = cell.positions;
+            for (let i = 0; i < p.length; i++) {
+                view.setFloat32(offset, p[i], true);
+                offset += 4;
+            }
+        }
+
+        let vertexOffset = 0;
+        for (const cell of mesh.cells) {
+            const t = cell.indices;
+            for (let i = 0; i < t.length; i += 3) {
+                view.setUint8(offset, 3);
+                view.setInt32(offset + 1, t[i] + vertexOffset, true);
+                view.setInt32(offset + 5, t[i + 1] + vertexOffset, true);
+                view.setInt32(offset + 9, t[i + 2] + vertexOffset, true);
+                view.setInt32(offset + 13, cell.id, true);
+                view.setInt32(offset + 17, cell.neighbors[i / 3], true);
+                view.setInt32(offset + 21, cell.acuteCount, true);
+                offset += faceSize;
+            }
+            vertexOffset += cell.positions.length / 3;
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Binary STL; the 16-bit attribute of each triangle holds its cell ID
+     */
+    toSTL(mesh) {
+        const { triangles } = CellMesher.countElements(mesh);
+        const buffer = new ArrayBuffer(84 + triangles * 50);
+        const view = new DataView(buffer);
+
+        const title = new TextEncoder().encode(`Fabric of Space Voronoi cells (${mesh.source}), attribute = cell id`);
+        new Uint8Array(buffer).set(title.subarray(0, 80));
+        view.setUint32(80, triangles, true);
+
+        let offset = 84;
+        for (const cell of mesh.cells) {
+            const p = cell.positions;
+            const t = cell.indices;
+
+            for (let i = 0; i < t.length; i += 3) {
+                const a = t[i] * 3;
+                const b = t[i + 1] * 3;
+                const c = t[i + 2] * 3;
+
+                // Facet normal from the winding
+                const e1x = p[b] - p[a], e1y = p[b + 1] - p[a + 1], e1z = p[b + 2] - p[a + 2];
+                const e2x = p[c] - p[a], e2y = p[c + 1] - p[a + 1], e2z = p[c + 2] - p[a + 2];
+                let nx = e1y * e2z - e1z * e2y;
+                let ny = e1z * e2x - e1x * e2z;
+                let nz = e1x * e2y - e1y * e2x;
+                const length = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+                nx /= length;
+                ny /= length;
+                nz /= length;
+
+                const values = [nx, ny, nz,
+                    p[a], p[a + 1], p[a + 2],
+                    p[b], p[b + 1], p[b + 2],
+                    p[c], p[c + 1], p[c + 2]];
+                for (let k = 0; k < 12; k++) {
+                    view.setFloat32(offset + k * 4, values[k], true);
+                }
+                view.setUint16(offset + 48, cell.id & 0xFFFF, true);
+                offset += 50;
+            }
+        }
+
+        return buffer;
+    }
+
+    /**
+     * glTF 2.0 JSON with the geometry in an embedded base64 buffer
+     */
+    toGLTF(mesh) {
+        const { json, binary } = this._buildGLTF(mesh);
+        json.buffers = [{
+            byteLength: binary.byteLength,
+            uri: `data:application/octet-stream;base64,${this._toBase64(binary)}`
+        }];
+        return JSON.stringify(json);
+    }
+
+    /**
+     * Binary glTF (.glb): JSON chunk + BIN chunk
+     */
+    toGLB(mesh) {
+        const { json, binary } = this._buildGLTF(mesh);
+        json.buffers = [{ byteLength: binary.byteLength }];
+
+        // Chunks are 4-byte aligned: JSON padded with spaces, BIN with zeros
+        const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+        const jsonLength = (jsonBytes.length + 3) & ~3;
+        const binLength = (binary.byteLength + 3) & ~3;
+        const totalLength = 12 + 8 + jsonLength + 8 + binLength;
+
+        const buffer = new ArrayBuffer(totalLength);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        view.setUint32(0, 0x46546C67, true); // 'glTF'
+        view.setUint32(4, 2, true);
+        view.setUint32(8, totalLength, true);
+
+        view.setUint32(12, jsonLength, true);
+        view.setUint32(16, 0x4E4F534A, true); // 'JSON'
+        bytes.fill(0x20, 20, 20 + jsonLength);
+        bytes.set(jsonBytes, 20);
+
+        const binOffset = 20 + jsonLength;
+        view.setUint32(binOffset, binLength, true);
+        view.setUint32(binOffset + 4, 0x004E4942, true); // 'BIN'
+        bytes.set(new Uint8Array(binary), binOffset + 8);
+
+        return buffer;
+    }
+
+    /**
+     * glTF document (without buffers) and its binary payload: positions then indices per cell
+     */
+    _buildGLTF(mesh) {
+        const cells = this._nonEmptyCells(mesh);
+
+        let byteLength = 0;
+        for (const cell of cells) {
+            byteLength += cell.positions.byteLength + cell.indices.byteLength;
+        }
+
+        const binary = new ArrayBuffer(byteLength);
+        const json = {
+            asset: { version: '2.0', generator: 'Fabric of Space MeshExporter' },
+            scene: 0,
+            scenes: [{ name: 'voronoi_cells', nodes: [], extras: { source: mesh.source, sharedFaces: mesh.sharedFaces } }],
+            nodes: [],
+            meshes: [],
+            accessors: [],
+            bufferViews: []
+        };
+
+        let offset = 0;
+        for (const cell of cells) {
+            new Float32Array(binary, offset, cell.positions.length).set(cell.positions);
+            json.bufferViews.push({ buffer: 0, byteOffset: offset, byteLength: cell.positions.byteLength, target: 34962 });
+            offset += cell.positions.byteLength;
+
+            new Uint32Array(binary, offset, cell.indices.length).set(cell.indices);
+            json.bufferViews.push({ buffer: 0, byteOffset: offset, byteLength: cell.indices.byteLength, target: 34963 });
+            offset += cell.indices.byteLength;
+
+            // POSITION accessors must carry bounds
+            const min = [Infinity, Infinity, Infinity];
+            const max = [-Infinity, -Infinity, -Infinity];
+            for (let i = 0; i < cell.positions.length; i++) {
+                min[i % 3] = Math.min(min[i % 3], cell.positions[i]);
+                max[i % 3] = Math.max(max[i % 3], cell.positions[i]);
+            }
+
+            const positionAccessor = json.accessors.length;
+            json.accessors.push({
+                bufferView: json.bufferViews.length - 2,
+                componentType: 5126, // FLOAT
+                count: cell.positions.length / 3,
+                type: 'VEC3',
+                min,
+                max
+            });
+            json.accessors.push({
+                bufferView: json.bufferViews.length - 1,
+                componentType: 5125, // UNSIGNED_INT
+                count: cell.indices.length,
+                type: 'SCALAR'
+            });
+
+            json.meshes.push({
+                name: `cell_${cell.id}`,
+                primitives: [{ attributes: { POSITION: positionAccessor }, indices: positionAccessor + 1 }]
+            });
+            json.scenes[0].nodes.push(json.nodes.length);
+            json.nodes.push({
+                name: `cell_${cell.id}`,
+                mesh: json.meshes.length - 1,
+                extras: { cellId: cell.id, acuteCount: cell.acuteCount }
+            });
+        }
+
+        return { json, binary };
+    }
+
+    /**
+     * Cells with at least one triangle
+     */
+    _nonEmptyCells(mesh) {
+        return mesh.cells.filter(cell => cell.indices.length > 0);
+    }
+
+    /**
+     * Base64 of an ArrayBuffer (browser and Node)
+     */
+    _toBase64(buffer) {
+        if (typeof Buffer !== 'undefined') {
+            return Buffer.from(buffer).toString('base64');
+        }
+
+        const bytes = new Uint8Array(buffer);
+        let text = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            text += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(text);
+    }
+}
+
+// Make available globally for debugging
+if (typeof window !== 'undefined') {
+    window.MeshExporter = MeshExporter;
+}
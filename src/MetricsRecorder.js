@@ -0,0 +1,223 @@
+import { SimulationDomain } from './SimulationDomain.js';
+
+/**
+ * Scalar metrics of one record, in CSV column order (the acute-count histogram follows)
+ */
+export const METRIC_FIELDS = [
+    'frame',
+    'time',
+    'numPoints',
+    'growingCells',
+    'shrinkingCells',
+    'activePoints',
+    'totalDisplacement',
+    'maxDisplacement',
+    'meanCentroidDistance',
+    'cvtEnergy',
+    'meanAcuteCount',
+    'meanCellVolume',
+    'junctionCount',
+    'jfaTime',
+    'analysisTime',
+    'physicsTime',
+    'totalTime'
+];
+
+/**
+ * MetricsRecorder - Per-step time series of simulation metrics
+ *
+ * performanceStats and PhysicsEngine.getStats() only hold the latest frame;
+ * the recorder samples them every `interval` frames into a fixed-size ring
+ * buffer (oldest records are dropped once full) and exports the series as
+ * CSV or JSON Lines for offline convergence and dynamics analysis.
+ *
+ * Each record holds the METRIC_FIELDS scalars plus `acuteHistogram`, the
+ * number of cells per acute count (last bin collects everything above).
+ * Metrics a pipeline does not measure (e.g. displacement on GPU physics) are null.
+ */
+export class MetricsRecorder {
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? false;
+
+        // Record every Nth frame
+        this.interval = options.interval ?? 1;
+
+        // Acute-count histogram bins: 0 .. bins-2, then bins-1 and above
+        this.histogramBins = options.histogramBins ?? 32;
+
+        this.capacity = options.capacity ?? 10000;
+        this.records = new Array(this.capacity);
+        this.head = 0; // Next write slot
+        this.count = 0;
+        this.startTime = performance.now();
+
+        console.log('📈 MetricsRecorder constructor completed');
+    }
+
+    /**
+     * Start or stop recording
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    /**
+     * Record every Nth frame
+     */
+    setInterval(interval) {
+        this.interval = Math.max(1, Math.floor(interval));
+    }
+
+    /**
+     * Resize the ring buffer, keeping the newest records that fit
+     */
+    setCapacity(capacity) {
+        const records = this.getRecords().slice(-capacity);
+        this.capacity = capacity;
+        this.records = new Array(capacity);
+        this.head = 0;
+        this.count = 0;
+        for (const record of records) {
+            this._push(record);
+        }
+    }
+
+    /**
+     * True if this frame is due for recording
+     */
+    shouldRecord(frame) {
+        return this.enabled && frame % this.interval === 0;
+    }
+
+    /**
+     * Sample the current simulation state (no-op unless the frame is due)
+     * @param {number} frame - Frame number
+     * @param {Object} state
+     * @param {Array} state.seedData - Seeds (acuteCount, voxelCount/volume)
+     * @param {SimulationDomain|number} state.domain - Domain of the labels (for voxel-count volumes)
+     * @param {Object} state.performanceStats - System timings and cell counts
+     * @param {Object} [state.physicsStats] - PhysicsEngine.getStats(), or PhysicsCompute.getStatistics() when read back
+     * @param {number} [state.junctionCount] - Junctions found by the analyzer
+     * @returns {Object|null} The record, or null if skipped
+     */
+    capture(frame, { seedData, domain, performanceStats, physicsStats = null, junctionCount = null }) {
+        if (!this.shouldRecord(frame)) return null;
+
+        const histogram = new Array(this.histogramBins).fill(0);
+        const voxelVolume = SimulationDomain.from(domain).voxelVolume;
+        let acuteSum = 0;
+        let volumeSum = 0;
+        let volumeCount = 0;
+
+        for (const seed of seedData) {
+            const acuteCount = seed.acuteCount || 0;
+            acuteSum += acuteCount;
+            histogram[Math.min(acuteCount, this.histogramBins - 1)]++;
+
+            // Exact volumes when the analyzer has them, voxel estimates otherwise
+            const volume = seed.volume ?? (seed.voxelCount !== undefined ? seed.voxelCount * voxelVolume : undefined);
+            if (volume !== undefined) {
+                volumeSum += volume;
+                volumeCount++;
+            }
+        }
+
+        const record = {
+            frame,
+            time: Math.round(performance.now() - this.startTime),
+            numPoints: seedData.length,
+            growingCells: performanceStats.growingCells ?? null,
+            shrinkingCells: performanceStats.shrinkingCells ?? null,
+            activePoints: physicsStats?.activePoints ?? null,
+            totalDisplacement: physicsStats?.totalDisplacement ?? null,
+            maxDisplacement: physicsStats?.maxDisplacement ?? null,
+            meanCentroidDistance: performanceStats.meanCentroidDistance ?? null,
+            cvtEnergy: physicsStats?.energy ?? null,
+            meanAcuteCount: seedData.length > 0 ? acuteSum / seedData.length : 0,
+            meanCellVolume: volumeCount > 0 ? volumeSum / volumeCount : null,
+            junctionCount,
+            jfaTime: performanceStats.jfaTime ?? null,
+            analysisTime: performanceStats.analysisTime ?? null,
+            physicsTime: performanceStats.physicsTime ?? null,
+            totalTime: performanceStats.totalTime ?? null,
+            acuteHistogram: histogram
+        };
+
+        this._push(record);
+        return record;
+    }
+
+    /**
+     * Records in chronological order
+     */
+    getRecords() {
+        const records = [];
+        const start = (this.head - this.count + this.capacity) % this.capacity;
+        for (let i = 0; i < this.count; i++) {
+            records.push(this.records[(start + i) % this.capacity]);
+        }
+        return records;
+    }
+
+    /**
+     * Drop all records and restart the clock
+     */
+    clear() {
+        this.records = new Array(this.capacity);
+        this.head = 0;
+        this.count = 0;
+        this.startTime = performance.now();
+    }
+
+    /**
+     * CSV with a header row; the histogram becomes acute_0 .. acute_<bins-1>plus columns
+     */
+    toCSV() {
+        const histogramColumns = [];
+        for (let i = 0; i < this.histogramBins; i++) {
+            histogramColumns.push(i === this.histogramBins - 1 ? `acute_${i}plus` : `acute_${i}`);
+        }
+
+        const lines = [[...METRIC_FIELDS, ...histogramColumns].join(',')];
+        for (const record of this.getRecords()) {
+            const values = METRIC_FIELDS.map(field => record[field] ?? '');
+            lines.push([...values, ...record.acuteHistogram].join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * One JSON object per line
+     */
+    toJSONLines() {
+        return this.getRecords().map(record => JSON.stringify(record)).join('\n') + (this.count > 0 ? '\n' : '');
+    }
+
+    /**
+     * Encode the series as 'csv' or 'jsonl'
+     */
+    export(format = 'csv') {
+        switch (format) {
+            case 'csv':
+                return this.toCSV();
+            case 'jsonl':
+                return this.toJSONLines();
+            default:
+                throw new Error(`Unknown metrics format "${format}" (expected csv or jsonl)`);
+        }
+    }
+
+    /**
+     * Write a record into the ring buffer, overwriting the oldest when full
+     */
+    _push(record) {
+        this.records[this.head] = record;
+        this.head = (this.head + 1) % this.capacity;
+        this.count = Math.min(this.count + 1, this.capacity);
+    }
+}
+
+// Make available globally for debugging
+if (typeof window !== 'undefined') {
+    window.MetricsRecorder = MetricsRecorder;
+}
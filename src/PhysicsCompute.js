@@ -1,4 +1,9 @@
 import * as THREE from 'three';
+import { WEIGHT_LIMITS, resolveDistanceMetric } from './DistanceMetric.js';
+import { SimulationDomain, DOMAIN_WALL_MARGIN } from './SimulationDomain.js';
+import { DomainMask } from './DomainMask.js';
+import { FORCE_MODEL_CODES, meanCellVolume, resolveForceModel } from './CellForces.js';
+import { INTEGRATOR_CODES, INTEGRATOR_WGSL, REFERENCE_STEP, motionParameters } from './Integrator.js';
 
 /**
  * PhysicsCompute - WebGPU Compute Pipeline for Physics Calculations
@@ -7,20 +12,41 @@ import * as THREE from 'three';
  * The compute shader performs all physics operations in parallel on the GPU:
  * 1. Reads centroid and acute count data from analysis results
  * 2. Calculates growth/shrink flux based on threshold and mode
- * 3. Applies centroid-based movement with momentum and damping
- * 4. Updates seed positions with boundary clamping
+ * 3. Turns the flux into an acceleration along the centroid direction and advances
+ *    per-seed velocities with the shared integrator (see Integrator.js)
+ * 4. Updates seed positions with boundary clamping (or wrapping when periodic),
+ *    rejecting moves that would leave the domain mask
+ * 5. Optionally drives per-seed weights with the same flux (growthTarget 'weight' / 'both')
+ * 6. mode 'lloyd' instead moves each seed toward its centroid and stops it (CVT relaxation)
+ * 7. Optionally adds spring forces between neighbouring seeds (forceModel, see
+ *    CellForces) along the adjacency from setAdjacency. A first pass sums them
+ *    so every seed sees the positions from before the step.
  * 
  * Input: Analysis results (centroids, acute counts) + physics settings
- * Output: Updated seed positions
+ * Output: Updated seed positions and the weight buffer consumed by JFACompute
  */
 export class PhysicsCompute {
     constructor(renderer) {
         this.renderer = renderer;
         this.device = null;
         this.computePipeline = null;
+        this.forcePipeline = null;
         
         // Physics parameters
         this.maxSeeds = 100;
+        this.periodic = false;
+        this.distanceMetric = 'additive';
+        this.domain = new SimulationDomain();
+        
+        // Domain mask as packed inside bits per voxel (see DomainMask.packBits)
+        this.mask = null;
+        this.maskBuffer = null;
+        
+        // Neighbours for the inter-cell forces (CellAdjacency, uploaded on use)
+        this.adjacency = null;
+        
+        // Bound in place of the optional mask and adjacency buffers when unused
+        this.placeholderBuffer = null;
         
         // Storage buffers
         this.seedBuffer = null;
@@ -30,8 +56,15 @@ export class PhysicsCompute {
         // Bind group layout
         this.bindGroupLayout = null;
         
-        // Previous deltas for momentum (stored on GPU)
-        this.previousDeltasBuffer = null;
+        // Seed velocities for the integrator (vec4 per seed, stored on GPU)
+        this.velocityBuffer = null;
+        
+        // Per-seed weights and weight velocities for weight-based growth
+        this.weightBuffer = null;
+        this.weightVelocityBuffer = null;
+        
+        // Per-seed inter-cell force displacement (vec4, written by the force pass)
+        this.forceBuffer = null;
         
         console.log('⚡ PhysicsCompute constructor completed');
     }
@@ -85,6 +118,55 @@ export class PhysicsCompute {
                     buffer: {
                         type: 'uniform'
                     }
+                },
+                {
+                    binding: 4,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: 'storage'
+                    }
+                },
+                {
+                    binding: 5,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: 'storage'
+                    }
+                },
+                {
+                    binding: 6,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: 'read-only-storage'
+                    }
+                },
+                {
+                    binding: 7,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: 'read-only-storage'
+                    }
+                },
+                {
+                    binding: 8,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: 'read-only-storage'
+                    }
+                },
+                {
+                    binding: 9,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: 'read-only-storage'
+                    }
+                },
+                {
+                    binding: 10,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: 'storage'
+                    }
                 }
             ]
         });
@@ -101,6 +183,18 @@ export class PhysicsCompute {
             }
         });
         
+        // Inter-cell forces run first, in the same layout
+        this.forcePipeline = this.device.createComputePipeline({
+            label: 'Physics Force Pipeline',
+            layout: this.device.createPipelineLayout({
+                bindGroupLayouts: [this.bindGroupLayout]
+            }),
+            compute: {
+                module: computeShaderModule,
+                entryPoint: 'computeForces'
+            }
+        });
+        
         console.log('✅ PhysicsCompute initialized successfully');
     }
     
@@ -118,12 +212,11 @@ export class PhysicsCompute {
             usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
         });
         
-        // Previous deltas buffer for momentum: 1 float per seed
-        const deltaBufferSize = numSeeds * 4;
-        this.previousDeltasBuffer = this.device.createBuffer({
-            label: 'Previous Deltas Buffer',
-            size: deltaBufferSize,
-            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        // Velocity buffer for the integrator: vec4 per seed (w unused)
+        this.velocityBuffer = this.device.createBuffer({
+            label: 'Physics Velocity Buffer',
+            size: numSeeds * 16,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
         });
         
         // Physics statistics buffer
@@ -133,9 +226,31 @@ export class PhysicsCompute {
             usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
         });
         
-        // Initialize previous deltas to zero
-        const zeroDeltas = new Float32Array(numSeeds);
-        this.device.queue.writeBuffer(this.previousDeltasBuffer, 0, zeroDeltas);
+        // Weights (read by JFACompute) and weight velocities: 1 float per seed each
+        this.weightBuffer = this.device.createBuffer({
+            label: 'Physics Weight Buffer',
+            size: numSeeds * 4,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
+        });
+        this.weightVelocityBuffer = this.device.createBuffer({
+            label: 'Physics Weight Velocity Buffer',
+            size: numSeeds * 4,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        
+        // Force displacements: vec4 per seed
+        this.forceBuffer = this.device.createBuffer({
+            label: 'Physics Force Buffer',
+            size: numSeeds * 16,
+            usage: GPUBufferUsage.STORAGE
+        });
+        
+        // Seeds start at rest
+        this.device.queue.writeBuffer(this.velocityBuffer, 0, new Float32Array(numSeeds * 4));
+        
+        // Start weights at the metric's neutral value
+        this.maxSeeds = numSeeds;
+        this.resetWeights();
         
         console.log('✅ Physics buffers created successfully');
     }
@@ -155,13 +270,13 @@ export class PhysicsCompute {
             seedArray[offset + 1] = seed.position.y;
             seedArray[offset + 2] = seed.position.z;
             
-            // Centroid (3 floats)
-            seedArray[offset + 3] = seed.centroid ? seed.centroid.x : seed.position.x;
-            seedArray[offset + 4] = seed.centroid ? seed.centroid.y : seed.position.y;
-            seedArray[offset + 5] = seed.centroid ? seed.centroid.z : seed.position.z;
-            
             // Acute count (1 float)
-            seedArray[offset + 6] = seed.acuteCount || 0;
+            seedArray[offset + 3] = seed.acuteCount || 0;
+            
+            // Centroid (3 floats)
+            seedArray[offset + 4] = seed.centroid ? seed.centroid.x : seed.position.x;
+            seedArray[offset + 5] = seed.centroid ? seed.centroid.y : seed.position.y;
+            seedArray[offset + 6] = seed.centroid ? seed.centroid.z : seed.position.z;
             
             // Voxel count (1 float)
             seedArray[offset + 7] = seed.voxelCount || 0;
@@ -170,6 +285,30 @@ export class PhysicsCompute {
         this.device.queue.writeBuffer(this.seedBuffer, 0, seedArray);
     }
     
+    /**
+     * Upload CPU-side seed weights (e.g. after regenerating seeds)
+     */
+    updateWeightBuffer(seedData) {
+        if (!this.weightBuffer) return;
+        
+        const weights = new Float32Array(this.maxSeeds);
+        for (let i = 0; i < Math.min(seedData.length, this.maxSeeds); i++) {
+            weights[i] = seedData[i].weight || 0;
+        }
+        this.device.queue.writeBuffer(this.weightBuffer, 0, weights);
+    }
+    
+    /**
+     * Set every weight to the metric's neutral value and stop weight motion
+     */
+    resetWeights() {
+        if (!this.weightBuffer) return;
+        
+        const weights = new Float32Array(this.maxSeeds).fill(WEIGHT_LIMITS[this.distanceMetric].neutral);
+        this.device.queue.writeBuffer(this.weightBuffer, 0, weights);
+        this.device.queue.writeBuffer(this.weightVelocityBuffer, 0, new Float32Array(this.maxSeeds));
+    }
+    
     /**
      * Clear physics statistics
      */
@@ -188,6 +327,12 @@ export class PhysicsCompute {
     async compute(analysisBuffers, settings, deltaTime, numSeeds) {
         console.log('⚡ Running physics compute pass (GPU-only)...');
         
+        // Velocity and weight buffers are sized on first use
+        if (!this.velocityBuffer || this.maxSeeds < numSeeds) {
+            this.destroyStateBuffers();
+            this.createBuffers(Math.max(numSeeds, this.maxSeeds));
+        }
+        
         // Use the analysis buffers directly - no CPU data transfer!
         this.seedBuffer = analysisBuffers.seedBuffer;
         this.acuteCountBuffer = analysisBuffers.acuteCountBuffer;
@@ -195,6 +340,19 @@ export class PhysicsCompute {
         // Clear statistics
         this.clearStatistics();
         
+        const growthTarget = settings.growthTarget || 'position';
+        const weightLimits = WEIGHT_LIMITS[this.distanceMetric];
+        const motion = motionParameters(settings, deltaTime);
+        
+        // Forces need the adjacency of these seeds
+        const adjacency = this.adjacency?.numCells === numSeeds ? this.adjacency : null;
+        const forceModel = adjacency ? resolveForceModel(settings.forceModel) : 'none';
+        const adjacencyBuffers = adjacency ? adjacency.toGPUBuffers(this.device) : {
+            offsetsBuffer: this.getPlaceholderBuffer(),
+            neighborsBuffer: this.getPlaceholderBuffer(),
+            areasBuffer: this.getPlaceholderBuffer()
+        };
+        
         // Create uniform buffer for physics parameters
         const uniformData = new Float32Array([
             settings.threshold,      // threshold
@@ -203,14 +361,32 @@ export class PhysicsCompute {
             numSeeds,               // numSeeds (as float for easier shader access)
             settings.mode === 'balanced' ? 0.0 : 
             settings.mode === 'growthOnly' ? 1.0 : 
-            settings.mode === 'shrinkOnly' ? 2.0 : 3.0, // mode (0=balanced, 1=growthOnly, 2=shrinkOnly, 3=inverse)
-            0.01,                   // k (base growth rate multiplier)
-            0.7,                    // damping
-            0.1,                    // maxDelta
+            settings.mode === 'shrinkOnly' ? 2.0 :
+            settings.mode === 'lloyd' ? 4.0 : 3.0, // mode (0=balanced, 1=growthOnly, 2=shrinkOnly, 3=inverse, 4=lloyd)
+            0.01,                   // k (flux drive per reference frame)
+            motion.retention,       // retention (velocity kept over deltaTime)
+            motion.maxSpeed,        // maxSpeed
             1.5,                    // growthPower
-            0.0,                    // padding
-            0.0,                    // padding
-            0.0                     // padding
+            this.periodic ? 1.0 : 0.0, // periodic (wrap instead of clamp)
+            growthTarget === 'weight' ? 1.0 :
+            growthTarget === 'both' ? 2.0 : 0.0, // growthTarget (0=position, 1=weight, 2=both)
+            1.0,                    // weightRate
+            0.9,                    // weightMomentum
+            0.05,                   // weightDamping
+            weightLimits.min,       // weightMin
+            weightLimits.max,       // weightMax
+            weightLimits.neutral,   // weightNeutral
+            settings.relaxation ?? 1.0, // relaxation (Lloyd step fraction)
+            ...this.domain.min,     // domainMinX/Y/Z
+            ...this.domain.size,    // domainSizeX/Y/Z
+            this.mask ? 1.0 : 0.0,  // masked
+            ...this.domain.resolution, // resolutionX/Y/Z (mask voxel grid)
+            FORCE_MODEL_CODES[forceModel], // forceModel (0=none, 1=area, 2=acute)
+            settings.forceStrength ?? 1.0, // forceStrength
+            0.01,                   // forceRate (force drive per reference frame)
+            meanCellVolume(this.domain, this.mask, numSeeds), // meanVolume (cells without voxels)
+            this.domain.voxelVolume, // voxelVolume
+            INTEGRATOR_CODES[motion.integrator] // integrator (0=euler, 1=verlet)
         ]);
         
         const uniformBuffer = this.device.createBuffer({
@@ -235,7 +411,7 @@ export class PhysicsCompute {
                 {
                     binding: 1,
                     resource: {
-                        buffer: this.previousDeltasBuffer
+                        buffer: this.velocityBuffer
                     }
                 },
                 {
@@ -249,6 +425,48 @@ export class PhysicsCompute {
                     resource: {
                         buffer: uniformBuffer
                     }
+                },
+                {
+                    binding: 4,
+                    resource: {
+                        buffer: this.weightBuffer
+                    }
+                },
+                {
+                    binding: 5,
+                    resource: {
+                        buffer: this.weightVelocityBuffer
+                    }
+                },
+                {
+                    binding: 6,
+                    resource: {
+                        buffer: this.getMaskBuffer()
+                    }
+                },
+                {
+                    binding: 7,
+                    resource: {
+                        buffer: adjacencyBuffers.offsetsBuffer
+                    }
+                },
+                {
+                    binding: 8,
+                    resource: {
+                        buffer: adjacencyBuffers.neighborsBuffer
+                    }
+                },
+                {
+                    binding: 9,
+                    resource: {
+                        buffer: adjacencyBuffers.areasBuffer
+                    }
+                },
+                {
+                    binding: 10,
+                    resource: {
+                        buffer: this.forceBuffer
+                    }
                 }
             ]
         });
@@ -262,12 +480,14 @@ export class PhysicsCompute {
             label: 'Physics Compute Pass'
         });
         
-        computePass.setPipeline(this.computePipeline);
         computePass.setBindGroup(0, bindGroup);
         
-        // Dispatch one thread per seed
+        // Dispatch one thread per seed: forces from the old positions, then the moves
         const workgroupSize = 64;
         const numWorkgroups = Math.ceil(numSeeds / workgroupSize);
+        computePass.setPipeline(this.forcePipeline);
+        computePass.dispatchWorkgroups(numWorkgroups, 1, 1);
+        computePass.setPipeline(this.computePipeline);
         computePass.dispatchWorkgroups(numWorkgroups, 1, 1);
         
         computePass.end();
@@ -298,6 +518,14 @@ export class PhysicsCompute {
         return this.seedBuffer;
     }
     
+    /**
+     * Get the per-seed weight buffer (array<f32>) for JFACompute.computeWithBuffer
+     * @returns {GPUBuffer|null}
+     */
+    getWeightBuffer() {
+        return this.weightBuffer;
+    }
+    
     /**
      * Get physics statistics
      */
@@ -329,26 +557,186 @@ export class PhysicsCompute {
             growingPoints: Math.round(statsData[3]),
             shrinkingPoints: Math.round(statsData[4]),
             growingCells: Math.round(statsData[3]), // Alias for compatibility
-            shrinkingCells: Math.round(statsData[4]) // Alias for compatibility
+            shrinkingCells: Math.round(statsData[4]), // Alias for compatibility
+            totalWeightChange: statsData[5],
+            meanCentroidDistance: statsData[7] > 0 ? statsData[6] / statsData[7] : 0
         };
         
         stagingBuffer.unmap();
         return statistics;
     }
     
+    /**
+     * Read the per-seed position, velocity and weight state back (snapshots, seed sync)
+     * @param {number} numSeeds - Number of seeds
+     * @returns {Promise<{positions?: Float32Array, velocities: Float32Array, weights: Float32Array, weightVelocities: Float32Array}>}
+     *   positions (world space) only once compute() has bound a seed buffer holding every seed
+     */
+    async getState(numSeeds) {
+        const count = Math.min(numSeeds, this.maxSeeds);
+        const byteLength = count * 4;
+        const seedBuffer = this.seedBuffer && this.seedBuffer.size >= count * 32 ? this.seedBuffer : null;
+        
+        // One staging buffer holding velocities (vec4), weights, weight velocities and seeds (8 floats) back to back
+        const stagingBuffer = this.device.createBuffer({
+            label: 'Physics State Staging Buffer',
+            size: Math.max(byteLength * 14, 4),
+            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+        });
+        
+        const commandEncoder = this.device.createCommandEncoder();
+        if (this.velocityBuffer && byteLength > 0) {
+            commandEncoder.copyBufferToBuffer(this.velocityBuffer, 0, stagingBuffer, 0, byteLength * 4);
+            commandEncoder.copyBufferToBuffer(this.weightBuffer, 0, stagingBuffer, byteLength * 4, byteLength);
+            commandEncoder.copyBufferToBuffer(this.weightVelocityBuffer, 0, stagingBuffer, byteLength * 5, byteLength);
+        }
+        if (seedBuffer && byteLength > 0) {
+            commandEncoder.copyBufferToBuffer(seedBuffer, 0, stagingBuffer, byteLength * 6, byteLength * 8);
+        }
+        this.device.queue.submit([commandEncoder.finish()]);
+        
+        await this.device.queue.onSubmittedWorkDone();
+        await stagingBuffer.mapAsync(GPUMapMode.READ);
+        const data = new Float32Array(stagingBuffer.getMappedRange().slice(0));
+        stagingBuffer.unmap();
+        stagingBuffer.destroy();
+        
+        // Seeds beyond the buffers (not yet simulated) are at rest
+        const state = {
+            velocities: new Float32Array(numSeeds * 3),
+            weights: new Float32Array(numSeeds).fill(WEIGHT_LIMITS[this.distanceMetric].neutral),
+            weightVelocities: new Float32Array(numSeeds)
+        };
+        if (this.velocityBuffer) {
+            for (let i = 0; i < count; i++) {
+                state.velocities.set(data.subarray(i * 4, i * 4 + 3), i * 3);
+            }
+            state.weights.set(data.subarray(count * 4, count * 5));
+            state.weightVelocities.set(data.subarray(count * 5, count * 6));
+        }
+        if (seedBuffer && count === numSeeds) {
+            state.positions = new Float32Array(numSeeds * 3);
+            for (let i = 0; i < count; i++) {
+                const offset = count * 6 + i * 8;
+                state.positions.set(data.subarray(offset, offset + 3), i * 3);
+            }
+        }
+        
+        return state;
+    }
+    
+    /**
+     * Restore per-seed velocity and weight state returned by getState()
+     */
+    setState({ velocities, weights, weightVelocities }) {
+        const numSeeds = weights.length;
+        if (!this.velocityBuffer || this.maxSeeds < numSeeds) {
+            this.destroyStateBuffers();
+            this.createBuffers(Math.max(numSeeds, this.maxSeeds));
+        }
+        
+        // vec4 per seed on the GPU
+        const velocityData = new Float32Array(numSeeds * 4);
+        for (let i = 0; i < numSeeds; i++) {
+            velocityData.set(velocities.subarray(i * 3, i * 3 + 3), i * 4);
+        }
+        
+        this.reset();
+        this.device.queue.writeBuffer(this.velocityBuffer, 0, velocityData);
+        this.device.queue.writeBuffer(this.weightBuffer, 0, Float32Array.from(weights));
+        this.device.queue.writeBuffer(this.weightVelocityBuffer, 0, Float32Array.from(weightVelocities));
+    }
+    
+    /**
+     * Enable/disable periodic (wrap-around) boundaries
+     */
+    setPeriodicBoundaries(enabled) {
+        this.periodic = enabled;
+    }
+    
+    /**
+     * Set the domain seeds are clamped to (or wrapped around when periodic)
+     */
+    setDomain(domain) {
+        this.domain = SimulationDomain.from(domain);
+        this.setMask(this.mask);
+    }
+    
+    /**
+     * Keep seeds inside a domain mask (DomainMask, spec or null)
+     */
+    setMask(mask) {
+        this.mask = DomainMask.from(mask, this.domain);
+        
+        // Uploaded on the next compute
+        this.maskBuffer?.destroy();
+        this.maskBuffer = null;
+    }
+    
+    /**
+     * Packed mask bits for binding 6 (the placeholder when unmasked)
+     */
+    getMaskBuffer() {
+        if (!this.mask) {
+            return this.getPlaceholderBuffer();
+        }
+        
+        if (!this.maskBuffer) {
+            const bits = this.mask.packBits();
+            this.maskBuffer = this.device.createBuffer({
+                label: 'Physics Mask Buffer',
+                size: Math.max(bits.byteLength, 16),
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+            });
+            this.device.queue.writeBuffer(this.maskBuffer, 0, bits);
+        }
+        return this.maskBuffer;
+    }
+    
+    /**
+     * Small buffer bound to the optional read-only inputs when they are unused
+     */
+    getPlaceholderBuffer() {
+        if (!this.placeholderBuffer) {
+            this.placeholderBuffer = this.device.createBuffer({
+                label: 'Physics Placeholder Buffer',
+                size: 16,
+                usage: GPUBufferUsage.STORAGE
+            });
+        }
+        return this.placeholderBuffer;
+    }
+    
+    /**
+     * Neighbours for the inter-cell forces (CellAdjacency of the current seeds, or null).
+     * Its GPU buffers are created on the next compute and owned by the adjacency.
+     */
+    setAdjacency(adjacency) {
+        this.adjacency = adjacency;
+    }
+    
+    /**
+     * Set the JFA distance metric so weight growth uses the matching weight range
+     */
+    setDistanceMetric(metric) {
+        this.distanceMetric = resolveDistanceMetric(metric);
+        this.resetWeights();
+    }
+    
     /**
      * Reset physics state
      */
     reset() {
-        if (this.previousDeltasBuffer) {
-            const zeroDeltas = new Float32Array(this.maxSeeds);
-            this.device.queue.writeBuffer(this.previousDeltasBuffer, 0, zeroDeltas);
+        if (this.velocityBuffer) {
+            this.device.queue.writeBuffer(this.velocityBuffer, 0, new Float32Array(this.maxSeeds * 4));
         }
         
         if (this.statisticsBuffer) {
             const zeroStats = new Float32Array(8);
             this.device.queue.writeBuffer(this.statisticsBuffer, 0, zeroStats);
         }
+        
+        this.resetWeights();
     }
     
     /**
@@ -364,33 +752,150 @@ export class PhysicsCompute {
                 numSeeds: f32,
                 mode: f32,
                 k: f32,
-                damping: f32,
-                maxDelta: f32,
+                retention: f32,
+                maxSpeed: f32,
                 growthPower: f32,
-                padding1: f32,
-                padding2: f32,
-                padding3: f32
+                periodic: f32,
+                growthTarget: f32,
+                weightRate: f32,
+                weightMomentum: f32,
+                weightDamping: f32,
+                weightMin: f32,
+                weightMax: f32,
+                weightNeutral: f32,
+                relaxation: f32,
+                domainMinX: f32,
+                domainMinY: f32,
+                domainMinZ: f32,
+                domainSizeX: f32,
+                domainSizeY: f32,
+                domainSizeZ: f32,
+                masked: f32,
+                resolutionX: f32,
+                resolutionY: f32,
+                resolutionZ: f32,
+                forceModel: f32,
+                forceStrength: f32,
+                forceRate: f32,
+                meanVolume: f32,
+                voxelVolume: f32,
+                integrator: f32
             }
             
-            // Seed data structure
+            // Seed data structure (8 floats, matching AnalysisCompute's seed buffer)
             struct SeedData {
                 position: vec3<f32>,
-                centroid: vec3<f32>,
                 acuteCount: f32,
+                centroid: vec3<f32>,
                 voxelCount: f32
             }
             
             @group(0) @binding(0) var<storage, read_write> seedBuffer: array<SeedData>;
-            @group(0) @binding(1) var<storage, read_write> previousDeltas: array<f32>;
+            @group(0) @binding(1) var<storage, read_write> velocities: array<vec4<f32>>;
             @group(0) @binding(2) var<storage, read_write> statistics: array<f32>;
             @group(0) @binding(3) var<uniform> uniforms: PhysicsUniforms;
+            @group(0) @binding(4) var<storage, read_write> weights: array<f32>;
+            @group(0) @binding(5) var<storage, read_write> weightVelocities: array<f32>;
+            @group(0) @binding(6) var<storage, read> maskBits: array<u32>;
+            @group(0) @binding(7) var<storage, read> adjacencyOffsets: array<u32>;
+            @group(0) @binding(8) var<storage, read> adjacencyNeighbors: array<u32>;
+            @group(0) @binding(9) var<storage, read> adjacencyAreas: array<f32>;
+            @group(0) @binding(10) var<storage, read_write> forces: array<vec4<f32>>;
             
+            // Drive per reference frame → acceleration
+            const PER_FRAME = ${1 / (REFERENCE_STEP * REFERENCE_STEP)};
+            ${INTEGRATOR_WGSL}
             // Simple hash function for deterministic randomness
             fn hash(x: u32) -> f32 {
                 let h = (x * 2654435761u) % 2147483647u;
                 return f32(h) / 2147483647.0;
             }
             
+            fn domainMin() -> vec3<f32> {
+                return vec3<f32>(uniforms.domainMinX, uniforms.domainMinY, uniforms.domainMinZ);
+            }
+            
+            fn domainSize() -> vec3<f32> {
+                return vec3<f32>(uniforms.domainSizeX, uniforms.domainSizeY, uniforms.domainSizeZ);
+            }
+            
+            // Minimum image of a difference vector in the domain box (period = extent per axis)
+            fn minimumImage(d: vec3<f32>) -> vec3<f32> {
+                if (uniforms.periodic > 0.5) {
+                    return d - domainSize() * round(d / domainSize());
+                }
+                return d;
+            }
+            
+            // Wrap a position into [min, max) of the domain box
+            fn wrapPosition(p: vec3<f32>) -> vec3<f32> {
+                return p - domainSize() * floor((p - domainMin()) / domainSize());
+            }
+            
+            // Inside the domain mask: look up the bit of the voxel containing p
+            fn insideMask(p: vec3<f32>) -> bool {
+                if (uniforms.masked < 0.5) {
+                    return true;
+                }
+                let resolution = vec3<f32>(uniforms.resolutionX, uniforms.resolutionY, uniforms.resolutionZ);
+                let voxel = vec3<u32>(clamp(floor((p - domainMin()) / domainSize() * resolution), vec3<f32>(0.0), resolution - vec3<f32>(1.0)));
+                let index = voxel.x + u32(uniforms.resolutionX) * (voxel.y + u32(uniforms.resolutionY) * voxel.z);
+                return (maskBits[index / 32u] & (1u << (index % 32u))) != 0u;
+            }
+            
+            // Keep a moved seed in the domain: wrap when periodic, else clear of the walls (±0.9 in the default box)
+            fn confinePosition(p: vec3<f32>) -> vec3<f32> {
+                if (uniforms.periodic > 0.5) {
+                    return wrapPosition(p);
+                }
+                let center = domainMin() + domainSize() * 0.5;
+                let halfInterior = domainSize() * ${(1 - DOMAIN_WALL_MARGIN) / 2};
+                return clamp(p, center - halfInterior, center + halfInterior);
+            }
+            
+            // Radius of the sphere with a cell's volume (cells without voxels use the mean volume)
+            fn restRadius(voxelCount: f32) -> f32 {
+                var volume = uniforms.meanVolume;
+                if (voxelCount > 0.0) {
+                    volume = voxelCount * uniforms.voxelVolume;
+                }
+                return pow(3.0 * volume / (4.0 * 3.14159265), 1.0 / 3.0);
+            }
+            
+            // Inter-cell springs along the adjacency (see CellForces): the summed force
+            // as an acceleration, from the positions before the step
+            @compute @workgroup_size(64)
+            fn computeForces(@builtin(global_invocation_id) global_id: vec3<u32>) {
+                let index = global_id.x;
+                if (index >= u32(uniforms.numSeeds)) {
+                    return;
+                }
+                
+                var force = vec3<f32>(0.0);
+                if (uniforms.forceModel > 0.5) {
+                    let seed = seedBuffer[index];
+                    let radius = restRadius(seed.voxelCount);
+                    
+                    for (var k = adjacencyOffsets[index]; k < adjacencyOffsets[index + 1u]; k++) {
+                        let other = seedBuffer[adjacencyNeighbors[k]];
+                        let d = minimumImage(seed.position - other.position);
+                        let distance = length(d);
+                        if (distance < 1e-6) {
+                            continue;
+                        }
+                        
+                        let rest = radius + restRadius(other.voxelCount);
+                        var weight = adjacencyAreas[k] / (rest * rest); // area
+                        if (uniforms.forceModel > 1.5) { // acute
+                            weight = abs(seed.acuteCount - other.acuteCount) / max(seed.acuteCount + other.acuteCount, 1.0);
+                        }
+                        force += d * (weight * (rest - distance) / rest / distance);
+                    }
+                }
+                
+                forces[index] = vec4<f32>(force * (uniforms.forceRate * uniforms.forceStrength * PER_FRAME), 0.0);
+            }
+            
             // Calculate deterministic centroid offset (fallback if no real centroid)
             fn calculateFallbackCentroid(seedIndex: u32, position: vec3<f32>) -> vec3<f32> {
                 let h = seedIndex * 2654435761u;
@@ -401,6 +906,35 @@ export class PhysicsCompute {
                 return position + vec3<f32>(offsetX, offsetY, offsetZ);
             }
             
+            // Weight-based growth: momentum + flux force, damping, clamp to the metric's range
+            fn applyWeightGrowth(index: u32, rawFlux: f32) {
+                let halfRange = (uniforms.weightMax - uniforms.weightMin) * 0.5;
+                if (halfRange <= 0.0) {
+                    return; // unweighted metric
+                }
+                
+                // Non-positive multiplicative weights act as unweighted: start from neutral
+                var weight = weights[index];
+                if (uniforms.weightMin > 0.0 && weight <= 0.0) {
+                    weight = uniforms.weightNeutral;
+                }
+                
+                var velocity = uniforms.weightMomentum * weightVelocities[index] +
+                    uniforms.weightRate * rawFlux * uniforms.growthRate * halfRange;
+                velocity = velocity * (1.0 - uniforms.weightDamping);
+                
+                // A clamped weight loses its velocity
+                var newWeight = weight + velocity;
+                if (newWeight < uniforms.weightMin || newWeight > uniforms.weightMax) {
+                    newWeight = clamp(newWeight, uniforms.weightMin, uniforms.weightMax);
+                    velocity = 0.0;
+                }
+                
+                weightVelocities[index] = velocity;
+                weights[index] = newWeight;
+                atomicAdd(&statistics[5], abs(newWeight - weight)); // totalWeightChange
+            }
+            
             @compute @workgroup_size(64)
             fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
                 let index = global_id.x;
@@ -412,6 +946,35 @@ export class PhysicsCompute {
                 }
                 
                 let seed = seedBuffer[index];
+                
+                // CVT convergence: seed-centroid distance of every non-empty cell
+                if (seed.voxelCount > 0.0) {
+                    atomicAdd(&statistics[6], length(minimumImage(seed.centroid - seed.position))); // centroidDistanceSum
+                    atomicAdd(&statistics[7], 1.0); // measuredCells
+                }
+                
+                // Lloyd relaxation: move toward the centroid, no flux
+                if (uniforms.mode == 4.0) {
+                    if (seed.voxelCount > 0.0) {
+                        let offset = minimumImage(seed.centroid - seed.position) * uniforms.relaxation;
+                        var relaxed = seed.position + offset;
+                        if (uniforms.periodic > 0.5) {
+                            relaxed = wrapPosition(relaxed);
+                        } else {
+                            relaxed = clamp(relaxed, domainMin(), domainMin() + domainSize());
+                        }
+                        // Centroids of non-convex masked cells can lie outside the mask
+                        if (!insideMask(relaxed)) {
+                            return;
+                        }
+                        seedBuffer[index].position = relaxed;
+                        velocities[index] = vec4<f32>(0.0);
+                        atomicAdd(&statistics[0], length(offset)); // totalDisplacement
+                        atomicAdd(&statistics[2], 1.0); // activePoints
+                    }
+                    return;
+                }
+                
                 let score = seed.acuteCount;
                 let threshold = uniforms.threshold;
                 let mode = uniforms.mode;
@@ -457,61 +1020,73 @@ export class PhysicsCompute {
                     }
                 }
                 
-                // If no flux, skip
-                if (rawFlux == 0.0) {
-                    return;
-                }
-                
-                // Use real centroid if available, otherwise calculate fallback
-                var centroid = seed.centroid;
-                let centroidDistance = distance(seed.position, centroid);
-                if (centroidDistance < 1e-6) {
-                    centroid = calculateFallbackCentroid(index, seed.position);
+                // Weight growth runs for every seed so momentum also decays at zero flux
+                if (uniforms.growthTarget > 0.5) {
+                    applyWeightGrowth(index, rawFlux);
+                    
+                    // Position moves are optional
+                    if (uniforms.growthTarget < 1.5) {
+                        if (rawFlux > 0.0) {
+                            atomicAdd(&statistics[3], 1.0); // growingPoints
+                        } else if (rawFlux < 0.0) {
+                            atomicAdd(&statistics[4], 1.0); // shrinkingPoints
+                        }
+                        return;
+                    }
                 }
                 
-                // Calculate growth direction
-                var direction = seed.position - centroid;
-                let length = length(direction);
+                // Inter-cell forces, plus the flux drive for seeds with flux
+                var acceleration = forces[index].xyz;
                 
-                // Normalize direction
-                if (length < 1e-6) {
-                    // Point is at centroid, use small random direction
-                    direction = vec3<f32>(
-                        (hash(index) - 0.5) * 0.01,
-                        (hash(index + 1000u) - 0.5) * 0.01,
-                        (hash(index + 2000u) - 0.5) * 0.01
-                    );
-                } else {
-                    direction = direction / length;
+                if (rawFlux != 0.0) {
+                    // Use real centroid if available, otherwise calculate fallback
+                    var centroid = seed.centroid;
+                    let centroidDistance = length(minimumImage(seed.position - centroid));
+                    if (centroidDistance < 1e-6) {
+                        centroid = calculateFallbackCentroid(index, seed.position);
+                    }
+                    
+                    // Calculate growth direction
+                    var direction = minimumImage(seed.position - centroid);
+                    let length = length(direction);
+                    
+                    // Normalize direction
+                    if (length < 1e-6) {
+                        // Point is at centroid, use small random direction
+                        direction = vec3<f32>(
+                            (hash(index) - 0.5) * 0.01,
+                            (hash(index + 1000u) - 0.5) * 0.01,
+                            (hash(index + 2000u) - 0.5) * 0.01
+                        );
+                    } else {
+                        direction = direction / length;
+                    }
+                    
+                    // Flux drive: k × flux × growthRate per reference frame, as an acceleration
+                    acceleration += direction * (uniforms.k * rawFlux * uniforms.growthRate * PER_FRAME);
                 }
                 
-                // Calculate displacement magnitude
-                var delta = uniforms.k * rawFlux * uniforms.growthRate;
+                // Integrate velocity and position, kept in the domain
+                let motion = integrateMotion(seed.position, velocities[index].xyz, acceleration, uniforms.deltaTime,
+                                             u32(uniforms.integrator), uniforms.retention, uniforms.maxSpeed);
+                let newPosition = confinePosition(motion.position);
                 
-                // Apply damping with previous delta
-                let prevDelta = previousDeltas[index];
-                delta = uniforms.damping * prevDelta + (1.0 - uniforms.damping) * delta;
-                
-                // Clamp to maximum delta
-                delta = clamp(delta, -uniforms.maxDelta, uniforms.maxDelta);
-                
-                // Store for next iteration
-                previousDeltas[index] = delta;
-                
-                // Calculate new position
-                var newPosition = seed.position + direction * delta;
-                
-                // Keep seeds within bounds [-0.9, 0.9]
-                newPosition = clamp(newPosition, vec3<f32>(-0.9), vec3<f32>(0.9));
+                // Moves out of the domain mask are rejected and stop the seed
+                if (!insideMask(newPosition)) {
+                    velocities[index] = vec4<f32>(0.0);
+                    return;
+                }
                 
                 // Update seed position
                 seedBuffer[index].position = newPosition;
+                velocities[index] = vec4<f32>(motion.velocity, 0.0);
                 
                 // Update statistics (atomic operations for thread safety)
-                if (abs(delta) > 0.0) {
-                    atomicAdd(&statistics[0], abs(delta)); // totalDisplacement
+                let displacement = length(motion.velocity) * uniforms.deltaTime;
+                if (displacement > 0.0) {
+                    atomicAdd(&statistics[0], displacement); // totalDisplacement
                     // Note: maxDisplacement requires special handling, simplified here
-                    statistics[1] = max(statistics[1], abs(delta)); // maxDisplacement (not thread-safe but acceptable)
+                    statistics[1] = max(statistics[1], displacement); // maxDisplacement (not thread-safe but acceptable)
                     atomicAdd(&statistics[2], 1.0); // activePoints
                     
                     if (rawFlux > 0.0) {
@@ -524,6 +1099,27 @@ export class PhysicsCompute {
         `;
     }
     
+    /**
+     * Destroy the per-seed velocity, weight and statistics buffers
+     */
+    destroyStateBuffers() {
+        this.velocityBuffer?.destroy();
+        this.maskBuffer?.destroy();
+        this.placeholderBuffer?.destroy();
+        this.weightBuffer?.destroy();
+        this.weightVelocityBuffer?.destroy();
+        this.forceBuffer?.destroy();
+        this.statisticsBuffer?.destroy();
+        
+        this.velocityBuffer = null;
+        this.maskBuffer = null;
+        this.placeholderBuffer = null;
+        this.weightBuffer = null;
+        this.weightVelocityBuffer = null;
+        this.forceBuffer = null;
+        this.statisticsBuffer = null;
+    }
+    
     /**
      * Cleanup resources
      */
@@ -531,12 +1127,7 @@ export class PhysicsCompute {
         if (this.seedBuffer) {
             this.seedBuffer.destroy();
         }
-        if (this.previousDeltasBuffer) {
-            this.previousDeltasBuffer.destroy();
-        }
-        if (this.statisticsBuffer) {
-            this.statisticsBuffer.destroy();
-        }
+        this.destroyStateBuffers();
         
         console.log('⚡ PhysicsCompute resources destroyed');
     }
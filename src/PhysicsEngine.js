@@ -1,4 +1,10 @@
 import * as THREE from 'three';
+import { SeededRandom } from './SeededRandom.js';
+import { WEIGHT_LIMITS, resolveDistanceMetric } from './DistanceMetric.js';
+import { SimulationDomain, DOMAIN_WALL_MARGIN } from './SimulationDomain.js';
+import { DomainMask } from './DomainMask.js';
+import { computeCellForces, meanCellVolume, resolveForceModel } from './CellForces.js';
+import { REFERENCE_STEP, integrateMotion, motionParameters } from './Integrator.js';
 
 /**
  * PhysicsEngine - Centroid-based growth/shrink system
@@ -7,7 +13,29 @@ import * as THREE from 'three';
  * - Calculate cell centroid for each Voronoi cell
  * - For GROWTH: move generator point AWAY from centroid (cell expands)
  * - For SHRINK: move generator point TOWARD centroid (cell contracts)
- * - No inter-cell forces - just direct centroid-based movement
+ * - No inter-cell forces by default - just direct centroid-based movement
+ * 
+ * The flux is an acceleration along that direction. Each seed keeps a velocity
+ * vector that the shared integrator (see Integrator.js: settings.integrator,
+ * momentum, damping, maxSpeed) advances by deltaTime, so motion does not depend
+ * on the frame rate.
+ * 
+ * settings.forceModel ('area' or 'acute', see CellForces) adds optional spring
+ * forces between neighbouring seeds, scaled by settings.forceStrength and summed
+ * with the centroid flux. They need the adjacency of the analyzed step
+ * (setAdjacency) and act on positions only, so Lloyd and weight-only growth ignore them.
+ * 
+ * With settings.growthTarget = 'weight' (or 'both') the same flux drives each
+ * seed's weight instead of (or as well as) its position, so cells change volume
+ * under the active distance metric.
+ * 
+ * settings.mode = 'lloyd' replaces the flux with Lloyd relaxation: every seed moves
+ * toward its analyzed centroid by settings.relaxation and stops, converging to a
+ * centroidal Voronoi tessellation (CVT). Every update reports the convergence metrics
+ * (meanCentroidDistance, energy) whatever the mode.
+ * 
+ * With a domain mask (setMask) a move that would take a seed out of the mask is
+ * rejected: the seed keeps its position and loses its momentum.
  */
 export class PhysicsEngine {
     constructor() {
@@ -15,18 +43,43 @@ export class PhysicsEngine {
         
         // Growth configuration (matching original GrowthSystem)
         this.config = {
-            // Base growth rate multiplier - INCREASED for more visible movement
+            // Base growth rate multiplier: drive per reference frame - INCREASED for more visible movement
             k: 0.01,
-            // Momentum/damping factor (0-1)
-            damping: 0.7,
-            // Maximum displacement per step - INCREASED
-            maxDelta: 0.1,
             // Power factor for non-linear growth (1 = linear, 2 = quadratic)
-            growthPower: 1.5
+            growthPower: 1.5,
+            // Weight growth: force per unit flux × growthRate, as a fraction of the weight range
+            weightRate: 1.0,
+            // Inter-cell force drive per reference frame, per unit force × forceStrength
+            forceRate: 0.01,
+            // Weight velocity carried over between steps (0-1)
+            weightMomentum: 0.9,
+            // Fraction of weight velocity lost per step (0-1)
+            weightDamping: 0.05
         };
         
-        // Previous deltas for momentum (matching original)
-        this.previousDeltas = new Map();
+        // Seed velocities (THREE.Vector3 per seed index, see Integrator.js)
+        this.velocities = new Map();
+        
+        // Weight velocities for weight-based growth
+        this.weightVelocities = new Map();
+        
+        // Distance metric of the JFA (sets the weight range, see WEIGHT_LIMITS)
+        this.distanceMetric = 'additive';
+        
+        // Box the seeds live in (see SimulationDomain)
+        this.domain = new SimulationDomain();
+        
+        // Toroidal domain: wrap positions into [min, max) instead of clamping
+        this.periodic = false;
+        
+        // Region of the box seeds must stay in (see DomainMask), null = whole box
+        this.mask = null;
+        
+        // Neighbours the inter-cell forces act between (CellAdjacency of the analyzed step)
+        this.adjacency = null;
+        
+        // Deterministic randomness for degenerate directions (shared with the owning system)
+        this.random = new SeededRandom(0);
         
         // Performance tracking
         this.lastPhysicsTime = 0;
@@ -39,7 +92,11 @@ export class PhysicsEngine {
             maxDisplacement: 0,
             activePoints: 0,
             growingPoints: 0,
-            shrinkingPoints: 0
+            shrinkingPoints: 0,
+            totalWeightChange: 0,
+            meanCentroidDistance: 0,
+            maxCentroidDistance: 0,
+            energy: 0
         };
         
         console.log('⚡ PhysicsEngine constructor completed');
@@ -57,15 +114,26 @@ export class PhysicsEngine {
             maxDisplacement: 0,
             activePoints: 0,
             growingPoints: 0,
-            shrinkingPoints: 0
+            shrinkingPoints: 0,
+            totalWeightChange: 0,
+            meanCentroidDistance: 0,
+            maxCentroidDistance: 0,
+            energy: 0
         };
         this.growingCells = 0;
         this.shrinkingCells = 0;
         
-        console.log(`🔧 Physics update: ${seedData.length} seeds, threshold=${settings.threshold}, mode=${settings.mode}`);
+        console.log(`🔧 Physics update: ${seedData.length} seeds, threshold=${settings.threshold}, mode=${settings.mode}, target=${settings.growthTarget || 'position'}`);
         
-        // Apply the exact growth algorithm from original GrowthSystem
-        this.applyGrowthAlgorithm(seedData, settings, deltaTime);
+        // Convergence of the tessellation this step started from
+        this.measureConvergence(seedData);
+        
+        if (settings.mode === 'lloyd') {
+            this.applyLloydRelaxation(seedData, settings.relaxation ?? 1.0);
+        } else {
+            // Apply the exact growth algorithm from original GrowthSystem
+            this.applyGrowthAlgorithm(seedData, settings, deltaTime);
+        }
         
         this.lastPhysicsTime = performance.now() - startTime;
         
@@ -77,6 +145,7 @@ export class PhysicsEngine {
      */
     applyGrowthAlgorithm(seedData, settings, deltaTime) {
         const { threshold, growthRate, mode } = settings;
+        const growthTarget = settings.growthTarget || 'position';
         
         // Calculate raw flux (stress) for each point - EXACT copy from original
         const rawFlux = new Array(seedData.length).fill(0);
@@ -147,69 +216,93 @@ export class PhysicsEngine {
         
         console.log(`📊 Flux calculated: maxFlux=${maxFlux.toFixed(3)}, active=${rawFlux.filter(f => f !== 0).length}/${rawFlux.length}`);
         
-        // Calculate new positions - EXACT copy from original
+        // Weight-based growth: flux changes the weight, so the cell itself grows or shrinks
+        if (growthTarget === 'weight' || growthTarget === 'both') {
+            this.applyWeightGrowth(seedData, rawFlux, growthRate, growthTarget === 'weight');
+            
+            // Position moves are optional
+            if (growthTarget === 'weight') {
+                return;
+            }
+        }
+        
+        // Inter-cell force accelerations, from the positions before any seed moves
+        const forces = this.calculateForces(seedData, settings);
+        
+        // Integrator settings for this step (see Integrator.js)
+        const motion = motionParameters(settings, deltaTime);
+        const perFrame = 1 / (REFERENCE_STEP * REFERENCE_STEP);
+        
+        // Calculate new positions
         for (let i = 0; i < seedData.length; i++) {
             const seed = seedData[i];
+            const acceleration = {
+                x: forces ? forces[i * 3] : 0,
+                y: forces ? forces[i * 3 + 1] : 0,
+                z: forces ? forces[i * 3 + 2] : 0
+            };
             
-            // If no flux, skip
-            if (rawFlux[i] === 0) {
-                continue;
+            // Seeds without flux only coast and feel the inter-cell forces
+            if (rawFlux[i] !== 0) {
+                // Cell centroid from the analysis (wrapped into the box when periodic)
+                const centroid = this.calculateCellCentroid(seed);
+                
+                // Calculate growth direction 
+                // For positive flux: from centroid to point (growth)
+                // For negative flux: from point to centroid (shrink)
+                let dirX = seed.position.x - centroid.x;
+                let dirY = seed.position.y - centroid.y;
+                let dirZ = seed.position.z - centroid.z;
+                
+                if (this.periodic) {
+                    // Minimum image so a centroid across the seam pulls the short way
+                    const image = this.domain.minimumImage({ x: dirX, y: dirY, z: dirZ });
+                    dirX = image.x;
+                    dirY = image.y;
+                    dirZ = image.z;
+                }
+                
+                // Normalize direction
+                const length = Math.sqrt(dirX * dirX + dirY * dirY + dirZ * dirZ);
+                
+                let normalizedDir = { x: dirX, y: dirY, z: dirZ };
+                if (length < 1e-6) {
+                    // Point is at centroid, use small random direction
+                    normalizedDir.x = (this.random.next() - 0.5) * 0.01;
+                    normalizedDir.y = (this.random.next() - 0.5) * 0.01;
+                    normalizedDir.z = (this.random.next() - 0.5) * 0.01;
+                } else {
+                    normalizedDir.x /= length;
+                    normalizedDir.y /= length;
+                    normalizedDir.z /= length;
+                }
+                
+                // Flux drive: k × flux × growthRate per reference frame, as an acceleration
+                const drive = this.config.k * rawFlux[i] * growthRate * perFrame;
+                acceleration.x += normalizedDir.x * drive;
+                acceleration.y += normalizedDir.y * drive;
+                acceleration.z += normalizedDir.z * drive;
             }
             
-            // Calculate cell centroid - FIXED VERSION
-            const centroid = this.calculateCellCentroid(seed, i);
-            
-            // Calculate growth direction 
-            // For positive flux: from centroid to point (growth)
-            // For negative flux: from point to centroid (shrink)
-            const dirX = seed.position.x - centroid.x;
-            const dirY = seed.position.y - centroid.y;
-            const dirZ = seed.position.z - centroid.z;
-            
-            // Normalize direction
-            const length = Math.sqrt(dirX * dirX + dirY * dirY + dirZ * dirZ);
+            // Integrate velocity and position
+            const velocity = this.getVelocity(i);
+            const previous = seed.position.clone();
+            integrateMotion(seed.position, velocity, acceleration, deltaTime, motion);
+            this.confinePosition(seed.position);
             
-            let normalizedDir = { x: dirX, y: dirY, z: dirZ };
-            if (length < 1e-6) {
-                // Point is at centroid, use small random direction
-                normalizedDir.x = (Math.random() - 0.5) * 0.01;
-                normalizedDir.y = (Math.random() - 0.5) * 0.01;
-                normalizedDir.z = (Math.random() - 0.5) * 0.01;
-            } else {
-                normalizedDir.x /= length;
-                normalizedDir.y /= length;
-                normalizedDir.z /= length;
+            // Moves out of the domain mask are rejected and stop the seed
+            if (!this.insideMask(seed.position)) {
+                seed.position.copy(previous);
+                velocity.set(0, 0, 0);
+                continue;
             }
             
-            // Calculate displacement magnitude
-            let delta = this.config.k * rawFlux[i] * growthRate;
-            
-            // Apply damping with previous delta
-            const prevDelta = this.previousDeltas.get(i) || 0;
-            delta = this.config.damping * prevDelta + (1 - this.config.damping) * delta;
-            
-            // Clamp to maximum delta
-            delta = Math.max(-this.config.maxDelta, Math.min(this.config.maxDelta, delta));
-            
-            // Store for next iteration
-            this.previousDeltas.set(i, delta);
-            
-            // Calculate new position
-            const newX = seed.position.x + normalizedDir.x * delta;
-            const newY = seed.position.y + normalizedDir.y * delta;
-            const newZ = seed.position.z + normalizedDir.z * delta;
-            
-            // Update position
-            seed.position.set(newX, newY, newZ);
-            
-            // Keep seeds within bounds [-0.9, 0.9]
-            seed.position.clampScalar(-0.9, 0.9);
-            
             // Update statistics
-            if (Math.abs(delta) > 0) {
+            const displacement = velocity.length() * deltaTime;
+            if (displacement > 0) {
                 this.stats.activePoints++;
-                this.stats.totalDisplacement += Math.abs(delta);
-                this.stats.maxDisplacement = Math.max(this.stats.maxDisplacement, Math.abs(delta));
+                this.stats.totalDisplacement += displacement;
+                this.stats.maxDisplacement = Math.max(this.stats.maxDisplacement, displacement);
                 
                 if (rawFlux[i] > 0) {
                     this.stats.growingPoints++;
@@ -223,24 +316,263 @@ export class PhysicsEngine {
     }
     
     /**
-     * Calculate cell centroid - FIXED VERSION
-     * For now, create a realistic centroid offset based on cell properties
+     * Inter-cell force acceleration per seed (x, y, z), or null when forces are
+     * off or there is no adjacency for these seeds
      */
-    calculateCellCentroid(seed, seedIndex) {
-        // Instead of random, use a deterministic offset based on seed properties
-        // This simulates the centroid being offset from the generator position
+    calculateForces(seedData, settings) {
+        const model = resolveForceModel(settings.forceModel);
+        if (model === 'none' || !this.adjacency || this.adjacency.numCells !== seedData.length) {
+            return null;
+        }
         
-        // Use seed index and position to create a deterministic but varied offset
-        const hash = (seedIndex * 2654435761) % 2147483647; // Simple hash
-        const offsetX = ((hash % 1000) / 1000 - 0.5) * 0.1;
-        const offsetY = (((hash / 1000) % 1000) / 1000 - 0.5) * 0.1;
-        const offsetZ = (((hash / 1000000) % 1000) / 1000 - 0.5) * 0.1;
+        const forces = computeCellForces(seedData, this.adjacency, {
+            model,
+            domain: this.domain,
+            periodic: this.periodic,
+            meanVolume: meanCellVolume(this.domain, this.mask, seedData.length)
+        });
         
-        return {
-            x: seed.position.x + offsetX,
-            y: seed.position.y + offsetY,
-            z: seed.position.z + offsetZ
-        };
+        // forceRate × forceStrength per unit force and reference frame, as an acceleration
+        const scale = this.config.forceRate * (settings.forceStrength ?? 1.0) / (REFERENCE_STEP * REFERENCE_STEP);
+        for (let i = 0; i < forces.length; i++) {
+            forces[i] *= scale;
+        }
+        
+        return forces;
+    }
+    
+    /**
+     * Lloyd relaxation: move every seed toward its cell centroid
+     * @param {Array} seedData - Seeds with centroids from VoronoiAnalyzer
+     * @param {number} relaxation - Fraction of the seed-centroid offset applied per step (1 = classic Lloyd)
+     */
+    applyLloydRelaxation(seedData, relaxation) {
+        // Seeds jump to their centroids and stop: Lloyd has no momentum
+        this.velocities.clear();
+        
+        for (let i = 0; i < seedData.length; i++) {
+            const seed = seedData[i];
+            
+            // Empty cells have no centroid to move toward
+            if (!seed.centroid || !seed.voxelCount) continue;
+            
+            let dx = seed.centroid.x - seed.position.x;
+            let dy = seed.centroid.y - seed.position.y;
+            let dz = seed.centroid.z - seed.position.z;
+            
+            if (this.periodic) {
+                // Minimum image so a centroid across the seam pulls the short way
+                const image = this.domain.minimumImage({ x: dx, y: dy, z: dz });
+                dx = image.x;
+                dy = image.y;
+                dz = image.z;
+            }
+            
+            const delta = Math.sqrt(dx * dx + dy * dy + dz * dz) * relaxation;
+            const previous = seed.position.clone();
+            
+            seed.position.x += dx * relaxation;
+            seed.position.y += dy * relaxation;
+            seed.position.z += dz * relaxation;
+            
+            if (this.periodic) {
+                this.wrapPosition(seed.position);
+            } else {
+                // Centroids lie inside the domain, so only guard against over-relaxation
+                this.domain.clampPosition(seed.position);
+            }
+            
+            // Centroids of non-convex masked cells can lie outside the mask
+            if (!this.insideMask(seed.position)) {
+                seed.position.copy(previous);
+                continue;
+            }
+            
+            if (delta > 0) {
+                this.stats.activePoints++;
+                this.stats.totalDisplacement += delta;
+                this.stats.maxDisplacement = Math.max(this.stats.maxDisplacement, delta);
+            }
+        }
+    }
+    
+    /**
+     * Record the CVT convergence metrics: mean/max seed-centroid distance and the
+     * total energy (sum over cells of the integrated squared distance to the seed)
+     */
+    measureConvergence(seedData) {
+        let distanceSum = 0;
+        let maxDistance = 0;
+        let energy = 0;
+        let measured = 0;
+        
+        for (const seed of seedData) {
+            if (!seed.centroid || !seed.voxelCount) continue;
+            
+            let dx = seed.centroid.x - seed.position.x;
+            let dy = seed.centroid.y - seed.position.y;
+            let dz = seed.centroid.z - seed.position.z;
+            
+            if (this.periodic) {
+                const image = this.domain.minimumImage({ x: dx, y: dy, z: dz });
+                dx = image.x;
+                dy = image.y;
+                dz = image.z;
+            }
+            
+            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            distanceSum += distance;
+            maxDistance = Math.max(maxDistance, distance);
+            energy += seed.energy || 0;
+            measured++;
+        }
+        
+        this.stats.meanCentroidDistance = measured > 0 ? distanceSum / measured : 0;
+        this.stats.maxCentroidDistance = maxDistance;
+        this.stats.energy = energy;
+    }
+    
+    /**
+     * Drive each seed's weight with its flux, using momentum, damping and clamping
+     * to the metric's weight range. Runs for every seed so momentum also decays at zero flux.
+     */
+    applyWeightGrowth(seedData, rawFlux, growthRate, countCells = true) {
+        const limits = WEIGHT_LIMITS[this.distanceMetric];
+        const halfRange = (limits.max - limits.min) * 0.5;
+        
+        if (halfRange === 0) {
+            console.warn('⚠️ Weight growth has no effect with the unweighted metric');
+            return;
+        }
+        
+        for (let i = 0; i < seedData.length; i++) {
+            const seed = seedData[i];
+            
+            // Non-positive multiplicative weights act as unweighted: start from neutral
+            let weight = seed.weight || 0;
+            if (limits.min > 0 && weight <= 0) {
+                weight = limits.neutral;
+            }
+            
+            // Momentum + flux force, then damping
+            let velocity = this.weightVelocities.get(i) || 0;
+            velocity = this.config.weightMomentum * velocity + this.config.weightRate * rawFlux[i] * growthRate * halfRange;
+            velocity *= 1 - this.config.weightDamping;
+            
+            // Clamp to the metric's range; a clamped weight loses its velocity
+            let newWeight = weight + velocity;
+            if (newWeight < limits.min || newWeight > limits.max) {
+                newWeight = Math.max(limits.min, Math.min(limits.max, newWeight));
+                velocity = 0;
+            }
+            
+            this.weightVelocities.set(i, velocity);
+            this.stats.totalWeightChange += Math.abs(newWeight - weight);
+            seed.weight = newWeight;
+            
+            // Weight-only growth still reports which cells are growing
+            if (!countCells) continue;
+            if (rawFlux[i] > 0) {
+                this.stats.growingPoints++;
+                this.growingCells++;
+            } else if (rawFlux[i] < 0) {
+                this.stats.shrinkingPoints++;
+                this.shrinkingCells++;
+            }
+        }
+    }
+    
+    /**
+     * Cell centroid from VoronoiAnalyzer, as PhysicsCompute reads it from the analysis pass.
+     * Empty cells have none, so the seed position stands in (growth then picks a random direction).
+     */
+    calculateCellCentroid(seed) {
+        if (!seed.centroid || !seed.voxelCount) {
+            return seed.position;
+        }
+        return seed.centroid;
+    }
+    
+    /**
+     * Wrap a position into the periodic domain box
+     */
+    wrapPosition(position) {
+        return this.domain.wrapPosition(position);
+    }
+    
+    /**
+     * Velocity of seed i (created at rest, kept between steps)
+     */
+    getVelocity(i) {
+        let velocity = this.velocities.get(i);
+        if (!velocity) {
+            velocity = new THREE.Vector3();
+            this.velocities.set(i, velocity);
+        }
+        return velocity;
+    }
+    
+    /**
+     * Wrap a moved seed around the periodic box, or keep it clear of the walls
+     * (±0.9 of the default box)
+     */
+    confinePosition(position) {
+        if (this.periodic) {
+            this.wrapPosition(position);
+        } else {
+            this.domain.clampPosition(position, DOMAIN_WALL_MARGIN);
+        }
+        return position;
+    }
+    
+    /**
+     * True if a position is inside the domain mask (always true without one)
+     */
+    insideMask(position) {
+        return !this.mask || this.mask.contains(position.x, position.y, position.z);
+    }
+    
+    /**
+     * Set the domain seeds are clamped to (or wrapped around when periodic)
+     */
+    setDomain(domain) {
+        this.domain = SimulationDomain.from(domain);
+        this.mask = this.mask?.forDomain(this.domain) ?? null;
+    }
+    
+    /**
+     * Keep seeds inside a domain mask (DomainMask, spec or null)
+     */
+    setMask(mask) {
+        this.mask = DomainMask.from(mask, this.domain);
+    }
+    
+    /**
+     * Neighbours for the inter-cell forces (CellAdjacency of the seeds' current cells, or null)
+     */
+    setAdjacency(adjacency) {
+        this.adjacency = adjacency;
+    }
+    
+    /**
+     * Enable/disable periodic (wrap-around) boundaries
+     */
+    setPeriodicBoundaries(enabled) {
+        this.periodic = enabled;
+    }
+    
+    /**
+     * Set the JFA distance metric so weight growth uses the matching weight range
+     */
+    setDistanceMetric(metric) {
+        this.distanceMetric = resolveDistanceMetric(metric);
+    }
+    
+    /**
+     * Use the owning system's random generator so whole runs are reproducible
+     */
+    setRandom(random) {
+        this.random = random;
     }
     
     /**
@@ -255,11 +587,44 @@ export class PhysicsEngine {
         };
     }
     
+    /**
+     * Per-seed momentum state for snapshots
+     * @param {number} numSeeds - Number of seeds
+     * @returns {{ velocities: Float64Array, weightVelocities: Float64Array }}
+     */
+    getState(numSeeds) {
+        const velocities = new Float64Array(numSeeds * 3);
+        const weightVelocities = new Float64Array(numSeeds);
+        
+        for (let i = 0; i < numSeeds; i++) {
+            const velocity = this.velocities.get(i);
+            if (velocity) velocity.toArray(velocities, i * 3);
+            weightVelocities[i] = this.weightVelocities.get(i) || 0;
+        }
+        
+        return { velocities, weightVelocities };
+    }
+    
+    /**
+     * Restore momentum state returned by getState()
+     */
+    setState({ velocities, weightVelocities }) {
+        this.velocities.clear();
+        this.weightVelocities.clear();
+        
+        for (let i = 0; i < weightVelocities.length; i++) {
+            const velocity = new THREE.Vector3().fromArray(velocities, i * 3);
+            if (velocity.lengthSq() > 0) this.velocities.set(i, velocity);
+            if (weightVelocities[i] !== 0) this.weightVelocities.set(i, weightVelocities[i]);
+        }
+    }
+    
     /**
      * Reset physics state
      */
     reset() {
-        this.previousDeltas.clear();
+        this.velocities.clear();
+        this.weightVelocities.clear();
         this.growingCells = 0;
         this.shrinkingCells = 0;
         this.stats = {
@@ -267,7 +632,11 @@ export class PhysicsEngine {
             maxDisplacement: 0,
             activePoints: 0,
             growingPoints: 0,
-            shrinkingPoints: 0
+            shrinkingPoints: 0,
+            totalWeightChange: 0,
+            meanCentroidDistance: 0,
+            maxCentroidDistance: 0,
+            energy: 0
         };
     }
 } 
\ No newline at end of file
@@ -3,6 +3,10 @@
  * 
  * This is the REAL WebGPU implementation with zero CPU bottlenecks.
  * All data stays on GPU throughout the entire pipeline.
+ * 
+ * The domain is always the cubic [-1, 1]³ box with volumeResolution voxels per
+ * axis; non-cubic domains (see SimulationDomain) and domain masks (see DomainMask)
+ * need HybridVoronoiSystem or HeadlessVoronoiSystem.
  */
 
 import * as THREE from 'three';
@@ -12,21 +16,40 @@ import { StorageBuffer, Float32Attribute, UInt32Attribute } from 'three';
 // Import our GPU compute modules
 import { JFACompute } from './JFACompute.js';
 import { TSLVolumeRenderer } from './TSLVolumeRenderer.js';
+import { SeededRandom } from './SeededRandom.js';
+import { SeedGenerator } from './SeedGenerator.js';
+import { createSnapshot, parseSnapshot, snapshotToJSON, snapshotToBinary } from './SimulationSnapshot.js';
+import { TrajectoryRecorder } from './TrajectoryRecorder.js';
+import { JFAValidator } from './JFAValidator.js';
+import { JUNCTION_MIN_CELLS, JUNCTION_SLOTS_PER_CELL, JUNCTION_OFFSET_SCALE, resolveJunctionCriterion } from './JunctionCriteria.js';
+import { INTEGRATOR_CODES, INTEGRATOR_WGSL, REFERENCE_STEP, resolveIntegrator, velocityRetention } from './Integrator.js';
+import { SimulationClock, CLOCK_DEFAULTS } from './SimulationClock.js';
+import { SimulationDomain } from './SimulationDomain.js';
+import { TopologicalEvents, TOPOLOGICAL_EVENT_DEFAULTS } from './TopologicalEvents.js';
 
 export class PureGPUSystem {
     constructor(container, settings = {}) {
         this.container = container;
         this.settings = {
+            seed: null,  // null = pick a new random seed on every initialization
+            seedDistribution: 'uniform',  // See SEED_DISTRIBUTIONS
+            seedJitter: null,  // Lattice/grid jitter as a fraction of seed spacing (null: layout default)
             volumeResolution: 256,
             numPoints: 100,
+            junctionCriterion: 'triple',  // Junction test baked into the analysis shader (see JunctionCriteria)
+            mergeJunctions: false,  // One count per junction cell set instead of per 2×2×2 block
+            clock: { ...CLOCK_DEFAULTS },  // Fixed steps per render frame, substeps and adaptive dt (see SimulationClock)
+            topologicalEvents: { ...TOPOLOGICAL_EVENT_DEFAULTS },  // Cell division and removal (see TopologicalEvents)
             physicsSettings: {
                 threshold: 32,  // Calibrated based on observed average acute count
                 mode: 'balanced',
                 growthRate: 0.2,  // Increased for more visible movement
                 shrinkRate: 0.1,  // Increased for more visible movement
-                momentum: 0.95,
-                damping: 0.02,
-                maxSpeed: 2.0
+                integrator: 'euler',  // Seed motion, see INTEGRATORS (euler, verlet)
+                momentum: 0.95,  // Velocity carried over per 60 Hz frame
+                damping: 0.02,  // Extra velocity loss per 60 Hz frame
+                maxSpeed: 2.0,
+                relaxation: 1.0  // Lloyd mode: fraction of the seed-centroid offset applied per step
             },
             ...settings
         };
@@ -34,6 +57,19 @@ export class PureGPUSystem {
         this.frameCount = 0;
         this.simulationRunning = false;
         
+        // Turns render-frame time into fixed simulation steps (see update)
+        this.clock = new SimulationClock(this.settings.clock);
+        
+        // Cell division/removal and its lineage (see applyTopologicalEvents)
+        this.topologicalEvents = new TopologicalEvents(this.settings.topologicalEvents);
+        
+        // Seeded random generator for reproducible seed layouts
+        this.random = new SeededRandom();
+        this.seedGenerator = new SeedGenerator(this.random);
+        
+        // Seed trajectories read back from the GPU (off until setTrajectoryRecording)
+        this.trajectoryRecorder = new TrajectoryRecorder();
+        
         // Performance tracking
         this.performanceStats = {
             jfaTime: 0,
@@ -42,7 +78,9 @@ export class PureGPUSystem {
             totalTime: 0,
             fps: 0,
             growingCells: 0,
-            shrinkingCells: 0
+            shrinkingCells: 0,
+            meanCentroidDistance: 0,  // CVT convergence (read with the other stats)
+            maxDisplacement: 0  // Largest seed move of the last step (read with the other stats)
         };
     }
     
@@ -76,6 +114,7 @@ export class PureGPUSystem {
         
         // Initialize GPU buffers
         await this.initializeGPUBuffers();
+        this.topologicalEvents.reset(this.settings.numPoints);
         
         // Initialize compute pipelines
         await this.initializeComputePipelines();
@@ -133,23 +172,39 @@ export class PureGPUSystem {
     
     /**
      * Initialize all GPU buffers that will persist throughout the simulation
+     * @param {Object} [seeds] - Restored { positions, velocities } (from a snapshot) instead of a new layout
      */
-    async initializeGPUBuffers() {
-        const numPoints = this.settings.numPoints;
+    async initializeGPUBuffers(seeds = null) {
+        let positions = seeds?.positions;
+        const velocities = seeds?.velocities;
+        
+        if (!positions) {
+            // Restart the PRNG so the same seed always gives the same layout
+            this.random.reseed(this.settings.seed ?? SeededRandom.randomSeed());
+            console.log(`🎲 Seed layout uses seed=${this.random.seed}`);
+            
+            // Lattice and jittered-grid layouts may round the requested count to whole cells
+            positions = this.seedGenerator.generate(this.settings.seedDistribution, this.settings.numPoints, {
+                halfSize: 1.0,
+                jitter: this.settings.seedJitter
+            });
+        }
+        const numPoints = positions.length / 3;
+        this.settings.numPoints = numPoints;
         
         // Seed buffer: position (vec4) + velocity (vec3) + radius (float) = 8 floats per seed
         const seedData = new Float32Array(numPoints * 8);
         for (let i = 0; i < numPoints; i++) {
             const offset = i * 8;
-            // Random position (vec4f - xyz + w component)
-            seedData[offset + 0] = Math.random() * 2 - 1;  // x
-            seedData[offset + 1] = Math.random() * 2 - 1;  // y
-            seedData[offset + 2] = Math.random() * 2 - 1;  // z
+            // Position (vec4f - xyz + w component)
+            seedData[offset + 0] = positions[i * 3];      // x
+            seedData[offset + 1] = positions[i * 3 + 1];  // y
+            seedData[offset + 2] = positions[i * 3 + 2];  // z
             seedData[offset + 3] = 1.0;  // w component (typically 1.0 for positions)
-            // Zero velocity (vec3f)
-            seedData[offset + 4] = 0;  // vx
-            seedData[offset + 5] = 0;  // vy
-            seedData[offset + 6] = 0;  // vz
+            // Velocity (vec3f) - zero unless restored
+            seedData[offset + 4] = velocities ? velocities[i * 3] : 0;      // vx
+            seedData[offset + 5] = velocities ? velocities[i * 3 + 1] : 0;  // vy
+            seedData[offset + 6] = velocities ? velocities[i * 3 + 2] : 0;  // vz
             // Initial radius
             seedData[offset + 7] = 0.5;
         }
@@ -169,9 +224,17 @@ export class PureGPUSystem {
         this.atomicCentroidBuffer = new StorageBuffer(new UInt32Attribute(atomicCentroidData, 1));
         
         // Statistics buffer for GPU-computed stats
-        const statsData = new Uint32Array(4); // growing, shrinking, total, padding
+        const statsData = new Uint32Array(8); // growing, shrinking, total, centroidDistance, maxDisplacement, padding
         this.statsBuffer = new StorageBuffer(new UInt32Attribute(statsData, 4));
         
+        // Float centroid buffer for finalized data
+        const floatCentroidData = new Float32Array(numPoints * 4);
+        this.floatCentroidBuffer = new StorageBuffer(new Float32Attribute(floatCentroidData, 4));
+        
+        // Merged junction slots: JUNCTION_SLOTS_PER_CELL per cell, 8 u32 each (one slot when unused)
+        const junctionSlotData = new Uint32Array(this.settings.mergeJunctions ? numPoints * JUNCTION_SLOTS_PER_CELL * 8 : 8);
+        this.junctionSlotBuffer = new StorageBuffer(new UInt32Attribute(junctionSlotData, 8));
+        
         console.log('📦 GPU buffers initialized');
     }
     
@@ -197,6 +260,7 @@ export class PureGPUSystem {
      */
     async initializeAnalysisCompute() {
         const device = this.device;
+        const junctionCriterion = resolveJunctionCriterion(this.settings.junctionCriterion);
         
         // Create analysis compute shader
         const analysisShaderCode = `
@@ -214,6 +278,104 @@ export class PureGPUSystem {
             @group(0) @binding(2) var<storage, read_write> centroids: array<atomic<u32>>; // Flat array of atomics
             @group(0) @binding(3) var<storage, read_write> acuteCounts: array<atomic<u32>>;
             
+            // Merged junctions: slots of the lowest cell ID, claimed by a hash of the other IDs
+            struct JunctionSlot {
+                token: atomic<u32>,       // 0 = empty
+                cellB: u32,
+                cellC: u32,
+                cellD: u32,               // NO_CELL for triple junctions
+                offsetX: atomic<i32>,     // Block-centre offsets from the lowest seed, fixed point
+                offsetY: atomic<i32>,
+                offsetZ: atomic<i32>,
+                blockCount: atomic<u32>
+            };
+            @group(0) @binding(4) var<storage, read_write> junctionSlots: array<JunctionSlot>;
+            
+            const MIN_JUNCTION_CELLS = ${JUNCTION_MIN_CELLS[junctionCriterion]}u;
+            const MERGE_JUNCTIONS = ${this.settings.mergeJunctions ? 'true' : 'false'};
+            const SLOTS_PER_CELL = ${JUNCTION_SLOTS_PER_CELL}u;
+            const JUNCTION_OFFSET_SCALE = ${JUNCTION_OFFSET_SCALE}.0;
+            const NO_CELL = 0xffffffffu;
+            
+            // Count acute seed-vertex angles between every pair of cells at a junction
+            fn countAcuteAngles(cells: ptr<function, array<u32, 8>>, count: u32, junctionPos: vec3<f32>) {
+                for (var i = 0u; i < count; i++) {
+                    for (var j = i + 1u; j < count; j++) {
+                        let cellA = (*cells)[i];
+                        let cellB = (*cells)[j];
+                        let vecA = normalize(seeds[cellA].position.xyz - junctionPos);
+                        let vecB = normalize(seeds[cellB].position.xyz - junctionPos);
+                        let angle = acos(clamp(dot(vecA, vecB), -1.0, 1.0));
+                        
+                        // If angle is acute (< 90 degrees)
+                        if (angle < 1.5708) {
+                            atomicAdd(&acuteCounts[cellA], 1u);
+                            atomicAdd(&acuteCounts[cellB], 1u);
+                        }
+                    }
+                }
+            }
+            
+            // Add a junction block to the merged junction of its (at most four) nearest cells
+            fn claimJunction(cells: ptr<function, array<u32, 8>>, count: u32, blockCentre: vec3<f32>) {
+                // Keep the four seeds closest to the block centre
+                let kept = min(count, 4u);
+                for (var i = 0u; i < kept; i++) {
+                    var best = i;
+                    var bestDistance = 1e30;
+                    for (var j = i; j < count; j++) {
+                        let offset = seeds[(*cells)[j]].position.xyz - blockCentre;
+                        if (dot(offset, offset) < bestDistance) {
+                            best = j;
+                            bestDistance = dot(offset, offset);
+                        }
+                    }
+                    let swap = (*cells)[i];
+                    (*cells)[i] = (*cells)[best];
+                    (*cells)[best] = swap;
+                }
+                
+                // Sort them so every block of the set builds the same key
+                for (var i = 1u; i < kept; i++) {
+                    let cell = (*cells)[i];
+                    var j = i;
+                    while (j > 0u && (*cells)[j - 1u] > cell) {
+                        (*cells)[j] = (*cells)[j - 1u];
+                        j--;
+                    }
+                    (*cells)[j] = cell;
+                }
+                
+                let cellA = (*cells)[0];
+                let cellD = select(NO_CELL, (*cells)[3], kept == 4u);
+                let token = max(((*cells)[1] * 73856093u) ^ ((*cells)[2] * 19349663u) ^ (cellD * 83492791u), 1u);
+                let offset = vec3<i32>(round((blockCentre - seeds[cellA].position.xyz) * JUNCTION_OFFSET_SCALE));
+                
+                // Open addressing within the cell's slots; a full table drops the block
+                for (var probe = 0u; probe < SLOTS_PER_CELL; probe++) {
+                    let slot = cellA * SLOTS_PER_CELL + (token + probe) % SLOTS_PER_CELL;
+                    var result = atomicCompareExchangeWeak(&junctionSlots[slot].token, 0u, token);
+                    
+                    // A weak exchange can fail spuriously on an empty slot: retry it
+                    while (!result.exchanged && result.old_value == 0u) {
+                        result = atomicCompareExchangeWeak(&junctionSlots[slot].token, 0u, token);
+                    }
+                    
+                    if (result.exchanged) {
+                        junctionSlots[slot].cellB = (*cells)[1];
+                        junctionSlots[slot].cellC = (*cells)[2];
+                        junctionSlots[slot].cellD = cellD;
+                    }
+                    if (result.exchanged || result.old_value == token) {
+                        atomicAdd(&junctionSlots[slot].offsetX, offset.x);
+                        atomicAdd(&junctionSlots[slot].offsetY, offset.y);
+                        atomicAdd(&junctionSlots[slot].offsetZ, offset.z);
+                        atomicAdd(&junctionSlots[slot].blockCount, 1u);
+                        return;
+                    }
+                }
+            }
+            
             @compute @workgroup_size(4, 4, 4)
             fn main(@builtin(global_invocation_id) id: vec3<u32>) {
                 let dims = textureDimensions(jfaTexture);
@@ -269,31 +431,50 @@ export class PureGPUSystem {
                     }
                 }
                 
-                // If we have 3 or more unique cells, this is a junction
-                if (numUnique >= 3u) {
-                    // Calculate angles and update acute counts
-                    let junctionPos = (vec3<f32>(id) + vec3<f32>(0.5)) / vec3<f32>(dims) * 2.0 - 1.0;
-                    
-                    for (var i = 0u; i < numUnique; i++) {
-                        for (var j = i + 1u; j < numUnique; j++) {
-                            let cellA = uniqueCells[i];
-                            let cellB = uniqueCells[j];
-                            
-                            if (cellA < arrayLength(&seeds) && cellB < arrayLength(&seeds)) {
-                                let vecA = normalize(seeds[cellA].position.xyz - junctionPos);
-                                let vecB = normalize(seeds[cellB].position.xyz - junctionPos);
-                                let angle = acos(clamp(dot(vecA, vecB), -1.0, 1.0));
-                                
-                                // If angle is acute (< 90 degrees)
-                                if (angle < 1.5708) {
-                                    atomicAdd(&acuteCounts[cellA], 1u);
-                                    atomicAdd(&acuteCounts[cellB], 1u);
-                                }
-                            }
-                        }
+                // Junction test: MIN_JUNCTION_CELLS or more unique cells
+                if (numUnique >= MIN_JUNCTION_CELLS) {
+                    if (MERGE_JUNCTIONS) {
+                        // Counted once per cell set in resolveJunctions; the block centre is the shared voxel corner
+                        let blockCentre = (vec3<f32>(id) + vec3<f32>(1.0)) / vec3<f32>(dims) * 2.0 - 1.0;
+                        claimJunction(&uniqueCells, numUnique, blockCentre);
+                    } else {
+                        let junctionPos = (vec3<f32>(id) + vec3<f32>(0.5)) / vec3<f32>(dims) * 2.0 - 1.0;
+                        countAcuteAngles(&uniqueCells, numUnique, junctionPos);
                     }
                 }
             }
+            
+            // Merged junctions: count each junction's angles once, at its mean block centre
+            @compute @workgroup_size(64)
+            fn resolveJunctions(@builtin(global_invocation_id) id: vec3<u32>) {
+                let slot = id.x;
+                if (slot >= arrayLength(&junctionSlots)) {
+                    return;
+                }
+                
+                let blockCount = atomicLoad(&junctionSlots[slot].blockCount);
+                if (blockCount == 0u) {
+                    return;
+                }
+                
+                var cells: array<u32, 8>;
+                cells[0] = slot / SLOTS_PER_CELL;
+                cells[1] = junctionSlots[slot].cellB;
+                cells[2] = junctionSlots[slot].cellC;
+                var count = 3u;
+                if (junctionSlots[slot].cellD != NO_CELL) {
+                    cells[3] = junctionSlots[slot].cellD;
+                    count = 4u;
+                }
+                
+                let offsetSum = vec3<f32>(
+                    f32(atomicLoad(&junctionSlots[slot].offsetX)),
+                    f32(atomicLoad(&junctionSlots[slot].offsetY)),
+                    f32(atomicLoad(&junctionSlots[slot].offsetZ))
+                );
+                let junctionPos = seeds[cells[0]].position.xyz + offsetSum / (f32(blockCount) * JUNCTION_OFFSET_SCALE);
+                countAcuteAngles(&cells, count, junctionPos);
+            }
         `;
         
         // Create shader module
@@ -312,6 +493,18 @@ export class PureGPUSystem {
             }
         });
         
+        // Second pass for merged junctions
+        if (this.settings.mergeJunctions) {
+            this.junctionResolvePipeline = device.createComputePipeline({
+                label: 'Junction Merge Pipeline',
+                layout: 'auto',
+                compute: {
+                    module: shaderModule,
+                    entryPoint: 'resolveJunctions'
+                }
+            });
+        }
+        
 
         
         // Create centroid finalization compute shader
@@ -344,8 +537,8 @@ export class PureGPUSystem {
                 // Convert to world space centroid
                 if (voxelCount > 0.0) {
                     let centroid = vec3<f32>(sumX, sumY, sumZ) / voxelCount;
-                    // Convert from voxel coordinates to world coordinates [-1, 1]
-                    floatCentroids[cellId].positionSum = (centroid / f32(volumeSize)) * 2.0 - 1.0;
+                    // Convert from voxel coordinates (voxel centres) to world coordinates [-1, 1]
+                    floatCentroids[cellId].positionSum = ((centroid + 0.5) / f32(volumeSize)) * 2.0 - 1.0;
                     floatCentroids[cellId].voxelCount = voxelCount;
                 } else {
                     floatCentroids[cellId].positionSum = vec3<f32>(0.0);
@@ -380,10 +573,6 @@ export class PureGPUSystem {
         new Uint32Array(this.volumeSizeBuffer.getMappedRange()).set([this.settings.volumeResolution]);
         this.volumeSizeBuffer.unmap();
         
-        // Create float centroid buffer for finalized data
-        const floatCentroidData = new Float32Array(this.settings.numPoints * 4);
-        this.floatCentroidBuffer = new StorageBuffer(new Float32Attribute(floatCentroidData, 4));
-        
         console.log('🔬 Analysis compute pipeline created');
     }
     
@@ -414,11 +603,12 @@ export class PureGPUSystem {
                 threshold: f32,
                 growthRate: f32,
                 shrinkRate: f32,
-                momentum: f32,
-                damping: f32,
+                retention: f32,  // Velocity kept over deltaTime (momentum and damping, see Integrator.js)
+                integrator: u32,  // 0=euler, 1=verlet
                 maxSpeed: f32,
-                mode: u32,  // 0=balanced, 1=growthOnly, 2=shrinkOnly, 3=inverse
-                deltaTime: f32
+                mode: u32,  // 0=balanced, 1=growthOnly, 2=shrinkOnly, 3=inverse, 4=lloyd
+                deltaTime: f32,
+                relaxation: f32
             };
             
             // Statistics structure with proper typing
@@ -426,7 +616,8 @@ export class PureGPUSystem {
                 growing: atomic<u32>,
                 shrinking: atomic<u32>,
                 total: atomic<u32>,
-                padding: u32
+                centroidDistance: atomic<u32>,  // Sum of seed-centroid distances, fixed point (1e-4)
+                maxDisplacement: atomic<u32>  // Largest seed move, fixed point (1e-6)
             };
             
             // Properly typed binding declarations
@@ -435,7 +626,7 @@ export class PureGPUSystem {
             @group(0) @binding(2) var<storage, read> acuteCounts: array<u32>;
             @group(0) @binding(3) var<uniform> settings: PhysicsSettings;
             @group(0) @binding(4) var<storage, read_write> stats: Stats;
-            
+            ${INTEGRATOR_WGSL}
             @compute @workgroup_size(64)
             fn main(@builtin(global_invocation_id) id: vec3<u32>) {
                 let cellId = id.x;
@@ -448,6 +639,8 @@ export class PureGPUSystem {
                     atomicStore(&stats.growing, 0u);
                     atomicStore(&stats.shrinking, 0u);
                     atomicStore(&stats.total, arrayLength(&seeds));
+                    atomicStore(&stats.centroidDistance, 0u);
+                    atomicStore(&stats.maxDisplacement, 0u);
                 }
                 workgroupBarrier();
                 
@@ -463,8 +656,18 @@ export class PureGPUSystem {
                     
                     // Only proceed if we have a valid direction vector
                     let distance = length(delta);
-                    if (distance > 0.001) {
-                        let direction = delta / distance; // Manual normalization to avoid issues
+                    atomicAdd(&stats.centroidDistance, u32(distance * 10000.0));
+                    
+                    if (settings.mode == 4u) {
+                        // Lloyd relaxation: move straight toward the centroid, no momentum
+                        seed.position.xyz = clamp(seed.position.xyz + delta * settings.relaxation, vec3<f32>(-1.0), vec3<f32>(1.0));
+                        seed.velocity = vec3<f32>(0.0);
+                    } else {
+                        // A seed at its centroid has no direction and only coasts
+                        var direction = vec3<f32>(0.0);
+                        if (distance > 0.001) {
+                            direction = delta / distance; // Manual normalization to avoid issues
+                        }
                         
                         // Determine growth/shrink based on acute count and mode
                         var shouldGrow = false;
@@ -490,7 +693,7 @@ export class PureGPUSystem {
                             default: {}
                         }
                         
-                        // Apply forces
+                        // Apply forces (velocity impulses per reference frame)
                         var force = vec3<f32>(0.0);
                         if (shouldGrow) {
                             // GROW: Move seed AWAY from centroid to expand the cell
@@ -502,18 +705,12 @@ export class PureGPUSystem {
                             atomicAdd(&stats.shrinking, 1u);
                         }
                         
-                        // Update velocity with momentum and damping
-                        seed.velocity = seed.velocity * settings.momentum + force;
-                        seed.velocity = seed.velocity * (1.0 - settings.damping);
-                        
-                        // Clamp velocity
-                        let speed = length(seed.velocity);
-                        if (speed > settings.maxSpeed) {
-                            seed.velocity = normalize(seed.velocity) * settings.maxSpeed;
-                        }
-                        
-                        // Update position
-                        seed.position.xyz = seed.position.xyz + seed.velocity * settings.deltaTime;
+                        // Integrate velocity and position, the impulse as an acceleration
+                        let motion = integrateMotion(seed.position.xyz, seed.velocity, force * ${1 / REFERENCE_STEP},
+                                                     settings.deltaTime, settings.integrator, settings.retention, settings.maxSpeed);
+                        seed.velocity = motion.velocity;
+                        seed.position.xyz = motion.position;
+                        atomicMax(&stats.maxDisplacement, u32(length(motion.velocity) * settings.deltaTime * 1000000.0));
                         
                         // Keep seeds in bounds [-1, 1]
                         seed.position.xyz = clamp(seed.position.xyz, vec3<f32>(-1.0), vec3<f32>(1.0));
@@ -541,17 +738,8 @@ export class PureGPUSystem {
             }
         });
         
-        // Create physics settings uniform buffer
-        const settingsData = new Float32Array([
-            this.settings.physicsSettings.threshold,
-            this.settings.physicsSettings.growthRate,
-            this.settings.physicsSettings.shrinkRate,
-            this.settings.physicsSettings.momentum,
-            this.settings.physicsSettings.damping,
-            this.settings.physicsSettings.maxSpeed,
-            0, // mode (will be set per frame)
-            0  // deltaTime (will be set per frame)
-        ]);
+        // Create physics settings uniform buffer (mode and deltaTime are set per frame)
+        const settingsData = this.getPhysicsSettingsData(0);
         
         this.physicsSettingsBuffer = device.createBuffer({
             label: 'Physics Settings Buffer',
@@ -559,39 +747,83 @@ export class PureGPUSystem {
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
             mappedAtCreation: true
         });
-        new Float32Array(this.physicsSettingsBuffer.getMappedRange()).set(settingsData);
+        new Uint8Array(this.physicsSettingsBuffer.getMappedRange()).set(new Uint8Array(settingsData));
         this.physicsSettingsBuffer.unmap();
         
         console.log('🌊 Physics compute pipeline created');
     }
     
     /**
-     * Main update loop - Pure GPU pipeline
+     * Pack the PhysicsSettings uniform (integrator and mode are u32, everything else f32)
      */
-    async update(deltaTime) {
-        if (!this.simulationRunning) return;
-        
-        const startTime = performance.now();
-        
-        // Update physics settings
+    getPhysicsSettingsData(deltaTime) {
         const modeMap = {
             'balanced': 0,
             'growthOnly': 1,
             'shrinkOnly': 2,
-            'inverse': 3
+            'inverse': 3,
+            'lloyd': 4
         };
         
-        const settingsData = new Float32Array([
-            this.settings.physicsSettings.threshold,
-            this.settings.physicsSettings.growthRate,
-            this.settings.physicsSettings.shrinkRate,
-            this.settings.physicsSettings.momentum,
-            this.settings.physicsSettings.damping,
-            this.settings.physicsSettings.maxSpeed,
-            modeMap[this.settings.physicsSettings.mode] || 0,
-            deltaTime
+        const physicsSettings = this.settings.physicsSettings;
+        const data = new ArrayBuffer(36);
+        const floats = new Float32Array(data);
+        const uints = new Uint32Array(data);
+        floats.set([
+            physicsSettings.threshold,
+            physicsSettings.growthRate,
+            physicsSettings.shrinkRate,
+            velocityRetention(physicsSettings.momentum, physicsSettings.damping, deltaTime)
         ]);
-        this.device.queue.writeBuffer(this.physicsSettingsBuffer, 0, settingsData);
+        uints[4] = INTEGRATOR_CODES[resolveIntegrator(physicsSettings.integrator)];
+        floats[5] = physicsSettings.maxSpeed;
+        uints[6] = modeMap[physicsSettings.mode] || 0;
+        floats[7] = deltaTime;
+        floats[8] = physicsSettings.relaxation ?? 1.0;
+        
+        return data;
+    }
+    
+    /**
+     * Main update loop - Pure GPU pipeline: the simulation steps due for this
+     * render frame (fixed steps from the clock), then one render
+     * @param {number} frameTime - Wall-clock seconds since the previous frame
+     */
+    async update(frameTime) {
+        if (!this.simulationRunning) return;
+        
+        const startTime = performance.now();
+        
+        this.clock.tick(frameTime);
+        let deltaTime;
+        while ((deltaTime = this.clock.nextStep(2 / this.settings.volumeResolution)) > 0) {
+            await this.step(deltaTime);
+        }
+        
+        // Pass 5: Render (using GPU data directly)
+        if (this.volumeRenderer) {
+            this.volumeRenderer.updateVolume(
+                this.jfaCompute.getOutputTexture(),
+                this.settings.volumeResolution,
+                Math.ceil(Math.sqrt(this.settings.volumeResolution))
+            );
+        }
+        
+        this.renderer.render(this.scene, this.camera);
+        
+        // Update performance stats
+        this.performanceStats.totalTime = Math.round(performance.now() - startTime);
+        this.performanceStats.fps = Math.round(1000 / this.performanceStats.totalTime);
+    }
+    
+    /**
+     * One simulation step: JFA, analysis, centroid finalization and physics passes
+     * @param {number} deltaTime - Step length in seconds
+     */
+    async step(deltaTime) {
+        // Update physics settings (the physics pass runs once per substep)
+        const substeps = this.clock.substepsFor(this.settings.physicsSettings);
+        this.device.queue.writeBuffer(this.physicsSettingsBuffer, 0, this.getPhysicsSettingsData(deltaTime / substeps));
         
         // Create command encoder
         const commandEncoder = this.device.createCommandEncoder();
@@ -607,6 +839,9 @@ export class PureGPUSystem {
         // Clear buffers
         commandEncoder.clearBuffer(this.atomicCentroidBuffer, 0);
         commandEncoder.clearBuffer(this.acuteCountBuffer, 0);
+        if (this.settings.mergeJunctions) {
+            commandEncoder.clearBuffer(this.junctionSlotBuffer.buffer, 0);
+        }
         
         // Run analysis compute pass
         const analysisPass = commandEncoder.beginComputePass();
@@ -618,7 +853,8 @@ export class PureGPUSystem {
                 { binding: 0, resource: this.jfaCompute.getOutputTexture().createView() },
                 { binding: 1, resource: { buffer: this.seedBuffer.buffer } },
                 { binding: 2, resource: { buffer: this.atomicCentroidBuffer.buffer } },
-                { binding: 3, resource: { buffer: this.acuteCountBuffer.buffer } }
+                { binding: 3, resource: { buffer: this.acuteCountBuffer.buffer } },
+                { binding: 4, resource: { buffer: this.junctionSlotBuffer.buffer } }
             ]
         });
         
@@ -627,6 +863,22 @@ export class PureGPUSystem {
         analysisPass.dispatchWorkgroups(workgroupsPerDim, workgroupsPerDim, workgroupsPerDim);
         analysisPass.end();
         
+        // Merged junctions are counted once each, after every block has been added
+        if (this.settings.mergeJunctions) {
+            const junctionPass = commandEncoder.beginComputePass();
+            junctionPass.setPipeline(this.junctionResolvePipeline);
+            junctionPass.setBindGroup(0, this.device.createBindGroup({
+                layout: this.junctionResolvePipeline.getBindGroupLayout(0),
+                entries: [
+                    { binding: 1, resource: { buffer: this.seedBuffer.buffer } },
+                    { binding: 3, resource: { buffer: this.acuteCountBuffer.buffer } },
+                    { binding: 4, resource: { buffer: this.junctionSlotBuffer.buffer } }
+                ]
+            }));
+            junctionPass.dispatchWorkgroups(Math.ceil(this.settings.numPoints * JUNCTION_SLOTS_PER_CELL / 64));
+            junctionPass.end();
+        }
+        
         this.performanceStats.analysisTime = Math.round(performance.now() - analysisStart);
         
         // Pass 3: Centroid Finalization
@@ -670,7 +922,9 @@ export class PureGPUSystem {
         
         physicsPass.setBindGroup(0, physicsBindGroup);
         const physicsWorkgroups = Math.ceil(this.settings.numPoints / 64);
-        physicsPass.dispatchWorkgroups(physicsWorkgroups);
+        for (let substep = 0; substep < substeps; substep++) {
+            physicsPass.dispatchWorkgroups(physicsWorkgroups);
+        }
         physicsPass.end();
         
         this.performanceStats.physicsTime = Math.round(performance.now() - physicsStart);
@@ -678,27 +932,57 @@ export class PureGPUSystem {
         // Submit all compute passes
         this.device.queue.submit([commandEncoder.finish()]);
         
-        // Pass 5: Render (using GPU data directly)
-        if (this.volumeRenderer) {
-            this.volumeRenderer.updateVolume(
-                this.jfaCompute.getOutputTexture(),
-                this.settings.volumeResolution,
-                Math.ceil(Math.sqrt(this.settings.volumeResolution))
-            );
+        this.frameCount++;
+        
+        // Optionally read stats every N frames (small data transfer for UI, or every step for adaptive steps)
+        if (this.frameCount % 30 === 0 || this.clock.settings.adaptive) {
+            await this.readStatistics();
+            this.clock.observe(this.performanceStats.maxDisplacement, deltaTime / substeps);
         }
         
-        this.renderer.render(this.scene, this.camera);
+        // Trajectory frames cost a seed-buffer readback, so only on recorded frames
+        if (this.trajectoryRecorder.shouldRecord(this.frameCount)) {
+            await this.recordTrajectoryFrame();
+        }
         
-        // Update performance stats
-        this.performanceStats.totalTime = Math.round(performance.now() - startTime);
-        this.performanceStats.fps = Math.round(1000 / this.performanceStats.totalTime);
+        // Divide and remove cells at the size limits (voxel counts, labels and seeds are read back)
+        if (this.topologicalEvents.isDue(this.frameCount)) {
+            await this.applyTopologicalEvents();
+        }
+    }
+    
+    /**
+     * Divide the cells whose voxel count in the last centroid pass exceeds the division
+     * limit and remove those below the removal limit (see TopologicalEvents), then
+     * rebuild the per-seed buffers
+     * @returns {Promise<number>} Events applied
+     */
+    async applyTopologicalEvents() {
+        const plan = this.topologicalEvents.plan(await this.readVoxelCounts());
+        if (plan.divisions.length === 0 && plan.removals.length === 0) return 0;
+        
+        const labels = plan.divisions.length > 0
+            ? JFAValidator.labelsFromUint32(await this.jfaCompute.getLabels())
+            : null;
+        const recorded = this.topologicalEvents.lineage.length;
+        const seeds = this.topologicalEvents.apply(await this.readSeedBuffer(), plan, labels, {
+            domain: SimulationDomain.from(this.settings.volumeResolution),
+            random: this.random,
+            frame: this.frameCount
+        });
+        if (!seeds) return 0;
         
-        this.frameCount++;
+        this.destroySeedBuffers();
+        await this.initializeGPUBuffers(seeds);
         
-        // Optionally read stats every N frames (small data transfer for UI only)
-        if (this.frameCount % 30 === 0) {
-            await this.readStatistics();
-        }
+        return this.topologicalEvents.lineage.length - recorded;
+    }
+    
+    /**
+     * Division and removal events so far: { frame, event, parent, children } with persistent cell ids
+     */
+    getLineage() {
+        return this.topologicalEvents.getLineage();
     }
     
     /**
@@ -734,13 +1018,44 @@ export class PureGPUSystem {
         return data;
     }
     
+    /**
+     * Read the voxel count of each cell from the finalized centroids
+     * @returns {Promise<Float32Array>}
+     */
+    async readVoxelCounts() {
+        const numPoints = this.settings.numPoints;
+        const byteLength = numPoints * 4 * 4;
+        
+        const stagingBuffer = this.device.createBuffer({
+            size: byteLength,
+            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+        });
+        
+        const commandEncoder = this.device.createCommandEncoder();
+        commandEncoder.copyBufferToBuffer(this.floatCentroidBuffer.buffer, 0, stagingBuffer, 0, byteLength);
+        this.device.queue.submit([commandEncoder.finish()]);
+        
+        await stagingBuffer.mapAsync(GPUMapMode.READ);
+        const data = new Float32Array(stagingBuffer.getMappedRange().slice(0));
+        stagingBuffer.unmap();
+        stagingBuffer.destroy();
+        
+        // Centroid layout: positionSum (xyz), voxelCount
+        const voxelCounts = new Float32Array(numPoints);
+        for (let i = 0; i < numPoints; i++) {
+            voxelCounts[i] = data[i * 4 + 3];
+        }
+        
+        return voxelCounts;
+    }
+    
     /**
      * Read statistics from GPU (only for UI display)
      */
     async readStatistics() {
         // Create a staging buffer to read stats
         const stagingBuffer = this.device.createBuffer({
-            size: 16, // 4 uint32s
+            size: 20, // 5 uint32s
             usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
         });
         
@@ -748,7 +1063,7 @@ export class PureGPUSystem {
         commandEncoder.copyBufferToBuffer(
             this.statsBuffer.buffer, 0,
             stagingBuffer, 0,
-            16
+            20
         );
         this.device.queue.submit([commandEncoder.finish()]);
         
@@ -756,10 +1071,150 @@ export class PureGPUSystem {
         const data = new Uint32Array(stagingBuffer.getMappedRange());
         this.performanceStats.growingCells = data[0];
         this.performanceStats.shrinkingCells = data[1];
+        this.performanceStats.meanCentroidDistance = data[2] > 0 ? data[3] / 10000 / data[2] : 0;
+        this.performanceStats.maxDisplacement = data[4] / 1000000;
         stagingBuffer.unmap();
         stagingBuffer.destroy();
     }
     
+    /**
+     * Read seed positions and velocities back from the GPU seed buffer
+     * @returns {Promise<{ positions: Float32Array, velocities: Float32Array }>}
+     */
+    async readSeedBuffer() {
+        const numPoints = this.settings.numPoints;
+        const byteLength = numPoints * 8 * 4;
+        
+        const stagingBuffer = this.device.createBuffer({
+            size: byteLength,
+            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+        });
+        
+        const commandEncoder = this.device.createCommandEncoder();
+        commandEncoder.copyBufferToBuffer(this.seedBuffer.buffer, 0, stagingBuffer, 0, byteLength);
+        this.device.queue.submit([commandEncoder.finish()]);
+        
+        await stagingBuffer.mapAsync(GPUMapMode.READ);
+        const data = new Float32Array(stagingBuffer.getMappedRange().slice(0));
+        stagingBuffer.unmap();
+        stagingBuffer.destroy();
+        
+        // Seed layout: position (xyzw), velocity (xyz), radius
+        const positions = new Float32Array(numPoints * 3);
+        const velocities = new Float32Array(numPoints * 3);
+        for (let i = 0; i < numPoints; i++) {
+            for (let c = 0; c < 3; c++) {
+                positions[i * 3 + c] = data[i * 8 + c];
+                velocities[i * 3 + c] = data[i * 8 + 4 + c];
+            }
+        }
+        
+        return { positions, velocities };
+    }
+    
+    /**
+     * Start/stop recording seed trajectories
+     * @param {boolean} enabled
+     * @param {Object} [options]
+     * @param {number} [options.interval] - Record every Nth frame
+     * @param {boolean} [options.recordLabels] - Also keep each frame's label volume
+     */
+    setTrajectoryRecording(enabled, { interval = this.trajectoryRecorder.interval, recordLabels = this.trajectoryRecorder.recordLabels } = {}) {
+        this.trajectoryRecorder.setEnabled(enabled);
+        this.trajectoryRecorder.setInterval(interval);
+        this.trajectoryRecorder.setRecordLabels(recordLabels);
+    }
+    
+    /**
+     * Read the seeds (and labels if enabled) back and record them as a trajectory frame
+     */
+    async recordTrajectoryFrame() {
+        const { positions } = await this.readSeedBuffer();
+        const acuteCounts = await this.readAcuteCountBuffer();
+        const labels = this.trajectoryRecorder.recordLabels
+            ? JFAValidator.labelsFromUint32(await this.jfaCompute.getLabels())
+            : null;
+        
+        this.trajectoryRecorder.record(this.frameCount, {
+            positions,
+            acuteCounts,
+            cellIds: this.topologicalEvents.cellIds,
+            labels,
+            volumeResolution: this.settings.volumeResolution
+        });
+    }
+    
+    /**
+     * Capture the full run state from the GPU seed buffer (positions, velocities),
+     * plus settings, frame count and PRNG state
+     * @returns {Promise<Object>} Snapshot (see SimulationSnapshot.js)
+     */
+    async getSnapshot() {
+        const { positions, velocities } = await this.readSeedBuffer();
+        const { cellIds, nextCellId } = this.topologicalEvents.getState(this.settings.numPoints);
+        
+        return createSnapshot({
+            source: 'pure-gpu',
+            frame: this.frameCount,
+            volumeResolution: this.settings.volumeResolution,
+            settings: this.settings,
+            random: this.random.getState(),
+            nextCellId,
+            seeds: { positions, velocities, cellIds }
+        });
+    }
+    
+    /**
+     * Encode the current state as 'json' text or a 'binary' ArrayBuffer
+     * (binary uses float32, the precision the GPU works in)
+     */
+    async saveSnapshot(format = 'json') {
+        const snapshot = await this.getSnapshot();
+        console.log(`💾 Saved ${format} snapshot at frame ${snapshot.frame}`);
+        return format === 'binary' ? snapshotToBinary(snapshot, { precision: 'float32' }) : snapshotToJSON(snapshot);
+    }
+    
+    /**
+     * Restore a snapshot (object, JSON text or binary) into the GPU seed buffer
+     */
+    async loadSnapshot(data) {
+        const snapshot = parseSnapshot(data);
+        const { physicsSettings, domainBounds, domainMask, ...settings } = snapshot.settings;
+        
+        if (domainBounds || domainMask || Array.isArray(snapshot.volumeResolution)) {
+            throw new Error('PureGPUSystem only runs the whole cubic [-1, 1]³ domain; load this snapshot in HybridVoronoiSystem or HeadlessVoronoiSystem');
+        }
+        
+        const wasRunning = this.simulationRunning;
+        this.simulationRunning = false;
+        
+        Object.assign(this.settings, settings);
+        Object.assign(this.settings.physicsSettings, physicsSettings);
+        this.settings.numPoints = snapshot.numPoints;
+        
+        if (snapshot.volumeResolution !== this.settings.volumeResolution) {
+            this.settings.volumeResolution = snapshot.volumeResolution;
+            this.jfaCompute.setResolution(snapshot.volumeResolution);
+            this.device.queue.writeBuffer(this.volumeSizeBuffer, 0, new Uint32Array([snapshot.volumeResolution]));
+        }
+        
+        // Same buffer swap as regenerate, filled from the snapshot
+        this.destroySeedBuffers();
+        await this.initializeGPUBuffers(snapshot.seeds);
+        this.random.setState(snapshot.random);
+        this.frameCount = snapshot.frame;
+        this.clock.configure(this.settings.clock);
+        this.clock.reset();
+        this.setTopologicalEvents(this.settings.topologicalEvents);
+        
+        // Cell ids carry on from the saved run (the lineage itself is not saved)
+        this.topologicalEvents.setState({ cellIds: snapshot.seeds.cellIds, nextCellId: snapshot.nextCellId });
+        
+        this.simulationRunning = wasRunning;
+        console.log(`📂 Restored ${snapshot.source} snapshot: ${snapshot.numPoints} seeds, frame ${snapshot.frame}`);
+        return snapshot;
+    }
+    
     /**
      * Start the simulation
      */
@@ -768,6 +1223,60 @@ export class PureGPUSystem {
         console.log('▶️ Pure GPU simulation started');
     }
     
+    /**
+     * Rebuild the per-seed buffers with a new layout
+     * @param {Object} [options] - Any of numPoints, seed, seedDistribution, seedJitter
+     */
+    async regenerate(options = {}) {
+        const wasRunning = this.simulationRunning;
+        this.simulationRunning = false;
+        
+        Object.assign(this.settings, options);
+        console.log(`🔄 Regenerating ${this.settings.numPoints} seeds (${this.settings.seedDistribution})...`);
+        
+        // Bind groups are created per frame, so swapping the buffers is enough
+        this.destroySeedBuffers();
+        await this.initializeGPUBuffers();
+        this.frameCount = 0;
+        this.clock.reset();
+        this.topologicalEvents.reset(this.settings.numPoints);
+        
+        this.simulationRunning = wasRunning;
+        console.log('✅ Regeneration complete');
+    }
+    
+    /**
+     * Release the per-seed buffers before initializeGPUBuffers() replaces them
+     */
+    destroySeedBuffers() {
+        this.seedBuffer?.destroy();
+        this.centroidBuffer?.destroy();
+        this.acuteCountBuffer?.destroy();
+        this.atomicCentroidBuffer?.destroy();
+        this.statsBuffer?.destroy();
+        this.floatCentroidBuffer?.destroy();
+    }
+    
+    /**
+     * Configure the simulation clock (see CLOCK_DEFAULTS): step length, substeps,
+     * steps per render frame and adaptive steps
+     * @param {Object} settings - Clock settings to change
+     */
+    setClock(settings) {
+        this.clock.configure(settings);
+        this.settings.clock = { ...this.clock.settings };
+    }
+    
+    /**
+     * Configure cell division and removal (see TOPOLOGICAL_EVENT_DEFAULTS): size limits,
+     * division plane, cell count limits and check interval
+     * @param {Object} settings - Event settings to change
+     */
+    setTopologicalEvents(settings) {
+        this.topologicalEvents.configure(settings);
+        this.settings.topologicalEvents = { ...this.topologicalEvents.settings };
+    }
+    
     /**
      * Stop the simulation
      */
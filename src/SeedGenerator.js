@@ -0,0 +1,439 @@
+/**
+ * SeedGenerator - Initial seed layouts for foam and crystal studies
+ *
+ * All generators fill an axis-aligned box (by default the cube [-halfSize, halfSize]³,
+ * or any { min, max } such as SimulationDomain.interiorBounds()) and draw every
+ * random number from the supplied SeededRandom, so layouts are reproducible.
+ *
+ * Distributions:
+ * - uniform:      independent uniform positions (the original behaviour)
+ * - poissonDisk:  Bridson blue-noise sampling, no two seeds closer than r
+ * - jitteredGrid: one random point per cell of a grid of ~numPoints cells
+ * - bcc / fcc / hcp: crystal lattices
+ * - kelvin:       BCC seeds, whose Voronoi cells are Kelvin's truncated octahedra
+ * - weairePhelan: A15 seeds, whose Voronoi cells form the Weaire–Phelan foam
+ *
+ * Lattices tile the box exactly (so they are periodic-compatible) and return
+ * the whole lattice whose size is closest to the requested count, which means
+ * the returned count can differ from numPoints. The jittered grid likewise returns
+ * its whole grid, numPoints cells whenever the count factors into near-cubic
+ * cells. Other generators return exactly numPoints.
+ *
+ * An inside(x, y, z) predicate (e.g. a DomainMask) restricts every layout to a
+ * region of the box: random layouts resample, grids and lattices are sized for the
+ * region's share of the box and keep only the sites inside it.
+ */
+
+// Fractional basis positions within one unit cell
+const LATTICE_BASES = {
+    bcc: [
+        [0, 0, 0], [0.5, 0.5, 0.5]
+    ],
+    fcc: [
+        [0, 0, 0], [0.5, 0.5, 0], [0.5, 0, 0.5], [0, 0.5, 0.5]
+    ],
+    // Orthorhombic HCP cell: a × √3a × c with c = √(8/3)a
+    hcp: [
+        [0, 0, 0], [0.5, 0.5, 0], [0.5, 1 / 6, 0.5], [0, 2 / 3, 0.5]
+    ],
+    // A15 (Cr3Si) structure: 2a + 6c Wyckoff sites
+    weairePhelan: [
+        [0, 0, 0], [0.5, 0.5, 0.5],
+        [0.25, 0, 0.5], [0.75, 0, 0.5],
+        [0.5, 0.25, 0], [0.5, 0.75, 0],
+        [0, 0.5, 0.25], [0, 0.5, 0.75]
+    ]
+};
+
+// Unit cell aspect ratios (x : y : z) for each lattice
+const LATTICE_CELL_SHAPES = {
+    bcc: [1, 1, 1],
+    fcc: [1, 1, 1],
+    hcp: [1, Math.sqrt(3), Math.sqrt(8 / 3)],
+    weairePhelan: [1, 1, 1]
+};
+
+// Fractional shift that keeps every site off the box walls
+const LATTICE_SHIFTS = {
+    bcc: 0.25,
+    fcc: 0.25,
+    hcp: 0.25,
+    weairePhelan: 0.125
+};
+
+/**
+ * Display names for UI selects, keyed by distribution id
+ */
+export const SEED_DISTRIBUTIONS = {
+    uniform: 'Uniform Random',
+    poissonDisk: 'Poisson Disk',
+    jitteredGrid: 'Jittered Grid',
+    bcc: 'BCC Lattice',
+    fcc: 'FCC Lattice',
+    hcp: 'HCP Lattice',
+    kelvin: 'Kelvin (BCC)',
+    weairePhelan: 'Weaire–Phelan (A15)'
+};
+
+export class SeedGenerator {
+    constructor(random) {
+        this.random = random;
+    }
+
+    /**
+     * Generate seed positions
+     * @param {string} distribution - One of the SEED_DISTRIBUTIONS keys
+     * @param {number} numPoints - Requested number of seeds
+     * @param {Object} [options]
+     * @param {number} [options.halfSize=0.9] - Half-width of the cube to fill
+     * @param {Object} [options.bounds] - Box to fill instead ({ min: [x, y, z], max: [x, y, z] })
+     * @param {number} [options.jitter] - Random displacement as a fraction of the seed spacing
+     *   (0 = none; default 1 for jitteredGrid, 0 for lattices)
+     * @param {number} [options.radius] - Poisson-disk minimum distance (estimated from numPoints if omitted)
+     * @param {Function} [options.inside] - (x, y, z) => boolean; only seeds inside are kept
+     * @returns {Float32Array} Flat xyz positions (length = count * 3)
+     */
+    generate(distribution, numPoints, options = {}) {
+        const box = createBox(options);
+        const jitter = options.jitter ?? 0;
+
+        let positions;
+        switch (distribution) {
+            case 'poissonDisk':
+                positions = this.poissonDisk(numPoints, box, options.radius);
+                break;
+            case 'jitteredGrid':
+                positions = this.jitteredGrid(numPoints, box, options.jitter ?? 1);
+                break;
+            case 'bcc':
+            case 'fcc':
+            case 'hcp':
+            case 'weairePhelan':
+                positions = this.lattice(distribution, numPoints, box, jitter);
+                break;
+            case 'kelvin':
+                positions = this.lattice('bcc', numPoints, box, jitter);
+                break;
+            case 'uniform':
+            default:
+                if (distribution !== 'uniform' && distribution !== undefined) {
+                    console.warn(`⚠️ Unknown seed distribution "${distribution}", using uniform`);
+                }
+                positions = this.uniform(numPoints, box);
+                break;
+        }
+
+        console.log(`🌱 ${SEED_DISTRIBUTIONS[distribution] || SEED_DISTRIBUTIONS.uniform}: ${positions.length / 3} seeds`);
+        return positions;
+    }
+
+    /**
+     * Independent uniform positions
+     */
+    uniform(numPoints, box) {
+        const positions = new Float32Array(numPoints * 3);
+
+        if (box.inside) {
+            for (let i = 0; i < numPoints; i++) {
+                positions.set(this.randomPoint(box), i * 3);
+            }
+            return positions;
+        }
+
+        for (let i = 0; i < numPoints * 3; i++) {
+            const axis = i % 3;
+            positions[i] = box.center[axis] + (this.random.next() - 0.5) * box.size[axis];
+        }
+
+        return positions;
+    }
+
+    /**
+     * One uniform point in the box, resampled until it is inside the region
+     */
+    randomPoint(box, maxAttempts = 10000) {
+        let point;
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            point = box.center.map((c, axis) => c + (this.random.next() - 0.5) * box.size[axis]);
+            if (!box.inside || box.inside(point[0], point[1], point[2])) return point;
+        }
+
+        console.warn(`⚠️ No point inside the seeding region after ${maxAttempts} attempts`);
+        return point;
+    }
+
+    /**
+     * One random point inside each cell of a grid of roughly cubic cells
+     *
+     * No cell is left empty, so the count is the grid's: each axis is rounded down
+     * or up to the cell counts whose product is closest to numPoints (e.g. 5×5×4
+     * for 100). Like the lattices, the returned count can differ from numPoints.
+     */
+    jitteredGrid(numPoints, box, jitter) {
+        // k³ cells for a cube; other boxes get cells per axis in proportion to their extent
+        const scale = Math.cbrt(box.size[0] * box.size[1] * box.size[2]);
+        const target = numPoints / box.fill;
+        const ideal = box.size.map(size => Math.cbrt(target) * size / scale);
+
+        // Of the 8 floor/ceil roundings, keep the first with the product closest to the target
+        let counts = null;
+        let bestError = Infinity;
+        for (let rounding = 0; rounding < 8; rounding++) {
+            const candidate = ideal.map((value, axis) =>
+                Math.max(1, (rounding >> axis) & 1 ? Math.ceil(value) : Math.floor(value)));
+            const error = Math.abs(candidate[0] * candidate[1] * candidate[2] - target);
+            if (error < bestError) {
+                counts = candidate;
+                bestError = error;
+            }
+        }
+
+        const cells = box.size.map((size, axis) => size / counts[axis]);
+        const positions = new Float32Array(counts[0] * counts[1] * counts[2] * 3);
+        let offset = 0;
+
+        for (let z = 0; z < counts[2]; z++) {
+            for (let y = 0; y < counts[1]; y++) {
+                for (let x = 0; x < counts[0]; x++) {
+                    positions[offset++] = box.min[0] + (x + 0.5 + (this.random.next() - 0.5) * jitter) * cells[0];
+                    positions[offset++] = box.min[1] + (y + 0.5 + (this.random.next() - 0.5) * jitter) * cells[1];
+                    positions[offset++] = box.min[2] + (z + 0.5 + (this.random.next() - 0.5) * jitter) * cells[2];
+                }
+            }
+        }
+
+        return box.inside ? keepInside(positions, box.inside) : positions;
+    }
+
+    /**
+     * Bridson Poisson-disk sampling in 3D
+     *
+     * If no radius is given it is estimated from numPoints and refined until
+     * at least numPoints samples fit; the surplus is removed at random.
+     */
+    poissonDisk(numPoints, box, radius) {
+        const volume = box.size[0] * box.size[1] * box.size[2] * box.fill;
+        let r = radius ?? Math.cbrt(volume / numPoints) * 0.7;
+        let samples = this.bridson(r, box);
+
+        if (radius === undefined) {
+            for (let attempt = 0; attempt < 8 && samples.length < numPoints; attempt++) {
+                r *= Math.cbrt(samples.length / numPoints) * 0.98;
+                samples = this.bridson(r, box);
+            }
+        }
+
+        if (samples.length < numPoints) {
+            console.warn(`⚠️ Poisson disk radius ${r.toFixed(4)} only fits ${samples.length}/${numPoints} seeds`);
+        }
+
+        return this.subsample(samples, numPoints);
+    }
+
+    /**
+     * Core Bridson algorithm: returns an array of [x, y, z]
+     */
+    bridson(r, box, k = 30) {
+        const cellSize = r / Math.sqrt(3);
+        const [dimX, dimY, dimZ] = box.size.map(size => Math.max(1, Math.ceil(size / cellSize)));
+        const grid = new Int32Array(dimX * dimY * dimZ).fill(-1);
+        const samples = [];
+        const active = [];
+        const r2 = r * r;
+
+        const gridIndex = (p) => {
+            const gx = Math.min(dimX - 1, Math.floor((p[0] - box.min[0]) / cellSize));
+            const gy = Math.min(dimY - 1, Math.floor((p[1] - box.min[1]) / cellSize));
+            const gz = Math.min(dimZ - 1, Math.floor((p[2] - box.min[2]) / cellSize));
+            return [gx, gy, gz];
+        };
+
+        const addSample = (p) => {
+            const [gx, gy, gz] = gridIndex(p);
+            grid[(gz * dimY + gy) * dimX + gx] = samples.length;
+            active.push(samples.length);
+            samples.push(p);
+        };
+
+        const isFarEnough = (p) => {
+            const [gx, gy, gz] = gridIndex(p);
+            for (let z = Math.max(0, gz - 2); z <= Math.min(dimZ - 1, gz + 2); z++) {
+                for (let y = Math.max(0, gy - 2); y <= Math.min(dimY - 1, gy + 2); y++) {
+                    for (let x = Math.max(0, gx - 2); x <= Math.min(dimX - 1, gx + 2); x++) {
+                        const s = grid[(z * dimY + y) * dimX + x];
+                        if (s < 0) continue;
+                        const q = samples[s];
+                        const dx = p[0] - q[0];
+                        const dy = p[1] - q[1];
+                        const dz = p[2] - q[2];
+                        if (dx * dx + dy * dy + dz * dz < r2) return false;
+                    }
+                }
+            }
+            return true;
+        };
+
+        addSample(box.inside ? this.randomPoint(box) : [
+            box.center[0] + (this.random.next() - 0.5) * box.size[0],
+            box.center[1] + (this.random.next() - 0.5) * box.size[1],
+            box.center[2] + (this.random.next() - 0.5) * box.size[2]
+        ]);
+
+        while (active.length > 0) {
+            const activeIndex = this.random.int(0, active.length);
+            const origin = samples[active[activeIndex]];
+            let found = false;
+
+            for (let attempt = 0; attempt < k; attempt++) {
+                // Random direction on the unit sphere, distance in [r, 2r)
+                const u = this.random.next() * 2 - 1;
+                const theta = this.random.next() * Math.PI * 2;
+                const s = Math.sqrt(1 - u * u);
+                const dist = r * (1 + this.random.next());
+
+                const candidate = [
+                    origin[0] + s * Math.cos(theta) * dist,
+                    origin[1] + s * Math.sin(theta) * dist,
+                    origin[2] + u * dist
+                ];
+
+                if (candidate.some((value, axis) => value < box.min[axis] || value > box.max[axis])) continue;
+                if (box.inside && !box.inside(candidate[0], candidate[1], candidate[2])) continue;
+
+                if (isFarEnough(candidate)) {
+                    addSample(candidate);
+                    found = true;
+                    break;
+                }
+            }
+
+            if (!found) {
+                // Swap-remove exhausted sample from the active list
+                active[activeIndex] = active[active.length - 1];
+                active.pop();
+            }
+        }
+
+        return samples;
+    }
+
+    /**
+     * Crystal lattice filling the box with whole unit cells
+     */
+    lattice(type, numPoints, box, jitter) {
+        const basis = LATTICE_BASES[type];
+        const shape = LATTICE_CELL_SHAPES[type];
+        const shift = LATTICE_SHIFTS[type];
+        const volume = box.size[0] * box.size[1] * box.size[2];
+
+        // Cell edge a such that the box (or the region's share of it) holds ~numPoints seeds
+        const cellVolumeFactor = shape[0] * shape[1] * shape[2];
+        const a = Math.cbrt((volume * box.fill * basis.length) / (numPoints * cellVolumeFactor));
+
+        // Whole cells per axis, then stretch slightly so they tile the box exactly
+        const counts = shape.map((s, axis) => Math.max(1, Math.round(box.size[axis] / (a * s))));
+        const cellSizes = counts.map((c, axis) => box.size[axis] / c);
+
+        // Average spacing between seeds, used to scale jitter
+        const spacing = Math.cbrt((cellSizes[0] * cellSizes[1] * cellSizes[2]) / basis.length);
+
+        const positions = new Float32Array(counts[0] * counts[1] * counts[2] * basis.length * 3);
+        let offset = 0;
+
+        for (let cz = 0; cz < counts[2]; cz++) {
+            for (let cy = 0; cy < counts[1]; cy++) {
+                for (let cx = 0; cx < counts[0]; cx++) {
+                    for (const b of basis) {
+                        positions[offset++] = box.min[0] + (cx + ((b[0] + shift) % 1)) * cellSizes[0];
+                        positions[offset++] = box.min[1] + (cy + ((b[1] + shift) % 1)) * cellSizes[1];
+                        positions[offset++] = box.min[2] + (cz + ((b[2] + shift) % 1)) * cellSizes[2];
+                    }
+                }
+            }
+        }
+
+        if (jitter > 0) {
+            for (let i = 0; i < positions.length; i++) {
+                const axis = i % 3;
+                const value = positions[i] + (this.random.next() - 0.5) * jitter * spacing;
+                positions[i] = Math.max(box.min[axis], Math.min(box.max[axis], value));
+            }
+        }
+
+        return box.inside ? keepInside(positions, box.inside) : positions;
+    }
+
+    /**
+     * Pick numPoints of the given points at random (partial Fisher–Yates)
+     */
+    subsample(points, numPoints) {
+        const count = Math.min(numPoints, points.length);
+
+        for (let i = 0; i < count; i++) {
+            const j = this.random.int(i, points.length);
+            const tmp = points[i];
+            points[i] = points[j];
+            points[j] = tmp;
+        }
+
+        const positions = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            positions[i * 3] = points[i][0];
+            positions[i * 3 + 1] = points[i][1];
+            positions[i * 3 + 2] = points[i][2];
+        }
+
+        return positions;
+    }
+}
+
+/**
+ * Box to fill from generate() options: bounds if given, else the halfSize cube,
+ * with the optional inside() region and the fraction of the box it covers
+ */
+function createBox({ halfSize = 0.9, bounds = null, inside = null }) {
+    const min = bounds ? [...bounds.min] : [-halfSize, -halfSize, -halfSize];
+    const max = bounds ? [...bounds.max] : [halfSize, halfSize, halfSize];
+    const size = min.map((low, axis) => max[axis] - low);
+    const center = min.map((low, axis) => low + size[axis] / 2);
+    const box = { min, max, size, center, inside, fill: 1 };
+
+    if (inside) {
+        box.fill = Math.max(estimateFill(box), 1e-3);
+    }
+    return box;
+}
+
+/**
+ * Fraction of the box inside box.inside, from a fixed probe grid (draws no random numbers)
+ */
+function estimateFill(box, probes = 16) {
+    let count = 0;
+    for (let z = 0; z < probes; z++) {
+        for (let y = 0; y < probes; y++) {
+            for (let x = 0; x < probes; x++) {
+                const point = [x, y, z].map((i, axis) => box.min[axis] + (i + 0.5) / probes * box.size[axis]);
+                if (box.inside(point[0], point[1], point[2])) count++;
+            }
+        }
+    }
+    return count / (probes * probes * probes);
+}
+
+/**
+ * Flat xyz positions with the points outside the region removed
+ */
+function keepInside(positions, inside) {
+    const kept = [];
+    for (let i = 0; i < positions.length; i += 3) {
+        if (inside(positions[i], positions[i + 1], positions[i + 2])) {
+            kept.push(positions[i], positions[i + 1], positions[i + 2]);
+        }
+    }
+    return Float32Array.from(kept);
+}
+
+// Make available globally for debugging
+if (typeof window !== 'undefined') {
+    window.SeedGenerator = SeedGenerator;
+}
@@ -0,0 +1,95 @@
+/**
+ * SeededRandom - Small deterministic PRNG (mulberry32) for reproducible runs
+ *
+ * Every source of randomness in the pipeline (seed placement, degenerate
+ * physics directions) draws from one of these instead of Math.random(),
+ * so the same `seed` setting always reproduces the same layout and trajectory.
+ * The whole generator state is a single uint32, which makes it trivial to
+ * save and restore alongside a simulation.
+ */
+export class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = 0;
+        this.state = 0;
+        this.reseed(seed);
+    }
+
+    /**
+     * Pick a fresh seed when the user did not ask for one
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Normalize a numeric or string seed to a uint32
+     */
+    static hashSeed(seed) {
+        if (typeof seed === 'string') {
+            // FNV-1a so that text seeds like "foam-run-3" are usable
+            let h = 0x811c9dc5;
+            for (let i = 0; i < seed.length; i++) {
+                h ^= seed.charCodeAt(i);
+                h = Math.imul(h, 0x01000193);
+            }
+            return h >>> 0;
+        }
+
+        return Math.floor(Number(seed) || 0) >>> 0;
+    }
+
+    /**
+     * Restart the sequence from a seed
+     */
+    reseed(seed) {
+        this.seed = SeededRandom.hashSeed(seed);
+        this.state = this.seed;
+        return this;
+    }
+
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next float in [min, max)
+     */
+    range(min, max) {
+        return min + (max - min) * this.next();
+    }
+
+    /**
+     * Next integer in [min, max)
+     */
+    int(min, max) {
+        return min + Math.floor((max - min) * this.next());
+    }
+
+    /**
+     * Serializable generator state
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /**
+     * Restore a state returned by getState()
+     */
+    setState(state) {
+        this.seed = state.seed >>> 0;
+        this.state = state.state >>> 0;
+        return this;
+    }
+}
+
+// Make available globally for debugging
+if (typeof window !== 'undefined') {
+    window.SeededRandom = SeededRandom;
+}
@@ -0,0 +1,124 @@
+/**
+ * SimulationClock - Turns render-frame time into fixed simulation steps
+ *
+ * The demos hand update() the wall-clock time since the last render frame. The
+ * clock adds it to an accumulator and pays it out in steps of fixedStep seconds,
+ * so the dynamics do not depend on the frame rate and a slow frame is caught up
+ * in several normal steps instead of one large jump:
+ *
+ *   clock.tick(frameTime);
+ *   while ((deltaTime = clock.nextStep(voxelSize)) > 0) step(deltaTime);
+ *
+ * maxStepsPerFrame stops the catch-up from making frames slower still: time left
+ * over after the last allowed step is dropped (droppedTime) and the simulation
+ * falls behind real time. Each step runs `substeps` physics integrations of
+ * deltaTime / substeps against the same analysis.
+ *
+ * With adaptive set, the step shrinks (down to minStep) so that the fastest seed
+ * of the previous step (see observe()) moves at most maxVoxelDisplacement voxels.
+ */
+export const CLOCK_DEFAULTS = {
+    fixedStep: 1 / 60,          // Simulation step (seconds)
+    substeps: 1,                // Physics integrations per step
+    maxStepsPerFrame: 4,        // Steps run for one render frame at most
+    adaptive: false,            // Shrink the step for fast seeds
+    maxVoxelDisplacement: 0.5,  // Adaptive: largest seed move per step, in voxels
+    minStep: 1 / 960            // Adaptive: shortest step (seconds)
+};
+
+export class SimulationClock {
+    /**
+     * @param {Object} [settings] - See CLOCK_DEFAULTS
+     */
+    constructor(settings = {}) {
+        this.settings = { ...CLOCK_DEFAULTS };
+        this.configure(settings);
+        this.reset();
+    }
+
+    /**
+     * Change settings (missing keys keep their current value)
+     */
+    configure(settings = {}) {
+        Object.assign(this.settings, settings);
+    }
+
+    /**
+     * Forget accumulated time and observed speeds (new or restored runs)
+     */
+    reset() {
+        this.accumulator = 0;
+        this.time = 0;              // Simulated seconds
+        this.droppedTime = 0;       // Seconds discarded by the step limit
+        this.maxSpeed = 0;          // Fastest seed of the last observed step (units per second)
+        this.stepsThisFrame = 0;
+    }
+
+    /**
+     * Start a render frame
+     * @param {number} frameTime - Wall-clock seconds since the previous frame
+     */
+    tick(frameTime) {
+        this.accumulator += Number.isFinite(frameTime) ? Math.max(frameTime, 0) : 0;
+        this.stepsThisFrame = 0;
+    }
+
+    /**
+     * Length of the next step, or 0 when the frame has no step left
+     * @param {number} voxelSize - Smallest voxel edge (adaptive steps only)
+     */
+    nextStep(voxelSize) {
+        const deltaTime = this.stepLength(voxelSize);
+        if (this.accumulator < deltaTime) return 0;
+
+        if (this.stepsThisFrame >= this.settings.maxStepsPerFrame) {
+            // Keep the fraction of a step so the cadence stays even
+            const dropped = this.accumulator - this.accumulator % deltaTime;
+            this.droppedTime += dropped;
+            this.accumulator -= dropped;
+            return 0;
+        }
+
+        this.accumulator -= deltaTime;
+        this.time += deltaTime;
+        this.stepsThisFrame++;
+        return deltaTime;
+    }
+
+    /**
+     * Step length for the current speeds: fixedStep, or shorter when adaptive
+     * @param {number} voxelSize - Smallest voxel edge
+     */
+    stepLength(voxelSize) {
+        const { fixedStep, adaptive, maxVoxelDisplacement, minStep } = this.settings;
+        if (!adaptive || !(this.maxSpeed > 0) || !(voxelSize > 0)) return fixedStep;
+
+        const limited = maxVoxelDisplacement * voxelSize / this.maxSpeed;
+        return Math.min(fixedStep, Math.max(minStep, limited));
+    }
+
+    /**
+     * Record the largest seed move of the integration just run (adaptive steps)
+     * @param {number} maxDisplacement - Largest seed displacement (world units)
+     * @param {number} deltaTime - Integration length it was made over (seconds)
+     */
+    observe(maxDisplacement, deltaTime) {
+        this.maxSpeed = deltaTime > 0 ? maxDisplacement / deltaTime : 0;
+    }
+
+    /**
+     * Physics integrations per step. Lloyd relaxation and weight growth are not
+     * scaled by time, so they take exactly one per step.
+     * @param {Object} physicsSettings
+     */
+    substepsFor(physicsSettings) {
+        const growthTarget = physicsSettings.growthTarget || 'position';
+        if (physicsSettings.mode === 'lloyd' || growthTarget !== 'position') return 1;
+        return Math.max(1, Math.round(this.settings.substeps));
+    }
+}
+
+// Make available globally for debugging
+if (typeof window !== 'undefined') {
+    window.SimulationClock = SimulationClock;
+}
@@ -0,0 +1,232 @@
+/**
+ * SimulationDomain - The box being simulated and its voxel grid
+ *
+ * World space is the axis-aligned box [min, max], by default [-1, 1]³. The box
+ * is split into resolution[0] × resolution[1] × resolution[2] voxels, and each
+ * axis is independent. Domains may therefore be elongated (different extents)
+ * and voxels anisotropic (spacing = size / resolution per axis).
+ *
+ * Label volumes are x-fastest: index = x + nx * (y + ny * z), and voxel centres
+ * sit at min + (i + 0.5) * spacing. With periodic boundaries each axis wraps
+ * with a period of its own extent.
+ *
+ * Everything that used to take "voxels per axis" takes a domain instead;
+ * SimulationDomain.from(n) is the old n³ volume over [-1, 1]³.
+ */
+
+/**
+ * Fraction of the half-extent kept clear of the walls by seeding and physics
+ * (the ±0.9 interior of the default domain)
+ */
+export const DOMAIN_WALL_MARGIN = 0.1;
+
+const AXES = ['x', 'y', 'z'];
+
+export class SimulationDomain {
+    /**
+     * @param {Object} [options]
+     * @param {number|Array<number>} [options.resolution=64] - Voxels per axis, or [nx, ny, nz]
+     * @param {Object} [options.bounds] - World-space box { min: [x, y, z], max: [x, y, z] } (default [-1, 1]³)
+     * @param {number|Array<number>} [options.voxelSpacing] - Voxel edge length(s) in world units;
+     *   replaces the resolution (rounded to whole voxels, so the spacing is adjusted to fit)
+     */
+    constructor({ resolution = 64, bounds = null, voxelSpacing = null } = {}) {
+        this.min = toVector(bounds?.min ?? -1, 'bounds.min');
+        this.max = toVector(bounds?.max ?? 1, 'bounds.max');
+        this.size = this.min.map((low, axis) => this.max[axis] - low);
+
+        if (this.size.some(size => !(size > 0))) {
+            throw new Error(`Invalid domain bounds: min [${this.min.join(', ')}] must be below max [${this.max.join(', ')}]`);
+        }
+
+        this.center = this.min.map((low, axis) => low + this.size[axis] / 2);
+
+        if (voxelSpacing !== null && voxelSpacing !== undefined) {
+            const spacing = toVector(voxelSpacing, 'voxelSpacing');
+            this.resolution = this.size.map((size, axis) => Math.max(1, Math.round(size / spacing[axis])));
+        } else {
+            this.resolution = toVector(resolution, 'resolution').map(n => Math.max(1, Math.round(n)));
+        }
+
+        this.spacing = this.size.map((size, axis) => size / this.resolution[axis]);
+        this.voxelCount = this.resolution[0] * this.resolution[1] * this.resolution[2];
+        this.voxelVolume = this.spacing[0] * this.spacing[1] * this.spacing[2];
+    }
+
+    /**
+     * A domain from a domain, voxels per axis, [nx, ny, nz] or constructor options
+     */
+    static from(value) {
+        if (value instanceof SimulationDomain) return value;
+        if (typeof value === 'number' || Array.isArray(value)) {
+            return new SimulationDomain({ resolution: value });
+        }
+        return new SimulationDomain(value ?? {});
+    }
+
+    /**
+     * True for the same voxel count and spacing in every direction
+     */
+    get isCube() {
+        const [nx, ny, nz] = this.resolution;
+        const [sx, sy, sz] = this.size;
+        return nx === ny && ny === nz && sx === sy && sy === sz;
+    }
+
+    /**
+     * Largest voxel count along any axis
+     */
+    get maxResolution() {
+        return Math.max(...this.resolution);
+    }
+
+    /**
+     * Resolution as a settings value: a number when all axes agree, else [nx, ny, nz]
+     */
+    get resolutionSetting() {
+        const [nx, ny, nz] = this.resolution;
+        return nx === ny && ny === nz ? nx : [nx, ny, nz];
+    }
+
+    /**
+     * Bounds as a settings value ({ min, max } arrays)
+     */
+    get bounds() {
+        return { min: [...this.min], max: [...this.max] };
+    }
+
+    /**
+     * Same voxel grid over the same box
+     */
+    equals(other) {
+        return !!other && [0, 1, 2].every(axis =>
+            this.resolution[axis] === other.resolution[axis] &&
+            this.min[axis] === other.min[axis] &&
+            this.max[axis] === other.max[axis]);
+    }
+
+    /**
+     * Resolution text for logs: "64³" or "128×32×32"
+     */
+    describe() {
+        const [nx, ny, nz] = this.resolution;
+        return nx === ny && ny === nz ? `${nx}³` : `${nx}×${ny}×${nz}`;
+    }
+
+    /**
+     * Label index of a voxel (x-fastest)
+     */
+    index(x, y, z) {
+        return x + this.resolution[0] * (y + this.resolution[1] * z);
+    }
+
+    /**
+     * World coordinate of voxel centre i along an axis (0 = x, 1 = y, 2 = z)
+     */
+    voxelCenter(axis, i) {
+        return this.min[axis] + (i + 0.5) * this.spacing[axis];
+    }
+
+    /**
+     * World coordinate of voxel corner i along an axis (corner n is the max wall)
+     */
+    voxelCorner(axis, i) {
+        return this.min[axis] + i * this.spacing[axis];
+    }
+
+    /**
+     * Voxel containing a world coordinate along an axis, wrapped when periodic, else clamped
+     */
+    toVoxel(axis, value, periodic = false) {
+        const n = this.resolution[axis];
+        const i = Math.floor((value - this.min[axis]) / this.spacing[axis]);
+        if (periodic) return ((i % n) + n) % n;
+        return Math.max(0, Math.min(n - 1, i));
+    }
+
+    /**
+     * World coordinate → [0, 1] across the domain along an axis
+     */
+    normalize(axis, value) {
+        return (value - this.min[axis]) / this.size[axis];
+    }
+
+    /**
+     * [0, 1] across the domain → world coordinate along an axis
+     */
+    denormalize(axis, value) {
+        return this.min[axis] + value * this.size[axis];
+    }
+
+    /**
+     * Shortest periodic image of a difference vector ({x, y, z}, modified in place)
+     */
+    minimumImage(vector) {
+        for (let axis = 0; axis < 3; axis++) {
+            const key = AXES[axis];
+            const size = this.size[axis];
+            vector[key] -= size * Math.round(vector[key] / size);
+        }
+        return vector;
+    }
+
+    /**
+     * Wrap a position ({x, y, z}, modified in place) into [min, max)
+     */
+    wrapPosition(position) {
+        for (let axis = 0; axis < 3; axis++) {
+            const key = AXES[axis];
+            const size = this.size[axis];
+            position[key] -= size * Math.floor((position[key] - this.min[axis]) / size);
+        }
+        return position;
+    }
+
+    /**
+     * Box inset from the walls by a fraction of the half-extent per axis
+     * @param {number} [margin] - DOMAIN_WALL_MARGIN keeps the old ±0.9 interior
+     * @returns {Object} { min: [x, y, z], max: [x, y, z] }
+     */
+    interiorBounds(margin = DOMAIN_WALL_MARGIN) {
+        const half = this.size.map(size => size / 2 * (1 - margin));
+        return {
+            min: this.center.map((c, axis) => c - half[axis]),
+            max: this.center.map((c, axis) => c + half[axis])
+        };
+    }
+
+    /**
+     * Clamp a position ({x, y, z}, modified in place) into the domain inset by a margin
+     */
+    clampPosition(position, margin = 0) {
+        const { min, max } = this.interiorBounds(margin);
+        for (let axis = 0; axis < 3; axis++) {
+            const key = AXES[axis];
+            position[key] = Math.max(min[axis], Math.min(max[axis], position[key]));
+        }
+        return position;
+    }
+
+    /**
+     * Plain-object form (settings, snapshots, exports)
+     */
+    toJSON() {
+        return { resolution: this.resolutionSetting, bounds: this.bounds };
+    }
+}
+
+/**
+ * A scalar (same on every axis) or [x, y, z] as a three-element array
+ */
+function toVector(value, name) {
+    const vector = typeof value === 'number' ? [value, value, value] : Array.from(value ?? []);
+    if (vector.length !== 3 || vector.some(v => !Number.isFinite(v))) {
+        throw new Error(`Domain ${name} must be a number or [x, y, z], got ${JSON.stringify(value)}`);
+    }
+    return vector;
+}
+
+// Make available globally for debugging
+if (typeof window !== 'undefined') {
+    window.SimulationDomain = SimulationDomain;
+}
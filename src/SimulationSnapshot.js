@@ -0,0 +1,298 @@
+/**
+ * SimulationSnapshot - Versioned save/restore of a whole simulation run
+ *
+ * A snapshot is a plain object that every system (HybridVoronoiSystem,
+ * HeadlessVoronoiSystem, PureGPUSystem) can produce and restore:
+ *
+ *   {
+ *     format, version, source, createdAt,
+ *     frame, numPoints, volumeResolution,   // voxels per axis or [nx, ny, nz]
+ *     nextCellId,          // next persistent cell id (TopologicalEvents)
+ *     settings,            // physics settings, clock, topology, metric, seed layout, domain box and mask
+ *     random,              // SeededRandom.getState()
+ *     seeds: {             // per-seed arrays, numPoints × components
+ *       positions, weights, velocities, previousDeltas, weightVelocities, cellIds
+ *     }
+ *   }
+ *
+ * previousDeltas (scalar flux momentum from before per-seed velocities, see
+ * Integrator.js) is kept for the binary layout; it is written as zeros and ignored.
+ * cellIds (persistent cell ids, version 2) default to the seed indices.
+ *
+ * Two encodings carry the same content:
+ *   JSON   - human-readable, per-seed arrays as number lists
+ *   Binary - 'FOSS' magic, uint32 version, uint32 header length, UTF-8 JSON
+ *            header, then each per-seed array (little-endian float64 or float32)
+ *            in SNAPSHOT_ARRAYS order, aligned to 8 bytes
+ *
+ * Float64 is the default so CPU runs resume bit-exactly.
+ */
+export const SNAPSHOT_VERSION = 2;
+
+export const SNAPSHOT_FORMAT = 'fabric-of-space-snapshot';
+
+/**
+ * Per-seed arrays and their components per seed (binary order)
+ */
+export const SNAPSHOT_ARRAYS = {
+    positions: 3,
+    weights: 1,
+    velocities: 3,
+    previousDeltas: 1,
+    weightVelocities: 1,
+    cellIds: 1
+};
+
+/**
+ * Snapshot version that added each later per-seed array (older binaries lack it)
+ */
+const ARRAY_VERSIONS = {
+    cellIds: 2
+};
+
+/**
+ * Settings keys saved with a run (only those present on the system are kept)
+ */
+const SNAPSHOT_SETTINGS = [
+    'seed',
+    'seedDistribution',
+    'seedJitter',
+    'domainBounds',
+    'domainMask',
+    'periodicBoundaries',
+    'exactGeometry',
+    'jfaVariant',
+    'distanceMetric',
+    'angleMetric',
+    'junctionCriterion',
+    'mergeJunctions',
+    'deltaTime',
+    'clock',
+    'topologicalEvents',
+    'physicsSettings'
+];
+
+const BINARY_MAGIC = 'FOSS';
+const ARRAY_TYPES = { float64: Float64Array, float32: Float32Array };
+
+/**
+ * Build a snapshot from a system's state
+ * @param {Object} state
+ * @param {string} state.source - Producing system ('hybrid', 'headless', 'pure-gpu')
+ * @param {number} state.frame - Frame count
+ * @param {number|Array<number>} state.volumeResolution - Voxels per axis, or [nx, ny, nz]
+ * @param {Object} state.settings - System settings (filtered to SNAPSHOT_SETTINGS)
+ * @param {Object} state.random - SeededRandom state
+ * @param {Object} state.seeds - Per-seed arrays (missing arrays are zero-filled, cellIds are indices)
+ * @param {number} [state.nextCellId] - Next persistent cell id (default numPoints)
+ * @returns {Object} Snapshot
+ */
+export function createSnapshot({ source, frame, volumeResolution, settings, random, seeds, nextCellId }) {
+    const numPoints = seeds.positions.length / 3;
+    const snapshotSettings = {};
+
+    for (const key of SNAPSHOT_SETTINGS) {
+        if (settings[key] !== undefined) {
+            snapshotSettings[key] = settings[key];
+        }
+    }
+
+    return {
+        format: SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        source,
+        createdAt: new Date().toISOString(),
+        frame,
+        numPoints,
+        volumeResolution,
+        nextCellId: nextCellId ?? numPoints,
+        // Deep copy so later setting changes don't leak into the snapshot
+        settings: JSON.parse(JSON.stringify(snapshotSettings)),
+        random: { seed: random.seed >>> 0, state: random.state >>> 0 },
+        seeds: normalizeSeedArrays(seeds, numPoints)
+    };
+}
+
+/**
+ * Per-seed arrays from seed objects ({ position, weight })
+ */
+export function seedArraysFromSeedData(seedData) {
+    const positions = new Float64Array(seedData.length * 3);
+    const weights = new Float64Array(seedData.length);
+
+    for (let i = 0; i < seedData.length; i++) {
+        const seed = seedData[i];
+        positions[i * 3] = seed.position.x;
+        positions[i * 3 + 1] = seed.position.y;
+        positions[i * 3 + 2] = seed.position.z;
+        weights[i] = seed.weight || 0;
+    }
+
+    return { positions, weights };
+}
+
+/**
+ * Encode a snapshot as JSON text
+ */
+export function snapshotToJSON(snapshot, space = 0) {
+    const seeds = {};
+    for (const name of Object.keys(SNAPSHOT_ARRAYS)) {
+        seeds[name] = Array.from(snapshot.seeds[name]);
+    }
+
+    return JSON.stringify({ ...snapshot, seeds }, null, space);
+}
+
+/**
+ * Decode a snapshot from JSON text
+ */
+export function snapshotFromJSON(text) {
+    const snapshot = migrateSnapshot(JSON.parse(text));
+    snapshot.seeds = normalizeSeedArrays(snapshot.seeds, snapshot.numPoints);
+    return snapshot;
+}
+
+/**
+ * Encode a snapshot in the compact binary format
+ * @param {Object} snapshot
+ * @param {Object} [options]
+ * @param {string} [options.precision] - 'float64' (exact) or 'float32' (half the size)
+ * @returns {ArrayBuffer}
+ */
+export function snapshotToBinary(snapshot, { precision = 'float64' } = {}) {
+    const ArrayType = ARRAY_TYPES[precision];
+    if (!ArrayType) {
+        throw new Error(`Unknown snapshot precision "${precision}"`);
+    }
+
+    const { seeds, ...header } = snapshot;
+    const headerBytes = new TextEncoder().encode(JSON.stringify({ ...header, precision }));
+
+    // Arrays start on an 8-byte boundary so they can be viewed in place
+    const dataOffset = align8(12 + headerBytes.length);
+    let byteLength = dataOffset;
+    for (const components of Object.values(SNAPSHOT_ARRAYS)) {
+        byteLength += align8(snapshot.numPoints * components * ArrayType.BYTES_PER_ELEMENT);
+    }
+
+    const buffer = new ArrayBuffer(byteLength);
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+
+    for (let i = 0; i < 4; i++) {
+        bytes[i] = BINARY_MAGIC.charCodeAt(i);
+    }
+    view.setUint32(4, SNAPSHOT_VERSION, true);
+    view.setUint32(8, headerBytes.length, true);
+    bytes.set(headerBytes, 12);
+
+    let offset = dataOffset;
+    for (const [name, components] of Object.entries(SNAPSHOT_ARRAYS)) {
+        const length = snapshot.numPoints * components;
+        new ArrayType(buffer, offset, length).set(seeds[name]);
+        offset += align8(length * ArrayType.BYTES_PER_ELEMENT);
+    }
+
+    return buffer;
+}
+
+/**
+ * Decode a snapshot from the binary format
+ * @param {ArrayBuffer|Uint8Array} data
+ */
+export function snapshotFromBinary(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    const magic = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+    if (magic !== BINARY_MAGIC) {
+        throw new Error('Not a Fabric of Space binary snapshot');
+    }
+
+    const headerLength = view.getUint32(8, true);
+    const header = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + headerLength)));
+    const ArrayType = ARRAY_TYPES[header.precision] || Float64Array;
+
+    // Copy into an aligned buffer: the input view may start at any byte offset
+    const aligned = bytes.slice().buffer;
+    const seeds = {};
+    let offset = align8(12 + headerLength);
+
+    for (const [name, components] of Object.entries(SNAPSHOT_ARRAYS)) {
+        if (ARRAY_VERSIONS[name] > header.version) continue;
+        const length = header.numPoints * components;
+        seeds[name] = Float64Array.from(new ArrayType(aligned, offset, length));
+        offset += align8(length * ArrayType.BYTES_PER_ELEMENT);
+    }
+
+    delete header.precision;
+    const snapshot = migrateSnapshot({ ...header, seeds });
+    snapshot.seeds = normalizeSeedArrays(snapshot.seeds, snapshot.numPoints);
+    return snapshot;
+}
+
+/**
+ * Decode a snapshot in any supported form: object, JSON text or binary
+ */
+export function parseSnapshot(data) {
+    if (typeof data === 'string') {
+        return snapshotFromJSON(data);
+    }
+    if (data instanceof ArrayBuffer || data instanceof Uint8Array) {
+        return snapshotFromBinary(data);
+    }
+
+    const snapshot = migrateSnapshot({ ...data });
+    snapshot.seeds = normalizeSeedArrays(snapshot.seeds, snapshot.numPoints);
+    return snapshot;
+}
+
+/**
+ * Check the format and bring older versions up to SNAPSHOT_VERSION
+ */
+function migrateSnapshot(snapshot) {
+    if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+        throw new Error('Not a Fabric of Space snapshot');
+    }
+    if (!(snapshot.version >= 1) || snapshot.version > SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported snapshot version ${snapshot.version} (this build reads up to ${SNAPSHOT_VERSION})`);
+    }
+
+    // Version 1 has no persistent cell ids: normalizeSeedArrays numbers the cells by index
+    if (snapshot.version < 2) {
+        snapshot.nextCellId = snapshot.numPoints;
+        snapshot.version = 2;
+    }
+
+    return snapshot;
+}
+
+/**
+ * Float64 copies of every per-seed array, zero-filled when missing (cellIds: seed indices)
+ */
+function normalizeSeedArrays(seeds, numPoints) {
+    const normalized = {};
+
+    for (const [name, components] of Object.entries(SNAPSHOT_ARRAYS)) {
+        const length = numPoints * components;
+        const source = seeds[name];
+
+        if (source && source.length !== length) {
+            throw new Error(`Snapshot array "${name}" has ${source.length} values, expected ${length}`);
+        }
+
+        if (source) {
+            normalized[name] = Float64Array.from(source);
+        } else if (name === 'cellIds') {
+            normalized[name] = Float64Array.from({ length }, (_, i) => i);
+        } else {
+            normalized[name] = new Float64Array(length);
+        }
+    }
+
+    return normalized;
+}
+
+function align8(n) {
+    return (n + 7) & ~7;
+}
@@ -22,6 +22,7 @@ import {
     Continue,
     If
 } from 'three/tsl';
+import { SimulationDomain } from './SimulationDomain.js';
 
 /**
  * TSLVolumeRenderer - Modern TSL-based volume renderer
@@ -36,15 +37,17 @@ export class TSLVolumeRenderer {
         this.volumeBox = null;
         this.volumeMaterial = null;
         this.scene = null;
+        this.domain = new SimulationDomain();
         
         // TSL uniforms
         this.uAtlas = uniform(null);
         this.uStepOpacity = uniform(0.02);
         this.uEdgeSmoothness = uniform(2.0);
-        this.uBoxMin = uniform(vec3(-1, -1, -1));
-        this.uBoxMax = uniform(vec3(1, 1, 1));
-        this.uVolumeSize = uniform(64);
+        this.uBoxMin = uniform(new THREE.Vector3(...this.domain.min));
+        this.uBoxMax = uniform(new THREE.Vector3(...this.domain.max));
+        this.uVolumeSize = uniform(new THREE.Vector3(64, 64, 64));
         this.uSlicesPerRow = uniform(8);
+        this.uSliceRows = uniform(8);
         this.uColorMode = uniform(0.0);
         this.uCellColor = uniform(vec3(0.5, 0.5, 0.5));
         this.uTransparency = uniform(0.7);
@@ -82,9 +85,10 @@ export class TSLVolumeRenderer {
         const sampleVolume = Fn(([uvw]) => {
             const volumeSize = this.uVolumeSize;
             const slicesPerRow = this.uSlicesPerRow;
+            const sliceRows = this.uSliceRows;
             
             // Convert 3D coordinate to 2D atlas coordinate
-            const z = uvw.z.mul(volumeSize.sub(1));
+            const z = uvw.z.mul(volumeSize.z.sub(1));
             const zFloor = z.floor();
             const zFract = z.sub(zFloor);
             
@@ -92,19 +96,20 @@ export class TSLVolumeRenderer {
             const sliceY = zFloor.div(slicesPerRow).floor();
             const sliceX = zFloor.sub(sliceY.mul(slicesPerRow));
             
-            // Calculate UV coordinates for both slices
-            const sliceSize = float(1.0).div(slicesPerRow);
+            // Calculate UV coordinates for both slices (tiles are nx × ny, the atlas
+            // slicesPerRow × sliceRows tiles)
+            const sliceSize = vec3(float(1.0).div(slicesPerRow), float(1.0).div(sliceRows), 1);
             const pixelSize = sliceSize.div(volumeSize);
             
             const uv1 = vec3(
-                sliceX.mul(sliceSize).add(uvw.x.mul(pixelSize)),
-                sliceY.mul(sliceSize).add(uvw.y.mul(pixelSize)),
+                sliceX.mul(sliceSize.x).add(uvw.x.mul(pixelSize.x)),
+                sliceY.mul(sliceSize.y).add(uvw.y.mul(pixelSize.y)),
                 0
             );
             
             const uv2 = vec3(
-                sliceX.add(1).mul(sliceSize).add(uvw.x.mul(pixelSize)),
-                sliceY.mul(sliceSize).add(uvw.y.mul(pixelSize)),
+                sliceX.add(1).mul(sliceSize.x).add(uvw.x.mul(pixelSize.x)),
+                sliceY.mul(sliceSize.y).add(uvw.y.mul(pixelSize.y)),
                 0
             );
             
@@ -325,25 +330,48 @@ export class TSLVolumeRenderer {
             this.volumeBox.material.dispose();
         }
         
-        const geometry = new THREE.BoxGeometry(2, 2, 2);
+        const geometry = new THREE.BoxGeometry(...this.domain.size);
         this.volumeBox = new THREE.Mesh(geometry, this.volumeMaterial);
+        this.volumeBox.position.set(...this.domain.center);
         this.scene.add(this.volumeBox);
         
         console.log('📦 TSL volume box created');
     }
     
+    /**
+     * Fit the volume box to the simulation domain
+     */
+    setDomain(domain) {
+        this.domain = SimulationDomain.from(domain);
+        this.uBoxMin.value.set(...this.domain.min);
+        this.uBoxMax.value.set(...this.domain.max);
+        
+        if (this.volumeBox) {
+            this.volumeBox.geometry.dispose();
+            this.volumeBox.geometry = new THREE.BoxGeometry(...this.domain.size);
+            this.volumeBox.position.set(...this.domain.center);
+        }
+    }
+    
     /**
      * Update the volume with new JFA data
+     * @param {THREE.Texture} jfaTexture - Atlas of z-slices
+     * @param {number|Array<number>} volumeSize - Voxels per axis or [nx, ny, nz]
+     * @param {number} slicesPerRow - Slices per atlas row
+     * @param {number} [sliceRows] - Rows of slices (defaults to slicesPerRow, a square atlas)
      */
-    updateVolume(jfaTexture, volumeSize, slicesPerRow) {
+    updateVolume(jfaTexture, volumeSize, slicesPerRow, sliceRows = slicesPerRow) {
         if (!this.volumeMaterial || !jfaTexture) return;
         
+        const resolution = SimulationDomain.from(volumeSize).resolution;
+        
         // Update TSL uniforms
         this.uAtlas.value = jfaTexture;
-        this.uVolumeSize.value = volumeSize;
+        this.uVolumeSize.value.set(...resolution);
         this.uSlicesPerRow.value = slicesPerRow;
+        this.uSliceRows.value = sliceRows;
         
-        console.log(`📦 TSL volume updated with ${volumeSize}³ resolution`);
+        console.log(`📦 TSL volume updated with ${resolution.join('×')} resolution`);
     }
     
     /**
@@ -0,0 +1,433 @@
+/**
+ * TopologicalEvents - Events that change the number of cells
+ *
+ * Removal (T2 event): a cell whose voxel count falls below removalVoxels (by
+ * default only cells left with no voxels) is removed, and the per-seed arrays
+ * are compacted so later cells move down one index per removed cell.
+ *
+ * Division: a cell whose voxel count (CPU voxel summation or the GPU centroid
+ * pass) exceeds divisionVoxels splits in two. Its voxels are cut by a plane through
+ * the cell centroid, normal to the principal (longest) axis of the voxels or to a
+ * random direction, and the two children's seeds are placed at the centroids of
+ * the two halves. The first child takes the parent's index and the second is
+ * appended, so every division adds one seed. Both inherit the parent's other
+ * per-seed state (weight, velocity, weight velocity).
+ *
+ * Cells keep a persistent id (cellIds[index]) that survives other cells' events;
+ * children get new ids and each event is recorded in the lineage (and passed to
+ * onEvent when set):
+ *
+ *   { frame, event: 'division', parent: id, children: [id, id] }
+ *   { frame, event: 'removal', parent: id, children: [] }
+ *
+ * Systems check for events every `interval` steps, after the physics: plan()
+ * picks the cells from the voxel counts and apply() runs removals and divisions.
+ */
+import { SNAPSHOT_ARRAYS } from './SimulationSnapshot.js';
+
+export const DIVISION_AXES = {
+    principal: 'Principal axis',
+    random: 'Random plane'
+};
+
+/**
+ * Event settings used when a system leaves them out
+ */
+export const TOPOLOGICAL_EVENT_DEFAULTS = {
+    division: false,            // Split cells larger than divisionVoxels
+    divisionVoxels: 4096,       // Voxel count above which a cell divides
+    divisionAxis: 'principal',  // Plane normal, see DIVISION_AXES
+    maxCells: 1000,             // Cell count divisions stop at
+    removal: false,             // Remove cells smaller than removalVoxels (coarsening)
+    removalVoxels: 1,           // Voxel count below which a cell is removed (1 = empty cells only)
+    minCells: 1,                // Cell count removals stop at
+    interval: 10                // Steps between checks (GPU systems read voxel counts back)
+};
+
+/**
+ * Resolve an unknown division axis to the principal axis
+ */
+export function resolveDivisionAxis(axis) {
+    return DIVISION_AXES[axis] ? axis : 'principal';
+}
+
+export class TopologicalEvents {
+    /**
+     * @param {Object} [settings] - See TOPOLOGICAL_EVENT_DEFAULTS
+     */
+    constructor(settings = {}) {
+        this.settings = { ...TOPOLOGICAL_EVENT_DEFAULTS };
+        this.configure(settings);
+        this.reset(0);
+
+        // Called with each event as it is recorded
+        this.onEvent = null;
+    }
+
+    /**
+     * Change settings (missing keys keep their current value)
+     */
+    configure(settings = {}) {
+        Object.assign(this.settings, settings);
+        this.settings.divisionAxis = resolveDivisionAxis(this.settings.divisionAxis);
+    }
+
+    /**
+     * Start a new lineage in which cell i has id i
+     * @param {number} numCells
+     */
+    reset(numCells) {
+        this.cellIds = Array.from({ length: numCells }, (_, i) => i);
+        this.nextCellId = numCells;
+        this.lineage = [];
+    }
+
+    /**
+     * Cell ids and the next free id for snapshots (a fresh lineage if the cell count changed)
+     * @param {number} numCells
+     * @returns {{ cellIds: Array<number>, nextCellId: number }}
+     */
+    getState(numCells) {
+        if (this.cellIds.length !== numCells) {
+            return { cellIds: Array.from({ length: numCells }, (_, i) => i), nextCellId: numCells };
+        }
+        return { cellIds: [...this.cellIds], nextCellId: this.nextCellId };
+    }
+
+    /**
+     * Restore the state returned by getState(); the lineage itself starts empty
+     */
+    setState({ cellIds, nextCellId }) {
+        this.cellIds = Array.from(cellIds);
+        this.nextCellId = nextCellId;
+        this.lineage = [];
+    }
+
+    /**
+     * Whether any event is switched on
+     */
+    get enabled() {
+        return this.settings.division || this.settings.removal;
+    }
+
+    /**
+     * True when events should be checked after this step
+     * @param {number} frame - Steps run so far
+     */
+    isDue(frame) {
+        return this.enabled && frame % Math.max(1, Math.round(this.settings.interval)) === 0;
+    }
+
+    /**
+     * Cells due to divide, largest first, as many as maxCells leaves room for
+     * @param {ArrayLike<number>} voxelCounts - Voxels per cell
+     * @returns {Array<number>} Cell indices
+     */
+    findDivisions(voxelCounts) {
+        const { division, divisionVoxels, maxCells } = this.settings;
+        if (!division) return [];
+
+        const candidates = [];
+        for (let i = 0; i < voxelCounts.length; i++) {
+            if (voxelCounts[i] > divisionVoxels) candidates.push(i);
+        }
+        candidates.sort((a, b) => voxelCounts[b] - voxelCounts[a]);
+
+        return candidates.slice(0, Math.max(0, maxCells - voxelCounts.length));
+    }
+
+    /**
+     * Cells due to be removed, smallest first, as many as minCells allows
+     * @param {ArrayLike<number>} voxelCounts - Voxels per cell
+     * @returns {Array<number>} Cell indices
+     */
+    findRemovals(voxelCounts) {
+        const { removal, removalVoxels, minCells } = this.settings;
+        if (!removal) return [];
+
+        const candidates = [];
+        for (let i = 0; i < voxelCounts.length; i++) {
+            if (voxelCounts[i] < removalVoxels) candidates.push(i);
+        }
+        candidates.sort((a, b) => voxelCounts[a] - voxelCounts[b]);
+
+        return candidates.slice(0, Math.max(0, voxelCounts.length - Math.max(1, minCells)));
+    }
+
+    /**
+     * Cells due for an event
+     * @param {ArrayLike<number>} voxelCounts - Voxels per cell
+     * @returns {{ divisions: Array<number>, removals: Array<number> }} Cell indices
+     */
+    plan(voxelCounts) {
+        return {
+            divisions: this.findDivisions(voxelCounts),
+            removals: this.findRemovals(voxelCounts)
+        };
+    }
+
+    /**
+     * Run planned events: divisions (which keep existing indices), then removals
+     * @param {Object} seeds - Per-seed arrays, see divide()
+     * @param {Object} plan - From plan()
+     * @param {Int32Array|null} labels - JFA labels (only read when there are divisions)
+     * @param {Object} options - See divide()
+     * @returns {Object|null} Per-seed arrays after the events, or null when none happened
+     */
+    apply(seeds, { divisions, removals }, labels, options) {
+        let result = null;
+        if (divisions.length > 0) {
+            result = this.divide(seeds, divisions, labels, options);
+        }
+        if (removals.length > 0) {
+            result = this.remove(result ?? seeds, removals, options) ?? result;
+        }
+        return result;
+    }
+
+    /**
+     * Remove cells
+     * @param {Object} seeds - Per-seed arrays of the current cells (see divide())
+     * @param {Array<number>} cells - Cells to remove (see findRemovals)
+     * @param {Object} [options]
+     * @param {number} [options.frame] - Recorded in the lineage
+     * @returns {Object|null} Compacted per-seed arrays, or null when no cell was removed
+     */
+    remove(seeds, cells, { frame = 0 } = {}) {
+        const numCells = seeds.positions.length / 3;
+        if (this.cellIds.length !== numCells) this.reset(numCells);
+
+        const removed = new Set(cells.filter(cell => cell >= 0 && cell < numCells));
+        if (removed.size === 0) return null;
+
+        const sources = [];
+        for (let i = 0; i < numCells; i++) {
+            if (!removed.has(i)) sources.push(i);
+        }
+        const result = remapSeeds(seeds, sources, numCells);
+
+        for (const cell of removed) {
+            this.record({ frame, event: 'removal', parent: this.cellIds[cell], children: [] });
+        }
+        this.cellIds = sources.map(source => this.cellIds[source]);
+
+        console.log(`🫧 ${removed.size} cell removal${removed.size === 1 ? '' : 's'}: ${numCells} → ${sources.length} cells`);
+        return result;
+    }
+
+    /**
+     * Split cells in two
+     * @param {Object} seeds - Per-seed arrays of the current cells: positions (x, y, z per
+     *   seed) and any others (weights, velocities, ...), which children copy from the parent
+     * @param {Array<number>} parents - Cells to split (see findDivisions)
+     * @param {Int32Array} labels - Seed index per voxel (-1 = none) of the analyzed JFA pass
+     * @param {Object} options
+     * @param {SimulationDomain} options.domain - Voxel grid of the labels
+     * @param {SeededRandom} options.random - Directions of random planes
+     * @param {boolean} [options.periodic] - Cells may wrap around the box
+     * @param {DomainMask|null} [options.mask] - Children must lie inside it
+     * @param {number} [options.frame] - Recorded in the lineage
+     * @returns {Object|null} Per-seed arrays including the children, or null when no cell divided
+     */
+    divide(seeds, parents, labels, { domain, random, periodic = false, mask = null, frame = 0 }) {
+        const numCells = seeds.positions.length / 3;
+        if (this.cellIds.length !== numCells) this.reset(numCells);
+
+        const splits = splitCells(seeds.positions, parents, labels, domain, {
+            axis: this.settings.divisionAxis,
+            random,
+            periodic
+        });
+
+        const divided = [];
+        for (const [parent, children] of splits) {
+            if (periodic) children.forEach(child => domain.wrapPosition(child));
+            if (mask && !children.every(child => mask.contains(child.x, child.y, child.z))) continue;
+            divided.push({ parent, children });
+        }
+        if (divided.length === 0) return null;
+
+        // New seed i copies seed sources[i]: the cells in place, then the second children
+        const sources = Array.from({ length: numCells }, (_, i) => i);
+        for (const { parent } of divided) sources.push(parent);
+
+        const result = remapSeeds(seeds, sources, numCells);
+
+        divided.forEach(({ parent, children }, k) => {
+            const indices = [parent, numCells + k];
+            indices.forEach((index, c) => {
+                result.positions[index * 3] = children[c].x;
+                result.positions[index * 3 + 1] = children[c].y;
+                result.positions[index * 3 + 2] = children[c].z;
+            });
+
+            const childIds = [this.nextCellId++, this.nextCellId++];
+            this.record({ frame, event: 'division', parent: this.cellIds[parent], children: childIds });
+            this.cellIds[parent] = childIds[0];
+            this.cellIds.push(childIds[1]);
+        });
+
+        console.log(`🧫 ${divided.length} cell division${divided.length === 1 ? '' : 's'}: ${numCells} → ${sources.length} cells`);
+        return result;
+    }
+
+    /**
+     * Add an event to the lineage and report it
+     */
+    record(event) {
+        this.lineage.push(event);
+        if (this.onEvent) this.onEvent(event);
+    }
+
+    /**
+     * Recorded events, oldest first
+     */
+    getLineage() {
+        return this.lineage.map(entry => ({ ...entry, children: [...entry.children] }));
+    }
+}
+
+/**
+ * Per-seed arrays in which seed i copies seed sources[i] of the input
+ */
+function remapSeeds(seeds, sources, numCells) {
+    const result = {};
+    for (const [name, array] of Object.entries(seeds)) {
+        if (!array) continue;
+        const components = SNAPSHOT_ARRAYS[name] ?? array.length / numCells;
+        const mapped = new Float64Array(sources.length * components);
+        sources.forEach((source, i) => {
+            for (let c = 0; c < components; c++) {
+                mapped[i * components + c] = array[source * components + c];
+            }
+        });
+        result[name] = mapped;
+    }
+    return result;
+}
+
+/**
+ * Children seed positions of each parent: the centroids of its voxels on either
+ * side of the division plane
+ * @returns {Map<number, Array<{x, y, z}>>} Parent index → two positions (parents
+ *   without voxels on both sides are left out)
+ */
+function splitCells(positions, parents, labels, domain, { axis, random, periodic }) {
+    const slots = new Map(parents.map((parent, slot) => [parent, slot]));
+    const [nx, ny, nz] = domain.resolution;
+    const point = { x: 0, y: 0, z: 0 };
+
+    // Voxel centre of one of the parents, unwrapped next to its seed when periodic
+    const visit = (callback) => {
+        let i = 0;
+        for (let z = 0; z < nz; z++) {
+            for (let y = 0; y < ny; y++) {
+                for (let x = 0; x < nx; x++, i++) {
+                    const slot = slots.get(labels[i]);
+                    if (slot === undefined) continue;
+
+                    const seed = labels[i] * 3;
+                    point.x = domain.voxelCenter(0, x) - positions[seed];
+                    point.y = domain.voxelCenter(1, y) - positions[seed + 1];
+                    point.z = domain.voxelCenter(2, z) - positions[seed + 2];
+                    if (periodic) domain.minimumImage(point);
+                    point.x += positions[seed];
+                    point.y += positions[seed + 1];
+                    point.z += positions[seed + 2];
+                    callback(slot, point);
+                }
+            }
+        }
+    };
+
+    // Pass 1: voxel count, first and second moments per parent
+    const moments = new Float64Array(parents.length * 10);
+    visit((slot, p) => {
+        const m = slot * 10;
+        moments[m] += 1;
+        moments[m + 1] += p.x;
+        moments[m + 2] += p.y;
+        moments[m + 3] += p.z;
+        moments[m + 4] += p.x * p.x;
+        moments[m + 5] += p.y * p.y;
+        moments[m + 6] += p.z * p.z;
+        moments[m + 7] += p.x * p.y;
+        moments[m + 8] += p.x * p.z;
+        moments[m + 9] += p.y * p.z;
+    });
+
+    const centroids = [];
+    const normals = [];
+    for (let slot = 0; slot < parents.length; slot++) {
+        const m = slot * 10;
+        const n = Math.max(moments[m], 1);
+        const c = { x: moments[m + 1] / n, y: moments[m + 2] / n, z: moments[m + 3] / n };
+        const covariance = [
+            moments[m + 4] / n - c.x * c.x, moments[m + 7] / n - c.x * c.y, moments[m + 8] / n - c.x * c.z,
+            moments[m + 7] / n - c.x * c.y, moments[m + 5] / n - c.y * c.y, moments[m + 9] / n - c.y * c.z,
+            moments[m + 8] / n - c.x * c.z, moments[m + 9] / n - c.y * c.z, moments[m + 6] / n - c.z * c.z
+        ];
+        centroids.push(c);
+        normals.push(axis === 'random' ? randomDirection(random) : principalAxis(covariance) ?? randomDirection(random));
+    }
+
+    // Pass 2: centroids of the two halves
+    const halves = new Float64Array(parents.length * 8);
+    visit((slot, p) => {
+        const c = centroids[slot];
+        const normal = normals[slot];
+        const side = (p.x - c.x) * normal.x + (p.y - c.y) * normal.y + (p.z - c.z) * normal.z >= 0 ? 4 : 0;
+        const h = slot * 8 + side;
+        halves[h] += 1;
+        halves[h + 1] += p.x;
+        halves[h + 2] += p.y;
+        halves[h + 3] += p.z;
+    });
+
+    const children = new Map();
+    parents.forEach((parent, slot) => {
+        const h = slot * 8;
+        if (halves[h] === 0 || halves[h + 4] === 0) return;
+        children.set(parent, [0, 4].map(side => ({
+            x: halves[h + side + 1] / halves[h + side],
+            y: halves[h + side + 2] / halves[h + side],
+            z: halves[h + side + 3] / halves[h + side]
+        })));
+    });
+
+    return children;
+}
+
+/**
+ * Unit eigenvector of the largest eigenvalue of a symmetric 3×3 matrix (row-major),
+ * by power iteration; null when the matrix is (nearly) zero
+ */
+function principalAxis(matrix) {
+    let v = { x: 1, y: 0.7, z: 0.4 };
+    for (let iteration = 0; iteration < 32; iteration++) {
+        const next = {
+            x: matrix[0] * v.x + matrix[1] * v.y + matrix[2] * v.z,
+            y: matrix[3] * v.x + matrix[4] * v.y + matrix[5] * v.z,
+            z: matrix[6] * v.x + matrix[7] * v.y + matrix[8] * v.z
+        };
+        const length = Math.sqrt(next.x * next.x + next.y * next.y + next.z * next.z);
+        if (length < 1e-12) return null;
+        v = { x: next.x / length, y: next.y / length, z: next.z / length };
+    }
+    return v;
+}
+
+/**
+ * Uniformly distributed unit vector
+ */
+function randomDirection(random) {
+    const z = random.next() * 2 - 1;
+    const angle = random.next() * 2 * Math.PI;
+    const r = Math.sqrt(1 - z * z);
+    return { x: r * Math.cos(angle), y: r * Math.sin(angle), z };
+}
+
+// Make available globally for debugging
+if (typeof window !== 'undefined') {
+    window.TopologicalEvents = TopologicalEvents;
+}
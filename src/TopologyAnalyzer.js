@@ -0,0 +1,320 @@
+import { CellAdjacency } from './CellAdjacency.js';
+import { SimulationDomain } from './SimulationDomain.js';
+
+/**
+ * TopologyAnalyzer - Foam topology statistics of a Voronoi tessellation
+ *
+ * Builds the cell adjacency graph from a JFA label volume or from ExactVoronoi
+ * cells and reports the standard foam descriptors:
+ *
+ *   - F, faces (= neighbours) per cell, its distribution, ⟨F⟩ and μ2 = ⟨F²⟩ − ⟨F⟩²
+ *   - n, edges per face, its distribution and ⟨n⟩
+ *   - Aboav–Weaire law: F·m(F) = (⟨F⟩ − a)·F + a⟨F⟩ + μ2, where m(F) is the
+ *     mean face count of the neighbours of an F-faced cell (linear fit, gives a)
+ *   - Lewis' law: V(F)/⟨V⟩ linear in F (linear fit)
+ *
+ * Label volumes: two cells are neighbours if voxels of both share a voxel face;
+ * the edges of face A|B are the third cells C meeting A and B in some 2×2×2
+ * voxel block (triple lines). Exact cells: faces and polygon edges are exact.
+ *
+ * Cells touching the domain walls have truncated faces, so without periodic
+ * boundaries they are left out of the distributions and fits (interior cells
+ * only) unless includeBoundaryCells is set.
+ */
+export class TopologyAnalyzer {
+    constructor() {
+        // Toroidal domain: wrap voxel neighbours, no cell touches a wall
+        this.periodic = false;
+
+        // Faces smaller than this (world units²) are ignored as JFA noise
+        this.minFaceArea = 0;
+
+        // Use wall-touching cells in the statistics too
+        this.includeBoundaryCells = false;
+
+        this.lastReport = null;
+        this.lastAnalysisTime = 0;
+
+        console.log('🕸️ TopologyAnalyzer constructor completed');
+    }
+
+    /**
+     * Enable/disable periodic (wrap-around) boundaries
+     */
+    setPeriodicBoundaries(enabled) {
+        this.periodic = enabled;
+    }
+
+    /**
+     * Ignore faces below this area (world units²)
+     */
+    setMinFaceArea(area) {
+        this.minFaceArea = area;
+    }
+
+    /**
+     * Analyse a JFA label volume
+     * @param {Int32Array} labels - Seed ID per voxel, x-fastest (-1 = no seed)
+     * @param {SimulationDomain|number} domain - Domain of the labels (or voxels per axis of the default cube)
+     * @param {number} numCells - Number of seeds
+     * @param {CellAdjacency} [adjacency] - Adjacency already built from these labels
+     * @returns {Object} Topology report
+     */
+    fromLabels(labels, domain, numCells, adjacency = null) {
+        const startTime = performance.now();
+        domain = SimulationDomain.from(domain);
+        const [nx, ny, nz] = domain.resolution;
+        adjacency = adjacency ?? CellAdjacency.fromLabels(labels, domain, numCells, { periodic: this.periodic });
+
+        const voxelVolume = domain.voxelVolume;
+        const volumes = new Float64Array(numCells);
+        for (let i = 0; i < labels.length; i++) {
+            if (labels[i] >= 0 && labels[i] < numCells) volumes[labels[i]] += voxelVolume;
+        }
+
+        const faces = [];
+        for (const edge of adjacency.toEdgeList()) {
+            if (edge.area <= this.minFaceArea) continue;
+            faces.push({ a: edge.a, b: edge.b, area: edge.area, edges: 0 });
+        }
+
+        // Pair key → third cells meeting the face A|B along a triple line
+        const pairKey = (a, b) => (a < b ? a * numCells + b : b * numCells + a);
+        const thirds = new Map(faces.map(face => [pairKey(face.a, face.b), new Set()]));
+
+        const wrap = (c, n) => (c + n) % n;
+        const labelAt = (x, y, z) => labels[x + (y + z * ny) * nx];
+
+        // Triple lines: every distinct triple of labels in a 2×2×2 block
+        const edge = this.periodic ? 0 : 1;
+        const block = [];
+        for (let z = 0; z < nz - edge; z++) {
+            for (let y = 0; y < ny - edge; y++) {
+                for (let x = 0; x < nx - edge; x++) {
+                    block.length = 0;
+                    for (let k = 0; k < 8; k++) {
+                        const label = labelAt(wrap(x + (k & 1), nx), wrap(y + ((k >> 1) & 1), ny), wrap(z + ((k >> 2) & 1), nz));
+                        if (label >= 0 && label < numCells && !block.includes(label)) block.push(label);
+                    }
+                    if (block.length < 3) continue;
+
+                    for (let i = 0; i < block.length; i++) {
+                        for (let j = i + 1; j < block.length; j++) {
+                            const set = thirds.get(pairKey(block[i], block[j]));
+                            if (!set) continue;
+                            for (const third of block) {
+                                if (third !== block[i] && third !== block[j]) set.add(third);
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        // A third cell only bounds face A|B if it survived the area threshold on both sides
+        for (const face of faces) {
+            let edges = 0;
+            for (const third of thirds.get(pairKey(face.a, face.b))) {
+                if (thirds.has(pairKey(face.a, third)) && thirds.has(pairKey(face.b, third))) edges++;
+            }
+            face.edges = edges;
+        }
+
+        return this._buildReport('voxel', numCells, faces, volumes, adjacency.wallCells, startTime);
+    }
+
+    /**
+     * Analyse ExactVoronoi cells
+     * @param {Array} cells - ExactVoronoi.compute() output
+     * @returns {Object} Topology report
+     */
+    fromExactCells(cells) {
+        const startTime = performance.now();
+        const numCells = cells.length;
+        const volumes = new Float64Array(numCells);
+        const boundary = new Uint8Array(numCells);
+        const faces = [];
+
+        for (const cell of cells) {
+            volumes[cell.id] = cell.volume;
+
+            for (const face of cell.faces) {
+                if (face.neighbor < 0) {
+                    boundary[cell.id] = 1;
+                    continue;
+                }
+
+                // Each interface appears in both cells; keep the lower ID's copy
+                if (face.neighbor < cell.id || face.area <= this.minFaceArea) continue;
+                faces.push({ a: cell.id, b: face.neighbor, area: face.area, edges: face.indices.length });
+            }
+        }
+
+        return this._buildReport('exact', numCells, faces, volumes, boundary, startTime);
+    }
+
+    /**
+     * Distributions and law fits from the face list
+     */
+    _buildReport(source, numCells, faces, volumes, boundary, startTime) {
+        const neighbors = Array.from({ length: numCells }, () => []);
+        for (const face of faces) {
+            neighbors[face.a].push(face.b);
+            neighbors[face.b].push(face.a);
+        }
+        const faceCounts = Int32Array.from(neighbors, list => list.length);
+
+        // Cells entering the statistics (empty power cells have no faces)
+        const analysed = [];
+        for (let id = 0; id < numCells; id++) {
+            if (faceCounts[id] === 0) continue;
+            if (boundary[id] && !this.includeBoundaryCells) continue;
+            analysed.push(id);
+        }
+        const isAnalysed = new Uint8Array(numCells);
+        for (const id of analysed) isAnalysed[id] = 1;
+
+        // Faces per cell
+        const F = analysed.map(id => faceCounts[id]);
+        const meanFaces = this._mean(F);
+        const faceVariance = this._mean(F.map(f => f * f)) - meanFaces * meanFaces;
+
+        // Edges per face, over faces of analysed cells
+        const edgeCounts = faces.filter(face => isAnalysed[face.a] || isAnalysed[face.b]).map(face => face.edges);
+
+        // Aboav–Weaire: per cell, F·m with m the mean face count of its neighbours
+        const aboavX = [];
+        const aboavY = [];
+        const neighborMeans = new Float64Array(numCells);
+        for (const id of analysed) {
+            const m = this._mean(neighbors[id].map(other => faceCounts[other]));
+            neighborMeans[id] = m;
+            aboavX.push(faceCounts[id]);
+            aboavY.push(faceCounts[id] * m);
+        }
+        const aboavFit = this._fitLine(aboavX, aboavY);
+
+        // Lewis: cell volume relative to the mean, against F
+        const meanVolume = this._mean(analysed.map(id => volumes[id]));
+        const lewisY = analysed.map(id => (meanVolume > 0 ? volumes[id] / meanVolume : 0));
+        const lewisFit = this._fitLine(F, lewisY);
+
+        // Per-F class averages for plotting
+        const classes = new Map();
+        for (const id of analysed) {
+            const f = faceCounts[id];
+            const entry = classes.get(f) || { faces: f, count: 0, neighborFaces: 0, volume: 0 };
+            entry.count++;
+            entry.neighborFaces += neighborMeans[id];
+            entry.volume += volumes[id];
+            classes.set(f, entry);
+        }
+        const byFaces = [...classes.values()].sort((p, q) => p.faces - q.faces);
+
+        const report = {
+            source,
+            periodic: this.periodic,
+            numCells,
+            analysedCells: analysed.length,
+            boundaryCells: boundary.reduce((sum, b) => sum + b, 0),
+            neighbors,
+            faceCounts,
+            faceCount: faces.length,
+            meanFaces,
+            faceVariance,
+            faceDistribution: this._distribution(F, 'faces'),
+            meanEdgesPerFace: this._mean(edgeCounts),
+            edgeDistribution: this._distribution(edgeCounts, 'edges'),
+            aboavWeaire: {
+                slope: aboavFit.slope,
+                intercept: aboavFit.intercept,
+                a: meanFaces - aboavFit.slope,
+                mu2: faceVariance,
+                r2: aboavFit.r2,
+                points: byFaces.map(entry => ({
+                    faces: entry.faces,
+                    count: entry.count,
+                    meanNeighborFaces: entry.neighborFaces / entry.count
+                }))
+            },
+            lewis: {
+                slope: lewisFit.slope,
+                intercept: lewisFit.intercept,
+                r2: lewisFit.r2,
+                meanVolume,
+                points: byFaces.map(entry => ({
+                    faces: entry.faces,
+                    count: entry.count,
+                    meanVolume: entry.volume / entry.count,
+                    normalizedVolume: meanVolume > 0 ? entry.volume / entry.count / meanVolume : 0
+                }))
+            }
+        };
+
+        this.lastReport = report;
+        this.lastAnalysisTime = Math.round(performance.now() - startTime);
+        console.log(`🕸️ Topology (${source}): ${analysed.length}/${numCells} cells, ⟨F⟩=${meanFaces.toFixed(2)}, ⟨n⟩=${report.meanEdgesPerFace.toFixed(2)}, Aboav a=${report.aboavWeaire.a.toFixed(2)} in ${this.lastAnalysisTime}ms`);
+
+        return report;
+    }
+
+    /**
+     * Sorted [{ <key>, count, fraction }] histogram of integer values
+     */
+    _distribution(values, key) {
+        const counts = new Map();
+        for (const value of values) {
+            counts.set(value, (counts.get(value) || 0) + 1);
+        }
+        return [...counts.entries()]
+            .sort((p, q) => p[0] - q[0])
+            .map(([value, count]) => ({ [key]: value, count, fraction: count / values.length }));
+    }
+
+    _mean(values) {
+        if (values.length === 0) return 0;
+        let sum = 0;
+        for (const value of values) sum += value;
+        return sum / values.length;
+    }
+
+    /**
+     * Least-squares line y = slope·x + intercept with its coefficient of determination
+     */
+    _fitLine(xs, ys) {
+        const meanX = this._mean(xs);
+        const meanY = this._mean(ys);
+        let sxx = 0, sxy = 0, syy = 0;
+        for (let i = 0; i < xs.length; i++) {
+            const dx = xs[i] - meanX;
+            const dy = ys[i] - meanY;
+            sxx += dx * dx;
+            sxy += dx * dy;
+            syy += dy * dy;
+        }
+
+        // All cells with the same F: no slope to fit
+        if (sxx === 0) {
+            return { slope: 0, intercept: meanY, r2: 0 };
+        }
+
+        const slope = sxy / sxx;
+        return {
+            slope,
+            intercept: meanY - slope * meanX,
+            r2: syy > 0 ? (sxy * sxy) / (sxx * syy) : 1
+        };
+    }
+
+    /**
+     * Dispose of all resources
+     */
+    dispose() {
+        this.lastReport = null;
+    }
+}
+
+// Make available globally for debugging
+if (typeof window !== 'undefined') {
+    window.TopologyAnalyzer = TopologyAnalyzer;
+}
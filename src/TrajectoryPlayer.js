@@ -0,0 +1,108 @@
+/**
+ * TrajectoryPlayer - Play, pause, step and seek through a TrajectoryRecorder
+ *
+ * The player only tracks the playback position; whenever it changes, the
+ * decoded frame is handed to `onFrame(frame, index)` so the owning system can
+ * drive its own visualisation from it. seek/step/update return whatever
+ * onFrame returns, so an async onFrame can be awaited. Call update(deltaTime)
+ * every animation frame while playing.
+ */
+export class TrajectoryPlayer {
+    constructor(recorder, onFrame) {
+        this.recorder = recorder;
+        this.onFrame = onFrame;
+
+        this.index = 0;
+        this.playing = false;
+        this.loop = false;
+
+        // Recorded frames shown per second
+        this.fps = 30;
+
+        // Time carried over between update calls
+        this.accumulator = 0;
+    }
+
+    /**
+     * Number of frames available to play
+     */
+    getLength() {
+        return this.recorder.getFrameCount();
+    }
+
+    /**
+     * Start playing from the current position (from the start if at the end)
+     */
+    play() {
+        if (this.getLength() === 0) return;
+        if (this.index >= this.getLength() - 1) {
+            this.seek(0);
+        }
+        this.playing = true;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Stop advancing, keeping the current frame
+     */
+    pause() {
+        this.playing = false;
+    }
+
+    /**
+     * Move by a number of recorded frames (negative steps go back) and pause
+     */
+    step(count = 1) {
+        this.pause();
+        return this.seek(this.index + count);
+    }
+
+    /**
+     * Show a recorded frame by index (clamped to the recording)
+     */
+    seek(index) {
+        const length = this.getLength();
+        if (length === 0) return;
+
+        this.index = Math.max(0, Math.min(length - 1, Math.round(index)));
+        return this.onFrame(this.recorder.getFrame(this.index), this.index);
+    }
+
+    /**
+     * Set the playback rate in recorded frames per second
+     */
+    setFPS(fps) {
+        this.fps = Math.max(0.1, fps);
+    }
+
+    /**
+     * Advance playback by wall-clock time
+     * @param {number} deltaTime - Seconds since the last update
+     */
+    update(deltaTime) {
+        if (!this.playing) return;
+
+        this.accumulator += deltaTime * this.fps;
+        const advance = Math.floor(this.accumulator);
+        if (advance === 0) return;
+        this.accumulator -= advance;
+
+        const length = this.getLength();
+        let next = this.index + advance;
+        if (next >= length) {
+            if (this.loop) {
+                next %= length;
+            } else {
+                next = length - 1;
+                this.playing = false;
+            }
+        }
+
+        return this.seek(next);
+    }
+}
+
+// Make available globally for debugging
+if (typeof window !== 'undefined') {
+    window.TrajectoryPlayer = TrajectoryPlayer;
+}
@@ -0,0 +1,364 @@
+import { SimulationDomain } from './SimulationDomain.js';
+
+/**
+ * Seed channels stored per recorded frame: position xyz and weight
+ */
+const CHANNELS = 4;
+
+/**
+ * Quantisation step for positions and weights (world units). Values are stored
+ * as integer multiples of it, so decoding never accumulates drift.
+ */
+const QUANTUM = 1 / (1 << 20);
+
+const INT16_MIN = -32768;
+const INT16_MAX = 32767;
+
+/**
+ * TrajectoryRecorder - Compact recording of seed trajectories over a run
+ *
+ * Every `interval` frames the recorder stores each seed's position, weight and
+ * acute count, and optionally the label volume:
+ *
+ *   - positions and weights are quantised to QUANTUM (~1e-6); keyframes hold the
+ *     quantised values (Int32), other frames the change since the previous
+ *     recorded frame (Int16, 2 bytes per value). A keyframe is written every
+ *     `keyframeInterval` frames, when the seed count changes, or when a change
+ *     does not fit in 16 bits.
+ *   - acute counts are stored as Uint16 per frame.
+ *   - persistent cell ids (see TopologicalEvents), when given, are stored as
+ *     Uint32; frames with unchanged ids share one array, and a change (cells
+ *     divided or removed) starts a keyframe.
+ *   - label volumes are run-length encoded ([label, run] pairs, x-fastest runs).
+ *
+ * Frames are decoded on demand; sequential playback decodes each frame from
+ * the previous one. When `maxFrames` is reached the oldest frames are dropped.
+ */
+export class TrajectoryRecorder {
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? false;
+
+        // Record every Nth frame
+        this.interval = options.interval ?? 1;
+
+        // Recorded frames between keyframes
+        this.keyframeInterval = options.keyframeInterval ?? 60;
+
+        // Also keep the label volume of each recorded frame
+        this.recordLabels = options.recordLabels ?? false;
+
+        this.maxFrames = options.maxFrames ?? 5000;
+
+        this.frames = [];
+
+        // Quantised state of the newest frame (the base for the next delta)
+        this.lastQuantized = null;
+
+        // Decoding cache for sequential access
+        this.cacheIndex = -1;
+        this.cacheQuantized = null;
+
+        console.log('🎞️ TrajectoryRecorder constructor completed');
+    }
+
+    /**
+     * Start or stop recording
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    /**
+     * Record every Nth frame
+     */
+    setInterval(interval) {
+        this.interval = Math.max(1, Math.floor(interval));
+    }
+
+    /**
+     * Store label volumes with the seeds (large; run-length encoded)
+     */
+    setRecordLabels(enabled) {
+        this.recordLabels = enabled;
+    }
+
+    /**
+     * True if this frame is due for recording
+     */
+    shouldRecord(frame) {
+        return this.enabled && frame % this.interval === 0;
+    }
+
+    /**
+     * Record one frame (no-op unless the frame is due)
+     * @param {number} frame - Simulation frame number
+     * @param {Object} state
+     * @param {Float32Array|Float64Array} state.positions - xyz per seed
+     * @param {Float32Array|Float64Array} [state.weights] - Weight per seed
+     * @param {ArrayLike<number>} [state.acuteCounts] - Acute count per seed
+     * @param {ArrayLike<number>} [state.cellIds] - Persistent cell id per seed
+     * @param {Int32Array} [state.labels] - Label volume (kept only with recordLabels)
+     * @param {number|Array<number>} [state.volumeResolution] - Voxels per axis (or [nx, ny, nz]) of the labels
+     * @returns {boolean} True if the frame was recorded
+     */
+    record(frame, { positions, weights = null, acuteCounts = null, cellIds = null, labels = null, volumeResolution = 0 }) {
+        if (!this.shouldRecord(frame)) return false;
+
+        const numPoints = positions.length / 3;
+        const quantized = new Int32Array(numPoints * CHANNELS);
+        for (let i = 0; i < numPoints; i++) {
+            quantized[i * CHANNELS] = Math.round(positions[i * 3] / QUANTUM);
+            quantized[i * CHANNELS + 1] = Math.round(positions[i * 3 + 1] / QUANTUM);
+            quantized[i * CHANNELS + 2] = Math.round(positions[i * 3 + 2] / QUANTUM);
+            quantized[i * CHANNELS + 3] = weights ? Math.round(weights[i] / QUANTUM) : 0;
+        }
+
+        const previous = this.frames[this.frames.length - 1];
+        const sameCells = previous && previous.numPoints === numPoints && this._sameCellIds(previous.cellIds, cellIds);
+
+        const entry = {
+            frame,
+            numPoints,
+            keyframe: true,
+            seeds: quantized,
+            acuteCounts: Uint16Array.from(acuteCounts ?? new Uint16Array(numPoints), count => Math.min(count, 0xFFFF)),
+            cellIds: cellIds && sameCells ? previous.cellIds : (cellIds ? Uint32Array.from(cellIds) : null),
+            labels: this.recordLabels && labels ? this._encodeLabels(labels) : null,
+            volumeResolution
+        };
+
+        const sinceKeyframe = previous ? this._framesSinceKeyframe() : Infinity;
+        if (sameCells && sinceKeyframe < this.keyframeInterval) {
+            const deltas = this._encodeDeltas(quantized, this.lastQuantized);
+            if (deltas) {
+                entry.keyframe = false;
+                entry.seeds = deltas;
+            }
+        }
+
+        this.frames.push(entry);
+        this.lastQuantized = quantized;
+
+        if (this.frames.length > this.maxFrames) {
+            this._dropOldest();
+        }
+
+        return true;
+    }
+
+    /**
+     * Number of recorded frames
+     */
+    getFrameCount() {
+        return this.frames.length;
+    }
+
+    /**
+     * Decode a recorded frame
+     * @param {number} index - 0 .. getFrameCount() - 1
+     * @returns {Object} { frame, numPoints, positions, weights, acuteCounts, cellIds, labels, volumeResolution }
+     */
+    getFrame(index) {
+        if (index < 0 || index >= this.frames.length) {
+            throw new Error(`Trajectory frame ${index} out of range (0-${this.frames.length - 1})`);
+        }
+
+        const quantized = this._decodeQuantized(index);
+        const entry = this.frames[index];
+        const positions = new Float32Array(entry.numPoints * 3);
+        const weights = new Float32Array(entry.numPoints);
+
+        for (let i = 0; i < entry.numPoints; i++) {
+            positions[i * 3] = quantized[i * CHANNELS] * QUANTUM;
+            positions[i * 3 + 1] = quantized[i * CHANNELS + 1] * QUANTUM;
+            positions[i * 3 + 2] = quantized[i * CHANNELS + 2] * QUANTUM;
+            weights[i] = quantized[i * CHANNELS + 3] * QUANTUM;
+        }
+
+        return {
+            frame: entry.frame,
+            numPoints: entry.numPoints,
+            positions,
+            weights,
+            acuteCounts: entry.acuteCounts.slice(),
+            cellIds: entry.cellIds ? entry.cellIds.slice() : null,
+            labels: entry.labels ? this._decodeLabels(entry.labels, entry.volumeResolution) : null,
+            volumeResolution: entry.volumeResolution
+        };
+    }
+
+    /**
+     * Index of the last recorded frame at or before a simulation frame number
+     */
+    findIndex(frame) {
+        let low = 0;
+        let high = this.frames.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.frames[mid].frame <= frame) low = mid;
+            else high = mid - 1;
+        }
+        return low;
+    }
+
+    /**
+     * Bytes held by the store (for comparing against raw Float32 storage)
+     */
+    getByteLength() {
+        let bytes = 0;
+        let cellIds = null;
+        for (const entry of this.frames) {
+            bytes += entry.seeds.byteLength + entry.acuteCounts.byteLength + (entry.labels?.byteLength ?? 0);
+
+            // Shared cell id arrays count once
+            if (entry.cellIds && entry.cellIds !== cellIds) bytes += entry.cellIds.byteLength;
+            cellIds = entry.cellIds;
+        }
+        return bytes;
+    }
+
+    /**
+     * Drop all recorded frames
+     */
+    clear() {
+        this.frames = [];
+        this.lastQuantized = null;
+        this.cacheIndex = -1;
+        this.cacheQuantized = null;
+    }
+
+    /**
+     * True if new cell ids match the stored ones (both absent counts as a match)
+     */
+    _sameCellIds(stored, cellIds) {
+        if (!stored || !cellIds) return !stored && !cellIds;
+        if (stored.length !== cellIds.length) return false;
+        for (let i = 0; i < stored.length; i++) {
+            if (stored[i] !== cellIds[i]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Recorded frames since (and including) the latest keyframe
+     */
+    _framesSinceKeyframe() {
+        let count = 0;
+        for (let i = this.frames.length - 1; i >= 0; i--) {
+            count++;
+            if (this.frames[i].keyframe) break;
+        }
+        return count;
+    }
+
+    /**
+     * Int16 deltas from the previous frame, or null if any change is too large
+     */
+    _encodeDeltas(quantized, previous) {
+        const deltas = new Int16Array(quantized.length);
+        for (let i = 0; i < quantized.length; i++) {
+            const delta = quantized[i] - previous[i];
+            if (delta < INT16_MIN || delta > INT16_MAX) return null;
+            deltas[i] = delta;
+        }
+        return deltas;
+    }
+
+    /**
+     * Quantised seed state of a frame: from the cache, or replayed from its keyframe
+     */
+    _decodeQuantized(index) {
+        let start;
+        let state;
+
+        if (this.cacheIndex >= 0 && this.cacheIndex <= index && !this._hasKeyframeBetween(this.cacheIndex, index)) {
+            start = this.cacheIndex + 1;
+            state = this.cacheQuantized.slice();
+        } else {
+            start = index;
+            while (!this.frames[start].keyframe) start--;
+            state = this.frames[start].seeds.slice();
+            start++;
+        }
+
+        for (let i = start; i <= index; i++) {
+            const entry = this.frames[i];
+            if (entry.keyframe) {
+                state = entry.seeds.slice();
+            } else {
+                for (let k = 0; k < state.length; k++) {
+                    state[k] += entry.seeds[k];
+                }
+            }
+        }
+
+        this.cacheIndex = index;
+        this.cacheQuantized = state;
+        return state;
+    }
+
+    /**
+     * True if a keyframe lies in (from, to]
+     */
+    _hasKeyframeBetween(from, to) {
+        for (let i = from + 1; i <= to; i++) {
+            if (this.frames[i].keyframe) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Remove the oldest frame, turning its successor into a keyframe if needed
+     */
+    _dropOldest() {
+        const next = this.frames[1];
+        if (next && !next.keyframe) {
+            next.seeds = this._decodeQuantized(1).slice();
+            next.keyframe = true;
+        }
+
+        this.frames.shift();
+        this.cacheIndex = -1;
+        this.cacheQuantized = null;
+    }
+
+    /**
+     * Run-length encode a label volume as [label, run] pairs
+     */
+    _encodeLabels(labels) {
+        const runs = [];
+        let current = labels[0];
+        let length = 0;
+
+        for (let i = 0; i < labels.length; i++) {
+            if (labels[i] === current) {
+                length++;
+            } else {
+                runs.push(current, length);
+                current = labels[i];
+                length = 1;
+            }
+        }
+        if (labels.length > 0) runs.push(current, length);
+
+        return Int32Array.from(runs);
+    }
+
+    /**
+     * Expand [label, run] pairs back into a label volume
+     */
+    _decodeLabels(runs, volumeResolution) {
+        const labels = new Int32Array(SimulationDomain.from(volumeResolution).voxelCount);
+        let offset = 0;
+        for (let i = 0; i < runs.length; i += 2) {
+            labels.fill(runs[i], offset, offset + runs[i + 1]);
+            offset += runs[i + 1];
+        }
+        return labels;
+    }
+}
+
+// Make available globally for debugging
+if (typeof window !== 'undefined') {
+    window.TrajectoryRecorder = TrajectoryRecorder;
+}
@@ -0,0 +1,259 @@
+/**
+ * Volume export formats: files produced and whether all fields share one file
+ */
+export const VOLUME_FORMATS = {
+    raw: { extensions: ['raw', 'mhd'], multiField: false, description: 'Raw + MetaImage header' },
+    nrrd: { extensions: ['nrrd'], multiField: false, description: 'NRRD' },
+    vtk: { extensions: ['vtk'], multiField: true, description: 'VTK legacy structured points' },
+    vti: { extensions: ['vti'], multiField: true, description: 'VTK XML ImageData' },
+    npy: { extensions: ['npy'], multiField: false, description: 'NumPy array' }
+};
+
+const TYPE_INFO = {
+    int32: { bytes: 4, nrrd: 'int32', meta: 'MET_INT', vtk: 'int', vti: 'Int32', npy: '<i4' },
+    float32: { bytes: 4, nrrd: 'float', meta: 'MET_FLOAT', vtk: 'float', vti: 'Float32', npy: '<f4' }
+};
+
+/**
+ * VolumeExporter - Writes VolumeFields volumes to scientific volume formats
+ *
+ * Samples are voxel centres on a regular grid (origin and spacing in world
+ * units), x varying fastest. Single-array formats (raw, NRRD, npy) produce one
+ * file per field; VTK formats put every field in one file:
+ *   raw   little-endian samples + MetaImage .mhd header (ParaView, ImageJ, ITK)
+ *   nrrd  attached header, raw little-endian encoding (ParaView, Slicer, ImageJ)
+ *   vtk   legacy STRUCTURED_POINTS, binary big-endian point data
+ *   vti   XML ImageData, appended raw little-endian point data
+ *   npy   NumPy 1.0 array, C order with shape (z, y, x)
+ */
+export class VolumeExporter {
+    /**
+     * Encode a volume in one of VOLUME_FORMATS
+     * @param {Object} volume - buildVolumeFields() output
+     * @param {string} format - raw, nrrd, vtk, vti or npy
+     * @param {Object} [options]
+     * @param {string} [options.baseName] - File name stem (headers reference data files by name)
+     * @returns {Array<{ name: string, data: string|ArrayBuffer, mimeType: string }>} Files to save
+     */
+    export(volume, format, { baseName = 'voronoi' } = {}) {
+        if (!VOLUME_FORMATS[format]) {
+            throw new Error(`Unknown volume format "${format}" (expected ${Object.keys(VOLUME_FORMATS).join(', ')})`);
+        }
+
+        const startTime = performance.now();
+        const files = [];
+
+        switch (format) {
+            case 'vtk':
+                files.push({ name: `${baseName}.vtk`, data: this.toVTK(volume), mimeType: 'application/octet-stream' });
+                break;
+            case 'vti':
+                files.push({ name: `${baseName}.vti`, data: this.toVTI(volume), mimeType: 'application/xml' });
+                break;
+            default:
+                for (const field of Object.keys(volume.fields)) {
+                    const stem = `${baseName}-${field}`;
+                    if (format === 'raw') {
+                        files.push({ name: `${stem}.raw`, data: this.toRaw(volume, field), mimeType: 'application/octet-stream' });
+                        files.push({ name: `${stem}.mhd`, data: this.toMetaImageHeader(volume, field, `${stem}.raw`), mimeType: 'text/plain' });
+                    } else if (format === 'nrrd') {
+                        files.push({ name: `${stem}.nrrd`, data: this.toNRRD(volume, field), mimeType: 'application/octet-stream' });
+                    } else {
+                        files.push({ name: `${stem}.npy`, data: this.toNPY(volume, field), mimeType: 'application/octet-stream' });
+                    }
+                }
+        }
+
+        console.log(`📦 Exported ${Object.keys(volume.fields).length} volume field(s) as ${format.toUpperCase()} (${files.length} file(s)) in ${Math.round(performance.now() - startTime)}ms`);
+        return files;
+    }
+
+    /**
+     * Little-endian samples of one field
+     */
+    toRaw(volume, field) {
+        return this._littleEndianBytes(volume.fields[field]);
+    }
+
+    /**
+     * MetaImage (.mhd) header for a raw file
+     */
+    toMetaImageHeader(volume, field, dataFile) {
+        const type = this._typeInfo(volume.fields[field]);
+        return [
+            'ObjectType = Image',
+            'NDims = 3',
+            `DimSize = ${volume.dimensions.join(' ')}`,
+            `ElementType = ${type.meta}`,
+            `ElementSpacing = ${volume.spacing.join(' ')}`,
+            `Offset = ${volume.origin.join(' ')}`,
+            'BinaryData = True',
+            'BinaryDataByteOrderMSB = False',
+            `ElementDataFile = ${dataFile}`,
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * NRRD with attached header
+     */
+    toNRRD(volume, field) {
+        const type = this._typeInfo(volume.fields[field]);
+        const [sx, sy, sz] = volume.spacing;
+        const header = [
+            'NRRD0004',
+            `# Fabric of Space ${field}`,
+            `content: ${field}`,
+            `type: ${type.nrrd}`,
+            'dimension: 3',
+            'space dimension: 3',
+            `sizes: ${volume.dimensions.join(' ')}`,
+            `space directions: (${sx},0,0) (0,${sy},0) (0,0,${sz})`,
+            `space origin: (${volume.origin.join(',')})`,
+            'centers: cell cell cell',
+            'endian: little',
+            'encoding: raw',
+            '',
+            ''
+        ].join('\n');
+
+        return this._concat(new TextEncoder().encode(header), this._littleEndianBytes(volume.fields[field]));
+    }
+
+    /**
+     * VTK legacy STRUCTURED_POINTS with every field as point scalars (binary is big-endian)
+     */
+    toVTK(volume) {
+        const count = volume.fields[Object.keys(volume.fields)[0]]?.length ?? 0;
+        const parts = [new TextEncoder().encode([
+            '# vtk DataFile Version 3.0',
+            'Fabric of Space Voronoi volume',
+            'BINARY',
+            'DATASET STRUCTURED_POINTS',
+            `DIMENSIONS ${volume.dimensions.join(' ')}`,
+            `ORIGIN ${volume.origin.join(' ')}`,
+            `SPACING ${volume.spacing.join(' ')}`,
+            `POINT_DATA ${count}`,
+            ''
+        ].join('\n'))];
+
+        for (const [field, values] of Object.entries(volume.fields)) {
+            const type = this._typeInfo(values);
+            parts.push(new TextEncoder().encode(`SCALARS ${field} ${type.vtk} 1\nLOOKUP_TABLE default\n`));
+
+            const bytes = new ArrayBuffer(values.length * type.bytes);
+            const view = new DataView(bytes);
+            const setter = values instanceof Float32Array ? 'setFloat32' : 'setInt32';
+            for (let i = 0; i < values.length; i++) {
+                view[setter](i * type.bytes, values[i], false);
+            }
+            parts.push(new Uint8Array(bytes), new TextEncoder().encode('\n'));
+        }
+
+        return this._concat(...parts);
+    }
+
+    /**
+     * VTK XML ImageData; arrays are appended raw, each preceded by a UInt32 byte count
+     */
+    toVTI(volume) {
+        const extent = volume.dimensions.map(size => `0 ${size - 1}`).join(' ');
+        const fields = Object.keys(volume.fields);
+        const arrays = [];
+        let offset = 0;
+
+        for (const field of fields) {
+            const values = volume.fields[field];
+            const type = this._typeInfo(values);
+            arrays.push(`        <DataArray type="${type.vti}" Name="${field}" format="appended" offset="${offset}"/>`);
+            offset += 4 + values.length * type.bytes;
+        }
+
+        const xml = [
+            '<?xml version="1.0"?>',
+            '<VTKFile type="ImageData" version="1.0" byte_order="LittleEndian" header_type="UInt32">',
+            `  <ImageData WholeExtent="${extent}" Origin="${volume.origin.join(' ')}" Spacing="${volume.spacing.join(' ')}">`,
+            `    <Piece Extent="${extent}">`,
+            `      <PointData Scalars="${fields[0] ?? ''}">`,
+            ...arrays,
+            '      </PointData>',
+            '    </Piece>',
+            '  </ImageData>',
+            '  <AppendedData encoding="raw">',
+            '   _'
+        ].join('\n');
+
+        const parts = [new TextEncoder().encode(xml)];
+        for (const field of fields) {
+            const bytes = this._littleEndianBytes(volume.fields[field]);
+            const size = new Uint8Array(4);
+            new DataView(size.buffer).setUint32(0, bytes.byteLength, true);
+            parts.push(size, new Uint8Array(bytes));
+        }
+        parts.push(new TextEncoder().encode('\n  </AppendedData>\n</VTKFile>\n'));
+
+        return this._concat(...parts);
+    }
+
+    /**
+     * NumPy .npy (format 1.0); x-fastest data is C order with shape (z, y, x)
+     */
+    toNPY(volume, field) {
+        const type = this._typeInfo(volume.fields[field]);
+        const [nx, ny, nz] = volume.dimensions;
+        let header = `{'descr': '${type.npy}', 'fortran_order': False, 'shape': (${nz}, ${ny}, ${nx}), }`;
+
+        // Magic (6) + version (2) + header length (2) + header, padded with spaces to 64 bytes, ending in \n
+        const unpadded = 10 + header.length + 1;
+        header += ' '.repeat((64 - (unpadded % 64)) % 64) + '\n';
+
+        const preamble = new Uint8Array(10 + header.length);
+        preamble.set([0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59, 1, 0]); // \x93NUMPY v1.0
+        new DataView(preamble.buffer).setUint16(8, header.length, true);
+        preamble.set(new TextEncoder().encode(header), 10);
+
+        return this._concat(preamble, this._littleEndianBytes(volume.fields[field]));
+    }
+
+    /**
+     * Type names for a field's typed array
+     */
+    _typeInfo(values) {
+        if (values instanceof Float32Array) return TYPE_INFO.float32;
+        if (values instanceof Int32Array) return TYPE_INFO.int32;
+        throw new Error('Volume fields must be Int32Array or Float32Array');
+    }
+
+    /**
+     * Little-endian bytes of a typed array (copied so the result owns its buffer)
+     */
+    _littleEndianBytes(values) {
+        const type = this._typeInfo(values);
+        const buffer = new ArrayBuffer(values.length * type.bytes);
+        const view = new DataView(buffer);
+        const setter = values instanceof Float32Array ? 'setFloat32' : 'setInt32';
+        for (let i = 0; i < values.length; i++) {
+            view[setter](i * type.bytes, values[i], true);
+        }
+        return buffer;
+    }
+
+    /**
+     * Join byte chunks into one ArrayBuffer
+     */
+    _concat(...parts) {
+        const chunks = parts.map(part => part instanceof Uint8Array ? part : new Uint8Array(part));
+        const buffer = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+            buffer.set(chunk, offset);
+            offset += chunk.byteLength;
+        }
+        return buffer.buffer;
+    }
+}
+
+// Make available globally for debugging
+if (typeof window !== 'undefined') {
+    window.VolumeExporter = VolumeExporter;
+}
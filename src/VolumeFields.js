@@ -0,0 +1,230 @@
+import { SimulationDomain } from './SimulationDomain.js';
+
+/**
+ * VolumeFields - Per-voxel scalar fields derived from a JFA label volume
+ *
+ * All fields share the label volume's layout (x-fastest, nx × ny × nz voxels,
+ * voxel centres at min + (i + 0.5) * spacing) so they can be written side by side:
+ *
+ *   labels              int32    seed ID per voxel (-1 = no seed)
+ *   acuteCount          int32    acute junction count of the voxel's cell
+ *   cellVolume          float32  world-space volume of the voxel's cell (voxel count × voxel volume)
+ *   distanceToBoundary  float32  world distance from the voxel centre to the nearest
+ *                                boundary voxel (one with a differently labelled face neighbour)
+ *
+ * Unlabelled voxels (outside a domain mask) get 0 in the per-cell fields and the distance.
+ */
+export const VOLUME_FIELDS = {
+    labels: 'int32',
+    acuteCount: 'int32',
+    cellVolume: 'float32',
+    distanceToBoundary: 'float32'
+};
+
+/**
+ * Build a volume description with the requested fields
+ * @param {Int32Array} labels - Seed ID per voxel, x-fastest (-1 = no seed)
+ * @param {SimulationDomain|number} domain - Domain of the labels (or voxels per axis of the default cube)
+ * @param {Array} seedData - Seeds (acuteCount per seed)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.fields] - VOLUME_FIELDS keys (all by default)
+ * @param {boolean} [options.periodic] - Wrap face neighbours and distances across the domain
+ * @returns {Object} { dimensions, spacing, origin, periodic, fields: { name: TypedArray } }
+ */
+export function buildVolumeFields(labels, domain, seedData, { fields = Object.keys(VOLUME_FIELDS), periodic = false } = {}) {
+    domain = SimulationDomain.from(domain);
+    const volume = {
+        dimensions: [...domain.resolution],
+        spacing: [...domain.spacing],
+        // Samples sit at voxel centres
+        origin: [0, 1, 2].map(axis => domain.voxelCenter(axis, 0)),
+        periodic,
+        fields: {}
+    };
+
+    for (const name of fields) {
+        switch (name) {
+            case 'labels':
+                volume.fields.labels = Int32Array.from(labels);
+                break;
+            case 'acuteCount':
+                volume.fields.acuteCount = perCellField(labels, seedData.map(seed => seed.acuteCount || 0), Int32Array);
+                break;
+            case 'cellVolume':
+                volume.fields.cellVolume = perCellField(labels, computeCellVolumes(labels, seedData.length, domain), Float32Array);
+                break;
+            case 'distanceToBoundary':
+                volume.fields.distanceToBoundary = computeDistanceToBoundary(labels, domain, periodic);
+                break;
+            default:
+                throw new Error(`Unknown volume field "${name}" (expected ${Object.keys(VOLUME_FIELDS).join(', ')})`);
+        }
+    }
+
+    return volume;
+}
+
+/**
+ * World-space volume of every cell from its voxel count
+ * @returns {Float64Array} Volume per seed
+ */
+export function computeCellVolumes(labels, numCells, domain) {
+    const voxelVolume = SimulationDomain.from(domain).voxelVolume;
+    const volumes = new Float64Array(numCells);
+
+    for (let i = 0; i < labels.length; i++) {
+        const id = labels[i];
+        if (id >= 0 && id < numCells) {
+            volumes[id] += voxelVolume;
+        }
+    }
+
+    return volumes;
+}
+
+/**
+ * Euclidean distance (world units) from every voxel centre to the nearest boundary voxel.
+ * Exact squared-distance transform, one separable pass per axis (Felzenszwalb & Huttenlocher).
+ * @returns {Float32Array}
+ */
+export function computeDistanceToBoundary(labels, domain, periodic = false) {
+    domain = SimulationDomain.from(domain);
+    const dims = domain.resolution;
+    const [nx, ny, nz] = dims;
+    const total = domain.voxelCount;
+    const distances = new Float64Array(total);
+    const strides = [1, nx, nx * ny];
+
+    // Seed the transform: 0 on boundary voxels, "infinity" elsewhere
+    for (let z = 0; z < nz; z++) {
+        for (let y = 0; y < ny; y++) {
+            for (let x = 0; x < nx; x++) {
+                const index = x + y * nx + z * nx * ny;
+                distances[index] = isBoundaryVoxel(labels, dims, x, y, z, periodic) ? 0 : INFINITE_DISTANCE;
+            }
+        }
+    }
+
+    // Periodic lines are transformed three times over and the middle copy kept
+    const copies = periodic ? 3 : 1;
+    const longest = domain.maxResolution * copies;
+    const line = new Float64Array(longest);
+    const result = new Float64Array(longest);
+    const scratch = createTransformScratch(longest);
+
+    for (let axis = 0; axis < 3; axis++) {
+        const n = dims[axis];
+        const stride = strides[axis];
+        const other1 = (axis + 1) % 3;
+        const other2 = (axis + 2) % 3;
+        // Squared world distances: each axis weighs voxel steps by its own spacing
+        const weight = domain.spacing[axis] * domain.spacing[axis];
+        const length = n * copies;
+
+        for (let b = 0; b < dims[other2]; b++) {
+            for (let a = 0; a < dims[other1]; a++) {
+                const start = a * strides[other1] + b * strides[other2];
+
+                for (let i = 0; i < length; i++) {
+                    line[i] = distances[start + (i % n) * stride];
+                }
+
+                transformLine(line, result, scratch, length, weight);
+
+                const offset = periodic ? n : 0;
+                for (let i = 0; i < n; i++) {
+                    distances[start + i * stride] = result[offset + i];
+                }
+            }
+        }
+    }
+
+    // A volume without any boundary is all one cell; unlabelled voxels get 0
+    const output = new Float32Array(total);
+    for (let i = 0; i < total; i++) {
+        output[i] = distances[i] >= INFINITE_DISTANCE || labels[i] < 0 ? 0 : Math.sqrt(distances[i]);
+    }
+
+    return output;
+}
+
+const INFINITE_DISTANCE = 1e20;
+
+/**
+ * True if any face neighbour carries a different label (domain walls and the
+ * unlabelled voxels outside a domain mask are not boundaries)
+ */
+function isBoundaryVoxel(labels, [sizeX, sizeY, sizeZ], x, y, z, periodic) {
+    const label = labels[x + (y + z * sizeY) * sizeX];
+    if (label < 0) return false;
+    const neighbours = [[x - 1, y, z], [x + 1, y, z], [x, y - 1, z], [x, y + 1, z], [x, y, z - 1], [x, y, z + 1]];
+
+    for (let [nx, ny, nz] of neighbours) {
+        if (periodic) {
+            nx = (nx + sizeX) % sizeX;
+            ny = (ny + sizeY) % sizeY;
+            nz = (nz + sizeZ) % sizeZ;
+        } else if (nx < 0 || ny < 0 || nz < 0 || nx >= sizeX || ny >= sizeY || nz >= sizeZ) {
+            continue;
+        }
+
+        const other = labels[nx + (ny + nz * sizeY) * sizeX];
+        if (other >= 0 && other !== label) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Broadcast a per-cell value to every voxel of the cell
+ */
+function perCellField(labels, values, ArrayType) {
+    const field = new ArrayType(labels.length);
+    for (let i = 0; i < labels.length; i++) {
+        const id = labels[i];
+        if (id >= 0 && id < values.length) {
+            field[i] = values[id];
+        }
+    }
+    return field;
+}
+
+function createTransformScratch(length) {
+    return {
+        vertices: new Int32Array(length),
+        boundaries: new Float64Array(length + 1)
+    };
+}
+
+/**
+ * 1D squared distance transform over the first `length` samples: lower envelope of
+ * parabolas weight·(q − p)² + f[p] rooted at each sample (weight = spacing²)
+ */
+function transformLine(f, d, { vertices, boundaries }, length = f.length, weight = 1) {
+    let k = 0;
+    vertices[0] = 0;
+    boundaries[0] = -Infinity;
+    boundaries[1] = Infinity;
+
+    for (let q = 1; q < length; q++) {
+        let s;
+        do {
+            const p = vertices[k];
+            s = ((f[q] + weight * q * q) - (f[p] + weight * p * p)) / (2 * weight * (q - p));
+        } while (s <= boundaries[k] && --k >= 0);
+
+        k++;
+        vertices[k] = q;
+        boundaries[k] = s;
+        boundaries[k + 1] = Infinity;
+    }
+
+    k = 0;
+    for (let q = 0; q < length; q++) {
+        while (boundaries[k + 1] < q) k++;
+        const p = vertices[k];
+        d[q] = weight * (q - p) * (q - p) + f[p];
+    }
+}
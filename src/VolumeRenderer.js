@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { SimulationDomain } from './SimulationDomain.js';
 
 /**
  * VolumeRenderer - Renders JFA output as 3D Voronoi cells
@@ -11,6 +12,7 @@ export class VolumeRenderer {
         this.volumeBox = null;
         this.volumeMaterial = null;
         this.scene = null;
+        this.domain = new SimulationDomain();
         
         // Rendering settings
         this.transparency = 0.7;
@@ -43,10 +45,11 @@ export class VolumeRenderer {
                 uAtlas: { value: null },
                 uStepOpacity: { value: 0.02 },
                 uEdgeSmoothness: { value: 2.0 },
-                uBoxMin: { value: new THREE.Vector3(-1, -1, -1) },
-                uBoxMax: { value: new THREE.Vector3(1, 1, 1) },
-                uVolumeSize: { value: 64 },
+                uBoxMin: { value: new THREE.Vector3(...this.domain.min) },
+                uBoxMax: { value: new THREE.Vector3(...this.domain.max) },
+                uVolumeSize: { value: new THREE.Vector3(64, 64, 64) },
                 uSlicesPerRow: { value: 8 },
+                uSliceRows: { value: 8 },
                 uColorMode: { value: 0.0 }, // 0 = random hue, 1 = single color
                 uCellColor: { value: new THREE.Color(0x888888) },
                 uTransparency: { value: this.transparency },
@@ -72,25 +75,50 @@ export class VolumeRenderer {
             this.volumeBox.material.dispose();
         }
         
-        const geometry = new THREE.BoxGeometry(2, 2, 2);
+        const geometry = new THREE.BoxGeometry(...this.domain.size);
         this.volumeBox = new THREE.Mesh(geometry, this.volumeMaterial);
+        this.volumeBox.position.set(...this.domain.center);
         this.scene.add(this.volumeBox);
         
         console.log('📦 Volume box created');
     }
     
+    /**
+     * Fit the volume box to the simulation domain
+     */
+    setDomain(domain) {
+        this.domain = SimulationDomain.from(domain);
+        
+        if (this.volumeMaterial) {
+            this.volumeMaterial.uniforms.uBoxMin.value.set(...this.domain.min);
+            this.volumeMaterial.uniforms.uBoxMax.value.set(...this.domain.max);
+        }
+        if (this.volumeBox) {
+            this.volumeBox.geometry.dispose();
+            this.volumeBox.geometry = new THREE.BoxGeometry(...this.domain.size);
+            this.volumeBox.position.set(...this.domain.center);
+        }
+    }
+    
     /**
      * Update the volume with new JFA data
+     * @param {THREE.WebGLRenderTarget} jfaRenderTarget - Atlas of z-slices
+     * @param {number|Array<number>} volumeSize - Voxels per axis or [nx, ny, nz]
+     * @param {number} slicesPerRow - Slices per atlas row
+     * @param {number} [sliceRows] - Rows of slices (defaults to slicesPerRow, a square atlas)
      */
-    updateVolume(jfaRenderTarget, volumeSize, slicesPerRow) {
+    updateVolume(jfaRenderTarget, volumeSize, slicesPerRow, sliceRows = slicesPerRow) {
         if (!this.volumeMaterial || !jfaRenderTarget) return;
         
+        const resolution = SimulationDomain.from(volumeSize).resolution;
+        
         // Update uniforms
         this.volumeMaterial.uniforms.uAtlas.value = jfaRenderTarget.texture;
-        this.volumeMaterial.uniforms.uVolumeSize.value = volumeSize;
+        this.volumeMaterial.uniforms.uVolumeSize.value.set(...resolution);
         this.volumeMaterial.uniforms.uSlicesPerRow.value = slicesPerRow;
+        this.volumeMaterial.uniforms.uSliceRows.value = sliceRows;
         
-        console.log(`📦 Volume updated with ${volumeSize}³ resolution`);
+        console.log(`📦 Volume updated with ${resolution.join('×')} resolution`);
     }
     
     /**
@@ -140,8 +168,9 @@ export class VolumeRenderer {
             uniform float uEdgeSmoothness;
             uniform vec3 uBoxMin;
             uniform vec3 uBoxMax;
-            uniform float uVolumeSize;
+            uniform vec3 uVolumeSize;
             uniform float uSlicesPerRow;
+            uniform float uSliceRows;
             uniform float uColorMode;
             uniform vec3 uCellColor;
             uniform float uTransparency;
@@ -157,13 +186,13 @@ export class VolumeRenderer {
             
             // Convert 3D coordinates to 2D atlas UV
             vec2 volumeToAtlas(vec3 pos) {
-                float slice = floor(pos.z * uVolumeSize);
+                float slice = floor(pos.z * uVolumeSize.z);
                 float sliceX = mod(slice, uSlicesPerRow);
                 float sliceY = floor(slice / uSlicesPerRow);
                 
                 vec2 atlasPos = vec2(
                     (sliceX + pos.x) / uSlicesPerRow,
-                    (sliceY + pos.y) / uSlicesPerRow
+                    (sliceY + pos.y) / uSliceRows
                 );
                 return atlasPos;
             }
@@ -204,7 +233,7 @@ export class VolumeRenderer {
                 vec3 currentPos = rayOrigin + rayDir * max(t.x, 0.0);
                 vec4 accumulatedColor = vec4(0.0);
                 
-                vec3 pixelSize = 1.0 / vec3(uVolumeSize);
+                vec3 pixelSize = 1.0 / uVolumeSize;
                 
                 for (int i = 0; i < maxSteps; i++) {
                     vec3 uvw = (currentPos - uBoxMin) / (uBoxMax - uBoxMin);
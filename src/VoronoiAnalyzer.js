@@ -1,4 +1,12 @@
 import * as THREE from 'three';
+import { ExactVoronoi } from './ExactVoronoi.js';
+import { hasPlanarCells } from './DistanceMetric.js';
+import { cornerAngles, exactCellAngles, resolveAngleMetric } from './AngleMetric.js';
+import { JUNCTION_MIN_CELLS, resolveJunctionCriterion } from './JunctionCriteria.js';
+import { TopologyAnalyzer } from './TopologyAnalyzer.js';
+import { CellAdjacency } from './CellAdjacency.js';
+import { JFAValidator } from './JFAValidator.js';
+import { SimulationDomain } from './SimulationDomain.js';
 
 /**
  * VoronoiAnalyzer - Optimized CPU module for analyzing JFA output
@@ -14,8 +22,41 @@ export class VoronoiAnalyzer {
         this.analysisCache = new Map();
         this.lastAnalysisTime = 0;
         this.dimensions = { width: 0, height: 0, depth: 0 };
+        this.domain = new SimulationDomain();
         this.seedData = [];
         
+        // Toroidal domain: wrapped centroids, junction lookups and seed vectors
+        this.periodic = false;
+        
+        // Seed distance metric used by the JFA (decides whether exact cells are possible)
+        this.distanceMetric = 'additive';
+        
+        // Voxel junctions: 'quadruple' (4+ labels) or 'triple' (3+) blocks, optionally
+        // merged per cell set into one sub-voxel vertex (see JunctionCriteria)
+        this.junctionCriterion = 'quadruple';
+        this.mergeJunctions = false;
+        
+        // Angles behind acuteCount: seed–vertex (original), cell dihedral or face angles (see AngleMetric)
+        this.angleMetric = 'seedVertex';
+        this.angleStats = null;
+        
+        // Optional exact geometry (half-space clipped cells) instead of voxel estimates
+        this.useExactGeometry = false;
+        this.exactVoronoi = null;
+        this.exactCells = [];
+        this.exactStats = null;
+        
+        // Domain mask of the labels: exact cells ignore it, so voxel estimates are used instead
+        this.mask = null;
+        
+        // Which cells touch which, with shared face areas (CSR, see CellAdjacency)
+        this.adjacency = null;
+        
+        // Optional foam topology (faces per cell, edges per face, Aboav–Weaire, Lewis)
+        this.computeTopology = false;
+        this.topologyAnalyzer = new TopologyAnalyzer();
+        this.topology = null;
+        
         // Temporary vectors for calculations (reused for performance)
         this.tempVec1 = new THREE.Vector3();
         this.tempVec2 = new THREE.Vector3();
@@ -27,8 +68,11 @@ export class VoronoiAnalyzer {
     /**
      * Main analysis function - processes JFA output and updates seed data
      * Uses the hybrid approach: voxel summation for centroids, vertex-finding for angles
+     * @param {Float32Array} jfaBuffer - RGBA JFA output, x-fastest
+     * @param {Array} seedData - Seeds to update
+     * @param {SimulationDomain|number} domain - Domain of the volume (or voxels per axis of the default cube)
      */
-    analyze(jfaBuffer, seedData, volumeSize) {
+    analyze(jfaBuffer, seedData, domain) {
         const startTime = performance.now();
         
         if (!jfaBuffer || !seedData) {
@@ -38,9 +82,11 @@ export class VoronoiAnalyzer {
         
         // Store references for internal methods
         this.seedData = seedData;
-        this.dimensions = { width: volumeSize, height: volumeSize, depth: volumeSize };
+        this.domain = SimulationDomain.from(domain);
+        const [width, height, depth] = this.domain.resolution;
+        this.dimensions = { width, height, depth };
         
-        console.log(`🔍 Starting optimized analysis of ${volumeSize}³ volume...`);
+        console.log(`🔍 Starting optimized analysis of ${this.domain.describe()} volume...`);
         
         try {
             // Clear previous data
@@ -50,11 +96,28 @@ export class VoronoiAnalyzer {
                 seed.voxelCount = 0;
                 seed.positionSum = new THREE.Vector3(0, 0, 0);
                 seed.centroid = new THREE.Vector3();
+                // CVT energy: integral of squared distance to the seed over the cell
+                seed.energy = 0;
             }
 
             // Run the two main analysis steps
             this._calculateVoxelSummation(jfaBuffer); // New robust centroid method
-            this._calculateAnglesFromJunctions(jfaBuffer); // Refined vertex-finding method for angles
+            
+            const useExact = this.useExactGeometry && !this.mask && this._hasPlanarCells();
+            if (useExact) {
+                // Exact centroids, volumes and Voronoi vertices replace the voxel estimates
+                this._calculateExactGeometry();
+            } else {
+                this._calculateAnglesFromJunctions(jfaBuffer); // Refined vertex-finding method for angles
+            }
+            
+            // Adjacency (and topology) from the exact cells when this step computed them, else from the labels
+            const labels = useExact ? null : JFAValidator.labelsFromRGBA(jfaBuffer, this.seedData.length, this.domain.voxelCount);
+            this._calculateAdjacency(labels);
+            
+            if (this.computeTopology) {
+                this._calculateTopology(labels);
+            }
             
             this.lastAnalysisTime = Math.round(performance.now() - startTime);
             
@@ -97,28 +160,50 @@ export class VoronoiAnalyzer {
                 const seed = this.seedData[cellID];
                 
                 // Get the (x,y,z) coordinate of this voxel
-                const x = i % width;
-                const y = Math.floor(i / width) % height;
-                const z = Math.floor(i / (width * height));
+                let x = i % width;
+                let y = Math.floor(i / width) % height;
+                let z = Math.floor(i / (width * height));
+                
+                if (this.periodic) {
+                    // Unwrap the voxel to the image nearest its seed so cells
+                    // straddling the seam average correctly
+                    x = this._unwrapCoord(x, seed.position.x, 0);
+                    y = this._unwrapCoord(y, seed.position.y, 1);
+                    z = this._unwrapCoord(z, seed.position.z, 2);
+                }
                 
                 // Add to the running sum for this cell
                 seed.positionSum.x += x;
                 seed.positionSum.y += y;
                 seed.positionSum.z += z;
                 seed.voxelCount++;
+                
+                // Squared world-space distance from the voxel centre to the seed
+                const dx = this.domain.voxelCenter(0, x) - seed.position.x;
+                const dy = this.domain.voxelCenter(1, y) - seed.position.y;
+                const dz = this.domain.voxelCenter(2, z) - seed.position.z;
+                seed.energy += dx * dx + dy * dy + dz * dz;
             }
         }
         
+        const voxelVolume = this.domain.voxelVolume;
+        
         // Finalize the centroid calculation for each cell
         let validCentroids = 0;
         for (const seed of this.seedData) {
             if (seed.voxelCount > 0) {
                 seed.centroid.copy(seed.positionSum).divideScalar(seed.voxelCount);
+                seed.energy *= voxelVolume;
                 
-                // CRUCIAL: Convert from texture space [0, dim] to world space [-1, 1]
-                seed.centroid.x = (seed.centroid.x / width) * 2 - 1;
-                seed.centroid.y = (seed.centroid.y / height) * 2 - 1;
-                seed.centroid.z = (seed.centroid.z / depth) * 2 - 1;
+                // CRUCIAL: Convert from texture space [0, dim] to world space
+                // (voxel centres, so the centroid of a uniform volume is unbiased)
+                seed.centroid.x = this.domain.voxelCenter(0, seed.centroid.x);
+                seed.centroid.y = this.domain.voxelCenter(1, seed.centroid.y);
+                seed.centroid.z = this.domain.voxelCenter(2, seed.centroid.z);
+                
+                if (this.periodic) {
+                    this._wrapPosition(seed.centroid);
+                }
                 
                 validCentroids++;
             } else {
@@ -142,6 +227,118 @@ export class VoronoiAnalyzer {
         const vertices = this._findJunctions(buffer);
         this.vertices = vertices; // Store for debugging
         
+        if (this.angleMetric === 'seedVertex') {
+            this._countAcuteAngles(vertices);
+        } else {
+            this._countCornerAngles(vertices);
+        }
+    }
+    
+    /**
+     * Count acute cell angles (dihedral or face) at voxel junctions. Each cell at a
+     * junction forms a corner with the three other nearest cells; its face normals
+     * are the seed directions (exact for flat faces, approximate for curved ones).
+     * Triple-line junctions only have one dihedral angle per cell.
+     */
+    _countCornerAngles(vertices) {
+        const toSeed = new THREE.Vector3();
+        const normals = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+        const key = this.angleMetric;
+        
+        let totalAngles = 0;
+        let acuteAngles = 0;
+        let angleSum = 0;
+        
+        for (const vertex of vertices) {
+            // Blocks with more than four labels: keep the four seeds closest to the junction
+            const ids = vertex.cellIDs
+                .filter(id => id >= 0 && id < this.seedData.length)
+                .map(id => ({ id, distance: this._minimumImage(toSeed.subVectors(this.seedData[id].position, vertex.position)).lengthSq() }))
+                .sort((a, b) => a.distance - b.distance)
+                .slice(0, 4)
+                .map(entry => entry.id);
+            
+            // Triple line: each cell's dihedral angle along it (no face corner here)
+            if (ids.length === 3 && key === 'dihedral') {
+                ids.forEach((id, k) => {
+                    const seed = this.seedData[id];
+                    this._minimumImage(normals[0].subVectors(this.seedData[ids[(k + 1) % 3]].position, seed.position)).normalize();
+                    this._minimumImage(normals[1].subVectors(this.seedData[ids[(k + 2) % 3]].position, seed.position)).normalize();
+                    const angle = Math.PI - normals[0].angleTo(normals[1]);
+                    totalAngles++;
+                    angleSum += angle;
+                    if (angle < Math.PI / 2) {
+                        seed.acuteCount++;
+                        acuteAngles++;
+                    }
+                });
+            }
+            if (ids.length < 4) continue;
+            
+            for (const id of ids) {
+                const seed = this.seedData[id];
+                const others = ids.filter(other => other !== id);
+                others.forEach((other, k) => {
+                    this._minimumImage(normals[k].subVectors(this.seedData[other].position, seed.position)).normalize();
+                });
+                
+                for (const angle of cornerAngles(normals[0], normals[1], normals[2])[key]) {
+                    totalAngles++;
+                    angleSum += angle;
+                    if (angle < Math.PI / 2) {
+                        seed.acuteCount++;
+                        acuteAngles++;
+                    }
+                }
+            }
+        }
+        
+        this._setAngleStats(totalAngles, acuteAngles, angleSum);
+    }
+    
+    /**
+     * Count acute cell angles (dihedral or face) measured on the exact polyhedra
+     */
+    _countExactCellAngles(cells) {
+        const key = this.angleMetric;
+        let totalAngles = 0;
+        let acuteAngles = 0;
+        let angleSum = 0;
+        
+        for (const cell of cells) {
+            const seed = this.seedData[cell.id];
+            if (!seed || cell.vertices.length === 0) continue;
+            
+            for (const angle of exactCellAngles(cell)[key]) {
+                totalAngles++;
+                angleSum += angle;
+                if (angle < Math.PI / 2) {
+                    seed.acuteCount++;
+                    acuteAngles++;
+                }
+            }
+        }
+        
+        this._setAngleStats(totalAngles, acuteAngles, angleSum);
+    }
+    
+    /**
+     * Summary of this step's cell-angle measurement (reported as getAnalysisResults().angleStats)
+     */
+    _setAngleStats(totalAngles, acuteAngles, angleSum) {
+        this.angleStats = {
+            metric: this.angleMetric,
+            totalAngles,
+            acuteAngles,
+            meanAngle: totalAngles > 0 ? angleSum / totalAngles : 0
+        };
+        console.log(`✅ Measured ${totalAngles} ${this.angleMetric} angles, ${acuteAngles} acute, mean ${(this.angleStats.meanAngle * 180 / Math.PI).toFixed(1)}°`);
+    }
+    
+    /**
+     * Count acute seed–vertex–seed angles at each junction ({ position, cellIDs })
+     */
+    _countAcuteAngles(vertices) {
         // Use the superior "seed-to-vertex" angle calculation
         const vA = new THREE.Vector3();
         const vB = new THREE.Vector3();
@@ -165,9 +362,9 @@ export class VoronoiAnalyzer {
                         const seedA = this.seedData[idA];
                         const seedB = this.seedData[idB];
                         
-                        // Calculate vectors from vertex to each seed
-                        vA.subVectors(seedA.position, vertex.position).normalize();
-                        vB.subVectors(seedB.position, vertex.position).normalize();
+                        // Calculate vectors from vertex to each seed (nearest image when periodic)
+                        this._minimumImage(vA.subVectors(seedA.position, vertex.position)).normalize();
+                        this._minimumImage(vB.subVectors(seedB.position, vertex.position)).normalize();
                         
                         // Calculate angle between vectors
                         const dotProduct = vA.dot(vB);
@@ -190,8 +387,8 @@ export class VoronoiAnalyzer {
     }
     
     /**
-     * Find junctions (Voronoi vertices) where 4+ cells meet
-     * This method remains the same as it's already robust
+     * Find junctions (Voronoi vertices) where 4+ cells meet (3+ with the triple criterion).
+     * With mergeJunctions, blocks with the same cell set become a single junction.
      */
     _findJunctions(buffer) {
         const { width, height, depth } = this.dimensions;
@@ -199,11 +396,16 @@ export class VoronoiAnalyzer {
         
                  // Helper function to get cell ID from 3D coordinates
          const getCellID = (x, y, z) => {
-             if (x < 0 || x >= width || y < 0 || y >= height || z < 0 || z >= depth) {
+             if (this.periodic) {
+                 // Wrap lookups so junctions across the seam are found
+                 x %= width;
+                 y %= height;
+                 z %= depth;
+             } else if (x < 0 || x >= width || y < 0 || y >= height || z < 0 || z >= depth) {
                  return -1;
              }
              
-             const index = (z * width * height + y * width + x) * 4;
+             const index = ((z * height + y) * width + x) * 4;
              const cellIDNormalized = buffer[index + 3];
              
              // Return -1 for voxels with no seed assigned
@@ -213,10 +415,15 @@ export class VoronoiAnalyzer {
              return Math.round(cellIDNormalized * this.seedData.length) - 1;
          };
         
+        // Periodic volumes also scan the 2x2x2 cubes that straddle the seam
+        const edge = this.periodic ? 0 : 1;
+        const minCells = JUNCTION_MIN_CELLS[this.junctionCriterion];
+        const merged = new Map();
+        
         // Scan for junctions by checking 2x2x2 cubes in 3D space
-        for (let z = 0; z < depth - 1; z++) {
-            for (let y = 0; y < height - 1; y++) {
-                for (let x = 0; x < width - 1; x++) {
+        for (let z = 0; z < depth - edge; z++) {
+            for (let y = 0; y < height - edge; y++) {
+                for (let x = 0; x < width - edge; x++) {
                     // Get the 8 cell IDs in the 2x2x2 cube
                     const cellIDs = new Set();
                     
@@ -233,13 +440,15 @@ export class VoronoiAnalyzer {
                     // Remove invalid cell IDs
                     cellIDs.delete(-1);
                     
-                    // If we have 4 or more different cells meeting, it's a proper 3D junction
-                    if (cellIDs.size >= 4) {
-                        // Convert to world coordinates [-1, 1]
+                    // If enough different cells meet, it's a junction
+                    if (cellIDs.size >= minCells && this.mergeJunctions) {
+                        this._addToMergedJunction(merged, x, y, z, Array.from(cellIDs));
+                    } else if (cellIDs.size >= minCells) {
+                        // Convert to world coordinates
                         const worldPos = new THREE.Vector3(
-                            (x + 0.5) / width * 2 - 1,
-                            (y + 0.5) / height * 2 - 1,
-                            (z + 0.5) / depth * 2 - 1
+                            this.domain.voxelCenter(0, x),
+                            this.domain.voxelCenter(1, y),
+                            this.domain.voxelCenter(2, z)
                         );
                         
                         vertices.push({
@@ -251,10 +460,241 @@ export class VoronoiAnalyzer {
             }
         }
         
+        if (this.mergeJunctions) {
+            for (const junction of merged.values()) {
+                const position = this.seedData[junction.cellIDs[0]].position.clone()
+                    .addScaledVector(junction.offsetSum, 1 / junction.blockCount);
+                vertices.push({
+                    position: this.periodic ? this._wrapPosition(position) : position,
+                    cellIDs: junction.cellIDs,
+                    blockCount: junction.blockCount
+                });
+            }
+        }
+        
         console.log(`✅ Found ${vertices.length} junctions`);
         return vertices;
     }
     
+    /**
+     * Add a junction block to the merged junction of its cell set. Blocks with more
+     * than four cells keep the four seeds closest to the block centre (as on the GPU);
+     * positions are summed as offsets from the lowest seed so seams average correctly.
+     */
+    _addToMergedJunction(merged, x, y, z, cellIDs) {
+        // The block's centre is the voxel corner shared by its eight voxels
+        const centre = new THREE.Vector3(
+            this.domain.voxelCorner(0, x + 1),
+            this.domain.voxelCorner(1, y + 1),
+            this.domain.voxelCorner(2, z + 1)
+        );
+        
+        if (cellIDs.length > 4) {
+            const distance = (id) => this._minimumImage(this.tempVec1.subVectors(this.seedData[id].position, centre)).lengthSq();
+            cellIDs = cellIDs.sort((a, b) => distance(a) - distance(b)).slice(0, 4);
+        }
+        cellIDs.sort((a, b) => a - b);
+        
+        const key = cellIDs.join(',');
+        let junction = merged.get(key);
+        if (!junction) {
+            junction = { cellIDs, offsetSum: new THREE.Vector3(), blockCount: 0 };
+            merged.set(key, junction);
+        }
+        
+        junction.offsetSum.add(this._minimumImage(centre.sub(this.seedData[cellIDs[0]].position)));
+        junction.blockCount++;
+    }
+    
+    /**
+     * Exact geometry: clip each cell analytically, then take centroids, volumes
+     * and junctions from the polyhedra. Also records how far the voxel estimates were off.
+     */
+    _calculateExactGeometry() {
+        console.log('📐 Calculating exact cell geometry...');
+        
+        if (!this.exactVoronoi) {
+            this.exactVoronoi = new ExactVoronoi();
+        }
+        this.exactVoronoi.setBounds(this.domain.bounds);
+        this.exactVoronoi.setPeriodicBoundaries(this.periodic);
+        this.exactVoronoi.setDistanceMetric(this.distanceMetric === 'power' ? 'power' : 'unweighted');
+        this.exactCells = this.exactVoronoi.compute(this.seedData);
+        
+        // World-space volume of one voxel
+        const voxelVolume = this.domain.voxelVolume;
+        const diff = new THREE.Vector3();
+        let centroidError = 0;
+        let volumeError = 0;
+        let nonEmptyCells = 0;
+        
+        for (let i = 0; i < this.seedData.length; i++) {
+            const seed = this.seedData[i];
+            const cell = this.exactCells[i];
+            
+            // Compare against the voxel centroid computed just before
+            // (power cells can be empty; those have nothing to compare)
+            if (cell.volume > 0) {
+                this._minimumImage(diff.subVectors(cell.centroid, seed.centroid));
+                centroidError += diff.length();
+                volumeError += Math.abs(seed.voxelCount * voxelVolume - cell.volume) / cell.volume;
+                nonEmptyCells++;
+            }
+            
+            seed.centroid.copy(cell.centroid);
+            if (this.periodic) {
+                this._wrapPosition(seed.centroid);
+            }
+            seed.volume = cell.volume;
+        }
+        
+        const n = Math.max(nonEmptyCells, 1);
+        this.exactStats = {
+            meanCentroidError: centroidError / n,
+            meanRelativeVolumeError: volumeError / n,
+            computeTime: this.exactVoronoi.lastComputeTime
+        };
+        
+        // True Voronoi vertices (or the polyhedra themselves) drive the angle count
+        this.vertices = this.exactVoronoi.getJunctions(4);
+        if (this.angleMetric === 'seedVertex') {
+            this._countAcuteAngles(this.vertices);
+        } else {
+            this._countExactCellAngles(this.exactCells);
+        }
+        
+        console.log(`✅ Exact geometry: ${this.vertices.length} vertices, voxel centroid error ${this.exactStats.meanCentroidError.toFixed(4)}`);
+    }
+    
+    /**
+     * Set the distance metric of the labels being analyzed. Exact geometry needs planar
+     * faces (unweighted, power, or equal weights); otherwise it falls back to the voxel estimates.
+     */
+    setDistanceMetric(metric) {
+        this.distanceMetric = metric;
+        if (this.useExactGeometry && !hasPlanarCells(metric)) {
+            console.warn(`⚠️ Exact geometry is unavailable for unequal ${metric} weights, using voxel analysis`);
+        }
+    }
+    
+    /**
+     * True if the current cells have flat faces: a planar metric, or equal weights
+     * (additive/multiplicative with equal weights reduce to unweighted Voronoi)
+     */
+    _hasPlanarCells() {
+        if (hasPlanarCells(this.distanceMetric)) return true;
+        
+        const firstWeight = this.seedData[0]?.weight || 0;
+        return this.seedData.every(seed => (seed.weight || 0) === firstWeight);
+    }
+    
+    /**
+     * Cell adjacency graph from the voxel labels, or from the exact cells if labels is null
+     */
+    _calculateAdjacency(labels) {
+        this.adjacency?.destroyGPUBuffers();
+        this.adjacency = labels
+            ? CellAdjacency.fromLabels(labels, this.domain, this.seedData.length, { periodic: this.periodic })
+            : CellAdjacency.fromExactCells(this.exactCells);
+    }
+    
+    /**
+     * Topology from the voxel labels (reusing this step's adjacency), or from the exact cells if labels is null
+     */
+    _calculateTopology(labels) {
+        this.topology = labels
+            ? this.topologyAnalyzer.fromLabels(labels, this.domain, this.seedData.length, this.adjacency)
+            : this.topologyAnalyzer.fromExactCells(this.exactCells);
+    }
+    
+    /**
+     * Enable/disable the topology statistics (reported as getAnalysisResults().topology)
+     */
+    setTopologyAnalysis(enabled) {
+        this.computeTopology = enabled;
+        if (!enabled) {
+            this.topology = null;
+        }
+    }
+    
+    /**
+     * Choose the voxel junction test: 'quadruple' (4+ labels in a 2×2×2 block) or 'triple' (3+)
+     */
+    setJunctionCriterion(criterion) {
+        this.junctionCriterion = resolveJunctionCriterion(criterion);
+    }
+    
+    /**
+     * Merge junction blocks with the same cell set into one sub-voxel junction
+     */
+    setMergeJunctions(enabled) {
+        this.mergeJunctions = enabled;
+    }
+    
+    /**
+     * Choose which angles acuteCount counts: 'seedVertex', 'dihedral' or 'face' (see ANGLE_METRICS)
+     */
+    setAngleMetric(metric) {
+        this.angleMetric = resolveAngleMetric(metric);
+        this.angleStats = null;
+    }
+    
+    /**
+     * Enable/disable exact geometric cells for centroids, volumes and angles
+     */
+    setExactGeometry(enabled) {
+        this.useExactGeometry = enabled;
+        if (enabled && this.mask) {
+            console.warn('⚠️ Exact geometry ignores domain masks, using voxel analysis');
+        }
+        if (!enabled) {
+            this.exactCells = [];
+            this.exactStats = null;
+        }
+    }
+    
+    /**
+     * Set the domain mask the JFA labels were cut to (null = whole box). Junctions and
+     * adjacency already skip unlabelled voxels; exact geometry falls back to voxels.
+     */
+    setMask(mask) {
+        this.mask = mask;
+        if (mask && this.useExactGeometry) {
+            console.warn('⚠️ Exact geometry ignores domain masks, using voxel analysis');
+        }
+    }
+    
+    /**
+     * Map a voxel coordinate along an axis to the periodic image closest to a world-space reference
+     */
+    _unwrapCoord(voxel, reference, axis) {
+        const size = this.domain.resolution[axis];
+        const referenceVoxel = (reference - this.domain.min[axis]) / this.domain.spacing[axis];
+        return voxel - size * Math.round((voxel - referenceVoxel) / size);
+    }
+    
+    /**
+     * Wrap a world-space position back into the domain
+     */
+    _wrapPosition(position) {
+        return this.domain.wrapPosition(position);
+    }
+    
+    /**
+     * Replace a world-space difference vector by its minimum image (no-op unless periodic)
+     */
+    _minimumImage(vector) {
+        return this.periodic ? this.domain.minimumImage(vector) : vector;
+    }
+    
+    /**
+     * Enable/disable periodic (wrap-around) boundaries
+     */
+    setPeriodicBoundaries(enabled) {
+        this.periodic = enabled;
+        this.topologyAnalyzer.setPeriodicBoundaries(enabled);
+    }
+    
     /**
      * Log comprehensive analysis statistics
      */
@@ -304,8 +744,14 @@ export class VoronoiAnalyzer {
                 position: seed.position.clone(),
                 centroid: seed.centroid.clone(),
                 acuteCount: seed.acuteCount,
-                voxelCount: seed.voxelCount
-            }))
+                voxelCount: seed.voxelCount,
+                volume: seed.volume
+            })),
+            exactCells: this.exactCells,
+            exactStats: this.exactStats,
+            angleStats: this.angleStats,
+            adjacency: this.adjacency,
+            topology: this.topology
         };
     }
     
@@ -340,6 +786,12 @@ export class VoronoiAnalyzer {
         this.vertices = [];
         this.analysisCache.clear();
         this.seedData = [];
+        this.exactCells = [];
+        this.exactVoronoi?.dispose();
+        this.topologyAnalyzer.dispose();
+        this.topology = null;
+        this.adjacency?.destroyGPUBuffers();
+        this.adjacency = null;
         
         console.log('✅ VoronoiAnalyzer disposed');
     }